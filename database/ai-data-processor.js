@@ -2,8 +2,11 @@
 // Transforms raw TabScanner JSON into clean, searchable, AI-enhanced database records
 
 const { Pool } = require('pg');
-const AIDataParser = require('./services/aiDataParser');
+const AIDataParser = require('../services/aiDataParser');
+const { PgResponseCache } = require('../services/llm');
 const fs = require('fs');
+const Migrator = require('../services/migrator');
+const PriceHistory = require('../services/priceHistory');
 const path = require('path');
 require('dotenv').config();
 
@@ -14,7 +17,9 @@ class AIDataProcessor {
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
         
-        this.aiParser = new AIDataParser();
+        this.aiParser = new AIDataParser({ cache: new PgResponseCache(this.pool) });
+        // Catalog matching and price stats belong to the live pipeline's price history
+        this.priceHistory = new PriceHistory(this.pool);
         console.log('🤖 AI Data Processor initialized');
     }
 
@@ -96,22 +101,12 @@ class AIDataProcessor {
     }
 
     /**
-     * Setup enhanced database tables
+     * Make sure the enhanced tables exist (migrations/002_ai_enrichment_tables.js)
      */
     async setupEnhancedDatabase() {
-        console.log('📊 Setting up enhanced database tables...');
-
-        try {
-            const schemaFile = fs.readFileSync('enhanced-schema.sql', 'utf8');
-            await this.pool.query(schemaFile);
-            console.log('✅ Enhanced database schema ready\n');
-        } catch (error) {
-            if (error.message.includes('already exists')) {
-                console.log('✅ Enhanced database tables already exist\n');
-            } else {
-                throw error;
-            }
-        }
+        console.log('📊 Checking database migrations...');
+        await new Migrator(this.pool).assertUpToDate();
+        console.log('✅ Enhanced database schema ready\n');
     }
 
     /**
@@ -123,12 +118,11 @@ class AIDataProcessor {
                 r.id,
                 r.user_id,
                 r.receipt_date,
-                r.receipt_time,
                 r.total_amount,
                 r.tax_amount,
-                r.subtotal_amount,
+                r.subtotal as subtotal_amount,
                 r.ocr_raw_text,
-                r.llm_processed_data,
+                payload.payload as ocr_payload,
                 r.status,
                 r.created_at,
                 r.processed_at,
@@ -139,20 +133,23 @@ class AIDataProcessor {
                 JSON_AGG(
                     JSON_BUILD_OBJECT(
                         'item_id', ri.id,
-                        'item_name', ri.item_name,
+                        'item_name', ri.product_name,
                         'quantity', ri.quantity,
                         'unit_price', ri.unit_price,
-                        'line_total', ri.line_total,
-                        'confidence_score', ri.confidence_score,
-                        'raw_text', ri.raw_text
+                        'line_total', ri.line_total
                     ) ORDER BY ri.created_at
                 ) FILTER (WHERE ri.id IS NOT NULL) as items
             FROM receipts r
+            JOIN LATERAL (
+                SELECT p.payload FROM receipt_ocr_payloads p
+                WHERE p.receipt_id = r.id AND p.format = 'tabscanner'
+                ORDER BY p.created_at DESC
+                LIMIT 1
+            ) payload ON true
             LEFT JOIN stores s ON r.store_id = s.id
             LEFT JOIN receipt_items ri ON r.id = ri.receipt_id
-            WHERE r.status = 'completed' 
-              AND r.llm_processed_data IS NOT NULL
-            GROUP BY r.id, s.id
+            WHERE r.status = 'completed'
+            GROUP BY r.id, s.id, payload.payload
             ORDER BY r.created_at DESC
         `;
 
@@ -166,7 +163,6 @@ class AIDataProcessor {
                 store_address: row.store_address,
                 store_phone: row.store_phone,
                 receipt_date: row.receipt_date,
-                receipt_time: row.receipt_time,
                 total_amount: row.total_amount,
                 tax_amount: row.tax_amount,
                 subtotal_amount: row.subtotal_amount,
@@ -176,7 +172,8 @@ class AIDataProcessor {
             },
             items: row.items || [],
             raw_ocr_text: row.ocr_raw_text,
-            tabscanner_full_response: row.llm_processed_data
+            // Same shape as an OCR result, which AIDataParser reads
+            tabscanner_full_response: { rawData: row.ocr_payload }
         }));
     }
 
@@ -220,6 +217,9 @@ class AIDataProcessor {
             // 4. Process items and build product catalog
             await this.processEnhancedItems(client, enhancedData.items, aiReceiptId, rawReceipt);
 
+            // 5. Catalog price stats come from product_prices, never from this script
+            await this.priceHistory.recordReceipt(client, rawReceipt.id);
+
             await client.query('COMMIT');
             
         } catch (error) {
@@ -389,56 +389,37 @@ class AIDataProcessor {
     }
 
     /**
-     * Find existing product or create new one in catalog
+     * Find or create the catalog entry the way PriceHistory does (same name
+     * normalization), then fill in AI attributes it doesn't have yet. Price
+     * columns are left to PriceHistory.refreshCatalogStats.
      */
     async findOrCreateProduct(client, item) {
-        // Try to find existing product
-        let result = await client.query(
-            'SELECT id FROM product_catalog WHERE normalized_name ILIKE $1',
-            [item.name]
-        );
-
-        if (result.rows.length > 0) {
-            // Update frequency and pricing
-            await client.query(`
-                UPDATE product_catalog 
-                SET purchase_frequency = purchase_frequency + 1,
-                    last_seen = CURRENT_TIMESTAMP,
-                    avg_price_cents = COALESCE(
-                        (avg_price_cents * (purchase_frequency - 1) + $2) / purchase_frequency, 
-                        $2
-                    )
-                WHERE id = $1
-            `, [result.rows[0].id, Math.round(item.line_total * 100)]);
-
-            return result.rows[0].id;
-        }
+        const productId = await this.priceHistory.findOrCreateProduct(client, {
+            product_name: item.name,
+            category_name: item.category
+        });
 
-        // Create new product
-        result = await client.query(`
-            INSERT INTO product_catalog (
-                normalized_name, brand, product_type, category, subcategory,
-                size_info, dietary_tags, nutrition_category,
-                avg_price_cents, price_range_min_cents, price_range_max_cents,
-                purchase_frequency, confidence_score
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 1, $12)
-            RETURNING id
+        await client.query(`
+            UPDATE product_catalog
+            SET brand = COALESCE(brand, $2),
+                product_type = COALESCE(product_type, $3),
+                subcategory = COALESCE(subcategory, $4),
+                size_info = COALESCE(size_info, $5),
+                dietary_tags = COALESCE(dietary_tags, $6),
+                nutrition_category = COALESCE(nutrition_category, $7),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
         `, [
-            item.name,
+            productId,
             item.brand,
             item.product_type,
-            item.category,
             item.subcategory,
             item.size_info,
             item.dietary_tags || [],
-            item.nutrition_category,
-            Math.round(item.line_total * 100),
-            Math.round(item.line_total * 100), // Initial min = avg
-            Math.round(item.line_total * 100), // Initial max = avg
-            item.confidence || 1.0
+            item.nutrition_category
         ]);
 
-        return result.rows[0].id;
+        return productId;
     }
 
     /**
@@ -1,8 +1,14 @@
 // Custom Field Mapper for Receipt Data
 // Maps TabScanner JSON to specific database structure requested by user
+const { ItemCategorizer } = require('../services/categorizer');
 
 class CustomFieldMapper {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {ItemCategorizer} [options.categorizer] - Shared categorizer (defaults to rules + seed model)
+     */
+    constructor(options = {}) {
+        this.categorizer = options.categorizer || new ItemCategorizer();
         this.brandNormalization = {
             'trader joes': 'Trader Joes',
             'trader joe\'s': 'Trader Joes',
@@ -168,70 +174,18 @@ class CustomFieldMapper {
     }
 
     /**
-     * Generate item type codes
+     * Generate item type codes from the shared categorizer's category
      */
     generateItemTypeCode(item, index) {
-        const name = (item.descClean || item.desc || '').toLowerCase();
-        
-        // Category-based type codes
-        if (name.includes('produce') || name.includes('fruit') || name.includes('vegetable') || 
-            name.includes('apple') || name.includes('banana') || name.includes('berries') ||
-            name.includes('broccoli') || name.includes('spinach') || name.includes('onion')) {
-            return 'PROD';
-        }
-        
-        if (name.includes('milk') || name.includes('yogurt') || name.includes('cheese') ||
-            name.includes('dairy')) {
-            return 'DAIRY';
-        }
-        
-        if (name.includes('bread') || name.includes('bakery')) {
-            return 'BAKERY';
-        }
-        
-        if (name.includes('meat') || name.includes('beef') || name.includes('chicken') ||
-            name.includes('fish')) {
-            return 'MEAT';
-        }
-        
-        if (name.includes('beans') || name.includes('oil') || name.includes('pasta') ||
-            name.includes('rice')) {
-            return 'PANTRY';
-        }
-        
-        if (name.includes('bottle') || name.includes('deposit') || name.includes('fee')) {
-            return 'FEE';
-        }
-        
-        // Default type code
-        return 'MISC';
+        const name = item.descClean || item.desc || '';
+        return this.categorizer.typeCodeFor(this.categorizer.categorize(name).key);
     }
 
     /**
-     * Categorize items for better organization
+     * Categorize items for better organization (category keys from services/categorizer/rules.json)
      */
     categorizeItem(itemName) {
-        const name = itemName.toLowerCase();
-        
-        if (name.includes('apple') || name.includes('berries') || name.includes('broccoli') ||
-            name.includes('spinach') || name.includes('onion') || name.includes('potato') ||
-            name.includes('lime') || name.includes('avocado') || name.includes('cauliflower')) {
-            return 'produce';
-        }
-        
-        if (name.includes('milk') || name.includes('coconut milk')) {
-            return 'dairy';
-        }
-        
-        if (name.includes('beans') || name.includes('oil')) {
-            return 'pantry';
-        }
-        
-        if (name.includes('sushi') || name.includes('wrap') || name.includes('curry')) {
-            return 'prepared_food';
-        }
-        
-        return 'other';
+        return this.categorizer.categorize(itemName || '').key;
     }
 
     /**
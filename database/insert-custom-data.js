@@ -4,6 +4,7 @@
 const { Pool } = require('pg');
 const CustomFieldMapper = require('./custom-field-mapper');
 const fs = require('fs');
+const Migrator = require('../services/migrator');
 require('dotenv').config();
 
 async function insertCustomMappedData() {
@@ -16,11 +17,10 @@ async function insertCustomMappedData() {
         console.log('🗄️  CUSTOM DATABASE INSERTION DEMO');
         console.log('===================================\n');
 
-        // Create custom tables
-        console.log('📊 Creating custom database tables...');
-        const schema = fs.readFileSync('create-custom-database.sql', 'utf8');
-        await pool.query(schema);
-        console.log('✅ Custom tables created\n');
+        // Custom tables come from migrations/003_custom_receipt_tables.js
+        console.log('📊 Checking database migrations...');
+        await new Migrator(pool).assertUpToDate();
+        console.log('✅ Custom tables ready\n');
 
         // Load the processed receipt data
         const rawDataFiles = fs.readdirSync('.')
@@ -0,0 +1,451 @@
+// migrations/001_initial_schema.js - Baseline schema
+//
+// This is the schema init-db.js used to create on every startup, kept
+// idempotent so existing databases are adopted as they are: one created by
+// init-db.js at any point in its history gets the columns and indexes it is
+// missing, and one created from the retired database/schema.sql has
+// item_name, subtotal_amount, the receipt_status enum and array
+// processing_errors converted to what the code reads.
+// New schema changes go in a new numbered migration, never in this file.
+
+async function up(client) {
+  await client.query(`
+    CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+    CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      first_name VARCHAR(100),
+      last_name VARCHAR(100),
+      password_hash VARCHAR(255),
+      phone VARCHAR(20),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS stores (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      name VARCHAR(255) NOT NULL,
+      chain VARCHAR(255),
+      address TEXT,
+      phone VARCHAR(20),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS receipts (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      store_id UUID REFERENCES stores(id),
+      receipt_date DATE,
+      total_amount DECIMAL(10,2),
+      tax_amount DECIMAL(10,2),
+      subtotal DECIMAL(10,2),
+      image_url TEXT,
+      image_filename VARCHAR(255),
+      file_size INTEGER,
+      status VARCHAR(50) DEFAULT 'processing',
+      ocr_raw_text TEXT,
+      processing_errors TEXT,
+      processed_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS product_categories (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      name VARCHAR(255) UNIQUE NOT NULL,
+      parent_category_id UUID REFERENCES product_categories(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS receipt_items (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+      category_id UUID REFERENCES product_categories(id),
+      product_name VARCHAR(255) NOT NULL,
+      quantity DECIMAL(8,3),
+      unit_price DECIMAL(10,2),
+      line_total DECIMAL(10,2),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS receipt_jobs (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP WITH TIME ZONE,
+      locked_by VARCHAR(255),
+      last_error TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_receipt_jobs_claim ON receipt_jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_receipt_jobs_receipt_id ON receipt_jobs(receipt_id);
+
+    CREATE TABLE IF NOT EXISTS receipt_corrections (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+      item_id UUID,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      action VARCHAR(20) NOT NULL,
+      field_name VARCHAR(100),
+      old_value TEXT,
+      new_value TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_receipt_corrections_receipt_id ON receipt_corrections(receipt_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS product_catalog (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      normalized_name VARCHAR(500) NOT NULL,
+      brand VARCHAR(255),
+      product_type VARCHAR(255),
+      category VARCHAR(100) NOT NULL,
+      subcategory VARCHAR(100),
+      size_info VARCHAR(255),
+      unit_type VARCHAR(50),
+      avg_price_cents INTEGER,
+      price_range_min_cents INTEGER,
+      price_range_max_cents INTEGER,
+      purchase_frequency INTEGER DEFAULT 1,
+      first_seen TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      last_seen TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_product_catalog_normalized_name ON product_catalog(normalized_name);
+
+    CREATE TABLE IF NOT EXISTS product_prices (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      product_id UUID NOT NULL REFERENCES product_catalog(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+      receipt_item_id UUID REFERENCES receipt_items(id) ON DELETE CASCADE,
+      store_id UUID REFERENCES stores(id),
+      price_cents INTEGER NOT NULL,
+      quantity DECIMAL(8,3) DEFAULT 1,
+      unit VARCHAR(20),
+      purchased_on DATE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_product_prices_product ON product_prices(product_id, purchased_on);
+    CREATE INDEX IF NOT EXISTS idx_product_prices_user_product ON product_prices(user_id, product_id, purchased_on);
+    CREATE INDEX IF NOT EXISTS idx_product_prices_receipt ON product_prices(receipt_id);
+
+    CREATE TABLE IF NOT EXISTS budgets (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100),
+      period VARCHAR(20) NOT NULL DEFAULT 'monthly',
+      scope VARCHAR(20) NOT NULL DEFAULT 'overall',
+      category_id UUID REFERENCES product_categories(id) ON DELETE CASCADE,
+      store_chain VARCHAR(255),
+      amount DECIMAL(10,2) NOT NULL,
+      rollover VARCHAR(20) NOT NULL DEFAULT 'none',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id);
+
+    CREATE TABLE IF NOT EXISTS shopping_lists (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS shopping_list_items (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      list_id UUID NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+      product_id UUID REFERENCES product_catalog(id) ON DELETE SET NULL,
+      name VARCHAR(255) NOT NULL,
+      quantity DECIMAL(8,3) DEFAULT 1,
+      note TEXT,
+      checked BOOLEAN NOT NULL DEFAULT false,
+      checked_at TIMESTAMP WITH TIME ZONE,
+      checked_by_receipt_id UUID REFERENCES receipts(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_shopping_lists_user_id ON shopping_lists(user_id);
+    CREATE INDEX IF NOT EXISTS idx_shopping_list_items_list_id ON shopping_list_items(list_id);
+    CREATE INDEX IF NOT EXISTS idx_shopping_list_items_product_id ON shopping_list_items(product_id) WHERE NOT checked;
+
+    CREATE TABLE IF NOT EXISTS households (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      name VARCHAR(100) NOT NULL,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS household_members (
+      household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (household_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id);
+
+    CREATE TABLE IF NOT EXISTS household_invites (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      accepted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS account_tokens (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(30),
+      target_id UUID,
+      details JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS data_exports (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      archive_key VARCHAR(255),
+      size_bytes BIGINT,
+      error TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP WITH TIME ZONE,
+      completed_at TIMESTAMP WITH TIME ZONE,
+      expires_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status, created_at);
+
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(255) NOT NULL,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+      token_hash VARCHAR(64) PRIMARY KEY,
+      session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+      rotated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Databases created from database/schema.sql
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipt_items' AND column_name = 'item_name'
+      ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipt_items' AND column_name = 'product_name'
+      ) THEN
+        ALTER TABLE receipt_items RENAME COLUMN item_name TO product_name;
+      END IF;
+
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipts' AND column_name = 'subtotal_amount'
+      ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipts' AND column_name = 'subtotal'
+      ) THEN
+        ALTER TABLE receipts RENAME COLUMN subtotal_amount TO subtotal;
+      END IF;
+
+      -- The app writes statuses the enum never had, such as 'duplicate';
+      -- the receipt_analytics view depends on the column and nothing reads it
+      IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'receipt_status') THEN
+        DROP VIEW IF EXISTS receipt_analytics;
+        ALTER TABLE receipts ALTER COLUMN status DROP DEFAULT;
+        ALTER TABLE receipts ALTER COLUMN status TYPE VARCHAR(50) USING status::text;
+        ALTER TABLE receipts ALTER COLUMN status SET DEFAULT 'processing';
+        DROP TYPE receipt_status;
+      END IF;
+
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipts'
+          AND column_name = 'processing_errors' AND data_type = 'ARRAY'
+      ) THEN
+        ALTER TABLE receipts ALTER COLUMN processing_errors TYPE TEXT USING array_to_string(processing_errors, E'\\n');
+      END IF;
+    END $$;
+
+    -- Uploads without an image (sandbox seeds, imports) leave these empty
+    ALTER TABLE receipts ALTER COLUMN image_url DROP NOT NULL;
+    ALTER TABLE receipts ALTER COLUMN image_filename DROP NOT NULL;
+  `);
+
+  // Columns added after the initial schema
+  await client.query(`
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS image_key VARCHAR(255);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS image_sha256 VARCHAR(64);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS image_content_type VARCHAR(100);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS corrected_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS receipt_fingerprint VARCHAR(64);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES receipts(id) ON DELETE SET NULL;
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS duplicate_reason VARCHAR(20);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS duplicate_status VARCHAR(20);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS is_sandbox BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS sandbox_expires_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address INET;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS product_id UUID REFERENCES product_catalog(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_receipts_user_image_sha256 ON receipts(user_id, image_sha256);
+    CREATE INDEX IF NOT EXISTS idx_receipts_user_fingerprint ON receipts(user_id, receipt_fingerprint);
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_token_hash ON user_sessions(token_hash);
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id) WHERE is_active;
+
+    -- Sessions from before refresh tokens stored the raw 30-day JWT; hash and retire them
+    UPDATE user_sessions
+    SET token_hash = encode(sha256(convert_to(token_hash, 'UTF8')), 'hex'),
+        is_active = false,
+        revoked_reason = 'legacy_token'
+    WHERE token_hash LIKE 'eyJ%';
+
+    CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_users_sandbox_expires_at ON users(sandbox_expires_at) WHERE is_sandbox;
+
+    -- The old demo-token bypass auto-created this user; its tokens no longer work
+    UPDATE users SET is_active = false
+    WHERE id = '00000000-0000-4000-8000-000000000001' AND password_hash = 'dev-hash';
+
+    CREATE INDEX IF NOT EXISTS idx_receipts_household_id ON receipts(household_id) WHERE household_id IS NOT NULL;
+  `);
+
+  // Tables created before account deletion referenced users and receipts without
+  // ON DELETE CASCADE; recreate those foreign keys once
+  await client.query(`
+    DO $$
+    DECLARE
+      fk RECORD;
+    BEGIN
+      FOR fk IN
+        SELECT * FROM (VALUES
+          ('receipts', 'user_id', 'users'),
+          ('receipt_items', 'receipt_id', 'receipts'),
+          ('receipt_corrections', 'user_id', 'users'),
+          ('product_prices', 'user_id', 'users'),
+          ('user_sessions', 'user_id', 'users')
+        ) AS t(table_name, column_name, referenced_table)
+      LOOP
+        IF EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conname = fk.table_name || '_' || fk.column_name || '_fkey' AND confdeltype <> 'c'
+        ) THEN
+          EXECUTE format(
+            'ALTER TABLE %I DROP CONSTRAINT %I, ADD CONSTRAINT %I FOREIGN KEY (%I) REFERENCES %I(id) ON DELETE CASCADE',
+            fk.table_name,
+            fk.table_name || '_' || fk.column_name || '_fkey',
+            fk.table_name || '_' || fk.column_name || '_fkey',
+            fk.column_name,
+            fk.referenced_table
+          );
+        END IF;
+      END LOOP;
+    END $$;
+  `);
+
+  // Search indexes (GET /search)
+  await client.query(`
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE INDEX IF NOT EXISTS idx_receipt_items_product_name_search ON receipt_items USING gin(to_tsvector('english', product_name));
+    CREATE INDEX IF NOT EXISTS idx_receipt_items_name_trgm ON receipt_items USING gin(product_name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS idx_stores_name_trgm ON stores USING gin(name gin_trgm_ops);
+  `);
+
+  // Basic categories
+  await client.query(`
+    INSERT INTO product_categories (name) VALUES 
+      ('Groceries'),
+      ('Produce'),
+      ('Meat & Seafood'),
+      ('Dairy'),
+      ('Bakery'),
+      ('Beverages'),
+      ('Health & Beauty'),
+      ('Household'),
+      ('Other')
+    ON CONFLICT (name) DO NOTHING;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      session_refresh_tokens,
+      user_sessions,
+      data_exports,
+      admin_audit_log,
+      account_tokens,
+      household_invites,
+      household_members,
+      shopping_list_items,
+      shopping_lists,
+      budgets,
+      product_prices,
+      receipt_corrections,
+      receipt_jobs,
+      receipt_items,
+      receipts,
+      households,
+      product_catalog,
+      product_categories,
+      stores,
+      users
+    CASCADE;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,177 @@
+// migrations/002_ai_enrichment_tables.js - Tables written by database/ai-data-processor.js
+//
+// Replaces database/enhanced-schema.sql, which dropped and recreated these
+// tables (product_catalog included, taking product_prices with it). The
+// catalog keeps its baseline columns and gains the enrichment ones. Links back
+// to receipts cascade so account deletion and purges are not blocked.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS department VARCHAR(100);
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS upc_code VARCHAR(50);
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS dietary_tags TEXT[];
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS nutrition_category VARCHAR(20);
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS allergen_info TEXT[];
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS common_sizes TEXT[];
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS total_quantity_sold DECIMAL(10,3) DEFAULT 0;
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS unique_customers INTEGER DEFAULT 1;
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS confidence_score DECIMAL(3,2) DEFAULT 1.0;
+    ALTER TABLE product_catalog ADD COLUMN IF NOT EXISTS data_sources TEXT[];
+
+    CREATE INDEX IF NOT EXISTS idx_product_catalog_category ON product_catalog(category, subcategory);
+    CREATE INDEX IF NOT EXISTS idx_product_catalog_brand ON product_catalog(brand);
+
+    CREATE TABLE IF NOT EXISTS enhanced_stores (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      normalized_name VARCHAR(255) NOT NULL,
+      chain VARCHAR(255),
+      store_type VARCHAR(50),
+      location_type VARCHAR(50),
+      price_range VARCHAR(20),
+      address TEXT,
+      city VARCHAR(100),
+      state VARCHAR(50),
+      zip_code VARCHAR(20),
+      country VARCHAR(50) DEFAULT 'USA',
+      latitude DECIMAL(10, 8),
+      longitude DECIMAL(11, 8),
+      phone VARCHAR(20),
+      website VARCHAR(255),
+      store_id VARCHAR(50),
+      known_for TEXT[],
+      specialties TEXT[],
+      avg_price_level DECIMAL(3,2),
+      original_store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_enhanced_stores_normalized_name ON enhanced_stores(normalized_name);
+    CREATE INDEX IF NOT EXISTS idx_enhanced_stores_chain ON enhanced_stores(chain);
+
+    CREATE TABLE IF NOT EXISTS ai_parsed_receipts (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      original_receipt_id UUID REFERENCES receipts(id) ON DELETE CASCADE,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      enhanced_store_id UUID REFERENCES enhanced_stores(id) ON DELETE SET NULL,
+      transaction_date DATE NOT NULL,
+      transaction_time TIME,
+      transaction_datetime TIMESTAMP WITH TIME ZONE,
+      payment_method VARCHAR(50),
+      card_type VARCHAR(50),
+      card_last4 VARCHAR(4),
+      transaction_id VARCHAR(100),
+      subtotal_cents INTEGER DEFAULT 0,
+      tax_total_cents INTEGER DEFAULT 0,
+      fees_cents INTEGER DEFAULT 0,
+      discounts_cents INTEGER DEFAULT 0,
+      tips_cents INTEGER DEFAULT 0,
+      grand_total_cents INTEGER NOT NULL,
+      currency VARCHAR(3) DEFAULT 'USD',
+      processing_status VARCHAR(50) DEFAULT 'ai_parsed',
+      ai_confidence_score INTEGER,
+      data_completeness_score INTEGER,
+      validation_errors TEXT[],
+      processing_time_ms INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ai_parsed_receipts_user_date ON ai_parsed_receipts(user_id, transaction_date DESC);
+    CREATE INDEX IF NOT EXISTS idx_ai_parsed_receipts_original ON ai_parsed_receipts(original_receipt_id);
+
+    CREATE TABLE IF NOT EXISTS ai_parsed_items (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      ai_receipt_id UUID REFERENCES ai_parsed_receipts(id) ON DELETE CASCADE,
+      product_catalog_id UUID REFERENCES product_catalog(id) ON DELETE SET NULL,
+      original_item_id UUID REFERENCES receipt_items(id) ON DELETE SET NULL,
+      original_name VARCHAR(500) NOT NULL,
+      normalized_name VARCHAR(500) NOT NULL,
+      brand VARCHAR(255),
+      size_info VARCHAR(255),
+      product_type VARCHAR(255),
+      category VARCHAR(100),
+      subcategory VARCHAR(100),
+      department VARCHAR(100),
+      quantity DECIMAL(10,3) NOT NULL DEFAULT 1,
+      unit_price_cents INTEGER,
+      line_total_cents INTEGER NOT NULL,
+      discount_cents INTEGER DEFAULT 0,
+      dietary_tags TEXT[],
+      nutrition_category VARCHAR(20),
+      sustainability_score INTEGER,
+      ocr_confidence DECIMAL(3,2),
+      ai_confidence DECIMAL(3,2),
+      name_match_confidence DECIMAL(3,2),
+      unit_type VARCHAR(50),
+      product_code VARCHAR(100),
+      symbols TEXT[],
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ai_parsed_items_receipt ON ai_parsed_items(ai_receipt_id);
+    CREATE INDEX IF NOT EXISTS idx_ai_parsed_items_product ON ai_parsed_items(product_catalog_id);
+
+    CREATE TABLE IF NOT EXISTS shopping_insights (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      ai_receipt_id UUID REFERENCES ai_parsed_receipts(id) ON DELETE CASCADE,
+      meal_type VARCHAR(50),
+      cuisine_type VARCHAR(50),
+      shopping_category VARCHAR(50),
+      shopping_pattern VARCHAR(50),
+      dietary_flags TEXT[],
+      health_score INTEGER,
+      processed_food_ratio DECIMAL(3,2),
+      sustainability_score INTEGER,
+      organic_item_count INTEGER DEFAULT 0,
+      local_item_count INTEGER DEFAULT 0,
+      budget_category VARCHAR(20),
+      price_efficiency_score DECIMAL(3,2),
+      bulk_buying_score DECIMAL(3,2),
+      estimated_people INTEGER DEFAULT 1,
+      estimated_days_of_food INTEGER,
+      household_type VARCHAR(50),
+      time_of_day VARCHAR(20),
+      day_type VARCHAR(20),
+      season VARCHAR(20),
+      insight_confidence INTEGER,
+      analysis_version VARCHAR(20) DEFAULT '1.0',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_shopping_insights_receipt ON shopping_insights(ai_receipt_id);
+
+    -- Tables created by enhanced-schema.sql blocked deleting receipts and items
+    ALTER TABLE ai_parsed_receipts
+      DROP CONSTRAINT IF EXISTS ai_parsed_receipts_original_receipt_id_fkey,
+      ADD CONSTRAINT ai_parsed_receipts_original_receipt_id_fkey
+        FOREIGN KEY (original_receipt_id) REFERENCES receipts(id) ON DELETE CASCADE;
+    ALTER TABLE ai_parsed_items
+      DROP CONSTRAINT IF EXISTS ai_parsed_items_original_item_id_fkey,
+      ADD CONSTRAINT ai_parsed_items_original_item_id_fkey
+        FOREIGN KEY (original_item_id) REFERENCES receipt_items(id) ON DELETE SET NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS shopping_insights, ai_parsed_items, ai_parsed_receipts, enhanced_stores;
+
+    DROP INDEX IF EXISTS idx_product_catalog_category;
+    DROP INDEX IF EXISTS idx_product_catalog_brand;
+
+    ALTER TABLE product_catalog
+      DROP COLUMN IF EXISTS department,
+      DROP COLUMN IF EXISTS upc_code,
+      DROP COLUMN IF EXISTS dietary_tags,
+      DROP COLUMN IF EXISTS nutrition_category,
+      DROP COLUMN IF EXISTS allergen_info,
+      DROP COLUMN IF EXISTS common_sizes,
+      DROP COLUMN IF EXISTS total_quantity_sold,
+      DROP COLUMN IF EXISTS unique_customers,
+      DROP COLUMN IF EXISTS confidence_score,
+      DROP COLUMN IF EXISTS data_sources;
+  `);
+}
+
+module.exports = { up, down };
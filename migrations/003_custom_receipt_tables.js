@@ -0,0 +1,78 @@
+// migrations/003_custom_receipt_tables.js - Tables for the custom field mapping demo
+//
+// Replaces database/create-custom-database.sql. Filled by
+// database/insert-custom-data.js; the API does not read them.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS custom_receipts (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      brand_name VARCHAR(255) NOT NULL,
+      street_number VARCHAR(20),
+      street_name VARCHAR(255),
+      city VARCHAR(100),
+      state VARCHAR(10),
+      zipcode VARCHAR(20),
+      date_field DATE NOT NULL,
+      time_field TIME,
+      tax_field_1 DECIMAL(10,2) DEFAULT 0,
+      tax_field_2 DECIMAL(10,2) DEFAULT 0,
+      total_price_field DECIMAL(10,2) NOT NULL,
+      confidence_score DECIMAL(3,2),
+      phone VARCHAR(20),
+      raw_address TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS custom_receipt_items (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      receipt_id UUID REFERENCES custom_receipts(id) ON DELETE CASCADE,
+      item_name VARCHAR(500) NOT NULL,
+      item_type_code VARCHAR(20) NOT NULL,
+      item_price DECIMAL(10,2) NOT NULL,
+      quantity DECIMAL(10,3) DEFAULT 1,
+      unit_price DECIMAL(10,2),
+      unit VARCHAR(20) DEFAULT 'each',
+      category VARCHAR(100),
+      confidence DECIMAL(3,2) DEFAULT 1.0,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_custom_receipts_brand ON custom_receipts(brand_name);
+    CREATE INDEX IF NOT EXISTS idx_custom_receipts_date ON custom_receipts(date_field DESC);
+    CREATE INDEX IF NOT EXISTS idx_custom_receipts_location ON custom_receipts(city, state);
+    CREATE INDEX IF NOT EXISTS idx_custom_receipt_items_receipt ON custom_receipt_items(receipt_id);
+    CREATE INDEX IF NOT EXISTS idx_custom_receipt_items_type ON custom_receipt_items(item_type_code);
+
+    CREATE OR REPLACE VIEW receipt_summary AS
+    SELECT
+      r.id,
+      r.brand_name,
+      r.street_number,
+      r.street_name,
+      r.city,
+      r.state,
+      r.zipcode,
+      r.date_field,
+      r.time_field,
+      r.tax_field_1,
+      r.tax_field_2,
+      r.total_price_field,
+      COUNT(i.id) as item_count,
+      AVG(i.confidence) as avg_item_confidence,
+      string_agg(DISTINCT i.item_type_code, ', ') as type_codes_present
+    FROM custom_receipts r
+    LEFT JOIN custom_receipt_items i ON r.id = i.receipt_id
+    GROUP BY r.id;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP VIEW IF EXISTS receipt_summary;
+    DROP TABLE IF EXISTS custom_receipt_items, custom_receipts;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// migrations/004_receipt_ocr_payloads.js - Keep every raw OCR provider response
+//
+// receipt_ocr_payloads holds the provider's response for each OCR run, tagged
+// with the provider, its payload format and the parser version that first read
+// it. receipts.parser_version records which parser produced the receipt's
+// current header and items, so receipts can be re-parsed when it improves.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS receipt_ocr_payloads (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+      provider VARCHAR(50) NOT NULL,
+      format VARCHAR(20) NOT NULL,
+      parser_version INTEGER NOT NULL,
+      payload JSONB NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_receipt_ocr_payloads_receipt ON receipt_ocr_payloads(receipt_id, created_at DESC);
+
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS parser_version INTEGER;
+  `);
+
+  // Databases created from database/schema.sql may have TabScanner responses in
+  // llm_processed_data; keep them as payloads of unknown parser version (0)
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'receipts' AND column_name = 'llm_processed_data'
+      ) THEN
+        INSERT INTO receipt_ocr_payloads (receipt_id, provider, format, parser_version, payload)
+        SELECT id, 'tabscanner', 'tabscanner', 0, llm_processed_data->'rawData'
+        FROM receipts
+        WHERE llm_processed_data->'rawData' ? 'result';
+      END IF;
+    END $$;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE receipts DROP COLUMN IF EXISTS parser_version;
+    DROP TABLE IF EXISTS receipt_ocr_payloads;
+  `);
+}
+
+module.exports = { up, down };
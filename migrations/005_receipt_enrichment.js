@@ -0,0 +1,35 @@
+// migrations/005_receipt_enrichment.js - Enrichment results on receipts and items
+//
+// ReceiptEnricher runs AIDataParser after OCR and writes its results back onto
+// the receipt: standardized_name/brand (and category_id) on each item, and the
+// normalized store, shopping insights and quality scores on the receipt.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS standardized_name VARCHAR(255);
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS brand VARCHAR(255);
+
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS enrichment_status VARCHAR(20);
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS enrichment JSONB;
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS enrichment_error TEXT;
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP WITH TIME ZONE;
+
+    CREATE INDEX IF NOT EXISTS idx_receipts_enrichment_status ON receipts(enrichment_status);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_receipts_enrichment_status;
+
+    ALTER TABLE receipts DROP COLUMN IF EXISTS enriched_at;
+    ALTER TABLE receipts DROP COLUMN IF EXISTS enrichment_error;
+    ALTER TABLE receipts DROP COLUMN IF EXISTS enrichment;
+    ALTER TABLE receipts DROP COLUMN IF EXISTS enrichment_status;
+
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS brand;
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS standardized_name;
+  `);
+}
+
+module.exports = { up, down };
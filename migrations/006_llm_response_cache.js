@@ -0,0 +1,26 @@
+// migrations/006_llm_response_cache.js - Cache of LLM responses by prompt hash
+//
+// cache_key is a SHA-256 of the base URL, model, response schema and prompt,
+// so re-processing a receipt reuses the earlier answers instead of paying for
+// them again. Only responses that passed schema validation are stored.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS llm_response_cache (
+      cache_key VARCHAR(64) PRIMARY KEY,
+      model VARCHAR(100) NOT NULL,
+      content TEXT NOT NULL,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      hits INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at TIMESTAMP WITH TIME ZONE
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS llm_response_cache');
+}
+
+module.exports = { up, down };
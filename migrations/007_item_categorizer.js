@@ -0,0 +1,49 @@
+// migrations/007_item_categorizer.js - Categories, overrides and models for ItemCategorizer
+//
+// Adds the product categories from services/categorizer/rules.json that the
+// initial seed lacked, the per-user overrides learned from recategorized items,
+// the trained classifier models, and the confidence/source of each item's category.
+
+async function up(client) {
+  await client.query(`
+    INSERT INTO product_categories (name) VALUES
+      ('Pantry'),
+      ('Frozen'),
+      ('Snacks'),
+      ('Prepared Foods'),
+      ('Fees')
+    ON CONFLICT (name) DO NOTHING;
+
+    CREATE TABLE IF NOT EXISTS category_overrides (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      normalized_name VARCHAR(255) NOT NULL,
+      category_id UUID NOT NULL REFERENCES product_categories(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, normalized_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS categorizer_models (
+      id SERIAL PRIMARY KEY,
+      model JSONB NOT NULL,
+      example_count INTEGER NOT NULL,
+      correction_count INTEGER NOT NULL,
+      trained_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS category_confidence DECIMAL(4,3);
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS category_source VARCHAR(20);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS category_source;
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS category_confidence;
+
+    DROP TABLE IF EXISTS categorizer_models;
+    DROP TABLE IF EXISTS category_overrides;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// migrations/008_user_timezone.js - Per-user timezone for analytics
+//
+// IANA name such as 'America/Chicago'. Analytics use it for "today" and to
+// date receipts without a printed date by their upload time.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE users DROP COLUMN IF EXISTS timezone;
+  `);
+}
+
+module.exports = { up, down };
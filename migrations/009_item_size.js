@@ -0,0 +1,18 @@
+// migrations/009_item_size.js - Package size on receipt items
+//
+// Written by ReceiptEnricher from the parser's size_info ("6 oz", "1 gal");
+// item analytics use it to compare unit prices across package sizes.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS size_description VARCHAR(100);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS size_description;
+  `);
+}
+
+module.exports = { up, down };
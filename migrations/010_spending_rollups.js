@@ -0,0 +1,85 @@
+// migrations/010_spending_rollups.js - Daily spending rollups read by analytics
+//
+// One row per user, household and day (and category or store), maintained by
+// services/spendingRollups.js. Rows aren't unique per key: a refresh deletes
+// and re-inserts a user's days, and a deleted household's rows stay next to
+// the personal ones with household_id NULL. up() fills them from the
+// existing receipts with the same aggregates the service maintains, so
+// analytics show the full history as soon as the API starts.
+
+// The day a receipt counts on, as in services/spendingRollups.js
+const RECEIPT_DAY = 'COALESCE(r.receipt_date, (r.created_at AT TIME ZONE u.timezone)::date)';
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS spending_daily_totals (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      household_id UUID REFERENCES households(id) ON DELETE SET NULL,
+      day DATE NOT NULL,
+      total_spent DECIMAL(12,2) NOT NULL DEFAULT 0,
+      receipt_count INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS spending_daily_categories (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      household_id UUID REFERENCES households(id) ON DELETE SET NULL,
+      day DATE NOT NULL,
+      category_id UUID REFERENCES product_categories(id) ON DELETE SET NULL,
+      total_spent DECIMAL(12,2) NOT NULL DEFAULT 0,
+      item_count INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS spending_daily_stores (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      household_id UUID REFERENCES households(id) ON DELETE SET NULL,
+      day DATE NOT NULL,
+      store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+      total_spent DECIMAL(12,2) NOT NULL DEFAULT 0,
+      visit_count INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_totals_user_day ON spending_daily_totals(user_id, day);
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_totals_household_day ON spending_daily_totals(household_id, day) WHERE household_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_categories_user_day ON spending_daily_categories(user_id, day);
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_categories_household_day ON spending_daily_categories(household_id, day) WHERE household_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_stores_user_day ON spending_daily_stores(user_id, day);
+    CREATE INDEX IF NOT EXISTS idx_spending_daily_stores_household_day ON spending_daily_stores(household_id, day) WHERE household_id IS NOT NULL;
+  `);
+
+  await client.query(`
+    INSERT INTO spending_daily_totals (user_id, household_id, day, total_spent, receipt_count)
+    SELECT r.user_id, r.household_id, ${RECEIPT_DAY},
+           COALESCE(SUM(r.total_amount), 0), COUNT(*)
+    FROM receipts r
+    JOIN users u ON r.user_id = u.id
+    WHERE r.status = 'completed'
+    GROUP BY 1, 2, 3;
+
+    INSERT INTO spending_daily_categories (user_id, household_id, day, category_id, total_spent, item_count)
+    SELECT r.user_id, r.household_id, ${RECEIPT_DAY}, ri.category_id,
+           COALESCE(SUM(ri.line_total), 0), COUNT(ri.id)
+    FROM receipt_items ri
+    JOIN receipts r ON ri.receipt_id = r.id
+    JOIN users u ON r.user_id = u.id
+    WHERE r.status = 'completed'
+    GROUP BY 1, 2, 3, 4;
+
+    INSERT INTO spending_daily_stores (user_id, household_id, day, store_id, total_spent, visit_count)
+    SELECT r.user_id, r.household_id, ${RECEIPT_DAY}, r.store_id,
+           COALESCE(SUM(r.total_amount), 0), COUNT(*)
+    FROM receipts r
+    JOIN users u ON r.user_id = u.id
+    WHERE r.status = 'completed'
+    GROUP BY 1, 2, 3, 4;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS spending_daily_stores;
+    DROP TABLE IF EXISTS spending_daily_categories;
+    DROP TABLE IF EXISTS spending_daily_totals;
+  `);
+}
+
+module.exports = { up, down };
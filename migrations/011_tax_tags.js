@@ -0,0 +1,26 @@
+// migrations/011_tax_tags.js - Tax tags on receipts and line items
+//
+// A receipt tagged business, medical or deductible counts in full towards the
+// yearly tax report; an item's own tag overrides its receipt's. NULL means
+// untagged (on an item: whatever the receipt says).
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE receipts ADD COLUMN IF NOT EXISTS tax_tag VARCHAR(20)
+      CHECK (tax_tag IN ('business', 'medical', 'deductible'));
+    ALTER TABLE receipt_items ADD COLUMN IF NOT EXISTS tax_tag VARCHAR(20)
+      CHECK (tax_tag IN ('business', 'medical', 'deductible'));
+
+    CREATE INDEX IF NOT EXISTS idx_receipts_user_tax_tag ON receipts(user_id) WHERE tax_tag IS NOT NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_receipts_user_tax_tag;
+    ALTER TABLE receipt_items DROP COLUMN IF EXISTS tax_tag;
+    ALTER TABLE receipts DROP COLUMN IF EXISTS tax_tag;
+  `);
+}
+
+module.exports = { up, down };
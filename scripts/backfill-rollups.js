@@ -0,0 +1,76 @@
+// backfill-rollups.js - Build or verify the daily spending rollups analytics read
+// Usage: node scripts/backfill-rollups.js [--user=<id>] [--check] [--days=N] [--dry-run]
+//   (default)    rebuild every user's rollups from receipts and items
+//   --user=<id>  just this user
+//   --check      compare the rollups with receipts instead and recompute what differs
+//   --days=N     with --check, how many days back to compare (default 35, 0 for all history)
+//   --dry-run    with --check, only report the differences
+// 010_spending_rollups fills the rollups when it runs; this rebuilds or repairs
+// them. Safe to re-run at any time.
+const { Pool } = require('pg');
+const SpendingRollups = require('../services/spendingRollups');
+const Migrator = require('../services/migrator');
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = { userId: null, check: false, days: 35, dryRun: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--user' && value) options.userId = value;
+    else if (flag === '--check') options.check = true;
+    else if (flag === '--days' && parseInt(value, 10) >= 0) options.days = parseInt(value, 10);
+    else if (flag === '--dry-run') options.dryRun = true;
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+
+  if (options.check && options.userId) {
+    throw new Error('--check always covers every user; leave out --user');
+  }
+
+  return options;
+}
+
+async function backfillRollups(options) {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    await new Migrator(pool).assertUpToDate();
+    const rollups = new SpendingRollups(pool);
+
+    if (options.check) {
+      const result = await rollups.check({ days: options.days || null, repair: !options.dryRun });
+      console.log(`${result.mismatches.length} user/day(s) differed${result.repaired ? ' and were recomputed' : ''}`);
+      for (const { userId, day, table } of result.mismatches) {
+        console.log(`  ${userId} ${day} (${table})`);
+      }
+      return;
+    }
+
+    const { users } = await rollups.backfill({
+      userId: options.userId,
+      onProgress: (done, total) => {
+        if (done % 100 === 0 || done === total) console.log(`  ${done}/${total} users`);
+      }
+    });
+    console.log(`Rebuilt spending rollups for ${users} user(s)`);
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => backfillRollups(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Rollup backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillRollups, parseArgs };
@@ -7,22 +7,26 @@ async function checkReceipts() {
         ssl: false
     });
     
-    const result = await pool.query('SELECT id, status, llm_processed_data FROM receipts WHERE status = $1', ['completed']);
+    const result = await pool.query(`
+        SELECT r.id, r.status, r.parser_version, s.name as merchant,
+               (SELECT COUNT(*) FROM receipt_items ri WHERE ri.receipt_id = r.id) as item_count,
+               (SELECT p.provider FROM receipt_ocr_payloads p WHERE p.receipt_id = r.id
+                ORDER BY p.created_at DESC LIMIT 1) as payload_provider
+        FROM receipts r
+        LEFT JOIN stores s ON r.store_id = s.id
+        WHERE r.status = $1`, ['completed']);
     console.log(`Found ${result.rows.length} completed receipts:`);
     
     result.rows.forEach((r, i) => {
         console.log(`${i + 1}. ID: ${r.id}`);
-        console.log(`   Has LLM Data: ${!!r.llm_processed_data}`);
-        if (r.llm_processed_data && r.llm_processed_data.receipt) {
-            console.log(`   Merchant: ${r.llm_processed_data.receipt.merchant || 'None'}`);
-            console.log(`   Items: ${r.llm_processed_data.receipt.items ? r.llm_processed_data.receipt.items.length : 0}`);
-        } else if (r.llm_processed_data) {
-            console.log(`   LLM Data Keys: ${Object.keys(r.llm_processed_data).join(', ')}`);
-        }
+        console.log(`   Has OCR Payload: ${r.payload_provider ? `yes (${r.payload_provider})` : 'no'}`);
+        console.log(`   Parser Version: ${r.parser_version || 'unknown'}`);
+        console.log(`   Merchant: ${r.merchant || 'None'}`);
+        console.log(`   Items: ${r.item_count}`);
         console.log();
     });
     
     await pool.end();
 }
 
-checkReceipts().catch(console.error);
\ No newline at end of file
+checkReceipts().catch(console.error);
@@ -18,15 +18,14 @@ class DatabaseQueries {
                 r.id as receipt_id,
                 r.user_id,
                 r.receipt_date,
-                r.receipt_time,
                 r.total_amount,
                 r.tax_amount,
-                r.subtotal_amount,
+                r.subtotal as subtotal_amount,
                 r.status,
                 r.created_at,
                 r.processed_at,
                 r.ocr_raw_text,
-                r.llm_processed_data,
+                (SELECT p.payload FROM receipt_ocr_payloads p WHERE p.receipt_id = r.id ORDER BY p.created_at DESC LIMIT 1) as ocr_payload,
                 s.name as store_name,
                 s.chain as store_chain,
                 s.address as store_address,
@@ -34,12 +33,10 @@ class DatabaseQueries {
                 JSON_AGG(
                     JSON_BUILD_OBJECT(
                         'item_id', ri.id,
-                        'item_name', ri.item_name,
+                        'item_name', ri.product_name,
                         'quantity', ri.quantity,
                         'unit_price', ri.unit_price,
-                        'line_total', ri.line_total,
-                        'confidence_score', ri.confidence_score,
-                        'raw_text', ri.raw_text
+                        'line_total', ri.line_total
                     ) ORDER BY ri.created_at
                 ) as items
             FROM receipts r
@@ -77,6 +74,7 @@ class DatabaseQueries {
         const query = `
             SELECT 
                 r.*,
+                (SELECT p.payload FROM receipt_ocr_payloads p WHERE p.receipt_id = r.id ORDER BY p.created_at DESC LIMIT 1) as ocr_payload,
                 s.name as store_name,
                 s.chain as store_chain,
                 s.address as store_address,
@@ -84,19 +82,10 @@ class DatabaseQueries {
                 JSON_AGG(
                     JSON_BUILD_OBJECT(
                         'item_id', ri.id,
-                        'item_name', ri.item_name,
-                        'standardized_name', ri.standardized_name,
-                        'brand', ri.brand,
-                        'size_description', ri.size_description,
+                        'item_name', ri.product_name,
                         'quantity', ri.quantity,
                         'unit_price', ri.unit_price,
                         'line_total', ri.line_total,
-                        'discount_amount', ri.discount_amount,
-                        'upc_code', ri.upc_code,
-                        'department', ri.department,
-                        'is_taxable', ri.is_taxable,
-                        'confidence_score', ri.confidence_score,
-                        'raw_text', ri.raw_text,
                         'created_at', ri.created_at
                     ) ORDER BY ri.created_at
                 ) as items_detail
@@ -121,7 +110,7 @@ class DatabaseQueries {
             console.log('ID:', receipt.id);
             console.log('User ID:', receipt.user_id);
             console.log('Store:', receipt.store_name);
-            console.log('Date/Time:', receipt.receipt_date, receipt.receipt_time);
+            console.log('Date:', receipt.receipt_date);
             console.log('Total:', `$${receipt.total_amount}`);
             console.log('Status:', receipt.status);
             console.log('Items Count:', receipt.items_detail.filter(item => item.item_id).length);
@@ -129,8 +118,8 @@ class DatabaseQueries {
             console.log('\n🤖 Complete JSON Data Structure:');
             console.log('=================================');
             console.log('1. RAW OCR TEXT LENGTH:', receipt.ocr_raw_text?.length || 0, 'characters');
-            console.log('2. PROCESSED DATA SIZE:', JSON.stringify(receipt.llm_processed_data).length, 'characters');
-            console.log('3. TABSCANNER FIELDS AVAILABLE:', Object.keys(receipt.llm_processed_data?.rawData?.result || {}));
+            console.log('2. OCR PAYLOAD SIZE:', JSON.stringify(receipt.ocr_payload || null).length, 'characters');
+            console.log('3. TABSCANNER FIELDS AVAILABLE:', Object.keys(receipt.ocr_payload?.result || {}));
 
             return receipt;
         } catch (error) {
@@ -154,7 +143,6 @@ class DatabaseQueries {
                     store_name: receipt.store_name,
                     store_chain: receipt.store_chain,
                     receipt_date: receipt.receipt_date,
-                    receipt_time: receipt.receipt_time,
                     total_amount: receipt.total_amount,
                     tax_amount: receipt.tax_amount,
                     subtotal_amount: receipt.subtotal_amount,
@@ -164,7 +152,7 @@ class DatabaseQueries {
                 },
                 items: receipt.items.filter(item => item.item_id), // Remove null items
                 raw_ocr_text: receipt.ocr_raw_text,
-                tabscanner_full_response: receipt.llm_processed_data,
+                tabscanner_full_response: { rawData: receipt.ocr_payload },
                 export_metadata: {
                     exported_at: new Date().toISOString(),
                     export_type: 'complete_receipt_data',
@@ -211,7 +199,7 @@ class DatabaseQueries {
             
             topItems: `
                 SELECT 
-                    ri.item_name,
+                    ri.product_name as item_name,
                     COUNT(*) as purchase_frequency,
                     SUM(ri.line_total) as total_spent_on_item,
                     AVG(ri.line_total) as avg_item_cost,
@@ -219,7 +207,7 @@ class DatabaseQueries {
                 FROM receipt_items ri
                 JOIN receipts r ON ri.receipt_id = r.id
                 WHERE r.status = 'completed'
-                GROUP BY ri.item_name
+                GROUP BY ri.product_name
                 HAVING COUNT(*) > 1
                 ORDER BY total_spent_on_item DESC
                 LIMIT 20
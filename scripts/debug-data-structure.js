@@ -8,13 +8,15 @@ async function debugDataStructure() {
     });
     
     const result = await pool.query(
-        'SELECT id, llm_processed_data FROM receipts WHERE id = $1', 
-        ['ac91fbf9-5dad-4607-8998-3990c0f04423']
+        `SELECT provider, format, parser_version, payload FROM receipt_ocr_payloads
+         WHERE receipt_id = $1 ORDER BY created_at DESC LIMIT 1`, 
+        [process.argv[2] || 'ac91fbf9-5dad-4607-8998-3990c0f04423']
     );
     
     if (result.rows.length > 0) {
-        console.log('LLM Processed Data Structure:');
-        console.log(JSON.stringify(result.rows[0].llm_processed_data, null, 2));
+        const { provider, format, parser_version: parserVersion, payload } = result.rows[0];
+        console.log(`Stored OCR Payload (${provider}, ${format}, parser v${parserVersion}):`);
+        console.log(JSON.stringify(payload, null, 2));
     }
     
     await pool.end();
@@ -1,41 +1,51 @@
-// migrate.js - Database Migration Script
+// migrate.js - Apply, list or revert database migrations (migrations/)
+// Usage:
+//   node scripts/migrate.js            apply pending migrations (npm run migrate)
+//   node scripts/migrate.js status     list migrations (npm run migrate:status)
+//   node scripts/migrate.js rollback [steps]
+//                                      revert the latest migration(s) (npm run migrate:rollback)
 const { Pool } = require('pg');
-const fs = require('fs');
+const Migrator = require('../services/migrator');
 require('dotenv').config();
 
-async function runMigration() {
+async function main() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+
   const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
   });
+  const migrator = new Migrator(pool);
 
   try {
-    console.log('Connecting to database...');
-    
-    // Read the schema file
-    const schema = fs.readFileSync('schema.sql', 'utf8');
-    
-    console.log('Running database migration...');
-    
-    // Execute the schema
-    await pool.query(schema);
-    
-    console.log('✅ Database migration completed successfully!');
-    console.log('All tables created:');
-    console.log('- users');
-    console.log('- stores'); 
-    console.log('- receipts');
-    console.log('- receipt_items');
-    console.log('- product_categories');
-    console.log('- user_sessions');
-    console.log('- processing_logs');
-    
-  } catch (error) {
-    console.error('❌ Migration failed:', error.message);
+    if (command === 'up') {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : 'Database is up to date');
+    } else if (command === 'status') {
+      const rows = await migrator.status();
+      for (const row of rows) {
+        const state = row.missing ? 'applied (file missing)' : row.pending ? 'pending' : 'applied';
+        const when = row.appliedAt ? ` ${new Date(row.appliedAt).toISOString()}` : '';
+        console.log(`${Migrator.label(row)}  ${state}${when}`);
+      }
+      console.log(`${rows.filter(row => row.pending).length} pending`);
+    } else if (command === 'rollback') {
+      const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+      const reverted = await migrator.rollback(steps);
+      console.log(reverted.length > 0
+        ? `Reverted ${reverted.map(Migrator.label).join(', ')}`
+        : 'Nothing to roll back');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, status or rollback)`);
+    }
   } finally {
     await pool.end();
-    console.log('Database connection closed.');
   }
 }
 
-runMigration();
\ No newline at end of file
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+// reparse-receipts.js - Rebuild receipts from their stored OCR payloads
+// Usage: node scripts/reparse-receipts.js [--all] [--force] [--limit=N] [--receipt=<id>]
+//   (default)       receipts parsed by an older parser version
+//   --all           every receipt with a stored payload
+//   --force         include receipts the user corrected (their corrections are discarded)
+//   --limit=N       stop after N receipts
+//   --receipt=<id>  just this receipt
+// The OCR provider is never called, so this is free to run after any parser change.
+const { Pool } = require('pg');
+const OCRService = require('../services/ocrService');
+const ReceiptProcessor = require('../services/receiptProcessor');
+const ReceiptEnricher = require('../services/receiptEnricher');
+const DuplicateDetector = require('../services/duplicateDetector');
+const PriceHistory = require('../services/priceHistory');
+const SpendingRollups = require('../services/spendingRollups');
+const Migrator = require('../services/migrator');
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = { all: false, force: false, limit: null, receiptId: null };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--all') options.all = true;
+    else if (flag === '--force') options.force = true;
+    else if (flag === '--limit' && parseInt(value, 10) > 0) options.limit = parseInt(value, 10);
+    else if (flag === '--receipt' && value) options.receiptId = value;
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+
+  return options;
+}
+
+async function reparseReceipts(options) {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    await new Migrator(pool).assertUpToDate();
+
+    const rollups = new SpendingRollups(pool);
+    const processor = new ReceiptProcessor({
+      pool,
+      ocrService: new OCRService(),
+      duplicateDetector: new DuplicateDetector(pool, { rollups }),
+      priceHistory: new PriceHistory(pool),
+      enricher: process.env.RECEIPT_ENRICHMENT === 'off' ? null : new ReceiptEnricher(pool, { rollups }),
+      rollups
+    });
+
+    if (options.receiptId) {
+      const result = await processor.reparseReceipt(options.receiptId, { force: options.force });
+      console.log(`Receipt ${options.receiptId}: ${result.status}`);
+      return;
+    }
+
+    const summary = await processor.reparseOutdated(options);
+    console.log(`Re-parsed ${summary.reparsed} receipt(s), ${summary.failed} failed validation, ${summary.errors.length} error(s)`);
+    for (const { receiptId, error } of summary.errors) {
+      console.log(`  ${receiptId}: ${error}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => reparseReceipts(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Re-parse failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { reparseReceipts, parseArgs };
@@ -0,0 +1,59 @@
+// set-role.js - Grant or revoke the admin role
+// Usage: node scripts/set-role.js <email> <admin|user>
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const ROLES = ['admin', 'user'];
+
+async function setRole(email, role) {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP WHERE email = $1 RETURNING id, email, role',
+      [email.toLowerCase(), role]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    // Changes made from the command line have no acting admin
+    await client.query(
+      `INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details)
+       VALUES (NULL, 'user.set_role', 'user', $1, $2)`,
+      [result.rows[0].id, JSON.stringify({ role, via: 'cli' })]
+    );
+
+    await client.query('COMMIT');
+    console.log(`${result.rows[0].email} now has role "${result.rows[0].role}"`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  setRole(process.argv[2], process.argv[3])
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Set role failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { setRole };
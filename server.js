@@ -6,13 +6,38 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const OCRService = require('./services/ocrService');
-const { initializeDatabase } = require('./init-db');
+const ReceiptProcessor = require('./services/receiptProcessor');
+const ReceiptJobQueue = require('./services/receiptJobQueue');
+const ReceiptWorker = require('./services/receiptWorker');
+const ReceiptEnricher = require('./services/receiptEnricher');
+const ReceiptEditor = require('./services/receiptEditor');
+const { ItemCategorizer } = require('./services/categorizer');
+const DuplicateDetector = require('./services/duplicateDetector');
+const PriceHistory = require('./services/priceHistory');
+const SpendingRollups = require('./services/spendingRollups');
+const ShoppingListService = require('./services/shoppingListService');
+const BudgetService = require('./services/budgetService');
+const HouseholdService = require('./services/householdService');
+const SessionService = require('./services/sessionService');
+const AccountService = require('./services/accountService');
+const ProfileService = require('./services/profileService');
+const SandboxService = require('./services/sandboxService');
+const AdminService = require('./services/adminService');
+const DataExportService = require('./services/dataExportService');
+const AccountDeletionService = require('./services/accountDeletionService');
+const SearchService = require('./services/searchService');
+const AnalyticsService = require('./services/analyticsService');
+const ForecastService = require('./services/forecastService');
+const TaxReportService = require('./services/taxReportService');
+const ServiceError = require('./services/serviceError');
+const { createImageStorage, hashImage, buildImageKey } = require('./services/imageStorage');
+const { createMailer } = require('./services/mailer');
+const Migrator = require('./services/migrator');
 require('dotenv').config();
 
 const app = express();
@@ -24,20 +49,71 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Initialize OCR service
+// Access/refresh tokens and device sessions
+const sessionService = new SessionService(pool);
+
+// Password reset and email verification (MAIL_TRANSPORT=smtp|console|file)
+const mailer = createMailer();
+console.log(`Outgoing email sent with "${mailer.name}" transport`);
+const accountService = new AccountService(pool, { mailer, sessionService });
+const requireEmailVerification = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Initialize OCR service (provider is selected with OCR_PROVIDER)
 console.log('Initializing OCR service...');
-console.log('TABSCANNER_API_KEY available:', !!process.env.TABSCANNER_API_KEY);
-console.log('TABSCANNER_API_KEY length:', process.env.TABSCANNER_API_KEY?.length || 'N/A');
-
-let ocrService;
-try {
-  ocrService = new OCRService();
-  console.log('OCR service initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize OCR service:', error.message);
-  console.error('This will cause all receipt processing to fail');
-  throw error;
-}
+const ocrService = new OCRService();
+
+// Original receipt images (STORAGE_BACKEND=local|s3)
+const imageStorage = createImageStorage();
+console.log(`Receipt images stored with "${imageStorage.name}" backend`);
+
+// Receipt processing queue. The worker runs in this process unless
+// RECEIPT_WORKER=external, in which case `node worker.js` runs it.
+const receiptJobQueue = new ReceiptJobQueue(pool);
+// Daily spending rollups read by analytics, updated wherever receipts change
+const spendingRollups = new SpendingRollups(pool);
+const profiles = new ProfileService(pool, { spendingRollups });
+const duplicateDetector = new DuplicateDetector(pool, { queue: receiptJobQueue, rollups: spendingRollups });
+const priceHistory = new PriceHistory(pool);
+const shoppingLists = new ShoppingListService(pool);
+// Item categories: rules, trained classifier and per-user overrides
+const categorizer = new ItemCategorizer(pool);
+// Post-OCR enrichment: item categories, standardized names, store chain, insights
+const enricher = process.env.RECEIPT_ENRICHMENT === 'off'
+  ? null
+  : new ReceiptEnricher(pool, { categorizer, rollups: spendingRollups });
+const receiptProcessor = new ReceiptProcessor({
+  pool, ocrService, imageStorage, duplicateDetector, priceHistory, shoppingLists, enricher, rollups: spendingRollups
+});
+const receiptWorker = new ReceiptWorker({ queue: receiptJobQueue, processor: receiptProcessor });
+const runWorkerInProcess = process.env.RECEIPT_WORKER !== 'external';
+
+// User corrections to OCR results
+const receiptEditor = new ReceiptEditor(pool, { priceHistory, categorizer, rollups: spendingRollups });
+const searchService = new SearchService(pool);
+const budgetService = new BudgetService(pool);
+const householdService = new HouseholdService(pool, { rollups: spendingRollups });
+const forecastService = new ForecastService(pool, { householdService });
+const analyticsService = new AnalyticsService(pool, { householdService, budgetService, forecast: forecastService });
+// Business/medical/deductible tags and the yearly tax report
+const taxReports = new TaxReportService(pool, { imageStorage });
+
+// Demo accounts with sample data, only when SANDBOX_MODE=true
+const sandboxService = new SandboxService(pool, { sessionService, priceHistory, rollups: spendingRollups });
+
+// Operator API under /admin (users.role = 'admin')
+const adminService = new AdminService(pool, {
+  queue: receiptJobQueue, priceHistory, categorizer, rollups: spendingRollups, imageStorage
+});
+
+// Data export archives and self-service account deletion
+const dataExports = new DataExportService(pool, { imageStorage });
+const accountDeletion = new AccountDeletionService(pool, { sessionService, imageStorage, mailer, priceHistory });
+
+// Sandbox expiry, due account deletions and expired export archives
+const MAINTENANCE_INTERVAL_MS = 15 * 60 * 1000;
+// Spending rollups vs receipts for the last ROLLUP_CHECK_DAYS days, repairing drift
+const ROLLUP_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const ROLLUP_CHECK_DAYS = parseInt(process.env.ROLLUP_CHECK_DAYS, 10) || 35;
 
 // Middleware
 app.use(helmet());
@@ -59,7 +135,7 @@ console.log('CORS Origins:', corsOrigins);
 app.use(cors({
   origin: '*', // Allow all origins for production deployment
   credentials: false, // Disable credentials when using wildcard
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -95,10 +171,36 @@ const upload = multer({
   }
 });
 
+// Refreshing is routine for every signed-in device, so it gets a looser limit than login
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many token refreshes, please try again later.'
+});
+
+// Redeeming an emailed token is how a user recovers from failed logins, so it doesn't share their limit
+const accountTokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many attempts with this link, please try again later.'
+});
+
+// Deleting an account checks the password, so it gets its own strict limit
+const accountDeletionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many account deletion attempts, please try again later.'
+});
+
+// Anyone can create sandbox accounts, so cap how fast one IP can make them
+const sandboxLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many sandbox accounts created from this IP, please try again later.'
+});
+
 // Utility functions
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
+const deviceInfo = (req) => ({ ipAddress: req.ip, userAgent: req.get('User-Agent') || null });
 
 const hashPassword = async (password) => {
   return await bcrypt.hash(password, 12);
@@ -117,49 +219,59 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  // Handle demo tokens for MVP (both development and production)
-  if (token.startsWith('dev-mock-token-') || token.startsWith('demo-token-')) {
-    console.log('Development mode: Accepting mock token for testing');
-    const mockUserId = '00000000-0000-4000-8000-000000000001';
-    
-    try {
-      // Check if development user exists, create if not
-      const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [mockUserId]);
-      
-      if (userCheck.rows.length === 0) {
-        console.log('Creating development user...');
-        await pool.query(
-          'INSERT INTO users (id, email, first_name, last_name, password_hash, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, NOW(), NOW())',
-          [mockUserId, 'dev@example.com', 'Development', 'User', 'dev-hash']
-        );
-        console.log('Development user created successfully');
-      }
-      
-      req.userId = mockUserId;
-      return next();
-    } catch (error) {
-      console.error('Error handling development user:', error);
-      return res.status(500).json({ error: 'Development setup error' });
+  try {
+    // Short-lived access token; the session it belongs to must still be active
+    const { userId, sessionId } = await sessionService.verifyAccessToken(token);
+
+    req.userId = userId;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+};
 
+// Use after authenticateToken; the role is read fresh so demotions apply immediately
+const requireRole = (...roles) => async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if session exists and is active
-    const sessionResult = await pool.query(
-      'SELECT * FROM user_sessions WHERE user_id = $1 AND token_hash = $2 AND is_active = true AND expires_at > NOW()',
-      [decoded.userId, token]
+    const result = await pool.query(
+      'SELECT role FROM users WHERE id = $1 AND is_active = true',
+      [req.userId]
     );
 
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid or expired session' });
+    if (result.rows.length === 0 || !roles.includes(result.rows[0].role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    req.userId = decoded.userId;
+    req.userRole = result.rows[0].role;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!requireEmailVerification) {
+    return next();
+  }
+
+  try {
+    if (!(await accountService.isEmailVerified(req.userId))) {
+      return res.status(403).json({
+        error: 'Please verify your email address before uploading receipts',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
     next();
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid token' });
+    console.error('Email verification check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 };
 
@@ -202,14 +314,16 @@ app.post('/auth/register', authLimiter, async (req, res) => {
     );
 
     const user = userResult.rows[0];
-    const token = generateToken(user.id);
+
+    // Registration succeeds even if the email can't be sent; the user can ask for another
+    try {
+      await accountService.sendVerificationEmail(user.id);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     // Create session
-    await pool.query(
-      `INSERT INTO user_sessions (user_id, token_hash, expires_at, ip_address, user_agent) 
-       VALUES ($1, $2, NOW() + INTERVAL '30 days', $3, $4)`,
-      [user.id, token, req.ip, req.get('User-Agent')]
-    );
+    const session = await sessionService.createSession(user.id, deviceInfo(req));
 
     res.status(201).json({
       message: 'User created successfully',
@@ -218,9 +332,12 @@ app.post('/auth/register', authLimiter, async (req, res) => {
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
-        createdAt: user.created_at
+        createdAt: user.created_at,
+        emailVerified: false
       },
-      token
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -238,7 +355,8 @@ app.post('/auth/login', authLimiter, async (req, res) => {
 
     // Find user
     const userResult = await pool.query(
-      'SELECT id, email, password_hash, first_name, last_name, is_active FROM users WHERE email = $1',
+      `SELECT id, email, password_hash, first_name, last_name, is_active, email_verified_at, deletion_scheduled_for
+       FROM users WHERE email = $1`,
       [email.toLowerCase()]
     );
 
@@ -258,14 +376,8 @@ app.post('/auth/login', authLimiter, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = generateToken(user.id);
-
     // Create session
-    await pool.query(
-      `INSERT INTO user_sessions (user_id, token_hash, expires_at, ip_address, user_agent) 
-       VALUES ($1, $2, NOW() + INTERVAL '30 days', $3, $4)`,
-      [user.id, token, req.ip, req.get('User-Agent')]
-    );
+    const session = await sessionService.createSession(user.id, deviceInfo(req));
 
     res.json({
       message: 'Login successful',
@@ -273,9 +385,14 @@ app.post('/auth/login', authLimiter, async (req, res) => {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        emailVerified: Boolean(user.email_verified_at),
+        // Set while a deletion is pending; POST /user/deletion/cancel keeps the account
+        deletionScheduledFor: user.deletion_scheduled_for
       },
-      token
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -283,247 +400,277 @@ app.post('/auth/login', authLimiter, async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/auth/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const session = await sessionService.refresh(req.body.refreshToken, deviceInfo(req));
+
+    res.json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.post('/auth/logout', authenticateToken, async (req, res) => {
   try {
     // Deactivate current session
-    await pool.query(
-      'UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND token_hash = $2',
-      [req.userId, req.headers['authorization'].split(' ')[1]]
-    );
+    if (req.sessionId) {
+      await sessionService.revokeUserSession(req.userId, req.sessionId, 'logout');
+    }
 
     res.json({ message: 'Logout successful' });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Logout error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Receipt endpoints with OCR integration
-app.post('/receipts/upload', authenticateToken, upload.single('receipt'), async (req, res) => {
+// Log out on every device
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'Receipt image is required' });
+    const revoked = await sessionService.revokeAllSessions(req.userId);
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signed-in devices
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.userId, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.userId, req.params.id, 'revoked_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    console.log(`Processing receipt upload for user ${req.userId}`);
-    console.log(`File size: ${req.file.size} bytes`);
+// Always answers the same way so it can't be used to find out which emails have accounts
+app.post('/auth/forgot-password', authLimiter, async (req, res) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // TODO: Upload to S3 and get URL (for now, simulate)
-    const imageUrl = `https://example-bucket.s3.amazonaws.com/receipts/${uuidv4()}.jpg`;
-    const filename = `receipt_${Date.now()}.jpg`;
+app.post('/auth/reset-password', accountTokenLimiter, async (req, res) => {
+  try {
+    await accountService.resetPassword(req.body.token, req.body.password);
+    res.json({ message: 'Password has been reset. Please log in with your new password' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Create receipt record with 'processing' status
-    const receiptResult = await pool.query(
-      `INSERT INTO receipts (user_id, image_url, image_filename, file_size, status) 
-       VALUES ($1, $2, $3, $4, 'processing') 
-       RETURNING id, status, created_at`,
-      [req.userId, imageUrl, filename, req.file.size]
-    );
+// The token from the email is the proof, so no access token is needed
+app.post('/auth/verify-email', accountTokenLimiter, async (req, res) => {
+  try {
+    await accountService.verifyEmail(req.body.token);
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const receipt = receiptResult.rows[0];
+app.post('/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    await accountService.sendVerificationEmail(req.userId);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Process receipt with OCR asynchronously
-    processReceiptAsync(receipt.id, req.file.buffer, req.file.originalname)
-      .catch(error => {
-        console.error(`Fatal error in processReceiptAsync for receipt ${receipt.id}:`, error);
-        // Update receipt status to failed if async processing fails
-        pool.query(
-          `UPDATE receipts 
-           SET status = 'failed', 
-               processing_errors = $1, 
-               processed_at = CURRENT_TIMESTAMP 
-           WHERE id = $2`,
-          [`Fatal processing error: ${error.message}`, receipt.id]
-        ).catch(dbError => {
-          console.error('Failed to update receipt status after processing error:', dbError);
-        });
-      });
+// Create a demo account with sample receipts (404 unless SANDBOX_MODE=true)
+app.post('/sandbox/accounts', sandboxLimiter, async (req, res) => {
+  try {
+    const { user, session } = await sandboxService.createAccount(deviceInfo(req));
 
     res.status(201).json({
-      message: 'Receipt uploaded successfully and is being processed',
-      receipt: {
-        id: receipt.id,
-        status: receipt.status,
-        uploadedAt: receipt.created_at
-      }
+      message: 'Sandbox account created',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        createdAt: user.created_at,
+        emailVerified: true,
+        sandbox: true
+      },
+      expiresAt: user.sandbox_expires_at,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
-    console.error('Receipt upload error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Sandbox account error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Async function to process receipts with OCR
-async function processReceiptAsync(receiptId, imageBuffer, originalFilename) {
-  console.log(`=== RECEIPT PROCESSING START ===`);
-  console.log(`processReceiptAsync called for receipt ${receiptId}`);
-  console.log(`Filename: ${originalFilename}`);
-  console.log(`Buffer size: ${imageBuffer?.length || 'undefined'} bytes`);
-  console.log(`TabScanner API Key available: ${process.env.TABSCANNER_API_KEY ? 'YES' : 'NO'}`);
-  console.log(`TabScanner API Key length: ${process.env.TABSCANNER_API_KEY?.length || 'N/A'}`);
-  
+// Receipt endpoints with OCR integration
+app.post('/receipts/upload', authenticateToken, requireVerifiedEmail, upload.single('receipt'), async (req, res) => {
   try {
-    console.log(`Starting OCR processing for receipt ${receiptId}`);
-    console.log('About to call ocrService.processReceipt...');
-
-    // Process with OCR
-    const ocrResult = await ocrService.processReceipt(imageBuffer, originalFilename);
-    
-    console.log(`OCR completed for receipt ${receiptId}:`, {
-      success: ocrResult.success,
-      confidence: ocrResult.confidence,
-      merchant: ocrResult.receipt?.merchant,
-      total: ocrResult.receipt?.total,
-      itemCount: ocrResult.receipt?.items?.length || 0
-    });
-    
-    // Debug: Log the full OCR result
-    console.log('DEBUG: Full OCR Result:', JSON.stringify(ocrResult, null, 2));
-
-    // Validate OCR results
-    const validation = ocrService.validateOCRResult(ocrResult);
-    
-    // Debug: Log validation result
-    console.log('DEBUG: Validation Result:', JSON.stringify(validation, null, 2));
-    
-    if (!validation.isValid) {
-      console.error(`OCR validation failed for receipt ${receiptId}:`, validation.errors);
-      
-      // Update receipt status to failed
-      await pool.query(
-        `UPDATE receipts 
-         SET status = 'failed', 
-             processing_errors = $1, 
-             processed_at = CURRENT_TIMESTAMP 
-         WHERE id = $2`,
-        [validation.errors, receiptId]
-      );
-      
-      // Log the failure to console
-      console.log('OCR validation failed for receipt:', receiptId, { errors: validation.errors, warnings: validation.warnings });
-      
-      return;
-    }
-
-    // Update receipt with OCR data
-    await pool.query(
-      `UPDATE receipts 
-       SET status = 'completed',
-           receipt_date = $1,
-           total_amount = $2,
-           tax_amount = $3,
-           subtotal = $4,
-           ocr_raw_text = $5,
-           processing_errors = $6,
-           processed_at = CURRENT_TIMESTAMP
-       WHERE id = $7`,
-      [
-        ocrResult.receipt.date,
-        ocrResult.receipt.total,
-        ocrResult.receipt.tax,
-        ocrResult.receipt.subtotal,
-        ocrResult.rawText,
-        JSON.stringify(validation.warnings),
-        receiptId
-      ]
-    );
+    if (!req.file) {
+      return res.status(400).json({ error: 'Receipt image is required' });
+    }
 
-    // Find or create store
-    let storeId = null;
-    if (ocrResult.receipt.merchant) {
-      const storeResult = await pool.query(
-        'SELECT id FROM stores WHERE name ILIKE $1 LIMIT 1',
-        [`%${ocrResult.receipt.merchant}%`]
+    console.log(`Processing receipt upload for user ${req.userId}`);
+    console.log(`File size: ${req.file.size} bytes`);
+
+    // Store the original image under a content-addressed key
+    const receiptId = uuidv4();
+    const imageSha256 = hashImage(req.file.buffer);
+    const imageKey = buildImageKey(imageSha256, req.file.mimetype, req.file.originalname);
+    const imageUrl = `/receipts/${receiptId}/image`;
+    const filename = `receipt_${Date.now()}${path.extname(imageKey)}`;
+
+    // Same image bytes as an earlier receipt: reject (onDuplicate=reject) or
+    // keep it flagged as a duplicate without running OCR (default)
+    const onDuplicate = req.query.onDuplicate || req.body.onDuplicate || 'flag';
+    const original = await duplicateDetector.findImageDuplicate(req.userId, imageSha256);
+
+    // Optionally share the receipt into a household right away
+    const householdId = req.body.householdId || null;
+    if (householdId) {
+      await householdService.requireRole(req.userId, householdId, ['owner', 'member']);
+    }
+
+    if (original && onDuplicate === 'reject') {
+      return res.status(409).json({
+        error: 'This receipt has already been uploaded',
+        duplicateOf: original.id
+      });
+    }
+
+    if (!(await imageStorage.exists(imageKey))) {
+      await imageStorage.put(imageKey, req.file.buffer, req.file.mimetype);
+    }
+
+    // Create receipt record with 'processing' status and queue it for OCR
+    const client = await pool.connect();
+    let receipt;
+    try {
+      await client.query('BEGIN');
+
+      const receiptResult = await client.query(
+        `INSERT INTO receipts (id, user_id, image_url, image_filename, file_size, status,
+                               image_key, image_sha256, image_content_type, household_id) 
+         VALUES ($1, $2, $3, $4, $5, 'processing', $6, $7, $8, $9) 
+         RETURNING id, status, created_at`,
+        [receiptId, req.userId, imageUrl, filename, req.file.size, imageKey, imageSha256, req.file.mimetype, householdId]
       );
-      
-      if (storeResult.rows.length > 0) {
-        storeId = storeResult.rows[0].id;
+      receipt = receiptResult.rows[0];
+
+      if (original) {
+        await duplicateDetector.markDuplicate(client, receipt.id, original.id, 'image');
+        receipt.status = 'duplicate';
       } else {
-        // Create new store
-        const newStoreResult = await pool.query(
-          'INSERT INTO stores (name, chain) VALUES ($1, $2) RETURNING id',
-          [ocrResult.receipt.merchant, ocrResult.receipt.merchant]
-        );
-        storeId = newStoreResult.rows[0].id;
+        await receiptJobQueue.enqueue(receipt.id, client);
       }
-      
-      // Update receipt with store
-      await pool.query(
-        'UPDATE receipts SET store_id = $1 WHERE id = $2',
-        [storeId, receiptId]
-      );
-    }
 
-    // Insert receipt items
-    if (ocrResult.receipt.items && ocrResult.receipt.items.length > 0) {
-      console.log(`Inserting ${ocrResult.receipt.items.length} receipt items for receipt ${receiptId}`);
-      for (const item of ocrResult.receipt.items) {
-        await pool.query(
-          `INSERT INTO receipt_items 
-           (receipt_id, product_name, quantity, unit_price, line_total) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [
-            receiptId,
-            item.name,
-            item.quantity || 1,
-            item.unitPrice,
-            item.totalPrice
-          ]
-        );
-      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Log successful processing to console
-    console.log('Receipt processed successfully:', receiptId, { 
-      merchant: ocrResult.receipt.merchant,
-      total: ocrResult.receipt.total,
-      itemCount: ocrResult.receipt.items?.length || 0,
-      confidence: ocrResult.confidence 
+    res.status(201).json({
+      message: original
+        ? 'Receipt looks like a duplicate and was not processed; confirm or dismiss the flag'
+        : 'Receipt uploaded successfully and is being processed',
+      receipt: {
+        id: receipt.id,
+        status: receipt.status,
+        duplicateOf: original ? original.id : null,
+        householdId,
+        uploadedAt: receipt.created_at
+      }
     });
-
-    console.log(`Receipt ${receiptId} processed successfully`);
-
   } catch (error) {
-    console.error(`Error processing receipt ${receiptId}:`, error);
-    
-    // Update receipt status to failed
-    await pool.query(
-      `UPDATE receipts 
-       SET status = 'failed', 
-           processing_errors = $1, 
-           processed_at = CURRENT_TIMESTAMP 
-       WHERE id = $2`,
-      [[error.message], receiptId]
-    );
-    
-    // Log the error to console
-    console.log('Receipt processing failed:', receiptId, { error: error.message, stack: error.stack });
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Receipt upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
 app.get('/receipts', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, householdId } = req.query;
     const offset = (page - 1) * limit;
 
+    // ?householdId= lists everything shared into that household, with who uploaded it
+    const scope = await householdService.resolveReceiptScope(req.userId, householdId);
+
     const receiptsResult = await pool.query(
-      `SELECT r.id, r.receipt_date, r.total_amount, r.status, r.created_at,
+      `SELECT r.id, r.receipt_date, r.total_amount, r.status, r.created_at, r.household_id,
+              r.user_id as uploaded_by, u.first_name as uploaded_by_name,
               s.name as store_name, s.chain as store_chain,
-              COUNT(ri.id) as item_count
+              (SELECT COUNT(*) FROM receipt_items ri WHERE ri.receipt_id = r.id) as item_count
        FROM receipts r
+       JOIN users u ON r.user_id = u.id
        LEFT JOIN stores s ON r.store_id = s.id
-       LEFT JOIN receipt_items ri ON r.id = ri.receipt_id
-       WHERE r.user_id = $1
-       GROUP BY r.id, s.name, s.chain
+       WHERE ${scope.condition}
        ORDER BY r.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [req.userId, limit, offset]
+      [scope.param, limit, offset]
     );
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM receipts WHERE user_id = $1',
-      [req.userId]
+      `SELECT COUNT(*) FROM receipts r WHERE ${scope.condition}`,
+      [scope.param]
     );
 
     res.json({
@@ -536,6 +683,9 @@ app.get('/receipts', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Get receipts error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -549,7 +699,9 @@ app.get('/receipts/:id', authenticateToken, async (req, res) => {
       `SELECT r.*, s.name as store_name, s.chain as store_chain, s.address as store_address
        FROM receipts r
        LEFT JOIN stores s ON r.store_id = s.id
-       WHERE r.id = $1 AND r.user_id = $2`,
+       WHERE r.id = $1
+         AND (r.user_id = $2
+              OR r.household_id IN (SELECT household_id FROM household_members WHERE user_id = $2))`,
       [id, req.userId]
     );
 
@@ -569,9 +721,19 @@ app.get('/receipts/:id', authenticateToken, async (req, res) => {
       [id]
     );
 
+    // Receipt total vs the owner's receipts in the year before it
+    const anomaly = await forecastService.receiptAnomaly(receipt);
+
     res.json({
       receipt,
-      items: itemsResult.rows
+      items: itemsResult.rows,
+      anomaly,
+      enrichment: {
+        status: receipt.enrichment_status,
+        enrichedAt: receipt.enriched_at,
+        error: receipt.enrichment_error,
+        ...(receipt.enrichment || {})
+      }
     });
   } catch (error) {
     console.error('Get receipt details error:', error);
@@ -579,296 +741,1014 @@ app.get('/receipts/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// New endpoint to check receipt processing status
-app.get('/receipts/:id/status', authenticateToken, async (req, res) => {
+// Receipt corrections. Subtotal and total are recomputed from the items and
+// every change is recorded in receipt_corrections.
+app.patch('/receipts/:id', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const receiptResult = await pool.query(
-      `SELECT id, status, created_at, processed_at, processing_errors, total_amount, 
-              ocr_raw_text
-       FROM receipts 
-       WHERE id = $1 AND user_id = $2`,
-      [id, req.userId]
-    );
-
-    if (receiptResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Receipt not found' });
-    }
-
-    const receipt = receiptResult.rows[0];
-
-    res.json({
-      receipt: {
-        id: receipt.id,
-        status: receipt.status,
-        uploadedAt: receipt.created_at,
-        processedAt: receipt.processed_at,
-        totalAmount: receipt.total_amount,
-        errors: receipt.processing_errors,
-        hasRawText: !!receipt.ocr_raw_text,
-        hasProcessedData: !!receipt.ocr_raw_text
-      }
-    });
+    const receipt = await receiptEditor.updateReceipt(req.userId, req.params.id, req.body);
+    res.json({ receipt });
   } catch (error) {
-    console.error('Get receipt status error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update receipt error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Analytics endpoints
-app.get('/analytics/spending', authenticateToken, async (req, res) => {
+app.post('/receipts/:id/items', authenticateToken, async (req, res) => {
   try {
-    const { period = '30d' } = req.query;
-    
-    let dateCondition = '';
-    switch (period) {
-      case '7d':
-        dateCondition = "AND r.receipt_date >= CURRENT_DATE - INTERVAL '7 days'";
-        break;
-      case '30d':
-        dateCondition = "AND r.receipt_date >= CURRENT_DATE - INTERVAL '30 days'";
-        break;
-      case '90d':
-        dateCondition = "AND r.receipt_date >= CURRENT_DATE - INTERVAL '90 days'";
-        break;
-      case '1y':
-        dateCondition = "AND r.receipt_date >= CURRENT_DATE - INTERVAL '1 year'";
-        break;
-    }
-
-    // Total spending
-    const totalResult = await pool.query(
-      `SELECT 
-         COALESCE(SUM(total_amount), 0) as total_spent,
-         COUNT(*) as receipt_count,
-         COALESCE(AVG(total_amount), 0) as avg_receipt_amount
-       FROM receipts r
-       WHERE user_id = $1 AND status = 'completed' ${dateCondition}`,
-      [req.userId]
-    );
-
-    // Spending by category
-    const categoryResult = await pool.query(
-      `SELECT 
-         pc.name as category,
-         COALESCE(SUM(ri.line_total), 0) as total_spent,
-         COUNT(ri.id) as item_count
-       FROM receipt_items ri
-       JOIN receipts r ON ri.receipt_id = r.id
-       LEFT JOIN product_categories pc ON ri.category_id = pc.id
-       WHERE r.user_id = $1 AND r.status = 'completed' ${dateCondition}
-       GROUP BY pc.id, pc.name
-       ORDER BY total_spent DESC`,
-      [req.userId]
-    );
-
-    // Spending by store
-    const storeResult = await pool.query(
-      `SELECT 
-         s.chain as store_chain,
-         s.name as store_name,
-         COALESCE(SUM(r.total_amount), 0) as total_spent,
-         COUNT(r.id) as visit_count
-       FROM receipts r
-       LEFT JOIN stores s ON r.store_id = s.id
-       WHERE r.user_id = $1 AND r.status = 'completed' ${dateCondition}
-       GROUP BY s.chain, s.name
-       ORDER BY total_spent DESC`,
-      [req.userId]
-    );
-
-    // Spending trend by month (for trend chart)
-    const trendResult = await pool.query(
-      `SELECT 
-         DATE_TRUNC('month', r.receipt_date) as month,
-         COALESCE(SUM(r.total_amount), 0) as total_spent,
-         COUNT(r.id) as receipt_count
-       FROM receipts r
-       WHERE r.user_id = $1 AND r.status = 'completed' ${dateCondition}
-       GROUP BY DATE_TRUNC('month', r.receipt_date)
-       ORDER BY month DESC
-       LIMIT 12`,
-      [req.userId]
-    );
-
-    // Recent receipts for linking to history
-    const recentResult = await pool.query(
-      `SELECT 
-         r.id,
-         r.receipt_date,
-         r.total_amount,
-         s.name as store_name,
-         s.chain as store_chain
-       FROM receipts r
-       LEFT JOIN stores s ON r.store_id = s.id
-       WHERE r.user_id = $1 AND r.status = 'completed' ${dateCondition}
-       ORDER BY r.receipt_date DESC, r.created_at DESC
-       LIMIT 10`,
-      [req.userId]
-    );
-
-    res.json({
-      summary: totalResult.rows[0],
-      byCategory: categoryResult.rows,
-      byStore: storeResult.rows,
-      trend: trendResult.rows,
-      recentReceipts: recentResult.rows,
-      period
-    });
+    const result = await receiptEditor.addItem(req.userId, req.params.id, req.body);
+    res.status(201).json(result);
   } catch (error) {
-    console.error('Analytics error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Add receipt item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// User profile endpoints
-app.get('/user/profile', authenticateToken, async (req, res) => {
+app.patch('/receipts/:id/items/:itemId', authenticateToken, async (req, res) => {
   try {
-    const userResult = await pool.query(
-      'SELECT id, email, first_name, last_name, phone, created_at FROM users WHERE id = $1',
-      [req.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json({ user: userResult.rows[0] });
+    const result = await receiptEditor.updateItem(req.userId, req.params.id, req.params.itemId, req.body);
+    res.json(result);
   } catch (error) {
-    console.error('Get profile error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update receipt item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/user/profile', authenticateToken, async (req, res) => {
+app.delete('/receipts/:id/items/:itemId', authenticateToken, async (req, res) => {
   try {
-    const { firstName, lastName, phone } = req.body;
-
-    const userResult = await pool.query(
-      `UPDATE users 
-       SET first_name = $1, last_name = $2, phone = $3, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4
-       RETURNING id, email, first_name, last_name, phone, updated_at`,
-      [firstName, lastName, phone, req.userId]
-    );
-
-    res.json({
-      message: 'Profile updated successfully',
-      user: userResult.rows[0]
-    });
+    const result = await receiptEditor.deleteItem(req.userId, req.params.id, req.params.itemId);
+    res.json(result);
   } catch (error) {
-    console.error('Update profile error:', error);
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete receipt item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
+app.get('/receipts/:id/corrections', authenticateToken, async (req, res) => {
+  try {
+    const corrections = await receiptEditor.getCorrections(req.userId, req.params.id);
+    res.json({ corrections });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Get receipt corrections error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  
-  res.status(500).json({ error: 'Internal server error' });
 });
 
-// Admin endpoint to purge all mock/test data (before 404 handler)
-// Debug endpoint to get receipt errors
-app.get('/debug/receipt/:id', async (req, res) => {
+// Tax tags: { tag: 'business' | 'medical' | 'deductible' | null }. An item's
+// tag overrides its receipt's; null clears it.
+app.put('/receipts/:id/tax-tag', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await taxReports.tagReceipt(req.userId, req.params.id, req.body.tag);
+    res.json({ receipt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Tag receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/receipts/:id/items/:itemId/tax-tag', authenticateToken, async (req, res) => {
+  try {
+    const item = await taxReports.tagItem(req.userId, req.params.id, req.params.itemId, req.body.tag);
+    res.json({ item });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Tag receipt item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rebuild a receipt from its stored OCR payload with the current parser (no new OCR call).
+// Receipts the user corrected need { force: true }, which discards the corrections.
+app.post('/receipts/:id/reparse', authenticateToken, async (req, res) => {
+  try {
+    const result = await receiptProcessor.reparseReceipt(req.params.id, {
+      userId: req.userId,
+      force: req.body.force === true
+    });
+    res.json({
+      status: result.status,
+      duplicateOf: result.duplicateOf,
+      parserVersion: result.parserVersion,
+      warnings: result.validation.warnings,
+      errors: result.validation.errors
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Reparse receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Duplicate flags: confirm keeps the receipt out of analytics, dismiss restores it
+app.post('/receipts/:id/duplicate/confirm', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await duplicateDetector.confirm(req.userId, req.params.id);
+    res.json({ receipt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Confirm duplicate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/receipts/:id/duplicate/dismiss', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await duplicateDetector.dismiss(req.userId, req.params.id);
+    res.json({ receipt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Original receipt image (owner only)
+app.get('/receipts/:id/image', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query(
-      'SELECT id, status, processing_errors, created_at FROM receipts WHERE id = $1',
-      [id]
+
+    const receiptResult = await pool.query(
+      `SELECT image_key, image_content_type
+       FROM receipts
+       WHERE id = $1 AND user_id = $2`,
+      [id, req.userId]
     );
-    
-    if (result.rows.length === 0) {
+
+    if (receiptResult.rows.length === 0) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
-    
-    res.json(result.rows[0]);
+
+    const { image_key: imageKey, image_content_type: contentType } = receiptResult.rows[0];
+
+    if (!imageKey || !(await imageStorage.exists(imageKey))) {
+      return res.status(404).json({ error: 'Receipt image not found' });
+    }
+
+    // ?signed=true returns a short-lived URL instead of streaming, when the backend supports it
+    if (req.query.signed === 'true' && imageStorage.supportsSignedUrls) {
+      const expiresIn = 300;
+      const url = await imageStorage.getSignedUrl(imageKey, expiresIn);
+      return res.json({ url, expiresIn });
+    }
+
+    const stream = await imageStorage.getStream(imageKey);
+    stream.on('error', (error) => {
+      console.error('Receipt image stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.set({
+      'Content-Type': contentType || 'image/jpeg',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    stream.pipe(res);
   } catch (error) {
-    console.error('Debug endpoint error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Get receipt image error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/admin/purge-data', async (req, res) => {
+// New endpoint to check receipt processing status
+app.get('/receipts/:id/status', authenticateToken, async (req, res) => {
   try {
-    console.log('Admin: Purging all mock/test data from database...');
+    const { id } = req.params;
+
+    const receiptResult = await pool.query(
+      `SELECT id, status, created_at, processed_at, processing_errors, total_amount, 
+              ocr_raw_text, duplicate_of, duplicate_reason, duplicate_status
+       FROM receipts 
+       WHERE id = $1 AND user_id = $2`,
+      [id, req.userId]
+    );
 
-    // Delete all receipt items first (foreign key constraint)
-    const itemsResult = await pool.query('DELETE FROM receipt_items');
-    console.log(`Deleted ${itemsResult.rowCount} receipt items`);
+    if (receiptResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const receipt = receiptResult.rows[0];
+    const job = await receiptJobQueue.getJobForReceipt(id);
+
+    res.json({
+      receipt: {
+        id: receipt.id,
+        status: receipt.status,
+        uploadedAt: receipt.created_at,
+        processedAt: receipt.processed_at,
+        totalAmount: receipt.total_amount,
+        errors: receipt.processing_errors,
+        hasRawText: !!receipt.ocr_raw_text,
+        hasProcessedData: !!receipt.ocr_raw_text,
+        duplicate: receipt.duplicate_status ? {
+          of: receipt.duplicate_of,
+          reason: receipt.duplicate_reason,
+          status: receipt.duplicate_status
+        } : null
+      },
+      job: job ? {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextAttemptAt: job.status === 'queued' ? job.run_at : null,
+        lastError: job.last_error
+      } : null
+    });
+  } catch (error) {
+    console.error('Get receipt status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Delete all receipts
-    const receiptsResult = await pool.query('DELETE FROM receipts');
-    console.log(`Deleted ${receiptsResult.rowCount} receipts`);
+// Search receipts and items: GET /search?q=blueber&from=2024-01-01&store=trader&category=Produce&maxPrice=10
+app.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const results = await searchService.search(req.userId, req.query);
+    res.json(results);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Delete all stores (they'll be recreated from real receipts)
-    const storesResult = await pool.query('DELETE FROM stores');
-    console.log(`Deleted ${storesResult.rowCount} stores`);
+// Products the user buys regularly that got notably more expensive
+app.get('/products/price-alerts', authenticateToken, async (req, res) => {
+  try {
+    const alerts = await priceHistory.getPriceAlerts(req.userId, req.query);
+    res.json({ alerts });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get price alerts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Processing logs table doesn't exist in current schema (skipping)
-    console.log('Processing logs table not implemented (skipping deletion)');
+// Price history for one product, one series per store
+app.get('/products/:id/prices', authenticateToken, async (req, res) => {
+  try {
+    const history = await priceHistory.getProductPrices(req.userId, req.params.id, req.query);
+    res.json(history);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get product prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Delete user sessions (force re-authentication with clean slate)
-    const sessionsResult = await pool.query('DELETE FROM user_sessions');
-    console.log(`Deleted ${sessionsResult.rowCount} user sessions`);
+// Budgets: weekly/monthly limits overall, per category or per store chain
+app.get('/budgets', authenticateToken, async (req, res) => {
+  try {
+    const budgets = await budgetService.listBudgets(req.userId);
+    res.json({ budgets });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const summary = {
-      message: 'Database purged successfully - all mock data removed',
-      deleted: {
-        receipts: receiptsResult.rowCount,
-        receipt_items: itemsResult.rowCount,
-        stores: storesResult.rowCount,
-        user_sessions: sessionsResult.rowCount
-      },
-      timestamp: new Date().toISOString()
-    };
+app.post('/budgets', authenticateToken, async (req, res) => {
+  try {
+    const budget = await budgetService.createBudget(req.userId, req.body);
+    res.status(201).json({ budget });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    const budget = await budgetService.getBudget(req.userId, req.params.id);
+    res.json({ budget });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    const budget = await budgetService.updateBudget(req.userId, req.params.id, req.body);
+    res.json({ budget });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    await budgetService.deleteBudget(req.userId, req.params.id);
+    res.json({ message: 'Budget deleted' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shopping lists
+app.get('/lists', authenticateToken, async (req, res) => {
+  try {
+    const lists = await shoppingLists.listLists(req.userId);
+    res.json({ lists });
+  } catch (error) {
+    console.error('Get shopping lists error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/lists', authenticateToken, async (req, res) => {
+  try {
+    const list = await shoppingLists.createList(req.userId, req.body);
+    res.status(201).json({ list });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create shopping list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// What the user is likely running out of, from purchase frequency and repurchase interval
+app.get('/lists/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const suggestions = await shoppingLists.suggestItems(req.userId, req.query);
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Get list suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/lists/:id', authenticateToken, async (req, res) => {
+  try {
+    const list = await shoppingLists.getList(req.userId, req.params.id);
+    res.json({ list });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get shopping list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/lists/:id', authenticateToken, async (req, res) => {
+  try {
+    const list = await shoppingLists.updateList(req.userId, req.params.id, req.body);
+    res.json({ list });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update shopping list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/lists/:id', authenticateToken, async (req, res) => {
+  try {
+    await shoppingLists.deleteList(req.userId, req.params.id);
+    res.json({ message: 'Shopping list deleted' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete shopping list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/lists/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const item = await shoppingLists.addItem(req.userId, req.params.id, req.body);
+    res.status(201).json({ item });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Add shopping list item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/lists/:id/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const item = await shoppingLists.updateItem(req.userId, req.params.id, req.params.itemId, req.body);
+    res.json({ item });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update shopping list item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/lists/:id/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    await shoppingLists.deleteItem(req.userId, req.params.id, req.params.itemId);
+    res.json({ message: 'Shopping list item deleted' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete shopping list item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Households: shared receipts and analytics for families
+app.post('/households', authenticateToken, async (req, res) => {
+  try {
+    const household = await householdService.createHousehold(req.userId, req.body);
+    res.status(201).json({ household });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/households', authenticateToken, async (req, res) => {
+  try {
+    const households = await householdService.listHouseholds(req.userId);
+    res.json({ households });
+  } catch (error) {
+    console.error('Get households error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/households/join', authenticateToken, async (req, res) => {
+  try {
+    const household = await householdService.joinHousehold(req.userId, req.body.token);
+    res.json({ household });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Join household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/households/:id', authenticateToken, async (req, res) => {
+  try {
+    const household = await householdService.getHousehold(req.userId, req.params.id);
+    res.json({ household });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/households/:id', authenticateToken, async (req, res) => {
+  try {
+    const household = await householdService.renameHousehold(req.userId, req.params.id, req.body);
+    res.json({ household });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/households/:id', authenticateToken, async (req, res) => {
+  try {
+    await householdService.deleteHousehold(req.userId, req.params.id);
+    res.json({ message: 'Household deleted' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/households/:id/invites', authenticateToken, async (req, res) => {
+  try {
+    const invite = await householdService.createInvite(req.userId, req.params.id, req.body);
+    res.status(201).json({ invite });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create household invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/households/:id/leave', authenticateToken, async (req, res) => {
+  try {
+    const result = await householdService.leaveHousehold(req.userId, req.params.id);
+    res.json({ message: result.deleted ? 'Left and deleted household' : 'Left household' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Leave household error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/households/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const member = await householdService.updateMemberRole(req.userId, req.params.id, req.params.userId, req.body.role);
+    res.json({ member });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update household member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/households/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    await householdService.removeMember(req.userId, req.params.id, req.params.userId);
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Remove household member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Share a receipt into a household ({ householdId }) or make it private again ({ householdId: null })
+app.put('/receipts/:id/household', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await householdService.shareReceipt(req.userId, req.params.id, req.body.householdId);
+    res.json({ receipt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Share receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Analytics endpoints
+// ?period=7d|30d|90d|1y|all or ?from=&to=, ?granularity=day|week|month|quarter,
+// ?compare=previous_period|same_period_last_year, ?householdId=
+app.get('/analytics/spending', authenticateToken, async (req, res) => {
+  try {
+    const result = await analyticsService.getSpending(req.userId, req.query);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Projected month-end spending overall and per category, with unusual months flagged
+app.get('/analytics/forecast', authenticateToken, async (req, res) => {
+  try {
+    const forecast = await forecastService.getForecast(req.userId, req.query);
+    res.json(forecast);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Forecast error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Top products, repeat purchases and unit prices: ?period= (default 90d) or ?from=&to=, ?limit=, ?householdId=
+app.get('/analytics/items', authenticateToken, async (req, res) => {
+  try {
+    const result = await analyticsService.getItems(req.userId, req.query);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Item analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tax paid and deductible totals for a calendar year: ?year= (default this year)
+app.get('/reports/tax', authenticateToken, async (req, res) => {
+  try {
+    const report = await taxReports.getReport(req.userId, req.query);
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Tax report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The same report as a file: ?year=, ?format=csv|pdf (default csv)
+app.get('/reports/tax/download', authenticateToken, async (req, res) => {
+  try {
+    const { filename, contentType, body } = await taxReports.exportReport(req.userId, req.query);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Tax report download error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// User profile endpoints
+app.get('/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      `SELECT id, email, first_name, last_name, phone, timezone, created_at, email_verified_at, deletion_scheduled_for
+       FROM users WHERE id = $1`,
+      [req.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: userResult.rows[0] });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    console.log('Database purge completed:', summary);
-    res.json(summary);
+app.put('/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await profiles.updateProfile(req.userId, req.body);
 
+    res.json({
+      message: 'Profile updated successfully',
+      user
+    });
   } catch (error) {
-    console.error('Error purging database:', error);
-    res.status(500).json({ 
-      error: 'Database purge failed',
-      details: error.message 
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export all of the user's data as a zip (built in the background)
+app.post('/user/export', authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await dataExports.requestExport(req.userId);
+
+    setImmediate(() => {
+      dataExports.processPending().catch(error => console.error('Data export processing error:', error));
     });
+
+    res.status(202).json({ export: dataExport });
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+app.get('/user/exports', authenticateToken, async (req, res) => {
+  try {
+    const exports = await dataExports.listExports(req.userId);
+    res.json({ exports });
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/user/exports/:id', authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await dataExports.getExport(req.userId, req.params.id);
+    res.json({ export: dataExport });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/user/exports/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const { key, filename } = await dataExports.getDownload(req.userId, req.params.id);
+
+    if (!(await imageStorage.exists(key))) {
+      return res.status(410).json({ error: 'This export is no longer available, please request a new one' });
+    }
+
+    // ?signed=true returns a short-lived URL instead of streaming, when the backend supports it
+    if (req.query.signed === 'true' && imageStorage.supportsSignedUrls) {
+      const expiresIn = 300;
+      const url = await imageStorage.getSignedUrl(key, expiresIn);
+      return res.json({ url, expiresIn });
+    }
+
+    const stream = await imageStorage.getStream(key);
+    stream.on('error', (error) => {
+      console.error('Export download stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schedule account deletion: { password, confirm: 'DELETE' }
+app.delete('/user', authenticateToken, accountDeletionLimiter, async (req, res) => {
+  try {
+    const scheduledFor = await accountDeletion.scheduleDeletion(req.userId, req.body);
+
+    res.status(202).json({
+      message: 'Your account is scheduled for deletion. Log in and cancel before then to keep it.',
+      deletionScheduledFor: scheduledFor
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/user/deletion/cancel', authenticateToken, async (req, res) => {
+  try {
+    await accountDeletion.cancelDeletion(req.userId);
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin endpoints
+app.get('/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await adminService.listUsers(req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/users/:id/deactivate', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await adminService.setUserActive(req.userId, req.params.id, false);
+    res.json({ message: 'User deactivated', user });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/users/:id/reactivate', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await adminService.setUserActive(req.userId, req.params.id, true);
+    res.json({ message: 'User reactivated', user });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/receipts/failed', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await adminService.listFailedReceipts(req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin failed receipts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/receipts/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const receipt = await adminService.getReceipt(req.userId, req.params.id);
+    res.json({ receipt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin get receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/receipts/:id/reprocess', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await adminService.reprocessReceipt(req.userId, req.params.id);
+    res.status(202).json({ message: 'Receipt queued for reprocessing', ...result });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin reprocess receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Scoped purge: { userId, from, to, sandbox, dryRun } - at least one filter is required
+app.post('/admin/purge-data', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await adminService.purge(req.userId, req.body);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin purge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/categorizer/retrain', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const model = await adminService.retrainCategorizer(req.userId);
+    res.json({ message: 'Item categorizer retrained', model });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Admin retrain categorizer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/audit-log', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await adminService.listAuditLog(req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Unhandled error:', error);
+  
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
+    }
+  }
+  
+  res.status(500).json({ error: 'Internal server error' });
+});
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Initialize database and start server
+// Check the database schema and start server
 const startServer = async () => {
   try {
-    // Start server first
+    // Refuse to run against a schema the code was not written for
+    if (process.env.DATABASE_URL) {
+      await new Migrator(pool).assertUpToDate();
+    }
+
     app.listen(PORT, () => {
       console.log(`GroceryPal API server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-      
-      // Initialize database in background after server starts
-      if (process.env.DATABASE_URL) {
-        console.log('Initializing database in background...');
-        initializeDatabase().then(() => {
-          console.log('Database initialization completed');
-        }).catch(error => {
-          console.error('Database initialization failed:', error);
-          // Don't exit - server can still handle basic requests
-        });
+
+      if (!process.env.DATABASE_URL) {
+        return;
+      }
+
+      // The worker requeues receipts left mid-processing by a restart on its first poll
+      if (runWorkerInProcess) {
+        receiptWorker.start();
       }
+
+      if (sandboxService.enabled) {
+        console.log(`Sandbox mode enabled: demo accounts expire after ${sandboxService.ttlHours}h`);
+      }
+
+      const runMaintenance = async () => {
+        try {
+          if (sandboxService.enabled) {
+            await sandboxService.purgeExpired();
+          }
+          await accountDeletion.purgeDue();
+          await dataExports.purgeExpired();
+        } catch (error) {
+          console.error('Maintenance failed:', error);
+        }
+      };
+      runMaintenance();
+      setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS).unref();
+
+      const checkRollups = () => spendingRollups.check({ days: ROLLUP_CHECK_DAYS })
+        .catch(error => console.error('Spending rollup check failed:', error));
+      setInterval(checkRollups, ROLLUP_CHECK_INTERVAL_MS).unref();
+
+      // Exports interrupted by a restart start over
+      dataExports.recoverStale()
+        .then(() => dataExports.processPending())
+        .catch(error => console.error('Data export recovery failed:', error));
     });
   } catch (error) {
-    console.error('Server startup error:', error);
+    console.error('Server startup error:', error.message);
     process.exit(1);
   }
 };
@@ -0,0 +1,187 @@
+// services/accountDeletionService.js - Self-service account deletion with a grace period
+//
+// DELETE /user needs the current password and { confirm: 'DELETE' }. It does
+// not delete anything yet: the account is scheduled for deletion after
+// ACCOUNT_DELETION_GRACE_DAYS, every session is signed out and the user is
+// emailed. Logging in again and calling POST /user/deletion/cancel keeps the
+// account. purgeDue() then deletes the user, their receipts and everything
+// else they own, plus stored images no other receipt uses and export archives.
+const bcrypt = require('bcryptjs');
+const ServiceError = require('./serviceError');
+const { deleteUser, unusedImageKeys } = require('./dataPurge');
+
+const DEFAULT_GRACE_DAYS = 30;
+const CONFIRMATION = 'DELETE';
+
+class AccountDeletionService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {SessionService} options.sessionService - Signs the user out when deletion is scheduled
+   * @param {Object} options.imageStorage - Backend holding receipt images and export archives
+   * @param {Object} [options.mailer] - Sends the confirmation email
+   * @param {PriceHistory} [options.priceHistory] - Refreshes catalog stats after deletion
+   * @param {number} [options.graceDays] - Defaults to ACCOUNT_DELETION_GRACE_DAYS or 30
+   */
+  constructor(pool, { sessionService, imageStorage, mailer, priceHistory, graceDays } = {}) {
+    this.pool = pool;
+    this.sessionService = sessionService;
+    this.imageStorage = imageStorage;
+    this.mailer = mailer;
+    this.priceHistory = priceHistory;
+    this.graceDays = graceDays !== undefined
+      ? graceDays
+      : (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || DEFAULT_GRACE_DAYS);
+  }
+
+  /**
+   * Schedule the user's account for deletion
+   * @param {string} userId - Current user
+   * @param {Object} confirmation - { password, confirm }
+   * @returns {Promise<Date>} When the account will be deleted
+   */
+  async scheduleDeletion(userId, { password, confirm } = {}) {
+    if (confirm !== CONFIRMATION) {
+      throw new ServiceError(400, `Set confirm to "${CONFIRMATION}" to delete your account`);
+    }
+
+    const result = await this.pool.query(
+      'SELECT id, email, first_name, password_hash, deletion_scheduled_for FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'User not found');
+    }
+
+    const user = result.rows[0];
+    if (user.deletion_scheduled_for) {
+      throw new ServiceError(409, 'Account deletion is already scheduled');
+    }
+    if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+      throw new ServiceError(401, 'Password is incorrect');
+    }
+
+    const updated = await this.pool.query(
+      `UPDATE users
+       SET deletion_requested_at = NOW(),
+           deletion_scheduled_for = NOW() + ($2 * INTERVAL '1 day'),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING deletion_scheduled_for`,
+      [userId, this.graceDays]
+    );
+    const scheduledFor = updated.rows[0].deletion_scheduled_for;
+
+    await this.sessionService.revokeAllSessions(userId, 'account_deletion');
+
+    if (this.mailer) {
+      try {
+        await this.mailer.send({
+          to: user.email,
+          subject: 'Your GroceryPal account will be deleted',
+          text: [
+            `Hi ${user.first_name || 'there'},`,
+            '',
+            `Your GroceryPal account and all of its receipts will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.`,
+            '',
+            'Changed your mind? Log in before then and cancel the deletion from your account settings.'
+          ].join('\n')
+        });
+      } catch (error) {
+        console.error('Account deletion email error:', error);
+      }
+    }
+
+    console.log(`User ${userId} scheduled account deletion for ${new Date(scheduledFor).toISOString()}`);
+    return scheduledFor;
+  }
+
+  async cancelDeletion(userId) {
+    const result = await this.pool.query(
+      `UPDATE users
+       SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+       RETURNING id`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(409, 'Account deletion is not scheduled');
+    }
+  }
+
+  /**
+   * Delete every account whose grace period is over
+   * @returns {Promise<number>} Number of accounts deleted
+   */
+  async purgeDue() {
+    const due = await this.pool.query(
+      'SELECT id FROM users WHERE deletion_scheduled_for <= NOW()'
+    );
+
+    let deleted = 0;
+    for (const { id } of due.rows) {
+      try {
+        await this.deleteAccount(id);
+        deleted++;
+      } catch (error) {
+        console.error(`Failed to delete account ${id}:`, error);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete a user now. Storage objects go after the database commit so a
+   * rollback never leaves receipts pointing at missing images.
+   * @param {string} userId - User to delete
+   */
+  async deleteAccount(userId) {
+    const client = await this.pool.connect();
+    let imageKeys;
+    let archiveKeys;
+
+    try {
+      await client.query('BEGIN');
+
+      const images = await client.query(
+        'SELECT DISTINCT image_key FROM receipts WHERE user_id = $1 AND image_key IS NOT NULL',
+        [userId]
+      );
+      const archives = await client.query(
+        'SELECT archive_key FROM data_exports WHERE user_id = $1 AND archive_key IS NOT NULL',
+        [userId]
+      );
+
+      const result = await deleteUser(client, userId);
+      if (this.priceHistory && result.productIds.length > 0) {
+        await this.priceHistory.refreshCatalogStats(client, result.productIds);
+      }
+
+      // Images are content-addressed: keep any that another user's receipt still uses
+      imageKeys = await unusedImageKeys(client, images.rows.map(row => row.image_key));
+      archiveKeys = archives.rows.map(row => row.archive_key);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const key of [...imageKeys, ...archiveKeys]) {
+      try {
+        await this.imageStorage.delete(key);
+      } catch (error) {
+        console.error(`Failed to delete stored object ${key}:`, error);
+      }
+    }
+
+    console.log(`Deleted account ${userId} (${imageKeys.length} image(s), ${archiveKeys.length} export(s))`);
+  }
+}
+
+module.exports = AccountDeletionService;
@@ -0,0 +1,236 @@
+// services/accountService.js - Password reset and email verification
+//
+// Both flows email the user a link carrying a random token. Only the token's
+// sha256 is stored (account_tokens), each token works once, and it expires:
+//   password_reset     - 1 hour; resetting revokes every session
+//   email_verification - 48 hours; sets users.email_verified_at
+// Requesting a new token of the same kind invalidates the older ones.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ServiceError = require('./serviceError');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 48 * 60
+};
+// Minimum gap between two verification emails for the same user
+const RESEND_INTERVAL_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AccountService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {Object} options.mailer - Transport from services/mailer
+   * @param {SessionService} options.sessionService - Used to log out everywhere after a reset
+   * @param {string} [options.appUrl] - Base URL for links in emails; defaults to APP_URL
+   */
+  constructor(pool, { mailer, sessionService, appUrl } = {}) {
+    this.pool = pool;
+    this.mailer = mailer;
+    this.sessionService = sessionService;
+    this.appUrl = (appUrl || process.env.APP_URL || 'http://localhost:8081').replace(/\/+$/, '');
+  }
+
+  /**
+   * Email a password reset link. Resolves the same way whether or not the
+   * address has an account, and whether or not the email could be sent, so the
+   * endpoint cannot be used to probe emails.
+   * @param {string} email - Address entered by the user
+   */
+  async requestPasswordReset(email) {
+    if (!email || typeof email !== 'string') {
+      throw new ServiceError(400, 'Email is required');
+    }
+
+    const result = await this.pool.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND is_active = true',
+      [email.trim().toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    // A failure here must look like success too, or an error would confirm the account exists
+    const user = result.rows[0];
+    try {
+      const token = await this.issueToken(user.id, 'password_reset');
+
+      await this.mailer.send({
+        to: user.email,
+        subject: 'Reset your GroceryPal password',
+        text: [
+          `Hi ${user.first_name || 'there'},`,
+          '',
+          'Someone asked to reset the password for your GroceryPal account.',
+          `Choose a new password here (the link expires in ${TOKEN_TTL_MINUTES.password_reset} minutes):`,
+          '',
+          `${this.appUrl}/reset-password?token=${token}`,
+          '',
+          'If this wasn\'t you, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token, then revoke every session
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @returns {Promise<string>} User ID
+   */
+  async resetPassword(token, password) {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ServiceError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const userId = await this.consumeToken(token, 'password_reset');
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    // The reset link reached the inbox, so the address is proven too
+    await this.pool.query(
+      `UPDATE users
+       SET password_hash = $1,
+           email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+
+    const revoked = await this.sessionService.revokeAllSessions(userId, 'password_reset');
+    console.log(`Password reset for user ${userId}, revoked ${revoked} session(s)`);
+
+    return userId;
+  }
+
+  /**
+   * Email a verification link to the user's address
+   * @param {string} userId - User to verify
+   * @throws {ServiceError} 409 when already verified, 429 when asked again too soon
+   */
+  async sendVerificationEmail(userId) {
+    const result = await this.pool.query(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'User not found');
+    }
+
+    const user = result.rows[0];
+    if (user.email_verified_at) {
+      throw new ServiceError(409, 'Email is already verified');
+    }
+
+    const recent = await this.pool.query(
+      `SELECT 1 FROM account_tokens
+       WHERE user_id = $1 AND purpose = 'email_verification'
+         AND created_at > NOW() - ($2 * INTERVAL '1 second')`,
+      [userId, RESEND_INTERVAL_SECONDS]
+    );
+
+    if (recent.rows.length > 0) {
+      throw new ServiceError(429, 'A verification email was sent recently, please wait a minute before asking again');
+    }
+
+    const token = await this.issueToken(user.id, 'email_verification');
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Confirm your GroceryPal email address',
+      text: [
+        `Hi ${user.first_name || 'there'},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        '',
+        `${this.appUrl}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${TOKEN_TTL_MINUTES.email_verification / 60} hours.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Mark the user's email as verified
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<string>} User ID
+   */
+  async verifyEmail(token) {
+    const userId = await this.consumeToken(token, 'email_verification');
+
+    await this.pool.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+
+    return userId;
+  }
+
+  async isEmailVerified(userId) {
+    const result = await this.pool.query('SELECT email_verified_at FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0 && Boolean(result.rows[0].email_verified_at);
+  }
+
+  /**
+   * Create a token, retiring any unused ones of the same purpose
+   * @returns {Promise<string>} Raw token (only ever sent in the email)
+   */
+  async issueToken(userId, purpose) {
+    const token = AccountService.generateToken();
+
+    await this.pool.query(
+      `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+      [userId, purpose]
+    );
+    await this.pool.query(
+      `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))`,
+      [userId, purpose, AccountService.hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+    );
+
+    return token;
+  }
+
+  /**
+   * Mark a token used. The single UPDATE makes concurrent redemptions safe:
+   * only one of them gets the row back.
+   * @returns {Promise<string>} User ID the token belongs to
+   * @throws {ServiceError} 400 when the token is unknown, used or expired
+   */
+  async consumeToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      throw new ServiceError(400, 'Token is required');
+    }
+
+    const result = await this.pool.query(
+      `UPDATE account_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [AccountService.hashToken(token), purpose]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(400, 'Invalid or expired token');
+    }
+
+    return result.rows[0].user_id;
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,445 @@
+// services/adminService.js - Operator tools behind requireRole('admin')
+//
+// Every state-changing call, including dry runs, writes an admin_audit_log row
+// in the same transaction as the change. Opening a user's receipt is logged too.
+const ServiceError = require('./serviceError');
+const { deleteReceipts, deleteUser, unusedImageKeys } = require('./dataPurge');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AdminService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {ReceiptJobQueue} options.queue - Queue for reprocessing receipts
+   * @param {PriceHistory} [options.priceHistory] - Refreshes catalog stats after purges
+   * @param {ItemCategorizer} [options.categorizer] - Retrained on demand
+   * @param {SpendingRollups} [options.rollups] - Recomputed for reprocessed receipts and purged users
+   * @param {Object} [options.imageStorage] - Purged receipts' images are deleted from it
+   */
+  constructor(pool, { queue, priceHistory, categorizer, rollups, imageStorage } = {}) {
+    this.pool = pool;
+    this.queue = queue;
+    this.priceHistory = priceHistory;
+    this.categorizer = categorizer;
+    this.rollups = rollups;
+    this.imageStorage = imageStorage;
+  }
+
+  /**
+   * @param {Object} [params] - { search, role, active, limit, offset }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  async listUsers(params = {}) {
+    const { limit, offset } = AdminService.parsePage(params);
+    const conditions = [];
+    const values = [];
+
+    if (params.search) {
+      values.push(`%${params.search}%`);
+      conditions.push(`(u.email ILIKE $${values.length} OR u.first_name ILIKE $${values.length} OR u.last_name ILIKE $${values.length})`);
+    }
+    if (params.role) {
+      values.push(params.role);
+      conditions.push(`u.role = $${values.length}`);
+    }
+    if (params.active !== undefined) {
+      values.push(params.active === true || params.active === 'true');
+      conditions.push(`u.is_active = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(`SELECT COUNT(*) as total FROM users u ${where}`, values);
+    const result = await this.pool.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.is_active, u.is_sandbox,
+              u.email_verified_at, u.created_at,
+              (SELECT COUNT(*) FROM receipts r WHERE r.user_id = u.id) as receipt_count,
+              (SELECT MAX(COALESCE(s.last_used_at, s.created_at)) FROM user_sessions s WHERE s.user_id = u.id) as last_seen_at
+       FROM users u
+       ${where}
+       ORDER BY u.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return {
+      users: result.rows.map(user => ({ ...user, receipt_count: parseInt(user.receipt_count, 10) })),
+      pagination: { total: parseInt(countResult.rows[0].total, 10), limit, offset }
+    };
+  }
+
+  /**
+   * Deactivate or reactivate an account. Deactivating signs the user out everywhere.
+   * @param {string} adminId - Acting admin
+   * @param {string} userId - Target user
+   * @param {boolean} active - New state
+   * @returns {Promise<Object>} { id, email, is_active }
+   */
+  async setUserActive(adminId, userId, active) {
+    if (!active && userId === adminId) {
+      throw new ServiceError(400, 'You cannot deactivate your own account');
+    }
+
+    return this.withAudit(adminId, active ? 'user.reactivate' : 'user.deactivate', 'user', userId, async (client) => {
+      const result = await client.query(
+        `UPDATE users SET is_active = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, email, is_active`,
+        [userId, active]
+      );
+
+      if (result.rows.length === 0) {
+        throw new ServiceError(404, 'User not found');
+      }
+
+      let revokedSessions = 0;
+      if (!active) {
+        const revoked = await client.query(
+          `UPDATE user_sessions
+           SET is_active = false, revoked_at = NOW(), revoked_reason = 'account_deactivated'
+           WHERE user_id = $1 AND is_active = true`,
+          [userId]
+        );
+        revokedSessions = revoked.rowCount;
+      }
+
+      return { result: result.rows[0], details: { revokedSessions } };
+    });
+  }
+
+  /**
+   * Any user's receipt with its items, processing jobs and errors
+   */
+  async getReceipt(adminId, receiptId) {
+    const result = await this.pool.query(
+      `SELECT r.*, s.name as store_name, u.email as user_email
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       JOIN users u ON r.user_id = u.id
+       WHERE r.id = $1`,
+      [receiptId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    const items = await this.pool.query(
+      'SELECT * FROM receipt_items WHERE receipt_id = $1 ORDER BY created_at',
+      [receiptId]
+    );
+    const jobs = await this.pool.query(
+      `SELECT id, status, attempts, max_attempts, run_at, locked_by, last_error, created_at, completed_at
+       FROM receipt_jobs WHERE receipt_id = $1 ORDER BY created_at DESC`,
+      [receiptId]
+    );
+
+    await this.recordAudit(this.pool, adminId, 'receipt.view', 'receipt', receiptId, {
+      userId: result.rows[0].user_id
+    });
+
+    return { ...result.rows[0], items: items.rows, jobs: jobs.rows };
+  }
+
+  /**
+   * Run OCR again on a receipt's stored image
+   * @throws {ServiceError} 409 when there is no image or a job is already pending
+   */
+  async reprocessReceipt(adminId, receiptId) {
+    return this.withAudit(adminId, 'receipt.reprocess', 'receipt', receiptId, async (client) => {
+      const result = await client.query(
+        'SELECT id, status, image_key FROM receipts WHERE id = $1 FOR UPDATE',
+        [receiptId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new ServiceError(404, 'Receipt not found');
+      }
+
+      const receipt = result.rows[0];
+      if (!receipt.image_key) {
+        throw new ServiceError(409, 'Receipt has no stored image to reprocess');
+      }
+
+      const pending = await client.query(
+        "SELECT id FROM receipt_jobs WHERE receipt_id = $1 AND status IN ('queued', 'running')",
+        [receiptId]
+      );
+      if (pending.rows.length > 0) {
+        throw new ServiceError(409, 'Receipt is already queued for processing');
+      }
+
+      await client.query(
+        `UPDATE receipts
+         SET status = 'processing', processing_errors = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [receiptId]
+      );
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId);
+      }
+      const job = await this.queue.enqueue(receiptId, client);
+
+      return {
+        result: { receiptId, status: 'processing', jobId: job.id },
+        details: { previousStatus: receipt.status, jobId: job.id }
+      };
+    });
+  }
+
+  /**
+   * Retrain the item categorizer's classifier from the rules and all users' overrides.
+   * Other processes pick the new model up on their next refresh.
+   * @returns {Promise<Object>} { version, trainedAt, exampleCount, correctionCount, labels }
+   */
+  async retrainCategorizer(adminId) {
+    if (!this.categorizer) {
+      throw new ServiceError(503, 'Item categorizer is not configured');
+    }
+
+    return this.withAudit(adminId, 'categorizer.retrain', 'categorizer', null, async (client) => {
+      const model = await this.categorizer.train(client);
+      return {
+        result: model,
+        details: { version: model.version, exampleCount: model.exampleCount, correctionCount: model.correctionCount }
+      };
+    });
+  }
+
+  /**
+   * @param {Object} [params] - { limit, offset }
+   */
+  async listFailedReceipts(params = {}) {
+    const { limit, offset } = AdminService.parsePage(params);
+
+    const countResult = await this.pool.query("SELECT COUNT(*) as total FROM receipts WHERE status = 'failed'");
+    const result = await this.pool.query(
+      `SELECT r.id, r.user_id, u.email as user_email, r.image_filename, r.processing_errors,
+              r.created_at, r.updated_at,
+              (SELECT j.attempts FROM receipt_jobs j WHERE j.receipt_id = r.id ORDER BY j.created_at DESC LIMIT 1) as attempts,
+              (SELECT j.last_error FROM receipt_jobs j WHERE j.receipt_id = r.id ORDER BY j.created_at DESC LIMIT 1) as last_error
+       FROM receipts r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.status = 'failed'
+       ORDER BY r.updated_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return {
+      receipts: result.rows,
+      pagination: { total: parseInt(countResult.rows[0].total, 10), limit, offset }
+    };
+  }
+
+  /**
+   * Delete receipts in a scope. Filters combine; at least one is required.
+   * With only { sandbox: true }, sandbox accounts are deleted entirely.
+   * A dry run performs the deletes and rolls back, so the counts are exact.
+   * @param {string} adminId - Acting admin
+   * @param {Object} scope - { userId, from, to, sandbox, dryRun }
+   * @returns {Promise<Object>} { dryRun, scope, deleted }
+   */
+  async purge(adminId, scope = {}) {
+    const filters = AdminService.validatePurgeScope(scope);
+    const dryRun = scope.dryRun === true || scope.dryRun === 'true';
+    const client = await this.pool.connect();
+    let counts;
+    let unusedImages = [];
+
+    try {
+      await client.query('BEGIN');
+
+      let deleted;
+      if (filters.sandbox && !filters.userId && !filters.from && !filters.to) {
+        deleted = await this.purgeSandboxAccounts(client);
+      } else {
+        const { condition, params } = AdminService.buildPurgeCondition(filters);
+        deleted = await deleteReceipts(client, condition, params);
+      }
+
+      const { productIds, userIds = [], imageKeys = [], ...deletedCounts } = deleted;
+      counts = deletedCounts;
+      if (!dryRun && this.priceHistory && productIds.length > 0) {
+        await this.priceHistory.refreshCatalogStats(client, productIds);
+      }
+      if (!dryRun && this.rollups) {
+        for (const userId of userIds) {
+          await this.rollups.rebuildUser(client, userId);
+        }
+      }
+      if (!dryRun && this.imageStorage) {
+        unusedImages = await unusedImageKeys(client, imageKeys);
+      }
+
+      if (dryRun) {
+        await client.query('ROLLBACK');
+        await client.query('BEGIN');
+      }
+
+      await this.recordAudit(client, adminId, dryRun ? 'data.purge.dry_run' : 'data.purge', 'purge', null, {
+        scope: filters,
+        deleted: counts
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Only once the receipts are gone for good
+    for (const key of unusedImages) {
+      try {
+        await this.imageStorage.delete(key);
+      } catch (error) {
+        console.error(`Failed to delete stored image ${key}:`, error);
+      }
+    }
+
+    console.log(`Admin ${adminId} ${dryRun ? 'dry-ran' : 'ran'} purge ${JSON.stringify(filters)}:`, counts,
+      `(${unusedImages.length} image(s) deleted)`);
+    return { dryRun, scope: filters, deleted: counts };
+  }
+
+  async purgeSandboxAccounts(client) {
+    const users = await client.query('SELECT id FROM users WHERE is_sandbox = true');
+    const totals = { users: 0, receipts: 0, receiptItems: 0, corrections: 0, productIds: [], imageKeys: [] };
+
+    for (const { id } of users.rows) {
+      const deleted = await deleteUser(client, id);
+      totals.users += deleted.users;
+      totals.receipts += deleted.receipts;
+      totals.receiptItems += deleted.receiptItems;
+      totals.corrections += deleted.corrections;
+      totals.productIds.push(...deleted.productIds);
+      totals.imageKeys.push(...deleted.imageKeys);
+    }
+
+    totals.productIds = [...new Set(totals.productIds)];
+    totals.imageKeys = [...new Set(totals.imageKeys)];
+    return totals;
+  }
+
+  /**
+   * @param {Object} [params] - { adminId, action, limit, offset }
+   */
+  async listAuditLog(params = {}) {
+    const { limit, offset } = AdminService.parsePage(params);
+    const conditions = [];
+    const values = [];
+
+    if (params.adminId) {
+      values.push(params.adminId);
+      conditions.push(`l.admin_id = $${values.length}`);
+    }
+    if (params.action) {
+      values.push(params.action);
+      conditions.push(`l.action = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.pool.query(
+      `SELECT l.id, l.admin_id, u.email as admin_email, l.action, l.target_type, l.target_id, l.details, l.created_at
+       FROM admin_audit_log l
+       LEFT JOIN users u ON l.admin_id = u.id
+       ${where}
+       ORDER BY l.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return { entries: result.rows, pagination: { limit, offset } };
+  }
+
+  /**
+   * Run fn in a transaction and audit it. fn resolves with { result, details }.
+   */
+  async withAudit(adminId, action, targetType, targetId, fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const { result, details } = await fn(client);
+      await this.recordAudit(client, adminId, action, targetType, targetId, details);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordAudit(client, adminId, action, targetType, targetId, details = {}) {
+    await client.query(
+      `INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [adminId, action, targetType, targetId, JSON.stringify(details)]
+    );
+  }
+
+  static validatePurgeScope(scope) {
+    const filters = {};
+
+    if (scope.userId) filters.userId = String(scope.userId);
+    for (const field of ['from', 'to']) {
+      if (scope[field]) {
+        if (!DATE_PATTERN.test(scope[field])) {
+          throw new ServiceError(400, `${field} must be a date (YYYY-MM-DD)`);
+        }
+        filters[field] = scope[field];
+      }
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new ServiceError(400, 'from must be on or before to');
+    }
+    if (scope.sandbox === true || scope.sandbox === 'true') filters.sandbox = true;
+
+    if (Object.keys(filters).length === 0) {
+      throw new ServiceError(400, 'Purge needs a scope: userId, from/to or sandbox');
+    }
+
+    return filters;
+  }
+
+  /**
+   * WHERE condition on `receipts r` for a validated purge scope.
+   * Dates are purchase dates, falling back to the upload date.
+   */
+  static buildPurgeCondition(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.userId) {
+      params.push(filters.userId);
+      conditions.push(`r.user_id = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`COALESCE(r.receipt_date, r.created_at::date) >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`COALESCE(r.receipt_date, r.created_at::date) <= $${params.length}`);
+    }
+    if (filters.sandbox) {
+      conditions.push('r.user_id IN (SELECT id FROM users WHERE is_sandbox = true)');
+    }
+
+    return { condition: conditions.join(' AND '), params };
+  }
+
+  static parsePage(params) {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE));
+    const offset = Math.max(0, parseInt(params.offset, 10) || 0);
+    return { limit, offset };
+  }
+}
+
+module.exports = AdminService;
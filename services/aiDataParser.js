@@ -1,12 +1,50 @@
 // AI-Driven Data Parser for Receipt JSON
 // Transforms raw TabScanner data into clean, structured, searchable format
+const { createLLMClient, LLMClient, schemas } = require('./llm');
+const { ItemCategorizer } = require('./categorizer');
+const PriceHistory = require('./priceHistory');
+
+// Store-brand prefixes printed in front of item names
+const BRAND_PREFIXES = {
+    'TJ': "Trader Joe's",
+    'KS': 'Kirkland Signature',
+    'GV': 'Great Value',
+    '365': '365 by Whole Foods Market',
+    'KRO': 'Kroger',
+    'SIG': 'Signature Select'
+};
+
+// Receipt abbreviations expanded in standardized names
+const NAME_ABBREVIATIONS = {
+    'ORG': 'Organic',
+    'WHL': 'Whole',
+    'GRD': 'Ground',
+    'CHKN': 'Chicken',
+    'BNLS': 'Boneless',
+    'SKNLS': 'Skinless',
+    'BRST': 'Breast',
+    'VEG': 'Vegetable',
+    'FF': 'Fat Free'
+};
 
 class AIDataParser {
-    constructor(openaiApiKey = null) {
-        this.openaiApiKey = openaiApiKey || process.env.OPENAI_API_KEY;
-        this.useAI = !!this.openaiApiKey;
+    /**
+     * @param {Object|string} [options] - Options, or an API key (legacy signature)
+     * @param {LLMClient} [options.llmClient] - Client to use (defaults to createLLMClient())
+     * @param {string} [options.apiKey] - API key for the default client
+     * @param {Object} [options.cache] - Response cache for the default client
+     * @param {ItemCategorizer} [options.categorizer] - Rule-based item categories (defaults to rules only)
+     */
+    constructor(options = {}) {
+        if (typeof options === 'string' || options === null) {
+            options = { apiKey: options };
+        }
+
+        this.llm = options.llmClient || createLLMClient({ apiKey: options.apiKey, cache: options.cache });
+        this.useAI = this.llm.isConfigured();
+        this.categorizer = options.categorizer || new ItemCategorizer();
         
-        console.log('AIDataParser: AI Processing', this.useAI ? 'ENABLED' : 'DISABLED (using rule-based parsing)');
+        console.log('AIDataParser: AI Processing', this.useAI ? `ENABLED (${this.llm.model} at ${this.llm.baseUrl})` : 'DISABLED (using rule-based parsing)');
     }
 
     /**
@@ -89,7 +127,8 @@ class AIDataParser {
                 ai_confidence: 0,
                 data_completeness: 0,
                 validation_errors: [],
-                processing_time: null
+                processing_time: null,
+                llm_usage: LLMClient.emptyUsage() // calls, cachedCalls, tokens and cost for this receipt
             }
         };
 
@@ -275,8 +314,7 @@ Return JSON with:
 `;
 
         try {
-            const aiResponse = await this.callOpenAI(storePrompt);
-            const storeData = JSON.parse(aiResponse);
+            const storeData = await this.callOpenAI(storePrompt, schemas.STORE_SCHEMA, result.quality.llm_usage);
             
             result.store.normalized_name = storeData.normalized_name;
             result.store.chain = storeData.chain;
@@ -286,7 +324,7 @@ Return JSON with:
             result.store.price_range = storeData.price_range;
             
         } catch (error) {
-            console.log('AI store enhancement failed, using fallback logic');
+            console.log('AI store enhancement failed, using fallback logic:', error.message);
             this.fallbackStoreEnhancement(result);
         }
         
@@ -308,11 +346,11 @@ Return JSON with:
         const batchSize = 10;
         for (let i = 0; i < result.items.length; i += batchSize) {
             const batch = result.items.slice(i, i + batchSize);
-            await this.processItemBatch(batch);
+            await this.processItemBatch(batch, result.quality.llm_usage);
         }
     }
 
-    async processItemBatch(items) {
+    async processItemBatch(items, usage = null) {
         const itemList = items.map(item => `${item.name} - $${item.line_total}`).join('\n');
         
         const itemsPrompt = `
@@ -321,10 +359,11 @@ Analyze these grocery/retail items and enhance each with categories and tags:
 Items:
 ${itemList}
 
-For each item, return JSON array with objects containing:
+Return a JSON object {"items": [...]} with one entry per item, in the same order, each containing:
 {
   "name": "original item name",
-  "category": "produce|dairy|meat|bakery|pantry|frozen|beverages|snacks|health|household|other",
+  "standardized_name": "clean, human-readable product name without codes or abbreviations",
+  "category": "${this.categorizer.keys.join('|')}",
   "subcategory": "specific subcategory",
   "brand": "brand name if identifiable",
   "product_type": "specific product description",
@@ -335,18 +374,27 @@ For each item, return JSON array with objects containing:
 `;
 
         try {
-            const aiResponse = await this.callOpenAI(itemsPrompt);
-            const enhancedItems = JSON.parse(aiResponse);
+            const { items: enhancedItems } = await this.callOpenAI(itemsPrompt, schemas.ITEMS_SCHEMA, usage);
+
+            if (enhancedItems.length !== items.length) {
+                throw new Error(`expected ${items.length} items, got ${enhancedItems.length}`);
+            }
             
             // Apply AI enhancements to items
             enhancedItems.forEach((enhanced, index) => {
                 if (items[index]) {
-                    Object.assign(items[index], enhanced);
+                    Object.assign(items[index], enhanced, { category_confidence: null, category_source: 'llm' });
+                }
+            });
+
+            items.forEach(item => {
+                if (!item.standardized_name) {
+                    item.standardized_name = this.standardizeName(item.name).name;
                 }
             });
             
         } catch (error) {
-            console.log('AI item categorization failed for batch, using fallback');
+            console.log('AI item categorization failed for batch, using fallback:', error.message);
             this.fallbackItemCategorization(items);
         }
     }
@@ -387,13 +435,12 @@ Return JSON with insights:
 `;
 
         try {
-            const aiResponse = await this.callOpenAI(insightsPrompt);
-            const insights = JSON.parse(aiResponse);
+            const insights = await this.callOpenAI(insightsPrompt, schemas.INSIGHTS_SCHEMA, result.quality.llm_usage);
             
             Object.assign(result.insights, insights);
             
         } catch (error) {
-            console.log('AI insights generation failed, using fallback');
+            console.log('AI insights generation failed, using fallback:', error.message);
             this.fallbackInsightsGeneration(result);
         }
     }
@@ -448,36 +495,51 @@ Return JSON with insights:
         }
     }
 
+    /**
+     * Categorize items with ItemCategorizer (rules.json and its classifier)
+     */
     fallbackItemCategorization(items) {
-        const categoryRules = {
-            produce: ['banana', 'apple', 'orange', 'lettuce', 'tomato', 'onion', 'potato', 'carrot', 'broccoli', 'spinach'],
-            dairy: ['milk', 'cheese', 'yogurt', 'butter', 'cream', 'eggs'],
-            meat: ['chicken', 'beef', 'pork', 'fish', 'salmon', 'turkey', 'bacon'],
-            bakery: ['bread', 'bagel', 'muffin', 'croissant', 'cake', 'cookie'],
-            beverages: ['water', 'soda', 'juice', 'coffee', 'tea', 'beer', 'wine'],
-            pantry: ['rice', 'pasta', 'cereal', 'beans', 'oil', 'sauce', 'spice'],
-            frozen: ['frozen', 'ice cream', 'pizza'],
-            snacks: ['chips', 'crackers', 'nuts', 'candy', 'chocolate']
-        };
-
         items.forEach(item => {
-            const itemName = item.name?.toLowerCase() || '';
-            
-            for (const [category, keywords] of Object.entries(categoryRules)) {
-                if (keywords.some(keyword => itemName.includes(keyword))) {
-                    item.category = category;
-                    item.nutrition_category = ['produce', 'dairy'].includes(category) ? 'healthy' : 'neutral';
-                    break;
-                }
-            }
-            
-            if (!item.category) {
-                item.category = 'other';
-                item.nutrition_category = 'neutral';
-            }
+            const standardized = this.standardizeName(item.name);
+            item.standardized_name = item.standardized_name || standardized.name;
+            item.brand = item.brand || standardized.brand;
+            item.size_info = item.size_info || (PriceHistory.parseSize(item.name) || {}).description || null;
+
+            const category = this.categorizer.categorize(item.name);
+            item.category = category.key;
+            item.category_confidence = category.confidence;
+            item.category_source = category.source;
+            item.nutrition_category = this.categorizer.nutritionFor(category.key);
         });
     }
 
+    /**
+     * Clean up a receipt item name: drop item codes, split off a store-brand
+     * prefix and expand common abbreviations
+     * @param {string} rawName - Item name as printed
+     * @returns {Object} { name, brand }
+     */
+    standardizeName(rawName) {
+        const words = (rawName || '')
+            .replace(/^\d{4,}\s+/, '')
+            .replace(/[^\w\s&'%./-]/g, ' ')
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean);
+
+        let brand = null;
+        if (words.length > 1 && BRAND_PREFIXES[words[0].toUpperCase()]) {
+            brand = BRAND_PREFIXES[words.shift().toUpperCase()];
+        }
+
+        const name = words
+            .map(word => NAME_ABBREVIATIONS[word.toUpperCase()] ||
+                word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ');
+
+        return { name: name || null, brand };
+    }
+
     fallbackInsightsGeneration(result) {
         const totalAmount = result.financial.grand_total;
         const itemCount = result.items.length;
@@ -531,19 +593,20 @@ Return JSON with insights:
     }
 
     /**
-     * Call OpenAI API (placeholder - implement based on your preference)
+     * Send a prompt to the configured LLM (see services/llm) and return its
+     * schema-validated JSON response. Throws when the model is unreachable or
+     * answers badly, so callers fall back to the rule-based logic.
+     * @param {string} prompt - Prompt text
+     * @param {Object} schema - Response schema from services/llm/schemas.js
+     * @param {Object} [usage] - Per-receipt usage tally to add the call to
+     * @returns {Promise<Object>} Parsed response
      */
-    async callOpenAI(prompt) {
-        // This is a placeholder - implement your preferred AI service
-        // Could use OpenAI, Claude, local models, etc.
-        
-        if (!this.openaiApiKey) {
-            throw new Error('No AI API key configured');
+    async callOpenAI(prompt, schema, usage = null) {
+        if (!this.useAI) {
+            throw new Error('No AI API configured');
         }
 
-        // Example implementation would go here
-        // For now, throwing error to use fallback methods
-        throw new Error('AI API not implemented - using fallback methods');
+        return this.llm.complete(prompt, { schema, usage });
     }
 }
 
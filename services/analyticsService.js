@@ -0,0 +1,624 @@
+// services/analyticsService.js - Spending analytics for a user or a household
+//
+// A receipt counts on its printed receipt_date, or on its upload date in the
+// user's timezone (users.timezone) when the date couldn't be read. Relative
+// periods ("30d") end on today's date in that timezone too, so a user in
+// Sydney doesn't see yesterday's shopping as today's.
+//
+// Totals, breakdowns and trends read the daily rollups (SpendingRollups), where
+// an undated receipt's day is fixed in its uploader's timezone; receipt lists
+// and item analytics read receipts directly.
+const ServiceError = require('./serviceError');
+const PriceHistory = require('./priceHistory');
+const SpendingRollups = require('./spendingRollups');
+
+// Relative periods ending today; 'all' has no start
+const PERIODS = {
+  '7d': { days: 7 },
+  '30d': { days: 30 },
+  '90d': { days: 90 },
+  '1y': { years: 1 },
+  all: null
+};
+const DEFAULT_PERIOD = '30d';
+// Repeat purchases need a longer window to show up
+const DEFAULT_ITEMS_PERIOD = '90d';
+const DEFAULT_ITEMS_LIMIT = 10;
+const MAX_ITEMS_LIMIT = 50;
+// granularity -> generate_series step
+const GRANULARITIES = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+  quarter: '3 months'
+};
+const BUCKET_DAYS = { day: 1, week: 7, month: 30, quarter: 91 };
+const MAX_BUCKETS = 400;
+const COMPARE_MODES = ['previous_period', 'same_period_last_year'];
+const RECENT_RECEIPTS = 10;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AnalyticsService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {HouseholdService} options.householdService - Resolves ?householdId= into a receipt scope
+   * @param {BudgetService} [options.budgetService] - Adds current budget status for personal analytics
+   * @param {ForecastService} [options.forecast] - Adds anomaly flags to spending analytics
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(pool, { householdService, budgetService = null, forecast = null, now = () => new Date() } = {}) {
+    this.pool = pool;
+    this.householdService = householdService;
+    this.budgetService = budgetService;
+    this.forecast = forecast;
+    this.now = now;
+  }
+
+  /**
+   * Spending summary, breakdowns and trend for a date range
+   * @param {string} userId - Current user
+   * @param {Object} params - Query string: period | from/to, granularity, compare, householdId
+   * @returns {Promise<Object>} { summary, byCategory, byStore, trend, recentReceipts, byMember,
+   *   comparison, anomalies, budgets, householdId, period, range }
+   */
+  async getSpending(userId, params = {}) {
+    const scope = await this.householdService.resolveReceiptScope(userId, params.householdId);
+    const timeZone = await this.getTimeZone(userId);
+    const range = AnalyticsService.resolveRange(params, timeZone, this.now());
+    const comparisonRange = range.compare ? AnalyticsService.comparisonRange(range, range.compare) : null;
+
+    const current = await this.spendingIn(scope, range);
+    const trend = await this.trend(scope, range);
+
+    const recentFilter = AnalyticsService.receiptFilter(scope, timeZone, range);
+    const recentResult = await this.pool.query(
+      `SELECT
+         r.id,
+         r.receipt_date,
+         r.total_amount,
+         r.user_id as uploaded_by,
+         s.name as store_name,
+         s.chain as store_chain
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE ${recentFilter.where}
+       ORDER BY ${recentFilter.date} DESC, r.created_at DESC
+       LIMIT ${RECENT_RECEIPTS}`,
+      recentFilter.values
+    );
+
+    // Who bought what, for household analytics
+    let byMember;
+    if (scope.householdId) {
+      const memberFilter = SpendingRollups.filter(scope, range);
+      const memberResult = await this.pool.query(
+        `SELECT
+           u.id as user_id,
+           u.first_name,
+           u.last_name,
+           COALESCE(SUM(r.total_spent), 0) as total_spent,
+           COALESCE(SUM(r.receipt_count), 0) as receipt_count
+         FROM spending_daily_totals r
+         JOIN users u ON r.user_id = u.id
+         WHERE ${memberFilter.where}
+         GROUP BY u.id, u.first_name, u.last_name
+         ORDER BY total_spent DESC`,
+        memberFilter.values
+      );
+      byMember = memberResult.rows;
+    }
+
+    let comparison;
+    if (comparisonRange) {
+      const previous = await this.spendingIn(scope, comparisonRange);
+      comparison = AnalyticsService.compare(current, previous, range.compare, comparisonRange);
+    }
+
+    // Unusual receipts in the range and categories heading for an unusual month
+    let anomalies;
+    if (this.forecast) {
+      anomalies = {
+        receipts: await this.forecast.flaggedReceipts(scope, timeZone, range),
+        categories: await this.forecast.flaggedCategories(scope, timeZone)
+      };
+    }
+
+    // Current-period budget status (budgets are personal)
+    const budgets = scope.householdId || !this.budgetService
+      ? undefined
+      : await this.budgetService.getStatusSummary(userId);
+
+    return {
+      summary: current.summary,
+      byCategory: current.byCategory,
+      byStore: current.byStore,
+      trend: trend.buckets,
+      recentReceipts: recentResult.rows,
+      byMember,
+      comparison,
+      anomalies,
+      budgets,
+      householdId: scope.householdId,
+      period: range.period,
+      range: { from: range.from, to: range.to, granularity: trend.granularity, timeZone }
+    };
+  }
+
+  /**
+   * Product-level analytics: most purchased, highest spend and repeat purchases
+   * with how often they're bought, unit prices and the cheapest store seen
+   * @param {string} userId - Current user
+   * @param {Object} params - Query string: period | from/to, limit, householdId
+   * @returns {Promise<Object>} { topByCount, topBySpend, repeatPurchases, productCount,
+   *   householdId, period, range }
+   */
+  async getItems(userId, params = {}) {
+    const scope = await this.householdService.resolveReceiptScope(userId, params.householdId);
+    const timeZone = await this.getTimeZone(userId);
+    const range = AnalyticsService.resolveRange(params, timeZone, this.now(), DEFAULT_ITEMS_PERIOD);
+    const limit = Math.min(MAX_ITEMS_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_ITEMS_LIMIT));
+
+    // Items are linked to product_catalog by PriceHistory.recordReceipt
+    const filter = AnalyticsService.receiptFilter(scope, timeZone, range);
+    const result = await this.pool.query(
+      `SELECT
+         ri.product_id,
+         ri.product_name,
+         ri.standardized_name,
+         ri.size_description,
+         ri.quantity,
+         ri.unit_price,
+         ri.line_total,
+         r.id as receipt_id,
+         ${filter.date}::text as purchased_on,
+         s.id as store_id,
+         s.name as store_name,
+         s.chain as store_chain,
+         pc.name as category
+       FROM receipt_items ri
+       JOIN receipts r ON ri.receipt_id = r.id
+       LEFT JOIN stores s ON r.store_id = s.id
+       LEFT JOIN product_categories pc ON ri.category_id = pc.id
+       WHERE ${filter.where} AND ri.product_id IS NOT NULL
+       ORDER BY purchased_on, r.created_at`,
+      filter.values
+    );
+
+    const products = AnalyticsService.summarizeProducts(result.rows);
+
+    return {
+      topByCount: [...products]
+        .sort((a, b) => b.purchaseCount - a.purchaseCount || b.totalSpent - a.totalSpent)
+        .slice(0, limit),
+      topBySpend: [...products]
+        .sort((a, b) => b.totalSpent - a.totalSpent)
+        .slice(0, limit),
+      repeatPurchases: products
+        .filter(product => product.purchaseCount >= 2)
+        .sort((a, b) => b.purchaseCount - a.purchaseCount || a.avgDaysBetween - b.avgDaysBetween)
+        .slice(0, limit),
+      productCount: products.length,
+      householdId: scope.householdId,
+      period: range.period,
+      range: { from: range.from, to: range.to, timeZone }
+    };
+  }
+
+  /**
+   * @returns {Promise<string>} The user's IANA timezone, UTC when unset
+   */
+  async getTimeZone(userId) {
+    return AnalyticsService.loadTimeZone(this.pool, userId);
+  }
+
+  static async loadTimeZone(db, userId) {
+    const result = await db.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    return (result.rows[0] && result.rows[0].timezone) || 'UTC';
+  }
+
+  /**
+   * Totals, spending by category and spending by store for one range
+   */
+  async spendingIn(scope, range) {
+    const totalFilter = SpendingRollups.filter(scope, range);
+    const totalResult = await this.pool.query(
+      `SELECT
+         COALESCE(SUM(r.total_spent), 0) as total_spent,
+         COALESCE(SUM(r.receipt_count), 0) as receipt_count,
+         COALESCE(SUM(r.total_spent) / NULLIF(SUM(r.receipt_count), 0), 0) as avg_receipt_amount
+       FROM spending_daily_totals r
+       WHERE ${totalFilter.where}`,
+      totalFilter.values
+    );
+
+    const categoryFilter = SpendingRollups.filter(scope, range);
+    const categoryResult = await this.pool.query(
+      `SELECT
+         pc.name as category,
+         COALESCE(SUM(r.total_spent), 0) as total_spent,
+         COALESCE(SUM(r.item_count), 0) as item_count
+       FROM spending_daily_categories r
+       LEFT JOIN product_categories pc ON r.category_id = pc.id
+       WHERE ${categoryFilter.where}
+       GROUP BY pc.id, pc.name
+       ORDER BY total_spent DESC`,
+      categoryFilter.values
+    );
+
+    const storeFilter = SpendingRollups.filter(scope, range);
+    const storeResult = await this.pool.query(
+      `SELECT
+         s.chain as store_chain,
+         s.name as store_name,
+         COALESCE(SUM(r.total_spent), 0) as total_spent,
+         COALESCE(SUM(r.visit_count), 0) as visit_count
+       FROM spending_daily_stores r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE ${storeFilter.where}
+       GROUP BY s.chain, s.name
+       ORDER BY total_spent DESC`,
+      storeFilter.values
+    );
+
+    return {
+      summary: totalResult.rows[0],
+      byCategory: categoryResult.rows,
+      byStore: storeResult.rows
+    };
+  }
+
+  /**
+   * Spending per day/week/month/quarter across the whole range, including
+   * empty buckets. Weeks start on Monday, quarters in January/April/July/October.
+   * @returns {Promise<Object>} { granularity, buckets: [{ period_start, total_spent, receipt_count }] }
+   */
+  async trend(scope, range) {
+    let from = range.from;
+
+    if (!from) {
+      const firstFilter = SpendingRollups.filter(scope, range);
+      const first = await this.pool.query(
+        `SELECT MIN(${firstFilter.date})::text as first_date FROM spending_daily_totals r WHERE ${firstFilter.where}`,
+        firstFilter.values
+      );
+      from = first.rows[0] && first.rows[0].first_date;
+      if (!from) {
+        return { granularity: range.granularity || 'month', buckets: [] };
+      }
+    }
+
+    const granularity = range.granularity || AnalyticsService.defaultGranularity(from, range.to);
+    const bucketCount = Math.ceil((AnalyticsService.daysBetween(from, range.to) + 1) / BUCKET_DAYS[granularity]);
+    if (bucketCount > MAX_BUCKETS) {
+      throw new ServiceError(400, `Range is too long for ${granularity} granularity; use a coarser one`);
+    }
+
+    const filter = SpendingRollups.filter(scope, range);
+    const unit = filter.param(granularity);
+    const result = await this.pool.query(
+      `WITH spending AS (
+         SELECT
+           DATE_TRUNC(${unit}, ${filter.date})::date as period_start,
+           SUM(r.total_spent) as total_spent,
+           SUM(r.receipt_count) as receipt_count
+         FROM spending_daily_totals r
+         WHERE ${filter.where}
+         GROUP BY 1
+       )
+       SELECT
+         buckets.period_start::date::text as period_start,
+         COALESCE(s.total_spent, 0) as total_spent,
+         COALESCE(s.receipt_count, 0) as receipt_count
+       FROM generate_series(
+         DATE_TRUNC(${unit}, ${filter.param(from)}::date),
+         ${filter.param(range.to)}::date,
+         ${filter.param(GRANULARITIES[granularity])}::interval
+       ) as buckets(period_start)
+       LEFT JOIN spending s ON s.period_start = buckets.period_start::date
+       ORDER BY buckets.period_start`,
+      filter.values
+    );
+
+    return { granularity, buckets: result.rows };
+  }
+
+  /**
+   * Roll line items (oldest first) up into one summary per product
+   * @param {Array<Object>} rows - Line items with product_id, purchased_on and store
+   * @returns {Array<Object>} { productId, name, category, purchaseCount, totalQuantity,
+   *   totalSpent, firstPurchasedOn, lastPurchasedOn, avgDaysBetween, unitPrice, cheapestStore }
+   */
+  static summarizeProducts(rows) {
+    const byProduct = new Map();
+    for (const row of rows) {
+      if (!byProduct.has(row.product_id)) byProduct.set(row.product_id, []);
+      byProduct.get(row.product_id).push(row);
+    }
+
+    return [...byProduct.entries()].map(([productId, items]) => {
+      const latest = items[items.length - 1];
+      const receipts = new Set(items.map(item => item.receipt_id));
+      const dates = [...new Set(items.map(item => item.purchased_on))].sort();
+      const gaps = dates.slice(1).map((date, index) => AnalyticsService.daysBetween(dates[index], date));
+
+      // Unit prices in the product's most common unit, so sizes compare like for like
+      const priced = items
+        .map(item => ({ item, unitPrice: PriceHistory.normalizedUnitPrice(item) }))
+        .filter(entry => entry.unitPrice);
+      const unitCounts = {};
+      for (const { unitPrice } of priced) unitCounts[unitPrice.unit] = (unitCounts[unitPrice.unit] || 0) + 1;
+      const unit = Object.keys(unitCounts).sort((a, b) => unitCounts[b] - unitCounts[a])[0];
+      const comparable = priced.filter(entry => entry.unitPrice.unit === unit);
+
+      let unitPrice = null;
+      let cheapestStore = null;
+      if (comparable.length > 0) {
+        const prices = comparable.map(entry => entry.unitPrice.price);
+        unitPrice = {
+          unit,
+          average: Math.round((prices.reduce((sum, price) => sum + price, 0) / prices.length) * 10000) / 10000,
+          latest: prices[prices.length - 1],
+          lowest: Math.min(...prices)
+        };
+
+        const cheapest = comparable
+          .filter(entry => entry.item.store_id)
+          .reduce((best, entry) => (!best || entry.unitPrice.price < best.unitPrice.price ? entry : best), null);
+        if (receipts.size >= 2 && cheapest) {
+          cheapestStore = {
+            storeId: cheapest.item.store_id,
+            storeName: cheapest.item.store_name,
+            storeChain: cheapest.item.store_chain,
+            price: cheapest.unitPrice.price,
+            unit,
+            purchasedOn: cheapest.item.purchased_on
+          };
+        }
+      }
+
+      return {
+        productId,
+        name: latest.standardized_name || latest.product_name,
+        category: latest.category,
+        purchaseCount: receipts.size,
+        totalQuantity: Math.round(items.reduce((sum, item) => sum + (parseFloat(item.quantity) || 1), 0) * 1000) / 1000,
+        totalSpent: AnalyticsService.roundCents(items.reduce((sum, item) => sum + (parseFloat(item.line_total) || 0), 0)),
+        firstPurchasedOn: dates[0],
+        lastPurchasedOn: dates[dates.length - 1],
+        avgDaysBetween: gaps.length > 0
+          ? Math.round((gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) * 10) / 10
+          : null,
+        unitPrice,
+        cheapestStore
+      };
+    });
+  }
+
+  /**
+   * WHERE clause for completed receipts in scope and range. Extra parameters
+   * can be appended with param(), which returns their placeholder.
+   * @returns {Object} { where, date, values, param }
+   */
+  static receiptFilter(scope, timeZone, range) {
+    const values = [scope.param];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const date = `COALESCE(r.receipt_date, (r.created_at AT TIME ZONE ${param(timeZone)})::date)`;
+    const conditions = [scope.condition, "r.status = 'completed'"];
+    if (range.from) conditions.push(`${date} >= ${param(range.from)}::date`);
+    conditions.push(`${date} <= ${param(range.to)}::date`);
+
+    return { where: conditions.join(' AND '), date, values, param };
+  }
+
+  /**
+   * Validate query string parameters into a date range
+   * @param {Object} params - req.query
+   * @param {string} timeZone - User's timezone, for "today"
+   * @param {Date} now - Current time
+   * @param {string} [defaultPeriod] - Period when neither period nor from/to is given
+   * @returns {Object} { from, to, period, granularity, compare } with from null for all time
+   */
+  static resolveRange(params, timeZone, now, defaultPeriod = DEFAULT_PERIOD) {
+    const today = AnalyticsService.todayIn(timeZone, now);
+    const hasDates = params.from !== undefined || params.to !== undefined;
+    let from;
+    let to;
+    let period;
+
+    if (hasDates) {
+      if (params.period !== undefined) {
+        throw new ServiceError(400, 'Use either period or from/to, not both');
+      }
+      for (const field of ['from', 'to']) {
+        if (params[field] !== undefined && !AnalyticsService.isDate(params[field])) {
+          throw new ServiceError(400, `${field} must be a date (YYYY-MM-DD)`);
+        }
+      }
+      from = params.from || null;
+      to = params.to || today;
+      if (from && from > to) {
+        throw new ServiceError(400, 'from must be on or before to');
+      }
+      period = 'custom';
+    } else {
+      period = params.period || defaultPeriod;
+      if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+        throw new ServiceError(400, `period must be one of ${Object.keys(PERIODS).join(', ')}`);
+      }
+      const span = PERIODS[period];
+      to = today;
+      if (span === null) {
+        from = null;
+      } else if (span.days) {
+        from = AnalyticsService.addDays(today, -(span.days - 1));
+      } else {
+        from = AnalyticsService.addDays(AnalyticsService.addYears(today, -span.years), 1);
+      }
+    }
+
+    const granularity = params.granularity || null;
+    if (granularity && !GRANULARITIES[granularity]) {
+      throw new ServiceError(400, `granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+    }
+
+    const compare = params.compare || null;
+    if (compare && !COMPARE_MODES.includes(compare)) {
+      throw new ServiceError(400, `compare must be one of ${COMPARE_MODES.join(', ')}`);
+    }
+
+    return { from, to, period, granularity, compare };
+  }
+
+  /**
+   * The range a comparison is made against
+   * @param {Object} range - { from, to }
+   * @param {string} mode - 'previous_period' (same length, ending the day before from)
+   *   or 'same_period_last_year'
+   * @returns {Object} { from, to }
+   */
+  static comparisonRange(range, mode) {
+    if (!range.from) {
+      throw new ServiceError(400, 'compare needs a range with a start date');
+    }
+
+    if (mode === 'previous_period') {
+      const length = AnalyticsService.daysBetween(range.from, range.to) + 1;
+      return {
+        from: AnalyticsService.addDays(range.from, -length),
+        to: AnalyticsService.addDays(range.from, -1)
+      };
+    }
+
+    return {
+      from: AnalyticsService.addYears(range.from, -1),
+      to: AnalyticsService.addYears(range.to, -1)
+    };
+  }
+
+  /**
+   * Deltas between two spendingIn() results
+   * @returns {Object} { mode, from, to, summary, total, byCategory, byStore }
+   */
+  static compare(current, previous, mode, previousRange) {
+    return {
+      mode,
+      from: previousRange.from,
+      to: previousRange.to,
+      summary: previous.summary,
+      total: AnalyticsService.delta(current.summary.total_spent, previous.summary.total_spent),
+      byCategory: AnalyticsService.mergeDeltas(
+        current.byCategory, previous.byCategory,
+        row => row.category,
+        row => ({ category: row.category })
+      ),
+      byStore: AnalyticsService.mergeDeltas(
+        current.byStore, previous.byStore,
+        row => `${row.store_chain}|${row.store_name}`,
+        row => ({ store_chain: row.store_chain, store_name: row.store_name })
+      )
+    };
+  }
+
+  /**
+   * Join two breakdowns on a key; rows missing on one side count as zero.
+   * Sorted by the largest absolute change first.
+   */
+  static mergeDeltas(currentRows, previousRows, keyOf, labelOf) {
+    const merged = new Map();
+
+    for (const row of currentRows) {
+      merged.set(keyOf(row), { ...labelOf(row), current: row.total_spent, previous: 0 });
+    }
+    for (const row of previousRows) {
+      const key = keyOf(row);
+      const entry = merged.get(key) || { ...labelOf(row), current: 0 };
+      merged.set(key, { ...entry, previous: row.total_spent });
+    }
+
+    return [...merged.values()]
+      .map(({ current, previous, ...label }) => ({ ...label, ...AnalyticsService.delta(current, previous) }))
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+
+  /**
+   * @returns {Object} { current, previous, delta, deltaPercent } (deltaPercent null without a previous amount)
+   */
+  static delta(currentValue, previousValue) {
+    const current = AnalyticsService.roundCents(parseFloat(currentValue) || 0);
+    const previous = AnalyticsService.roundCents(parseFloat(previousValue) || 0);
+    const delta = AnalyticsService.roundCents(current - previous);
+
+    return {
+      current,
+      previous,
+      delta,
+      deltaPercent: previous > 0 ? Math.round((delta / previous) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * Day / week / month buckets depending on how long the range is
+   */
+  static defaultGranularity(from, to) {
+    const days = AnalyticsService.daysBetween(from, to) + 1;
+    if (days <= 31) return 'day';
+    if (days <= 184) return 'week';
+    return 'month';
+  }
+
+  /**
+   * @returns {string} Today's date (YYYY-MM-DD) in the timezone
+   */
+  static todayIn(timeZone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).formatToParts(now);
+    const part = type => parts.find(entry => entry.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+  }
+
+  static isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static isDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+  }
+
+  static addDays(date, days) {
+    const value = new Date(`${date}T00:00:00Z`);
+    value.setUTCDate(value.getUTCDate() + days);
+    return value.toISOString().split('T')[0];
+  }
+
+  /**
+   * Shift by whole years; Feb 29 becomes Feb 28 in a non-leap year
+   */
+  static addYears(date, years) {
+    const [year, month, day] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+    return new Date(Date.UTC(year + years, month - 1, Math.min(day, lastDay))).toISOString().split('T')[0];
+  }
+
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+  }
+
+  static roundCents(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,349 @@
+// services/budgetService.js - Spending budgets and progress against them
+//
+// A budget is a weekly or monthly limit on overall spending, one product
+// category, or one store chain. Progress is computed on read from completed
+// receipts, so corrections and deletions are reflected immediately.
+//
+// Rollover carries the previous period's result into the current limit:
+//   none    - every period starts from the base amount
+//   unspent - money left over last period is added to this period's limit
+//   all     - leftovers are added and overspending is subtracted
+// Only the immediately previous period is carried, never a running balance.
+const ServiceError = require('./serviceError');
+
+const PERIODS = ['weekly', 'monthly'];
+const SCOPES = ['overall', 'category', 'store'];
+const ROLLOVER_OPTIONS = ['none', 'unspent', 'all'];
+const WARNING_RATIO = 0.8;
+
+class BudgetService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * All of the user's budgets with progress for the current period
+   * @param {string} userId - Budget owner
+   * @param {Date} [asOf] - Date inside the period to report on
+   * @returns {Promise<Array>} Budgets with progress
+   */
+  async listBudgets(userId, asOf = new Date()) {
+    const result = await this.pool.query(
+      `SELECT b.*, pc.name as category_name
+       FROM budgets b
+       LEFT JOIN product_categories pc ON b.category_id = pc.id
+       WHERE b.user_id = $1
+       ORDER BY b.created_at`,
+      [userId]
+    );
+
+    return Promise.all(result.rows.map(budget => this.withProgress(budget, asOf)));
+  }
+
+  async getBudget(userId, budgetId, asOf = new Date()) {
+    const budget = await this.findBudget(userId, budgetId);
+    return this.withProgress(budget, asOf);
+  }
+
+  /**
+   * @param {string} userId - Budget owner
+   * @param {Object} fields - { name, period, scope, categoryId, storeChain, amount, rollover }
+   * @returns {Promise<Object>} Created budget with progress
+   */
+  async createBudget(userId, fields) {
+    const values = await this.validate({
+      name: null,
+      period: 'monthly',
+      scope: 'overall',
+      categoryId: null,
+      storeChain: null,
+      rollover: 'none',
+      ...fields
+    });
+
+    const result = await this.pool.query(
+      `INSERT INTO budgets (user_id, name, period, scope, category_id, store_chain, amount, rollover)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [userId, values.name, values.period, values.scope, values.categoryId, values.storeChain, values.amount, values.rollover]
+    );
+
+    return this.getBudget(userId, result.rows[0].id);
+  }
+
+  /**
+   * Partial update; scope, category and store are validated together
+   */
+  async updateBudget(userId, budgetId, fields) {
+    const existing = await this.findBudget(userId, budgetId);
+    const values = await this.validate({
+      name: existing.name,
+      period: existing.period,
+      scope: existing.scope,
+      categoryId: existing.category_id,
+      storeChain: existing.store_chain,
+      amount: existing.amount,
+      rollover: existing.rollover,
+      ...fields
+    });
+
+    await this.pool.query(
+      `UPDATE budgets
+       SET name = $1, period = $2, scope = $3, category_id = $4, store_chain = $5,
+           amount = $6, rollover = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8`,
+      [values.name, values.period, values.scope, values.categoryId, values.storeChain, values.amount, values.rollover, budgetId]
+    );
+
+    return this.getBudget(userId, budgetId);
+  }
+
+  async deleteBudget(userId, budgetId) {
+    const result = await this.pool.query(
+      'DELETE FROM budgets WHERE id = $1 AND user_id = $2 RETURNING id',
+      [budgetId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Budget not found');
+    }
+  }
+
+  /**
+   * Compact budget status for the analytics response
+   * @param {string} userId - Current user
+   * @returns {Promise<Object>} { overBudget, budgets: [{ id, name, status, spent, limit, percentUsed }] }
+   */
+  async getStatusSummary(userId) {
+    const budgets = await this.listBudgets(userId);
+
+    return {
+      overBudget: budgets.some(budget => budget.progress.status === 'over'),
+      budgets: budgets.map(budget => ({
+        id: budget.id,
+        name: budget.name,
+        period: budget.period,
+        scope: budget.scope,
+        status: budget.progress.status,
+        spent: budget.progress.spent,
+        limit: budget.progress.limit,
+        percentUsed: budget.progress.percentUsed
+      }))
+    };
+  }
+
+  async findBudget(userId, budgetId) {
+    const result = await this.pool.query(
+      `SELECT b.*, pc.name as category_name
+       FROM budgets b
+       LEFT JOIN product_categories pc ON b.category_id = pc.id
+       WHERE b.id = $1 AND b.user_id = $2`,
+      [budgetId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Budget not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Attach current-period progress to a budget row
+   */
+  async withProgress(budget, asOf) {
+    const amount = parseFloat(budget.amount);
+    const current = BudgetService.periodBounds(budget.period, asOf);
+    const spent = await this.getSpent(budget, current);
+
+    let carriedOver = 0;
+    if (budget.rollover !== 'none') {
+      const previousEnd = new Date(`${current.start}T00:00:00Z`);
+      previousEnd.setUTCDate(previousEnd.getUTCDate() - 1);
+      const previous = BudgetService.periodBounds(budget.period, previousEnd);
+
+      // No rollover into the first period the budget existed in
+      if (new Date(budget.created_at) < new Date(`${current.start}T00:00:00Z`)) {
+        const previousSpent = await this.getSpent(budget, previous);
+        carriedOver = BudgetService.computeCarryOver(budget.rollover, amount, previousSpent);
+      }
+    }
+
+    const limit = BudgetService.roundCents(amount + carriedOver);
+    const percentUsed = limit > 0 ? Math.round((spent / limit) * 1000) / 10 : null;
+
+    return {
+      id: budget.id,
+      name: budget.name || BudgetService.defaultName(budget),
+      period: budget.period,
+      scope: budget.scope,
+      categoryId: budget.category_id,
+      categoryName: budget.category_name || null,
+      storeChain: budget.store_chain,
+      amount,
+      rollover: budget.rollover,
+      createdAt: budget.created_at,
+      progress: {
+        periodStart: current.start,
+        periodEnd: current.end,
+        spent,
+        carriedOver,
+        limit,
+        remaining: BudgetService.roundCents(limit - spent),
+        percentUsed,
+        status: BudgetService.statusFor(spent, limit)
+      }
+    };
+  }
+
+  /**
+   * Spending that counts against a budget between start (inclusive) and end (exclusive)
+   */
+  async getSpent(budget, { start, end }) {
+    let result;
+
+    if (budget.scope === 'category') {
+      result = await this.pool.query(
+        `SELECT COALESCE(SUM(ri.line_total), 0) as spent
+         FROM receipt_items ri
+         JOIN receipts r ON ri.receipt_id = r.id
+         WHERE r.user_id = $1 AND r.status = 'completed'
+           AND r.receipt_date >= $2 AND r.receipt_date < $3
+           AND ri.category_id = $4`,
+        [budget.user_id, start, end, budget.category_id]
+      );
+    } else if (budget.scope === 'store') {
+      result = await this.pool.query(
+        `SELECT COALESCE(SUM(r.total_amount), 0) as spent
+         FROM receipts r
+         JOIN stores s ON r.store_id = s.id
+         WHERE r.user_id = $1 AND r.status = 'completed'
+           AND r.receipt_date >= $2 AND r.receipt_date < $3
+           AND COALESCE(s.chain, s.name) ILIKE $4`,
+        [budget.user_id, start, end, budget.store_chain]
+      );
+    } else {
+      result = await this.pool.query(
+        `SELECT COALESCE(SUM(r.total_amount), 0) as spent
+         FROM receipts r
+         WHERE r.user_id = $1 AND r.status = 'completed'
+           AND r.receipt_date >= $2 AND r.receipt_date < $3`,
+        [budget.user_id, start, end]
+      );
+    }
+
+    return BudgetService.roundCents(parseFloat(result.rows[0].spent));
+  }
+
+  /**
+   * Check and normalize budget fields
+   */
+  async validate(values) {
+    if (!PERIODS.includes(values.period)) {
+      throw new ServiceError(400, `period must be one of: ${PERIODS.join(', ')}`);
+    }
+    if (!SCOPES.includes(values.scope)) {
+      throw new ServiceError(400, `scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (!ROLLOVER_OPTIONS.includes(values.rollover)) {
+      throw new ServiceError(400, `rollover must be one of: ${ROLLOVER_OPTIONS.join(', ')}`);
+    }
+
+    const amount = Number(values.amount);
+    if (values.amount === null || values.amount === undefined || !Number.isFinite(amount) || amount <= 0) {
+      throw new ServiceError(400, 'amount must be a positive number');
+    }
+
+    const normalized = {
+      name: values.name ? String(values.name).trim().slice(0, 100) : null,
+      period: values.period,
+      scope: values.scope,
+      categoryId: null,
+      storeChain: null,
+      amount: BudgetService.roundCents(amount),
+      rollover: values.rollover
+    };
+
+    if (values.scope === 'category') {
+      if (!values.categoryId) {
+        throw new ServiceError(400, 'categoryId is required for category budgets');
+      }
+      const category = await this.pool.query('SELECT id FROM product_categories WHERE id = $1', [values.categoryId]);
+      if (category.rows.length === 0) {
+        throw new ServiceError(400, 'categoryId does not match a product category');
+      }
+      normalized.categoryId = values.categoryId;
+    }
+
+    if (values.scope === 'store') {
+      const storeChain = values.storeChain ? String(values.storeChain).trim() : '';
+      if (!storeChain) {
+        throw new ServiceError(400, 'storeChain is required for store budgets');
+      }
+      normalized.storeChain = storeChain;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Start (inclusive) and end (exclusive) dates of the period containing date.
+   * Weeks start on Monday, matching Postgres DATE_TRUNC('week').
+   * @param {string} period - 'weekly' or 'monthly'
+   * @param {Date} date - Any date in the period
+   * @returns {Object} { start, end } as YYYY-MM-DD
+   */
+  static periodBounds(period, date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    let start;
+    let end;
+
+    if (period === 'weekly') {
+      const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+      start = new Date(day);
+      start.setUTCDate(day.getUTCDate() - daysSinceMonday);
+      end = new Date(start);
+      end.setUTCDate(start.getUTCDate() + 7);
+    } else {
+      start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+      end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+    }
+
+    const toDate = (value) => value.toISOString().split('T')[0];
+    return { start: toDate(start), end: toDate(end) };
+  }
+
+  /**
+   * Amount carried from the previous period into the current limit
+   * @param {string} rollover - 'none', 'unspent' or 'all'
+   * @param {number} amount - Base budget amount
+   * @param {number} previousSpent - Spending in the previous period
+   * @returns {number} Positive to add to the limit, negative to subtract
+   */
+  static computeCarryOver(rollover, amount, previousSpent) {
+    const leftover = BudgetService.roundCents(amount - previousSpent);
+
+    if (rollover === 'unspent') return Math.max(0, leftover);
+    if (rollover === 'all') return leftover;
+    return 0;
+  }
+
+  static statusFor(spent, limit) {
+    if (spent > limit) return 'over';
+    if (limit > 0 && spent >= limit * WARNING_RATIO) return 'warning';
+    return 'ok';
+  }
+
+  static defaultName(budget) {
+    const period = budget.period === 'weekly' ? 'Weekly' : 'Monthly';
+    if (budget.scope === 'category') return `${period} ${budget.category_name || 'category'} budget`;
+    if (budget.scope === 'store') return `${period} ${budget.store_chain} budget`;
+    return `${period} budget`;
+  }
+
+  static roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = BudgetService;
@@ -0,0 +1,14 @@
+// services/categorizer/index.js - Item categorization (rules + naive Bayes + user overrides)
+//
+// rules.json is the single list of categories: key (used by AIDataParser and
+// the LLM schema), product_categories label, custom-table type code, nutrition
+// class and keywords.
+const ItemCategorizer = require('./itemCategorizer');
+const NaiveBayesClassifier = require('./naiveBayes');
+const rules = require('./rules.json');
+
+module.exports = {
+  ItemCategorizer,
+  NaiveBayesClassifier,
+  rules
+};
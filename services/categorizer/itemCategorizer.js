@@ -0,0 +1,263 @@
+// services/categorizer/itemCategorizer.js - One place that decides an item's category
+//
+// Combines, in order of precedence:
+//   1. the user's own overrides, learned when they recategorize an item
+//   2. the curated keyword rules in rules.json
+//   3. a naive Bayes classifier trained from those rules plus every user's
+//      overrides (retrained on demand, stored in categorizer_models)
+// Results carry a confidence and the source that decided them.
+const defaultRules = require('./rules.json');
+const NaiveBayesClassifier = require('./naiveBayes');
+const PriceHistory = require('../priceHistory');
+
+const RULE_CONFIDENCE = 0.85;
+// A classifier trained on corrections may overrule a keyword rule when this sure
+const OVERRULE_CONFIDENCE = 0.9;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const DEFAULT_REFRESH_MS = 5 * 60 * 1000;
+// An override counts as this many keyword examples when training
+const OVERRIDE_WEIGHT = 3;
+const MODELS_KEPT = 10;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ItemCategorizer {
+  /**
+   * @param {Pool} [pool] - pg pool; without one only the rules and a rules-trained model are used
+   * @param {Object} [options]
+   * @param {Object} [options.rules] - Rules in the rules.json shape
+   * @param {number} [options.minConfidence] - Lowest classifier probability accepted on its own
+   * @param {number} [options.refreshMs] - How often refreshModel() rereads the stored model
+   */
+  constructor(pool = null, options = {}) {
+    this.pool = pool;
+    this.rules = options.rules || defaultRules;
+    this.minConfidence = options.minConfidence || DEFAULT_MIN_CONFIDENCE;
+    this.refreshMs = options.refreshMs || DEFAULT_REFRESH_MS;
+
+    this.categories = new Map(this.rules.categories.map(category => [category.key, category]));
+    this.keysByLabel = new Map(this.rules.categories.map(category => [category.label, category.key]));
+
+    // Longest keyword wins, so "coconut milk" is pantry and "ice cream" frozen
+    this.keywords = this.rules.categories
+      .flatMap(category => category.keywords.map(keyword => ({
+        keyword,
+        key: category.key,
+        pattern: new RegExp(`(^|[^a-z])${escapeRegExp(keyword)}(s|es)?($|[^a-z])`)
+      })))
+      .sort((a, b) => b.keyword.length - a.keyword.length);
+
+    this.model = ItemCategorizer.seedModel(this.rules);
+    this.modelVersion = null;
+    this.modelTrainedOnCorrections = false;
+    this.modelCheckedAt = 0;
+  }
+
+  get keys() {
+    return [...this.categories.keys()];
+  }
+
+  labelFor(key) {
+    return (this.categories.get(key) || this.categories.get(this.rules.defaultCategory)).label;
+  }
+
+  keyForLabel(label) {
+    return this.keysByLabel.get(label) || null;
+  }
+
+  typeCodeFor(key) {
+    return (this.categories.get(key) || this.categories.get(this.rules.defaultCategory)).typeCode;
+  }
+
+  nutritionFor(key) {
+    return (this.categories.get(key) || this.categories.get(this.rules.defaultCategory)).nutrition;
+  }
+
+  /**
+   * Categorize one item name
+   * @param {string} name - Item name as printed or corrected
+   * @param {Object} [options]
+   * @param {Map} [options.overrides] - From loadOverrides(): normalized name -> category key
+   * @returns {Object} { key, label, confidence, source: 'override'|'rules'|'classifier'|'default' }
+   */
+  categorize(name, { overrides = null } = {}) {
+    const normalized = PriceHistory.normalizeName(name);
+
+    if (overrides && overrides.has(normalized)) {
+      return this.result(overrides.get(normalized), 1, 'override');
+    }
+
+    const rule = this.matchRules(normalized);
+    const prediction = this.model ? this.model.predict(normalized) : null;
+
+    if (rule) {
+      if (prediction && prediction.label === rule) {
+        return this.result(rule, Math.max(RULE_CONFIDENCE, prediction.probability), 'rules');
+      }
+      if (prediction && this.modelTrainedOnCorrections && prediction.probability >= OVERRULE_CONFIDENCE) {
+        return this.result(prediction.label, prediction.probability, 'classifier');
+      }
+      return this.result(rule, RULE_CONFIDENCE, 'rules');
+    }
+
+    if (prediction && prediction.probability >= this.minConfidence) {
+      return this.result(prediction.label, prediction.probability, 'classifier');
+    }
+
+    return this.result(this.rules.defaultCategory, prediction ? prediction.probability : 0, 'default');
+  }
+
+  result(key, confidence, source) {
+    return { key, label: this.labelFor(key), confidence: Math.round(confidence * 1000) / 1000, source };
+  }
+
+  matchRules(normalizedName) {
+    const match = this.keywords.find(({ pattern }) => pattern.test(normalizedName));
+    return match ? match.key : null;
+  }
+
+  /**
+   * Load the latest trained model if the one in memory may be stale.
+   * A failure keeps the current model.
+   */
+  async refreshModel() {
+    if (!this.pool || Date.now() - this.modelCheckedAt < this.refreshMs) return;
+    this.modelCheckedAt = Date.now();
+
+    try {
+      const result = await this.pool.query(
+        `SELECT id, model, correction_count FROM categorizer_models
+         ORDER BY id DESC
+         LIMIT 1`
+      );
+
+      const row = result.rows[0];
+      if (row && row.id !== this.modelVersion) {
+        this.model = new NaiveBayesClassifier(row.model);
+        this.modelVersion = row.id;
+        this.modelTrainedOnCorrections = row.correction_count > 0;
+      }
+    } catch (error) {
+      console.error('Failed to load categorizer model:', error.message);
+    }
+  }
+
+  /**
+   * A user's overrides for the given item names
+   * @param {string} userId - User ID
+   * @param {Array<string>} names - Item names
+   * @returns {Promise<Map>} normalized name -> category key
+   */
+  async loadOverrides(userId, names) {
+    const overrides = new Map();
+    if (!this.pool || !userId || names.length === 0) return overrides;
+
+    const result = await this.pool.query(
+      `SELECT o.normalized_name, pc.name as category_name
+       FROM category_overrides o
+       JOIN product_categories pc ON o.category_id = pc.id
+       WHERE o.user_id = $1 AND o.normalized_name = ANY($2)`,
+      [userId, [...new Set(names.map(PriceHistory.normalizeName))]]
+    );
+
+    for (const row of result.rows) {
+      const key = this.keyForLabel(row.category_name);
+      if (key) overrides.set(row.normalized_name, key);
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Remember a user's recategorization of an item name (null categoryId forgets it)
+   * @param {Object} client - Client in the editing transaction
+   * @param {string} userId - User ID
+   * @param {string} productName - Item name
+   * @param {string|null} categoryId - product_categories.id
+   */
+  async recordOverride(client, userId, productName, categoryId) {
+    const normalized = PriceHistory.normalizeName(productName);
+    if (!normalized) return;
+
+    if (!categoryId) {
+      await client.query(
+        'DELETE FROM category_overrides WHERE user_id = $1 AND normalized_name = $2',
+        [userId, normalized]
+      );
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO category_overrides (user_id, normalized_name, category_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, normalized_name)
+       DO UPDATE SET category_id = EXCLUDED.category_id, updated_at = CURRENT_TIMESTAMP`,
+      [userId, normalized, categoryId]
+    );
+  }
+
+  /**
+   * Train a new model from the rules and every user's overrides, store it and use it
+   * @param {Object} [client] - Client to run in (e.g. an audited transaction)
+   * @returns {Promise<Object>} { version, exampleCount, correctionCount, labels }
+   */
+  async train(client = this.pool) {
+    const overrides = await client.query(
+      `SELECT o.normalized_name, pc.name as category_name
+       FROM category_overrides o
+       JOIN product_categories pc ON o.category_id = pc.id`
+    );
+
+    const model = ItemCategorizer.seedModel(this.rules);
+    let exampleCount = this.keywords.length;
+    let correctionCount = 0;
+
+    for (const row of overrides.rows) {
+      const key = this.keyForLabel(row.category_name);
+      if (!key) continue;
+      model.learn(row.normalized_name, key, OVERRIDE_WEIGHT);
+      exampleCount++;
+      correctionCount++;
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO categorizer_models (model, example_count, correction_count)
+       VALUES ($1, $2, $3)
+       RETURNING id, trained_at`,
+      [JSON.stringify(model.toJSON()), exampleCount, correctionCount]
+    );
+    await client.query(
+      `DELETE FROM categorizer_models
+       WHERE id NOT IN (SELECT id FROM categorizer_models ORDER BY id DESC LIMIT $1)`,
+      [MODELS_KEPT]
+    );
+
+    this.model = model;
+    this.modelVersion = inserted.rows[0].id;
+    this.modelTrainedOnCorrections = correctionCount > 0;
+    this.modelCheckedAt = Date.now();
+
+    return {
+      version: inserted.rows[0].id,
+      trainedAt: inserted.rows[0].trained_at,
+      exampleCount,
+      correctionCount,
+      labels: Object.fromEntries(Object.entries(model.labels).map(([label, entry]) => [label, entry.docs]))
+    };
+  }
+
+  /**
+   * Classifier trained on the rule keywords alone
+   */
+  static seedModel(rules) {
+    const model = new NaiveBayesClassifier();
+    for (const category of rules.categories) {
+      for (const keyword of category.keywords) {
+        model.learn(keyword, category.key);
+      }
+    }
+    return model;
+  }
+}
+
+module.exports = ItemCategorizer;
@@ -0,0 +1,82 @@
+// services/categorizer/naiveBayes.js - Multinomial naive Bayes over item-name tokens
+//
+// Small enough to train in-process from the rules file and user corrections
+// and to store as JSON (categorizer_models.model).
+
+class NaiveBayesClassifier {
+  /**
+   * @param {Object} [state] - Output of toJSON()
+   */
+  constructor(state = {}) {
+    this.labels = state.labels || {};
+    this.vocabulary = new Set(state.vocabulary || []);
+  }
+
+  /**
+   * Lowercase word tokens without digits, with a plural 's' dropped
+   */
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(token => token.length >= 2)
+      .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+  }
+
+  /**
+   * Add one training example
+   * @param {string} text - Item name
+   * @param {string} label - Category key
+   * @param {number} [weight] - How many times to count it
+   */
+  learn(text, label, weight = 1) {
+    const tokens = NaiveBayesClassifier.tokenize(text);
+    if (tokens.length === 0) return;
+
+    const entry = this.labels[label] || (this.labels[label] = { docs: 0, tokens: 0, counts: {} });
+    entry.docs += weight;
+
+    for (const token of tokens) {
+      entry.counts[token] = (entry.counts[token] || 0) + weight;
+      entry.tokens += weight;
+      this.vocabulary.add(token);
+    }
+  }
+
+  /**
+   * Most likely label with its posterior probability. Tokens never seen in
+   * training are ignored; a name with no known tokens has no prediction.
+   * @param {string} text - Item name
+   * @returns {Object|null} { label, probability }
+   */
+  predict(text) {
+    const tokens = NaiveBayesClassifier.tokenize(text).filter(token => this.vocabulary.has(token));
+    const labels = Object.keys(this.labels);
+    if (tokens.length === 0 || labels.length === 0) return null;
+
+    const totalDocs = labels.reduce((sum, label) => sum + this.labels[label].docs, 0);
+    const vocabularySize = this.vocabulary.size;
+
+    const scores = labels.map(label => {
+      const entry = this.labels[label];
+      let score = Math.log(entry.docs / totalDocs);
+      for (const token of tokens) {
+        score += Math.log(((entry.counts[token] || 0) + 1) / (entry.tokens + vocabularySize));
+      }
+      return { label, score };
+    });
+
+    // Softmax over log scores
+    const max = Math.max(...scores.map(entry => entry.score));
+    const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - max), 0);
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+
+    return { label: best.label, probability: 1 / total };
+  }
+
+  toJSON() {
+    return { labels: this.labels, vocabulary: [...this.vocabulary] };
+  }
+}
+
+module.exports = NaiveBayesClassifier;
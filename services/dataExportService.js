@@ -0,0 +1,337 @@
+// services/dataExportService.js - "Download my data" archives
+//
+// POST /user/export queues a data_exports row; processPending() builds a zip
+// in the background and stores it with the image storage backend under
+// exports/<userId>/<exportId>.zip. The archive holds JSON and CSV copies of
+// the user's receipts, items, stores and budgets plus the original receipt
+// images. Archives are deleted after EXPORT_TTL_DAYS.
+const path = require('path');
+const archiver = require('archiver');
+const ServiceError = require('./serviceError');
+
+const DEFAULT_TTL_DAYS = 7;
+// A running export this old was interrupted by a restart
+const STALE_MINUTES = 30;
+
+const CSV_COLUMNS = {
+  receipts: ['id', 'receipt_date', 'store_name', 'subtotal', 'tax_amount', 'total_amount', 'tax_tag', 'status', 'household_id', 'created_at'],
+  items: ['id', 'receipt_id', 'product_name', 'category', 'quantity', 'unit_price', 'line_total', 'tax_tag'],
+  stores: ['id', 'name', 'chain', 'address', 'phone'],
+  budgets: ['id', 'name', 'period', 'scope', 'category_id', 'store_chain', 'amount', 'rollover', 'created_at']
+};
+
+class DataExportService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {Object} options.imageStorage - Backend from services/imageStorage (images and archives)
+   * @param {number} [options.ttlDays] - Defaults to EXPORT_TTL_DAYS or 7
+   */
+  constructor(pool, { imageStorage, ttlDays } = {}) {
+    this.pool = pool;
+    this.imageStorage = imageStorage;
+    this.ttlDays = ttlDays || parseInt(process.env.EXPORT_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+    this.processing = null;
+  }
+
+  /**
+   * Queue an export. An export already in progress is returned instead of starting another.
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} Export row
+   */
+  async requestExport(userId) {
+    const pending = await this.pool.query(
+      `SELECT * FROM data_exports
+       WHERE user_id = $1 AND status IN ('queued', 'running')
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+
+    if (pending.rows.length > 0) {
+      return DataExportService.format(pending.rows[0]);
+    }
+
+    const result = await this.pool.query(
+      'INSERT INTO data_exports (user_id) VALUES ($1) RETURNING *',
+      [userId]
+    );
+
+    return DataExportService.format(result.rows[0]);
+  }
+
+  async listExports(userId) {
+    const result = await this.pool.query(
+      'SELECT * FROM data_exports WHERE user_id = $1 ORDER BY created_at DESC LIMIT 20',
+      [userId]
+    );
+
+    return result.rows.map(DataExportService.format);
+  }
+
+  async getExport(userId, exportId) {
+    return DataExportService.format(await this.findExport(userId, exportId));
+  }
+
+  /**
+   * Storage key of a finished archive
+   * @returns {Promise<Object>} { key, filename, sizeBytes }
+   * @throws {ServiceError} 409 while the export is being built, 410 once it has expired
+   */
+  async getDownload(userId, exportId) {
+    const row = await this.findExport(userId, exportId);
+
+    if (row.status === 'expired') {
+      throw new ServiceError(410, 'This export has expired, please request a new one');
+    }
+    if (row.status !== 'completed') {
+      throw new ServiceError(409, `Export is ${row.status}`);
+    }
+
+    const date = new Date(row.created_at).toISOString().split('T')[0];
+    return { key: row.archive_key, filename: `grocerypal-export-${date}.zip`, sizeBytes: row.size_bytes };
+  }
+
+  /**
+   * Build every queued export. Concurrent calls share the same run.
+   * @returns {Promise<number>} Number of exports processed
+   */
+  processPending() {
+    if (!this.processing) {
+      this.processing = this.drainQueue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async drainQueue() {
+    let processed = 0;
+    let job;
+
+    while ((job = await this.claimNext())) {
+      try {
+        const archive = await this.buildArchive(job.user_id);
+        const key = `exports/${job.user_id}/${job.id}.zip`;
+        await this.imageStorage.put(key, archive, 'application/zip');
+
+        await this.pool.query(
+          `UPDATE data_exports
+           SET status = 'completed', archive_key = $2, size_bytes = $3, completed_at = NOW(),
+               expires_at = NOW() + ($4 * INTERVAL '1 day')
+           WHERE id = $1`,
+          [job.id, key, archive.length, this.ttlDays]
+        );
+        console.log(`Data export ${job.id} for user ${job.user_id} completed (${archive.length} bytes)`);
+      } catch (error) {
+        console.error(`Data export ${job.id} failed:`, error);
+        await this.pool.query(
+          "UPDATE data_exports SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1",
+          [job.id, error.message]
+        );
+      }
+      processed++;
+    }
+
+    return processed;
+  }
+
+  async claimNext() {
+    const result = await this.pool.query(
+      `UPDATE data_exports
+       SET status = 'running', started_at = NOW()
+       WHERE id = (
+         SELECT id FROM data_exports
+         WHERE status = 'queued'
+         ORDER BY created_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Requeue exports left running by a restart
+   */
+  async recoverStale() {
+    const result = await this.pool.query(
+      `UPDATE data_exports SET status = 'queued', started_at = NULL
+       WHERE status = 'running' AND started_at < NOW() - ($1 * INTERVAL '1 minute')`,
+      [STALE_MINUTES]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Delete archives past their expiry
+   * @returns {Promise<number>} Number of archives removed
+   */
+  async purgeExpired() {
+    const result = await this.pool.query(
+      "SELECT id, archive_key FROM data_exports WHERE status = 'completed' AND expires_at <= NOW()"
+    );
+
+    for (const row of result.rows) {
+      await this.imageStorage.delete(row.archive_key);
+      await this.pool.query(
+        "UPDATE data_exports SET status = 'expired', archive_key = NULL WHERE id = $1",
+        [row.id]
+      );
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Zip the user's data
+   * @param {string} userId - Export owner
+   * @returns {Promise<Buffer>} Zip archive
+   */
+  async buildArchive(userId) {
+    const data = await this.collectData(userId);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', resolve);
+      archive.on('error', reject);
+    });
+
+    const json = (value) => JSON.stringify(value, null, 2);
+    archive.append(json({ exportedAt: new Date().toISOString(), ...data.account }), { name: 'account.json' });
+    archive.append(json(data.receipts), { name: 'receipts.json' });
+    archive.append(json(data.stores), { name: 'stores.json' });
+    archive.append(json(data.budgets), { name: 'budgets.json' });
+    archive.append(DataExportService.toCsv(data.receipts, CSV_COLUMNS.receipts), { name: 'receipts.csv' });
+    archive.append(DataExportService.toCsv(data.items, CSV_COLUMNS.items), { name: 'items.csv' });
+    archive.append(DataExportService.toCsv(data.stores, CSV_COLUMNS.stores), { name: 'stores.csv' });
+    archive.append(DataExportService.toCsv(data.budgets, CSV_COLUMNS.budgets), { name: 'budgets.csv' });
+
+    for (const receipt of data.receipts) {
+      if (!receipt.image_key || !(await this.imageStorage.exists(receipt.image_key))) continue;
+      const image = await this.imageStorage.get(receipt.image_key);
+      archive.append(image, { name: `images/${receipt.id}${path.extname(receipt.image_key)}` });
+    }
+
+    await archive.finalize();
+    await finished;
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Everything that goes into the archive
+   * @returns {Promise<Object>} { account, receipts (with items), items, stores, budgets }
+   */
+  async collectData(userId) {
+    const account = await this.pool.query(
+      `SELECT id, email, first_name, last_name, phone, timezone, email_verified_at, created_at, updated_at
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+
+    if (account.rows.length === 0) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const receipts = await this.pool.query(
+      `SELECT r.id, r.receipt_date, s.name as store_name, r.store_id, r.subtotal, r.tax_amount, r.total_amount,
+              r.tax_tag, r.status, r.household_id, r.image_key, r.image_filename, r.created_at, r.updated_at
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE r.user_id = $1
+       ORDER BY r.receipt_date NULLS LAST, r.created_at`,
+      [userId]
+    );
+
+    const items = await this.pool.query(
+      `SELECT ri.id, ri.receipt_id, ri.product_name, pc.name as category, ri.quantity, ri.unit_price, ri.line_total,
+              ri.tax_tag
+       FROM receipt_items ri
+       JOIN receipts r ON ri.receipt_id = r.id
+       LEFT JOIN product_categories pc ON ri.category_id = pc.id
+       WHERE r.user_id = $1
+       ORDER BY ri.receipt_id, ri.created_at`,
+      [userId]
+    );
+
+    const stores = await this.pool.query(
+      `SELECT DISTINCT s.id, s.name, s.chain, s.address, s.phone
+       FROM stores s
+       JOIN receipts r ON r.store_id = s.id
+       WHERE r.user_id = $1
+       ORDER BY s.name`,
+      [userId]
+    );
+
+    const budgets = await this.pool.query(
+      `SELECT id, name, period, scope, category_id, store_chain, amount, rollover, created_at
+       FROM budgets WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    );
+
+    const itemsByReceipt = new Map();
+    for (const item of items.rows) {
+      if (!itemsByReceipt.has(item.receipt_id)) itemsByReceipt.set(item.receipt_id, []);
+      itemsByReceipt.get(item.receipt_id).push(item);
+    }
+
+    return {
+      account: account.rows[0],
+      receipts: receipts.rows.map(receipt => ({ ...receipt, items: itemsByReceipt.get(receipt.id) || [] })),
+      items: items.rows,
+      stores: stores.rows,
+      budgets: budgets.rows
+    };
+  }
+
+  async findExport(userId, exportId) {
+    const result = await this.pool.query(
+      'SELECT * FROM data_exports WHERE id = $1 AND user_id = $2',
+      [exportId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Export not found');
+    }
+
+    return result.rows[0];
+  }
+
+  static format(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      sizeBytes: row.size_bytes,
+      error: row.status === 'failed' ? row.error : null,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  /**
+   * RFC 4180 CSV with a header row
+   * @param {Array<Object>} rows - Records
+   * @param {Array<string>} columns - Keys to include, in order
+   * @returns {string} CSV text
+   */
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = DataExportService;
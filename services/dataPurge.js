@@ -0,0 +1,113 @@
+// services/dataPurge.js - Deleting receipts and users with everything that hangs off them
+//
+// Deletes go children first so they work whatever the foreign keys say,
+// and the explicit deletes give us counts and the product IDs whose catalog
+// stats change. Callers run these inside a transaction and refresh catalog stats
+// for the returned productIds, and spending rollups for the returned userIds, afterwards.
+// Stored images are content-addressed and may be shared: callers pass the
+// returned imageKeys through unusedImageKeys() before commit and delete what
+// it returns from storage once the transaction has committed.
+
+/**
+ * Delete receipts matching a condition on `receipts r`
+ * @param {Object} client - Client in an open transaction
+ * @param {string} condition - SQL condition, e.g. 'r.user_id = $1'
+ * @param {Array} params - Parameters for the condition
+ * @returns {Promise<Object>} { receipts, receiptItems, corrections, productIds, userIds, imageKeys }
+ */
+async function deleteReceipts(client, condition, params) {
+  const matched = await client.query(`SELECT r.id FROM receipts r WHERE ${condition}`, params);
+  const receiptIds = matched.rows.map(row => row.id);
+
+  if (receiptIds.length === 0) {
+    return { receipts: 0, receiptItems: 0, corrections: 0, productIds: [], userIds: [], imageKeys: [] };
+  }
+
+  const corrections = await client.query(
+    'DELETE FROM receipt_corrections WHERE receipt_id = ANY($1::uuid[])',
+    [receiptIds]
+  );
+  const prices = await client.query(
+    'DELETE FROM product_prices WHERE receipt_id = ANY($1::uuid[]) RETURNING product_id',
+    [receiptIds]
+  );
+  const items = await client.query('DELETE FROM receipt_items WHERE receipt_id = ANY($1::uuid[])', [receiptIds]);
+  const receipts = await client.query('DELETE FROM receipts WHERE id = ANY($1::uuid[]) RETURNING user_id, image_key', [receiptIds]);
+
+  return {
+    receipts: receipts.rowCount,
+    receiptItems: items.rowCount,
+    corrections: corrections.rowCount,
+    productIds: [...new Set(prices.rows.map(row => row.product_id))],
+    userIds: [...new Set(receipts.rows.map(row => row.user_id))],
+    imageKeys: [...new Set(receipts.rows.map(row => row.image_key).filter(Boolean))]
+  };
+}
+
+/**
+ * The image keys no remaining receipt references, after deleting receipts
+ * @param {Object} client - Client in the transaction that deleted them
+ * @param {Array<string>} imageKeys - Keys of the deleted receipts
+ * @returns {Promise<Array<string>>} Keys that are safe to delete from storage
+ */
+async function unusedImageKeys(client, imageKeys) {
+  if (imageKeys.length === 0) return [];
+
+  const shared = await client.query(
+    'SELECT DISTINCT image_key FROM receipts WHERE image_key = ANY($1::text[])',
+    [imageKeys]
+  );
+  const stillUsed = new Set(shared.rows.map(row => row.image_key));
+  return imageKeys.filter(key => !stillUsed.has(key));
+}
+
+/**
+ * Delete a user and everything they own. Households nobody else belongs to
+ * are deleted too; shared ones just lose the member. Where the user was the
+ * only owner, the longest-standing remaining member becomes owner, so the
+ * household can still be managed.
+ * @param {Object} client - Client in an open transaction
+ * @param {string} userId - User to delete
+ * @returns {Promise<Object>} Receipt counts from deleteReceipts plus { users }
+ */
+async function deleteUser(client, userId) {
+  const deleted = await deleteReceipts(client, 'r.user_id = $1', [userId]);
+
+  // Corrections the user made on other people's (household) receipts
+  await client.query('DELETE FROM receipt_corrections WHERE user_id = $1', [userId]);
+
+  await client.query(
+    `DELETE FROM households h
+     WHERE EXISTS (SELECT 1 FROM household_members m WHERE m.household_id = h.id AND m.user_id = $1)
+       AND NOT EXISTS (SELECT 1 FROM household_members m WHERE m.household_id = h.id AND m.user_id <> $1)`,
+    [userId]
+  );
+
+  await client.query(
+    `UPDATE household_members m SET role = 'owner'
+     FROM (
+       SELECT DISTINCT ON (other.household_id) other.household_id, other.user_id
+       FROM household_members mine
+       JOIN household_members other ON other.household_id = mine.household_id AND other.user_id <> $1
+       WHERE mine.user_id = $1 AND mine.role = 'owner'
+         AND NOT EXISTS (
+           SELECT 1 FROM household_members o
+           WHERE o.household_id = mine.household_id AND o.user_id <> $1 AND o.role = 'owner'
+         )
+       ORDER BY other.household_id, other.joined_at, other.user_id
+     ) heir
+     WHERE m.household_id = heir.household_id AND m.user_id = heir.user_id`,
+    [userId]
+  );
+
+  await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+  const users = await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+  return { ...deleted, users: users.rowCount };
+}
+
+module.exports = {
+  deleteReceipts,
+  deleteUser,
+  unusedImageKeys
+};
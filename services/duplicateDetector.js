@@ -0,0 +1,218 @@
+// services/duplicateDetector.js - Flags receipts the user has already uploaded
+//
+// Two checks:
+//   1. On upload, the sha256 of the image bytes against the user's earlier receipts
+//      (the same photo uploaded twice never reaches OCR)
+//   2. After OCR, a fingerprint of store + date + time + total + item count
+//      (a second photo of the same paper receipt)
+// Flagged receipts get status 'duplicate' and a duplicate_of link, which keeps
+// them out of analytics until the user confirms or dismisses the flag.
+const crypto = require('crypto');
+const ServiceError = require('./serviceError');
+
+class DuplicateDetector {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {ReceiptJobQueue} [options.queue] - Used to process image duplicates the user dismisses
+   * @param {SpendingRollups} [options.rollups] - Updated when a dismissed fingerprint match is completed
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.queue = options.queue || null;
+    this.rollups = options.rollups || null;
+  }
+
+  /**
+   * Earliest non-duplicate receipt of this user with the same image bytes
+   * @param {string} userId - Uploading user
+   * @param {string} imageSha256 - sha256 of the uploaded image
+   * @param {Object} [client] - Client to run in
+   * @returns {Promise<Object|null>} { id, status, created_at } or null
+   */
+  async findImageDuplicate(userId, imageSha256, client = this.pool) {
+    const result = await client.query(
+      `SELECT id, status, created_at
+       FROM receipts
+       WHERE user_id = $1 AND image_sha256 = $2
+         AND status NOT IN ('failed', 'duplicate')
+       ORDER BY created_at
+       LIMIT 1`,
+      [userId, imageSha256]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the post-OCR fingerprint for a receipt and flag it if another receipt of
+   * the same user has the same one. Runs inside the OCR result transaction.
+   * @param {Object} client - Client in an open transaction
+   * @param {string} receiptId - Receipt that was just processed
+   * @param {Object} ocrReceipt - Normalized OCR receipt (merchant, date, time, total, items)
+   * @returns {Promise<Object|null>} The original receipt when flagged, otherwise null
+   */
+  async checkFingerprint(client, receiptId, ocrReceipt) {
+    const fingerprint = DuplicateDetector.computeFingerprint(ocrReceipt);
+
+    await client.query(
+      'UPDATE receipts SET receipt_fingerprint = $1 WHERE id = $2',
+      [fingerprint, receiptId]
+    );
+
+    if (!fingerprint) return null;
+
+    // Serialize receipts with the same fingerprint so two photos processed at
+    // the same time can't both miss each other
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [fingerprint]);
+
+    const receiptResult = await client.query(
+      'SELECT user_id, duplicate_status FROM receipts WHERE id = $1',
+      [receiptId]
+    );
+    const receipt = receiptResult.rows[0];
+
+    // The user already said this one isn't a duplicate (e.g. it is being reprocessed)
+    if (!receipt || receipt.duplicate_status === 'dismissed') return null;
+
+    const originalResult = await client.query(
+      `SELECT id, created_at
+       FROM receipts
+       WHERE user_id = $1 AND receipt_fingerprint = $2 AND id <> $3
+         AND status = 'completed'
+       ORDER BY created_at
+       LIMIT 1`,
+      [receipt.user_id, fingerprint, receiptId]
+    );
+
+    if (originalResult.rows.length === 0) return null;
+
+    const original = originalResult.rows[0];
+    await this.markDuplicate(client, receiptId, original.id, 'fingerprint');
+    console.log(`Receipt ${receiptId} flagged as duplicate of ${original.id} (fingerprint match)`);
+
+    return original;
+  }
+
+  async markDuplicate(client, receiptId, originalId, reason) {
+    await client.query(
+      `UPDATE receipts
+       SET status = 'duplicate',
+           duplicate_of = $1,
+           duplicate_reason = $2,
+           duplicate_status = 'pending',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [originalId, reason, receiptId]
+    );
+  }
+
+  /**
+   * User agrees the receipt is a duplicate. It stays out of analytics.
+   * @param {string} userId - Receipt owner
+   * @param {string} receiptId - Flagged receipt
+   * @returns {Promise<Object>} Updated receipt
+   */
+  async confirm(userId, receiptId) {
+    await this.getFlaggedReceipt(userId, receiptId);
+
+    const result = await this.pool.query(
+      `UPDATE receipts
+       SET duplicate_status = 'confirmed', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, status, duplicate_of, duplicate_reason, duplicate_status`,
+      [receiptId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * User says the receipt is not a duplicate. Fingerprint matches were already
+   * processed and become completed; image matches skipped OCR, so they are queued now.
+   * @param {string} userId - Receipt owner
+   * @param {string} receiptId - Flagged receipt
+   * @returns {Promise<Object>} Updated receipt
+   */
+  async dismiss(userId, receiptId) {
+    const flagged = await this.getFlaggedReceipt(userId, receiptId);
+    const needsProcessing = flagged.duplicate_reason === 'image';
+
+    if (needsProcessing && !this.queue) {
+      throw new Error('DuplicateDetector needs a job queue to process dismissed image duplicates');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE receipts
+         SET status = $2,
+             duplicate_of = NULL,
+             duplicate_status = 'dismissed',
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, status, duplicate_of, duplicate_reason, duplicate_status`,
+        [receiptId, needsProcessing ? 'processing' : 'completed']
+      );
+
+      if (needsProcessing) {
+        await this.queue.enqueue(receiptId, client);
+      } else if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getFlaggedReceipt(userId, receiptId) {
+    const result = await this.pool.query(
+      `SELECT id, status, duplicate_of, duplicate_reason, duplicate_status
+       FROM receipts
+       WHERE id = $1 AND user_id = $2`,
+      [receiptId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    const receipt = result.rows[0];
+    if (receipt.status !== 'duplicate') {
+      throw new ServiceError(409, 'Receipt is not flagged as a duplicate');
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Fingerprint of the facts printed on a receipt. Returns null when the OCR
+   * result is missing the date or total, since a match on the rest means little.
+   * @param {Object} ocrReceipt - { merchant, date, time, total, items }
+   * @returns {string|null} sha256 hex digest
+   */
+  static computeFingerprint(ocrReceipt) {
+    if (!ocrReceipt || !ocrReceipt.date || !ocrReceipt.total) return null;
+
+    const store = (ocrReceipt.merchant || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    // Minute precision; TabScanner sometimes includes seconds and sometimes not
+    const time = ocrReceipt.time ? String(ocrReceipt.time).slice(0, 5) : '';
+    const total = parseFloat(ocrReceipt.total).toFixed(2);
+    const itemCount = Array.isArray(ocrReceipt.items) ? ocrReceipt.items.length : 0;
+
+    return crypto
+      .createHash('sha256')
+      .update([store, ocrReceipt.date, time, total, itemCount].join('|'))
+      .digest('hex');
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,317 @@
+// services/forecastService.js - Month-end spending forecast and anomaly flags
+//
+// The forecast projects the current month (in the user's timezone) per
+// category and overall: spent so far plus the remaining days at the recent
+// daily run-rate, scaled by how this calendar month compared with an average
+// month last year. Anomalies are z-scores against the same user's (or
+// household's) own history: a receipt total against the last year of receipt
+// totals, a category's projected month against its previous twelve months.
+const AnalyticsService = require('./analyticsService');
+const SpendingRollups = require('./spendingRollups');
+
+const RUN_RATE_DAYS = 90;
+const HISTORY_MONTHS = 12;
+const SEASONALITY_RANGE = [0.5, 2];
+const DEFAULT_Z_THRESHOLD = 2.5;
+// Fewer samples than this and a z-score says more about the sample than the spending
+const MIN_RECEIPT_HISTORY = 10;
+const MIN_MONTH_HISTORY = 3;
+// Projection vs typical month that still counts as on track
+const ON_TRACK_TOLERANCE = 0.1;
+const MAX_FLAGGED_RECEIPTS = 20;
+
+class ForecastService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {HouseholdService} options.householdService - Resolves ?householdId= into a receipt scope
+   * @param {number} [options.zThreshold] - |z| at or above which something is flagged
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(pool, { householdService, zThreshold = DEFAULT_Z_THRESHOLD, now = () => new Date() } = {}) {
+    this.pool = pool;
+    this.householdService = householdService;
+    this.zThreshold = zThreshold;
+    this.now = now;
+  }
+
+  /**
+   * Projected month-end spending overall and per category
+   * @param {string} userId - Current user
+   * @param {Object} [params] - Query string: householdId
+   * @returns {Promise<Object>} { month, today, daysElapsed, daysRemaining, total, byCategory, householdId, timeZone }
+   */
+  async getForecast(userId, params = {}) {
+    const scope = await this.householdService.resolveReceiptScope(userId, params.householdId);
+    const timeZone = await AnalyticsService.loadTimeZone(this.pool, userId);
+    return this.forecastFor(scope, timeZone);
+  }
+
+  async forecastFor(scope, timeZone) {
+    const today = AnalyticsService.todayIn(timeZone, this.now());
+    const window = ForecastService.monthWindow(today);
+    const range = { from: window.historyFrom, to: today };
+
+    // Daily rollups; days are in each uploader's timezone
+    const totalFilter = SpendingRollups.filter(scope, range);
+    const totalResult = await this.pool.query(
+      `SELECT r.day::text as day, SUM(r.total_spent) as total_spent
+       FROM spending_daily_totals r
+       WHERE ${totalFilter.where}
+       GROUP BY r.day`,
+      totalFilter.values
+    );
+
+    const categoryFilter = SpendingRollups.filter(scope, range);
+    const categoryResult = await this.pool.query(
+      `SELECT pc.name as category, r.day::text as day, SUM(r.total_spent) as total_spent
+       FROM spending_daily_categories r
+       LEFT JOIN product_categories pc ON r.category_id = pc.id
+       WHERE ${categoryFilter.where}
+       GROUP BY pc.name, r.day`,
+      categoryFilter.values
+    );
+
+    const firstFilter = SpendingRollups.filter(scope, { from: null, to: today });
+    const firstResult = await this.pool.query(
+      `SELECT MIN(${firstFilter.date})::text as first_date FROM spending_daily_totals r WHERE ${firstFilter.where}`,
+      firstFilter.values
+    );
+    const historyStart = firstResult.rows[0] && firstResult.rows[0].first_date;
+
+    const series = new Map();
+    for (const row of categoryResult.rows) {
+      if (!series.has(row.category)) series.set(row.category, new Map());
+      series.get(row.category).set(row.day, parseFloat(row.total_spent) || 0);
+    }
+
+    const project = daily => this.withAnomaly(ForecastService.projectMonth(daily, { today, historyStart, ...window }));
+
+    return {
+      month: today.slice(0, 7),
+      today,
+      daysElapsed: AnalyticsService.daysBetween(window.monthStart, today) + 1,
+      daysRemaining: AnalyticsService.daysBetween(today, window.monthEnd),
+      total: project(new Map(totalResult.rows.map(row => [row.day, parseFloat(row.total_spent) || 0]))),
+      byCategory: [...series.entries()]
+        .map(([category, daily]) => ({ category, ...project(daily) }))
+        .sort((a, b) => b.projected - a.projected),
+      householdId: scope.householdId,
+      timeZone
+    };
+  }
+
+  /**
+   * Categories whose projected month is unusual, for the analytics response
+   * @returns {Promise<Array<Object>>} { category, projected, typicalMonth, anomaly }
+   */
+  async flaggedCategories(scope, timeZone) {
+    const forecast = await this.forecastFor(scope, timeZone);
+    return forecast.byCategory
+      .filter(category => category.anomaly && category.anomaly.flagged)
+      .map(({ category, projected, typicalMonth, anomaly }) => ({ category, month: forecast.month, projected, typicalMonth, anomaly }));
+  }
+
+  /**
+   * Receipts in a range whose total is unusual against the year of receipts before range.to
+   * @returns {Promise<Array<Object>>} { id, receipt_date, total_amount, store_name, anomaly }
+   */
+  async flaggedReceipts(scope, timeZone, range) {
+    const stats = await this.receiptStats(scope, timeZone, range.to);
+    if (!ForecastService.usableStats(stats, MIN_RECEIPT_HISTORY)) return [];
+
+    const filter = AnalyticsService.receiptFilter(scope, timeZone, range);
+    const mean = filter.param(stats.mean);
+    const stdDev = filter.param(stats.stdDev);
+    const result = await this.pool.query(
+      `SELECT r.id, r.receipt_date, r.total_amount, s.name as store_name
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE ${filter.where}
+         AND ABS(r.total_amount - ${mean}) / ${stdDev} >= ${filter.param(this.zThreshold)}
+       ORDER BY ABS(r.total_amount - ${mean}) DESC
+       LIMIT ${MAX_FLAGGED_RECEIPTS}`,
+      filter.values
+    );
+
+    return result.rows.map(row => ({ ...row, anomaly: this.anomaly(parseFloat(row.total_amount), stats) }));
+  }
+
+  /**
+   * How one receipt's total compares with the owner's receipts in the year before it
+   * @param {Object} receipt - receipts row (id, user_id, status, total_amount, receipt_date, created_at)
+   * @returns {Promise<Object|null>} { zScore, mean, stdDev, sampleSize, flagged, direction },
+   *   null when the receipt has no total or there is too little history
+   */
+  async receiptAnomaly(receipt) {
+    if (receipt.status !== 'completed' || receipt.total_amount === null || receipt.total_amount === undefined) {
+      return null;
+    }
+
+    const timeZone = await AnalyticsService.loadTimeZone(this.pool, receipt.user_id);
+    const receiptDay = receipt.receipt_date
+      ? ForecastService.toDay(receipt.receipt_date)
+      : AnalyticsService.todayIn(timeZone, new Date(receipt.created_at));
+    const scope = { condition: 'r.user_id = $1', param: receipt.user_id, householdId: null };
+
+    const stats = await this.receiptStats(scope, timeZone, receiptDay, receipt.id);
+    if (!ForecastService.usableStats(stats, MIN_RECEIPT_HISTORY)) return null;
+
+    return this.anomaly(parseFloat(receipt.total_amount), stats);
+  }
+
+  /**
+   * Count, mean and sample standard deviation of receipt totals in the year ending on a day
+   */
+  async receiptStats(scope, timeZone, to, excludeReceiptId = null) {
+    const from = AnalyticsService.addDays(AnalyticsService.addYears(to, -1), 1);
+    const filter = AnalyticsService.receiptFilter(scope, timeZone, { from, to });
+    const exclude = excludeReceiptId ? `AND r.id <> ${filter.param(excludeReceiptId)}` : '';
+
+    const result = await this.pool.query(
+      `SELECT COUNT(*) as count, AVG(r.total_amount) as mean, STDDEV_SAMP(r.total_amount) as std_dev
+       FROM receipts r
+       WHERE ${filter.where} AND r.total_amount IS NOT NULL ${exclude}`,
+      filter.values
+    );
+
+    const row = result.rows[0] || {};
+    return {
+      count: parseInt(row.count, 10) || 0,
+      mean: parseFloat(row.mean) || 0,
+      stdDev: parseFloat(row.std_dev) || 0
+    };
+  }
+
+  withAnomaly(projection) {
+    const { history, ...result } = projection;
+    const stats = ForecastService.stats(history);
+    result.anomaly = ForecastService.usableStats(stats, MIN_MONTH_HISTORY)
+      ? this.anomaly(projection.projected, stats)
+      : null;
+    return result;
+  }
+
+  anomaly(value, stats) {
+    const zScore = Math.round(((value - stats.mean) / stats.stdDev) * 100) / 100;
+    return {
+      zScore,
+      mean: AnalyticsService.roundCents(stats.mean),
+      stdDev: AnalyticsService.roundCents(stats.stdDev),
+      sampleSize: stats.count,
+      flagged: Math.abs(zScore) >= this.zThreshold,
+      direction: zScore >= 0 ? 'high' : 'low'
+    };
+  }
+
+  /**
+   * Project one daily series to the end of the month
+   * @param {Map} daily - YYYY-MM-DD -> amount
+   * @param {Object} options - { today, historyStart, monthStart, monthEnd, historyFrom } (from monthWindow)
+   * @returns {Object} { spentToDate, dailyRate, seasonality, projected, typicalMonth, status,
+   *   history } where history holds the full previous months the user had data for
+   */
+  static projectMonth(daily, { today, historyStart, monthStart, monthEnd }) {
+    const sumBetween = (from, to) => {
+      let total = 0;
+      for (const [day, amount] of daily) {
+        if (day >= from && day <= to) total += amount;
+      }
+      return total;
+    };
+
+    const spentToDate = sumBetween(monthStart, today);
+
+    // Run-rate over the last RUN_RATE_DAYS, or since the first receipt if that's more recent
+    let dailyRate = 0;
+    if (historyStart && historyStart <= today) {
+      const windowStart = [AnalyticsService.addDays(today, -(RUN_RATE_DAYS - 1)), historyStart].sort()[1];
+      dailyRate = sumBetween(windowStart, today) / (AnalyticsService.daysBetween(windowStart, today) + 1);
+    }
+
+    // Previous complete months the user was already uploading receipts in
+    const history = [];
+    for (let offset = HISTORY_MONTHS; offset >= 1; offset--) {
+      const start = ForecastService.addMonths(monthStart, -offset);
+      const end = AnalyticsService.addDays(ForecastService.addMonths(monthStart, -offset + 1), -1);
+      if (historyStart && historyStart <= start) history.push(sumBetween(start, end));
+    }
+
+    // This calendar month last year vs an average month; needs a full year of history
+    let seasonality = 1;
+    if (history.length === HISTORY_MONTHS) {
+      const average = history.reduce((sum, amount) => sum + amount, 0) / history.length;
+      if (average > 0 && history[0] > 0) {
+        seasonality = Math.min(SEASONALITY_RANGE[1], Math.max(SEASONALITY_RANGE[0], history[0] / average));
+      }
+    }
+
+    const daysRemaining = AnalyticsService.daysBetween(today, monthEnd);
+    const projected = AnalyticsService.roundCents(spentToDate + daysRemaining * dailyRate * seasonality);
+    const typicalMonth = history.length > 0
+      ? AnalyticsService.roundCents(history.reduce((sum, amount) => sum + amount, 0) / history.length)
+      : null;
+
+    let status = null;
+    if (typicalMonth) {
+      if (projected > typicalMonth * (1 + ON_TRACK_TOLERANCE)) status = 'above';
+      else if (projected < typicalMonth * (1 - ON_TRACK_TOLERANCE)) status = 'below';
+      else status = 'on_track';
+    }
+
+    return {
+      spentToDate: AnalyticsService.roundCents(spentToDate),
+      dailyRate: AnalyticsService.roundCents(dailyRate),
+      seasonality: Math.round(seasonality * 100) / 100,
+      projected,
+      typicalMonth,
+      status,
+      history
+    };
+  }
+
+  /**
+   * Current month bounds and where the history needed to forecast it starts
+   * @returns {Object} { monthStart, monthEnd, historyFrom }
+   */
+  static monthWindow(today) {
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const historyFrom = [ForecastService.addMonths(monthStart, -HISTORY_MONTHS), AnalyticsService.addDays(today, -(RUN_RATE_DAYS - 1))].sort()[0];
+    return {
+      monthStart,
+      monthEnd: AnalyticsService.addDays(ForecastService.addMonths(monthStart, 1), -1),
+      historyFrom
+    };
+  }
+
+  static stats(values) {
+    const count = values.length;
+    if (count < 2) return { count, mean: count ? values[0] : 0, stdDev: 0 };
+    const mean = values.reduce((sum, value) => sum + value, 0) / count;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1);
+    return { count, mean, stdDev: Math.sqrt(variance) };
+  }
+
+  static usableStats(stats, minCount) {
+    return stats.count >= minCount && stats.stdDev > 0;
+  }
+
+  /**
+   * First-of-month date shifted by whole months
+   */
+  static addMonths(monthStart, months) {
+    const [year, month] = monthStart.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().split('T')[0];
+  }
+
+  /**
+   * pg returns DATE columns as local-midnight Dates; keep the calendar day
+   */
+  static toDay(value) {
+    if (typeof value === 'string') return value.slice(0, 10);
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+}
+
+module.exports = ForecastService;
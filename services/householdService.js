@@ -0,0 +1,429 @@
+// services/householdService.js - Households that share receipts and analytics
+//
+// Roles:
+//   owner  - manage members and invites, rename or delete the household, share receipts
+//   member - share their own receipts into the household, see everything shared
+//   viewer - see everything shared, can't share
+// A receipt belongs to the user who uploaded it; receipts.household_id marks it
+// as shared. Leaving a household unshares the leaver's receipts.
+const crypto = require('crypto');
+const ServiceError = require('./serviceError');
+
+const ROLES = ['owner', 'member', 'viewer'];
+const SHARING_ROLES = ['owner', 'member'];
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class HouseholdService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {SpendingRollups} [options.rollups] - Household spending rollups, updated on (un)sharing
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.rollups = options.rollups || null;
+  }
+
+  async createHousehold(userId, fields = {}) {
+    const name = HouseholdService.validateName(fields.name);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'INSERT INTO households (name, created_by) VALUES ($1, $2) RETURNING id',
+        [name, userId]
+      );
+      const householdId = result.rows[0].id;
+
+      await client.query(
+        `INSERT INTO household_members (household_id, user_id, role) VALUES ($1, $2, 'owner')`,
+        [householdId, userId]
+      );
+
+      await client.query('COMMIT');
+      return this.getHousehold(userId, householdId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listHouseholds(userId) {
+    const result = await this.pool.query(
+      `SELECT h.id, h.name, hm.role, hm.joined_at,
+              (SELECT COUNT(*) FROM household_members m WHERE m.household_id = h.id) as member_count
+       FROM households h
+       JOIN household_members hm ON hm.household_id = h.id
+       WHERE hm.user_id = $1
+       ORDER BY hm.joined_at`,
+      [userId]
+    );
+
+    return result.rows.map(row => ({ ...row, member_count: parseInt(row.member_count, 10) }));
+  }
+
+  async getHousehold(userId, householdId) {
+    const membership = await this.requireRole(userId, householdId, ROLES);
+
+    const householdResult = await this.pool.query(
+      'SELECT id, name, created_by, created_at FROM households WHERE id = $1',
+      [householdId]
+    );
+
+    const membersResult = await this.pool.query(
+      `SELECT u.id as user_id, u.email, u.first_name, u.last_name, hm.role, hm.joined_at
+       FROM household_members hm
+       JOIN users u ON hm.user_id = u.id
+       WHERE hm.household_id = $1
+       ORDER BY hm.joined_at`,
+      [householdId]
+    );
+
+    const household = { ...householdResult.rows[0], role: membership.role, members: membersResult.rows };
+
+    if (membership.role === 'owner') {
+      const invitesResult = await this.pool.query(
+        `SELECT id, email, role, expires_at, created_at
+         FROM household_invites
+         WHERE household_id = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY created_at`,
+        [householdId]
+      );
+      household.pendingInvites = invitesResult.rows;
+    }
+
+    return household;
+  }
+
+  async renameHousehold(userId, householdId, fields = {}) {
+    await this.requireRole(userId, householdId, ['owner']);
+    const name = HouseholdService.validateName(fields.name);
+
+    await this.pool.query(
+      'UPDATE households SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [name, householdId]
+    );
+
+    return this.getHousehold(userId, householdId);
+  }
+
+  /**
+   * Delete the household. Shared receipts go back to being private (ON DELETE SET NULL).
+   */
+  async deleteHousehold(userId, householdId) {
+    await this.requireRole(userId, householdId, ['owner']);
+    await this.pool.query('DELETE FROM households WHERE id = $1', [householdId]);
+  }
+
+  /**
+   * Invite someone by email. The returned token is only shown once; just its hash is stored.
+   * @param {string} userId - Inviting owner
+   * @param {string} householdId - Household ID
+   * @param {Object} fields - { email, role: 'member' | 'viewer' }
+   * @returns {Promise<Object>} { id, email, role, expiresAt, token }
+   */
+  async createInvite(userId, householdId, fields = {}) {
+    await this.requireRole(userId, householdId, ['owner']);
+
+    const email = typeof fields.email === 'string' ? fields.email.trim().toLowerCase() : '';
+    if (!email || !email.includes('@')) {
+      throw new ServiceError(400, 'A valid email is required');
+    }
+
+    const role = fields.role || 'member';
+    if (!['member', 'viewer'].includes(role)) {
+      throw new ServiceError(400, 'role must be member or viewer');
+    }
+
+    const existing = await this.pool.query(
+      `SELECT 1 FROM household_members hm
+       JOIN users u ON hm.user_id = u.id
+       WHERE hm.household_id = $1 AND LOWER(u.email) = $2`,
+      [householdId, email]
+    );
+    if (existing.rows.length > 0) {
+      throw new ServiceError(409, 'That user is already a member of this household');
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+
+    const result = await this.pool.query(
+      `INSERT INTO household_invites (household_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [householdId, email, role, HouseholdService.hashToken(token), userId, expiresAt]
+    );
+
+    return { id: result.rows[0].id, email, role, expiresAt, token };
+  }
+
+  /**
+   * Accept an invite. It must be addressed to the joining user's email.
+   * @param {string} userId - Joining user
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} The joined household
+   */
+  async joinHousehold(userId, token) {
+    if (!token || typeof token !== 'string') {
+      throw new ServiceError(400, 'Invite token is required');
+    }
+
+    const client = await this.pool.connect();
+    let householdId;
+
+    try {
+      await client.query('BEGIN');
+
+      const inviteResult = await client.query(
+        `SELECT id, household_id, email, role
+         FROM household_invites
+         WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [HouseholdService.hashToken(token)]
+      );
+
+      if (inviteResult.rows.length === 0) {
+        throw new ServiceError(404, 'Invite is invalid or has expired');
+      }
+
+      const invite = inviteResult.rows[0];
+      const userResult = await client.query('SELECT email FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0 || userResult.rows[0].email.toLowerCase() !== invite.email) {
+        throw new ServiceError(403, 'This invite was sent to a different email address');
+      }
+
+      await client.query(
+        `INSERT INTO household_members (household_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (household_id, user_id) DO NOTHING`,
+        [invite.household_id, userId, invite.role]
+      );
+      await client.query(
+        'UPDATE household_invites SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [invite.id]
+      );
+
+      await client.query('COMMIT');
+      householdId = invite.household_id;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getHousehold(userId, householdId);
+  }
+
+  /**
+   * Leave a household. The last owner must hand over ownership first, unless they
+   * are the only member, in which case the household is deleted.
+   */
+  async leaveHousehold(userId, householdId) {
+    const membership = await this.requireRole(userId, householdId, ROLES);
+
+    if (membership.role === 'owner') {
+      const others = await this.pool.query(
+        `SELECT COUNT(*) FILTER (WHERE role = 'owner') as owners, COUNT(*) as members
+         FROM household_members
+         WHERE household_id = $1 AND user_id <> $2`,
+        [householdId, userId]
+      );
+      const { owners, members } = others.rows[0];
+
+      if (parseInt(members, 10) === 0) {
+        await this.pool.query('DELETE FROM households WHERE id = $1', [householdId]);
+        return { deleted: true };
+      }
+      if (parseInt(owners, 10) === 0) {
+        throw new ServiceError(409, 'Make another member an owner before leaving');
+      }
+    }
+
+    await this.removeMembership(householdId, userId);
+    return { deleted: false };
+  }
+
+  async updateMemberRole(userId, householdId, memberId, role) {
+    await this.requireRole(userId, householdId, ['owner']);
+
+    if (!ROLES.includes(role)) {
+      throw new ServiceError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (memberId === userId && role !== 'owner') {
+      await this.assertAnotherOwner(householdId, userId);
+    }
+
+    const result = await this.pool.query(
+      `UPDATE household_members SET role = $1
+       WHERE household_id = $2 AND user_id = $3
+       RETURNING user_id, role`,
+      [role, householdId, memberId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Member not found');
+    }
+
+    return result.rows[0];
+  }
+
+  async removeMember(userId, householdId, memberId) {
+    await this.requireRole(userId, householdId, ['owner']);
+
+    if (memberId === userId) {
+      return this.leaveHousehold(userId, householdId);
+    }
+
+    const removed = await this.removeMembership(householdId, memberId);
+    if (!removed) {
+      throw new ServiceError(404, 'Member not found');
+    }
+    return { deleted: false };
+  }
+
+  /**
+   * Share a receipt into a household, or pass null to make it private again.
+   * Only the uploader can do this, and only as an owner or member of the household.
+   */
+  async shareReceipt(userId, receiptId, householdId) {
+    const receiptResult = await this.pool.query(
+      'SELECT id FROM receipts WHERE id = $1 AND user_id = $2',
+      [receiptId, userId]
+    );
+
+    if (receiptResult.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    if (householdId) {
+      await this.requireRole(userId, householdId, SHARING_ROLES);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE receipts SET household_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, household_id`,
+        [householdId || null, receiptId]
+      );
+
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Which receipts a request covers: the user's own, or everything shared into a
+   * household they belong to. The condition uses $1 and the receipts alias r.
+   * @param {string} userId - Current user
+   * @param {string} [householdId] - ?householdId= from the request
+   * @returns {Promise<Object>} { condition, param, householdId }
+   */
+  async resolveReceiptScope(userId, householdId) {
+    if (!householdId) {
+      return { condition: 'r.user_id = $1', param: userId, householdId: null };
+    }
+
+    await this.requireRole(userId, householdId, ROLES);
+    return { condition: 'r.household_id = $1', param: householdId, householdId };
+  }
+
+  /**
+   * @returns {Promise<Object>} The user's membership row
+   * @throws {ServiceError} 404 when not a member, 403 when the role is not allowed
+   */
+  async requireRole(userId, householdId, roles) {
+    const result = await this.pool.query(
+      'SELECT household_id, user_id, role FROM household_members WHERE household_id = $1 AND user_id = $2',
+      [householdId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Household not found');
+    }
+
+    const membership = result.rows[0];
+    if (!roles.includes(membership.role)) {
+      throw new ServiceError(403, `This action requires the ${roles.join(' or ')} role`);
+    }
+
+    return membership;
+  }
+
+  async assertAnotherOwner(householdId, userId) {
+    const result = await this.pool.query(
+      `SELECT 1 FROM household_members
+       WHERE household_id = $1 AND user_id <> $2 AND role = 'owner'`,
+      [householdId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(409, 'A household needs at least one owner');
+    }
+  }
+
+  /**
+   * Remove a member and unshare the receipts they shared
+   * @returns {Promise<boolean>} Whether a membership was removed
+   */
+  async removeMembership(householdId, memberId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM household_members WHERE household_id = $1 AND user_id = $2 RETURNING user_id',
+        [householdId, memberId]
+      );
+      await client.query(
+        'UPDATE receipts SET household_id = NULL WHERE household_id = $1 AND user_id = $2',
+        [householdId, memberId]
+      );
+      if (this.rollups) {
+        await this.rollups.rebuildUser(client, memberId);
+      }
+
+      await client.query('COMMIT');
+      return result.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static validateName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+      throw new ServiceError(400, 'name is required');
+    }
+    return name.slice(0, 100);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = HouseholdService;
@@ -0,0 +1,68 @@
+// services/imageStorage/index.js - Receipt image storage
+//
+// Backends expose: name, supportsSignedUrls, put(key, buffer, contentType),
+// exists(key), get(key), getStream(key), getSignedUrl(key, expiresIn) and delete(key).
+// Keys are content-addressed (SHA-256 of the image bytes), so the same image
+// uploaded twice is stored once.
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorageBackend = require('./localStorageBackend');
+const S3StorageBackend = require('./s3StorageBackend');
+
+const BACKENDS = {
+  local: LocalStorageBackend,
+  s3: S3StorageBackend
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif'
+};
+
+/**
+ * Create the storage backend selected by name (defaults to STORAGE_BACKEND, then local)
+ * @param {string} [name] - Backend name
+ * @param {Object} [options] - Backend-specific options
+ * @returns {Object} Backend instance
+ */
+function createImageStorage(name, options = {}) {
+  const backendName = (name || process.env.STORAGE_BACKEND || 'local').toLowerCase();
+  const Backend = BACKENDS[backendName];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${backendName}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return new Backend(options);
+}
+
+/**
+ * SHA-256 hex digest of the image bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string} Hex digest
+ */
+function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Build the content-addressed key for an image, e.g. receipts/ab/ab12...ef.jpg
+ * @param {string} sha256 - Hex digest of the image bytes
+ * @param {string} [contentType] - MIME type of the image
+ * @param {string} [filename] - Original filename, used when the MIME type is unknown
+ * @returns {string} Storage key
+ */
+function buildImageKey(sha256, contentType, filename) {
+  const extension = EXTENSIONS[contentType] || path.extname(filename || '').toLowerCase() || '.jpg';
+  return `receipts/${sha256.substring(0, 2)}/${sha256}${extension}`;
+}
+
+module.exports = {
+  createImageStorage,
+  hashImage,
+  buildImageKey,
+  BACKENDS,
+  LocalStorageBackend,
+  S3StorageBackend
+};
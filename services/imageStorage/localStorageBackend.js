@@ -0,0 +1,57 @@
+// services/imageStorage/localStorageBackend.js - Stores receipt images on the local filesystem
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorageBackend {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.supportsSignedUrls = false;
+    this.root = path.resolve(options.root || process.env.UPLOAD_PATH || 'uploads');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    // Keys are generated by us, but never let one escape the upload directory
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async getStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async getSignedUrl() {
+    return null;
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.resolve(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+module.exports = LocalStorageBackend;
@@ -0,0 +1,57 @@
+// services/imageStorage/s3StorageBackend.js - Stores receipt images in an S3 bucket
+const AWS = require('aws-sdk');
+
+class S3StorageBackend {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.supportsSignedUrls = true;
+    this.bucket = options.bucket || process.env.AWS_BUCKET_NAME;
+    this.s3 = options.s3 || new AWS.S3({
+      region: options.region || process.env.AWS_REGION,
+      signatureVersion: 'v4'
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.s3.putObject({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      ServerSideEncryption: 'AES256'
+    }).promise();
+  }
+
+  async exists(key) {
+    try {
+      await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const object = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+    return object.Body;
+  }
+
+  async getStream(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  async getSignedUrl(key, expiresInSeconds = 300) {
+    return this.s3.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: expiresInSeconds
+    });
+  }
+
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+}
+
+module.exports = S3StorageBackend;
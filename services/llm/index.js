@@ -0,0 +1,43 @@
+// services/llm/index.js - LLM client used by AIDataParser
+//
+// createLLMClient() reads its settings from the environment:
+//   LLM_BASE_URL      - OpenAI-compatible API (default https://api.openai.com/v1;
+//                       e.g. http://localhost:11434/v1 for Ollama)
+//   LLM_API_KEY       - Bearer token (falls back to OPENAI_API_KEY)
+//   LLM_MODEL, LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_JSON_MODE
+//   LLM_PROMPT_COST_PER_1M, LLM_COMPLETION_COST_PER_1M - USD per million tokens
+const LLMClient = require('./llmClient');
+const { PgResponseCache, MemoryResponseCache } = require('./responseCache');
+const schemas = require('./schemas');
+
+const envInt = name => (process.env[name] === undefined || process.env[name] === '' ? undefined : parseInt(process.env[name], 10));
+const envFloat = name => parseFloat(process.env[name]) || 0;
+
+/**
+ * Create an LLM client from the environment; options override it
+ * @param {Object} [options] - See LLMClient
+ * @returns {LLMClient}
+ */
+function createLLMClient(options = {}) {
+  return new LLMClient({
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL,
+    timeoutMs: envInt('LLM_TIMEOUT_MS'),
+    maxRetries: envInt('LLM_MAX_RETRIES'),
+    jsonMode: process.env.LLM_JSON_MODE,
+    pricing: {
+      promptPer1M: envFloat('LLM_PROMPT_COST_PER_1M'),
+      completionPer1M: envFloat('LLM_COMPLETION_COST_PER_1M')
+    },
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null))
+  });
+}
+
+module.exports = {
+  createLLMClient,
+  LLMClient,
+  PgResponseCache,
+  MemoryResponseCache,
+  schemas
+};
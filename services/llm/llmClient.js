@@ -0,0 +1,234 @@
+// services/llm/llmClient.js - Client for OpenAI-compatible chat completion APIs
+//
+// Works with OpenAI and anything that speaks its /chat/completions protocol
+// (Ollama, vLLM, LM Studio, scripts/llm-stub-server.js) via the base URL.
+// Every call asks for one JSON object, validates it against the prompt's
+// schema, retries transient failures, adds token/cost usage to the caller's
+// tally and caches valid responses by prompt hash.
+const crypto = require('crypto');
+const axios = require('axios');
+const { validate } = require('./schemas');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const JSON_MODES = ['json_schema', 'json_object', 'none'];
+
+class LLMClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL, up to and including /v1
+   * @param {string} [options.apiKey] - Bearer token (local servers usually need none)
+   * @param {string} [options.model] - Model name
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   * @param {number} [options.maxRetries] - Retries for 5xx/429/network errors
+   * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled each time
+   * @param {string} [options.jsonMode] - 'json_schema', 'json_object' or 'none' (response_format sent)
+   * @param {Object} [options.pricing] - { promptPer1M, completionPer1M } in USD
+   * @param {Object} [options.cache] - Response cache (see responseCache.js)
+   * @param {Object} [options.http] - axios-compatible client
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || DEFAULT_MODEL;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.maxRetries = Number.isInteger(options.maxRetries) ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryDelayMs = Number.isInteger(options.retryDelayMs) ? options.retryDelayMs : DEFAULT_RETRY_DELAY_MS;
+    this.jsonMode = options.jsonMode || 'json_schema';
+    this.pricing = {
+      promptPer1M: (options.pricing && options.pricing.promptPer1M) || 0,
+      completionPer1M: (options.pricing && options.pricing.completionPer1M) || 0
+    };
+    this.cache = options.cache || null;
+    this.http = options.http || axios;
+
+    if (!JSON_MODES.includes(this.jsonMode)) {
+      throw new Error(`Unknown LLM JSON mode "${this.jsonMode}". Expected one of: ${JSON_MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * OpenAI needs a key; a custom base URL (local server) may not
+   */
+  isConfigured() {
+    return !!this.apiKey || this.baseUrl !== DEFAULT_BASE_URL;
+  }
+
+  /**
+   * Send a prompt and return the validated JSON response
+   * @param {string} prompt - User prompt
+   * @param {Object} options
+   * @param {Object} options.schema - { name, schema } from schemas.js
+   * @param {Object} [options.usage] - Tally from LLMClient.emptyUsage() to add this call to
+   * @returns {Promise<Object>} Parsed response
+   */
+  async complete(prompt, { schema, usage = null }) {
+    const key = this.cacheKey(prompt, schema);
+    let entry = await this.readCache(key);
+    const cached = !!entry;
+
+    if (!entry) {
+      entry = await this.request(prompt, schema);
+    }
+
+    LLMClient.recordUsage(usage, entry, cached, this.pricing);
+
+    const parsed = LLMClient.parseContent(entry.content);
+    const errors = validate(schema.schema, parsed);
+    if (errors.length > 0) {
+      throw new Error(`LLM ${schema.name} response failed validation: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    if (!cached) {
+      await this.writeCache(key, entry);
+    }
+
+    return parsed;
+  }
+
+  async request(prompt, schema) {
+    const body = {
+      model: this.model,
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: 'You extract grocery receipt data. Reply with one JSON object matching this JSON schema and nothing else:\n' +
+            JSON.stringify(schema.schema)
+        },
+        { role: 'user', content: prompt }
+      ]
+    };
+
+    if (this.jsonMode === 'json_schema') {
+      body.response_format = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema } };
+    } else if (this.jsonMode === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.post(`${this.baseUrl}/chat/completions`, body, {
+          headers,
+          timeout: this.timeoutMs
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new Error('LLM response has no message content');
+        }
+
+        return {
+          model: response.data.model || this.model,
+          content,
+          promptTokens: response.data.usage?.prompt_tokens || 0,
+          completionTokens: response.data.usage?.completion_tokens || 0
+        };
+      } catch (error) {
+        const retryable = LLMClient.isTransientError(error);
+        if (retryable && attempt < this.maxRetries) {
+          const delayMs = this.retryDelayMs * Math.pow(2, attempt);
+          console.log(`LLM request failed (${error.message}), retrying in ${delayMs}ms`);
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+          continue;
+        }
+
+        const apiError = new Error(`LLM API error: ${error.message}`);
+        apiError.statusCode = error.response?.status;
+        apiError.retryable = retryable;
+        throw apiError;
+      }
+    }
+  }
+
+  cacheKey(prompt, schema) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.baseUrl, this.model, schema.name, schema.schema, prompt]))
+      .digest('hex');
+  }
+
+  // A broken cache must never stop enrichment; it only costs a model call
+  async readCache(key) {
+    if (!this.cache) return null;
+
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      console.error('LLM cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async writeCache(key, entry) {
+    if (!this.cache) return;
+
+    try {
+      await this.cache.set(key, entry);
+    } catch (error) {
+      console.error('LLM cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Parse a message body, tolerating a ```json fence around it
+   */
+  static parseContent(content) {
+    const unfenced = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+      return JSON.parse(unfenced);
+    } catch (error) {
+      throw new Error('LLM response is not valid JSON');
+    }
+  }
+
+  /**
+   * Same rule as the OCR provider: 5xx/429, timeouts and network errors
+   */
+  static isTransientError(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status >= 500 || status === 429;
+    }
+
+    if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code)) {
+      return true;
+    }
+
+    return !!error.request || /timeout/i.test(error.message);
+  }
+
+  static emptyUsage() {
+    return { calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+  }
+
+  /**
+   * Add one call to a usage tally. Cache hits count as calls but cost nothing.
+   */
+  static recordUsage(usage, entry, cached, pricing) {
+    if (!usage) return;
+
+    usage.calls++;
+    if (cached) {
+      usage.cachedCalls++;
+      return;
+    }
+
+    usage.promptTokens += entry.promptTokens;
+    usage.completionTokens += entry.completionTokens;
+    const cost = (entry.promptTokens * pricing.promptPer1M + entry.completionTokens * pricing.completionPer1M) / 1e6;
+    usage.costUsd = Math.round((usage.costUsd + cost) * 1e6) / 1e6;
+  }
+}
+
+LLMClient.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = LLMClient;
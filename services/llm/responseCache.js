@@ -0,0 +1,56 @@
+// services/llm/responseCache.js - Stores LLM responses by prompt hash
+//
+// Re-processing or re-parsing a receipt sends the same prompts again; a cache
+// hit returns the stored response instead of calling (and paying for) the
+// model. Both caches expose get(key) and set(key, entry).
+
+class PgResponseCache {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async get(key) {
+    const result = await this.pool.query(
+      `UPDATE llm_response_cache
+       SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP
+       WHERE cache_key = $1
+       RETURNING model, content, prompt_tokens, completion_tokens`,
+      [key]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      model: row.model,
+      content: row.content,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens
+    };
+  }
+
+  async set(key, entry) {
+    await this.pool.query(
+      `INSERT INTO llm_response_cache (cache_key, model, content, prompt_tokens, completion_tokens)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (cache_key) DO NOTHING`,
+      [key, entry.model, entry.content, entry.promptTokens, entry.completionTokens]
+    );
+  }
+}
+
+class MemoryResponseCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+}
+
+module.exports = { PgResponseCache, MemoryResponseCache };
@@ -0,0 +1,134 @@
+// services/llm/schemas.js - JSON schemas for AIDataParser prompts and a small validator
+//
+// Item categories come from the categorizer's rules.json. The validator
+// covers the subset of JSON Schema these prompts use: type (including
+// 'integer', 'null' and type arrays), enum, required, properties, items,
+// minimum and maximum.
+
+const categoryRules = require('../categorizer/rules.json');
+
+const CATEGORIES = categoryRules.categories.map(category => category.key);
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const STORE_SCHEMA = {
+  name: 'store_enhancement',
+  schema: {
+    type: 'object',
+    required: ['normalized_name', 'chain', 'store_type'],
+    properties: {
+      normalized_name: { type: 'string' },
+      chain: { type: 'string' },
+      store_type: { type: 'string', enum: ['grocery', 'pharmacy', 'restaurant', 'convenience', 'department', 'specialty'] },
+      location_type: { type: ['string', 'null'], enum: ['urban', 'suburban', 'rural', 'mall', 'standalone', null] },
+      known_for: stringList,
+      price_range: { type: ['string', 'null'], enum: ['budget', 'mid-range', 'premium', null] }
+    }
+  }
+};
+
+const ITEMS_SCHEMA = {
+  name: 'item_categorization',
+  schema: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'category'],
+          properties: {
+            name: { type: 'string' },
+            standardized_name: nullableString,
+            category: { type: 'string', enum: CATEGORIES },
+            subcategory: nullableString,
+            brand: nullableString,
+            product_type: nullableString,
+            dietary_tags: stringList,
+            nutrition_category: { type: ['string', 'null'], enum: ['healthy', 'neutral', 'unhealthy', null] },
+            size_info: nullableString
+          }
+        }
+      }
+    }
+  }
+};
+
+const INSIGHTS_SCHEMA = {
+  name: 'shopping_insights',
+  schema: {
+    type: 'object',
+    required: ['shopping_category', 'estimated_people'],
+    properties: {
+      meal_type: nullableString,
+      cuisine_type: nullableString,
+      dietary_flags: stringList,
+      shopping_category: { type: 'string', enum: ['grocery', 'quick-meal', 'dining', 'convenience', 'bulk-shopping'] },
+      estimated_people: { type: 'integer', minimum: 1 },
+      health_score: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
+      sustainability_score: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
+      budget_category: { type: ['string', 'null'], enum: ['budget', 'moderate', 'premium', null] },
+      shopping_pattern: nullableString
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - JSON schema (subset, see above)
+ * @param {*} value - Parsed response
+ * @param {string} [path] - Location reported in errors
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+function validate(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path} should be ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, index) => errors.push(...validate(schema.items, entry, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  STORE_SCHEMA,
+  ITEMS_SCHEMA,
+  INSIGHTS_SCHEMA,
+  validate
+};
@@ -0,0 +1,26 @@
+// services/mailer/consoleTransport.js - Prints outgoing mail to the server log (development)
+const crypto = require('crypto');
+
+class ConsoleTransport {
+  constructor(options = {}) {
+    this.name = 'console';
+    this.from = options.from || process.env.MAIL_FROM || 'GroceryPal <no-reply@grocerypal.local>';
+    this.log = options.log || console.log;
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    this.log([
+      '----- Outgoing email -----',
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text,
+      '--------------------------'
+    ].join('\n'));
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,28 @@
+// services/mailer/fileTransport.js - Writes outgoing mail to JSON files (development and tests)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.from = options.from || process.env.MAIL_FROM || 'GroceryPal <no-reply@grocerypal.local>';
+    this.directory = path.resolve(options.directory || process.env.MAIL_OUTPUT_PATH || 'mail-outbox');
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date().toISOString();
+    const filePath = path.join(this.directory, `${sentAt.replace(/[:.]/g, '-')}_${messageId}.json`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ messageId, from: this.from, to, subject, text, sentAt }, null, 2)
+    );
+
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,54 @@
+// services/mailer/index.js - Outgoing email transports
+//
+// Every transport exposes the same small interface:
+//   name                          - identifier used in MAIL_TRANSPORT
+//   send({ to, subject, text })   - resolves with { messageId }
+//
+// smtp sends real mail; console and file are for development and keep
+// messages (with their links) on the machine running the server.
+const SmtpTransport = require('./smtpTransport');
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  console: ConsoleTransport,
+  file: FileTransport
+};
+
+/**
+ * Create the mail transport selected by name (defaults to MAIL_TRANSPORT). Outside
+ * production an unset MAIL_TRANSPORT means console; in production a transport must
+ * be named, and console is refused because it would put reset links in the log.
+ * @param {string} [name] - Transport name
+ * @param {Object} [options] - Transport-specific options
+ * @returns {Object} Transport instance
+ */
+function createMailer(name, options = {}) {
+  const production = process.env.NODE_ENV === 'production';
+  const configured = name || process.env.MAIL_TRANSPORT;
+
+  if (!configured && production) {
+    throw new Error(`MAIL_TRANSPORT must be set in production. Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  const transportName = (configured || 'console').toLowerCase();
+  const Transport = TRANSPORTS[transportName];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport "${transportName}". Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  if (transportName === 'console' && production) {
+    throw new Error('The console mail transport prints account links to the log and cannot be used in production');
+  }
+
+  return new Transport(options);
+}
+
+module.exports = {
+  createMailer,
+  TRANSPORTS,
+  SmtpTransport,
+  ConsoleTransport,
+  FileTransport
+};
@@ -0,0 +1,33 @@
+// services/mailer/smtpTransport.js - Sends mail through an SMTP server (nodemailer)
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.from = options.from || process.env.MAIL_FROM || 'GroceryPal <no-reply@grocerypal.local>';
+
+    const host = options.host || process.env.SMTP_HOST;
+    if (!host) {
+      throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+    }
+
+    const port = parseInt(options.port || process.env.SMTP_PORT, 10) || 587;
+    const user = options.user || process.env.SMTP_USER;
+    const pass = options.pass || process.env.SMTP_PASS;
+
+    this.transporter = options.transporter || nodemailer.createTransport({
+      host,
+      port,
+      // Port 465 is implicit TLS; other ports upgrade with STARTTLS
+      secure: options.secure !== undefined ? options.secure : port === 465,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.transporter.sendMail({ from: this.from, to, subject, text });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,221 @@
+// services/migrator.js - Versioned schema migrations
+//
+// migrations/ holds numbered modules (001_initial_schema.js, ...) exporting
+// up(client) and down(client). Applied versions are recorded in
+// schema_migrations; each migration runs in its own transaction together with
+// that bookkeeping, so a failed migration leaves nothing half-applied.
+// A session advisory lock keeps two deploys from migrating at once.
+//
+// `npm run migrate` applies pending migrations, `npm run migrate:status` lists
+// them and `npm run migrate:rollback [steps]` reverts the latest ones. The API
+// server and worker refuse to start while migrations are pending.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILENAME_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Arbitrary constant shared by every process running migrations
+const LOCK_KEY = 74201;
+
+class Migrator {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Defaults to migrations/ at the repository root
+   * @param {Array<Object>} [options.migrations] - { version, name, up, down } instead of reading the directory
+   */
+  constructor(pool, { directory = MIGRATIONS_DIR, migrations } = {}) {
+    this.pool = pool;
+    this.directory = directory;
+    this.migrations = migrations ? Migrator.sort(migrations) : null;
+  }
+
+  /**
+   * Migrations on disk, oldest first
+   * @returns {Array<Object>} { version, name, up, down }
+   */
+  load() {
+    if (this.migrations) {
+      return this.migrations;
+    }
+
+    const migrations = [];
+    for (const filename of fs.readdirSync(this.directory)) {
+      const match = filename.match(FILENAME_PATTERN);
+      if (!match) continue;
+
+      const migration = require(path.join(this.directory, filename));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${filename} must export up(client) and down(client)`);
+      }
+
+      migrations.push({ version: parseInt(match[1], 10), name: match[2], up: migration.up, down: migration.down });
+    }
+
+    this.migrations = Migrator.sort(migrations);
+    return this.migrations;
+  }
+
+  async ensureTable(client = this.pool) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async appliedVersions(client = this.pool) {
+    await this.ensureTable(client);
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  /**
+   * Every known migration with whether it has been applied. Versions recorded
+   * in the database without a file (e.g. after checking out an older commit)
+   * are listed with missing: true.
+   * @returns {Promise<Array<Object>>} { version, name, appliedAt, pending, missing }
+   */
+  async status() {
+    const applied = new Map((await this.appliedVersions()).map(row => [row.version, row]));
+    const migrations = this.load();
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+      pending: !applied.has(migration.version),
+      missing: false
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const row of applied.values()) {
+      if (!known.has(row.version)) {
+        rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, pending: false, missing: true });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  async pending() {
+    const applied = new Set((await this.appliedVersions()).map(row => row.version));
+    return this.load().filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Apply every pending migration in order
+   * @returns {Promise<Array<Object>>} Migrations applied by this call
+   */
+  async migrate() {
+    return this.withLock(async (client) => {
+      const applied = new Set((await this.appliedVersions(client)).map(row => row.version));
+      const done = [];
+
+      for (const migration of this.load()) {
+        if (applied.has(migration.version)) continue;
+
+        console.log(`Applying migration ${Migrator.label(migration)}...`);
+        await this.inTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+        });
+        done.push(migration);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {number} [steps] - How many to revert, default 1
+   * @returns {Promise<Array<Object>>} Migrations reverted, newest first
+   */
+  async rollback(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
+    return this.withLock(async (client) => {
+      const applied = (await this.appliedVersions(client)).reverse().slice(0, steps);
+      const byVersion = new Map(this.load().map(migration => [migration.version, migration]));
+      const done = [];
+
+      for (const row of applied) {
+        const migration = byVersion.get(row.version);
+        if (!migration) {
+          throw new Error(`Cannot roll back migration ${row.version}_${row.name}: its file is missing`);
+        }
+
+        console.log(`Reverting migration ${Migrator.label(migration)}...`);
+        await this.inTransaction(client, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+        done.push(migration);
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Throw unless the database schema is current. Called before the server starts.
+   */
+  async assertUpToDate() {
+    const pending = await this.pending();
+    if (pending.length > 0) {
+      throw new Error(
+        `Database has ${pending.length} pending migration(s): ${pending.map(Migrator.label).join(', ')}. ` +
+        'Run `npm run migrate` first.'
+      );
+    }
+  }
+
+  async withLock(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        return await work(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async inTransaction(client, work) {
+    await client.query('BEGIN');
+    try {
+      await work();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  static sort(migrations) {
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].version === sorted[i - 1].version) {
+        throw new Error(`Duplicate migration version ${sorted[i].version}`);
+      }
+    }
+    return sorted;
+  }
+
+  static label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,43 @@
+// services/ocrProviders/index.js - OCR provider registry
+//
+// Every provider exposes the same small interface:
+//   name          - identifier used in OCR_PROVIDER
+//   format        - 'tabscanner' (TabScanner JSON) or 'text' (plain OCR text)
+//   isConfigured()- whether the provider has what it needs to run
+//   recognize(imageBuffer, filename) - resolves with the raw provider payload
+//
+// OCRService turns the raw payload into the normalized receipt shape.
+const TabScannerProvider = require('./tabScannerProvider');
+const TesseractProvider = require('./tesseractProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  tabscanner: TabScannerProvider,
+  tesseract: TesseractProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Create the OCR provider selected by name (defaults to OCR_PROVIDER, then TabScanner)
+ * @param {string} [name] - Provider name
+ * @param {Object} [options] - Provider-specific options
+ * @returns {Object} Provider instance
+ */
+function createOCRProvider(name, options = {}) {
+  const providerName = (name || process.env.OCR_PROVIDER || 'tabscanner').toLowerCase();
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown OCR provider "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  createOCRProvider,
+  PROVIDERS,
+  TabScannerProvider,
+  TesseractProvider,
+  FixtureProvider
+};
@@ -0,0 +1,132 @@
+// services/ocrProviders/tabScannerProvider.js - TabScanner cloud OCR adapter
+const axios = require('axios');
+const FormData = require('form-data');
+
+class TabScannerProvider {
+  constructor(options = {}) {
+    this.name = 'tabscanner';
+    this.format = 'tabscanner';
+    this.apiKey = options.apiKey || process.env.TABSCANNER_API_KEY;
+    this.apiBase = options.apiBase || process.env.TABSCANNER_BASE_URL || 'https://api.tabscanner.com';
+    this.baseURL = `${this.apiBase}/api/2/process`;
+    this.pollInterval = options.pollInterval || 3000;
+    this.maxAttempts = options.maxAttempts || 20; // Try for up to 60 seconds
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Upload a receipt to TabScanner and poll until the result is ready
+   * @param {Buffer} imageBuffer - Image file buffer
+   * @param {string} filename - Original filename
+   * @returns {Promise<Object>} Raw TabScanner result payload
+   */
+  async recognize(imageBuffer, filename) {
+    console.log('TabScannerProvider: Starting TabScanner API processing for file:', filename);
+
+    try {
+      // Step 1: Upload receipt for processing
+      console.log('TabScannerProvider: Step 1 - Uploading receipt to TabScanner...');
+      console.log('TabScannerProvider: Using endpoint:', this.baseURL);
+
+      const formData = new FormData();
+      formData.append('file', imageBuffer, {
+        filename: filename,
+        contentType: 'image/jpeg'
+      });
+      formData.append('documentType', 'receipt');
+
+      const uploadResponse = await axios.post(this.baseURL, formData, {
+        headers: {
+          'apikey': this.apiKey, // Use correct header name (lowercase)
+          ...formData.getHeaders()
+        },
+        timeout: 30000,
+        maxContentLength: 10 * 1024 * 1024,
+      });
+
+      console.log('TabScannerProvider: Upload response:', uploadResponse.data);
+
+      if (!uploadResponse.data.success || !uploadResponse.data.token) {
+        throw new Error(`Upload failed: ${uploadResponse.data.message || 'Unknown error'}`);
+      }
+
+      const token = uploadResponse.data.token;
+      console.log('TabScannerProvider: Upload successful, token:', token);
+
+      // Step 2: Poll for results
+      console.log('TabScannerProvider: Step 2 - Polling for processing results...');
+
+      const resultUrl = `${this.apiBase}/api/result/${token}`;
+      let attempts = 0;
+
+      while (attempts < this.maxAttempts) {
+        attempts++;
+
+        // Wait before checking (except first attempt)
+        if (attempts > 1) {
+          await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+
+        console.log(`TabScannerProvider: Checking results (attempt ${attempts}/${this.maxAttempts})...`);
+
+        const resultResponse = await axios.get(resultUrl, {
+          headers: { 'apikey': this.apiKey },
+          timeout: 15000
+        });
+
+        const data = resultResponse.data;
+        console.log(`TabScannerProvider: Result status: ${data.status}`);
+
+        if (data.status === 'done' && data.result) {
+          console.log('TabScannerProvider: Processing complete!');
+          return data;
+        } else if (data.status === 'pending') {
+          continue;
+        } else if (data.status === 'error' || data.status === 'failed') {
+          throw new Error(`Processing failed: ${data.message || 'Unknown error'}`);
+        }
+      }
+
+      throw new Error('Processing timeout - results not available after polling');
+
+    } catch (error) {
+      console.error('TabScannerProvider: TabScanner API error:', error.message);
+
+      if (error.response) {
+        console.error('TabScannerProvider: API Error Status:', error.response.status);
+        console.error('TabScannerProvider: API Error Data:', JSON.stringify(error.response.data, null, 2));
+      } else if (error.request) {
+        console.error('TabScannerProvider: No response received from TabScanner API');
+      }
+
+      const apiError = new Error(`TabScanner API Error: ${error.message}`);
+      apiError.statusCode = error.response?.status;
+      apiError.retryable = TabScannerProvider.isTransientError(error);
+      throw apiError;
+    }
+  }
+
+  /**
+   * 5xx/429 responses, timeouts and network failures are worth retrying;
+   * 4xx responses and rejected uploads are not.
+   * @param {Error} error - Error raised while talking to TabScanner
+   * @returns {boolean} Whether a retry may succeed
+   */
+  static isTransientError(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status >= 500 || status === 429;
+    }
+
+    if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code)) {
+      return true;
+    }
+
+    return !!error.request || /timeout/i.test(error.message);
+  }
+}
+
+module.exports = TabScannerProvider;
@@ -0,0 +1,59 @@
+// services/ocrProviders/tesseractProvider.js - Local Tesseract CLI OCR adapter
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class TesseractProvider {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.format = 'text';
+    this.binary = options.binary || process.env.TESSERACT_PATH || 'tesseract';
+    this.language = options.language || process.env.TESSERACT_LANG || 'eng';
+    this.timeout = options.timeout || 60000;
+  }
+
+  isConfigured() {
+    return !!this.binary;
+  }
+
+  /**
+   * Run the local tesseract binary over the image and return its plain text output
+   * @param {Buffer} imageBuffer - Image file buffer
+   * @param {string} filename - Original filename
+   * @returns {Promise<Object>} Raw text payload ({ text, engine })
+   */
+  async recognize(imageBuffer, filename) {
+    console.log('TesseractProvider: Running local OCR for file:', filename);
+
+    const extension = path.extname(filename || '') || '.jpg';
+    const imagePath = path.join(os.tmpdir(), `grocerypal-ocr-${uuidv4()}${extension}`);
+
+    await fs.promises.writeFile(imagePath, imageBuffer);
+
+    try {
+      const text = await new Promise((resolve, reject) => {
+        execFile(
+          this.binary,
+          [imagePath, 'stdout', '-l', this.language, '--psm', '4'],
+          { timeout: this.timeout, maxBuffer: 5 * 1024 * 1024 },
+          (error, stdout, stderr) => {
+            if (error) {
+              return reject(new Error(`Tesseract failed: ${stderr || error.message}`));
+            }
+            resolve(stdout);
+          }
+        );
+      });
+
+      console.log('TesseractProvider: Extracted', text.length, 'characters of text');
+
+      return { text, engine: 'tesseract', language: this.language };
+    } finally {
+      fs.promises.unlink(imagePath).catch(() => {});
+    }
+  }
+}
+
+module.exports = TesseractProvider;
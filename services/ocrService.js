@@ -1,128 +1,74 @@
-// services/ocrService.js - TabScanner OCR Integration with Debug Logging
-const axios = require('axios');
-const FormData = require('form-data');
+// services/ocrService.js - Provider-agnostic OCR with TabScanner response normalization
+const { createOCRProvider } = require('./ocrProviders');
+
+// Bump whenever parsing changes what is extracted from a payload; receipts
+// parsed by an older version are picked up by `npm run reparse-receipts`
+const PARSER_VERSION = 1;
 
 class OCRService {
-  constructor() {
-    this.apiKey = process.env.TABSCANNER_API_KEY;
-    this.baseURL = 'https://api.tabscanner.com/api/2/process';
-    
-    // Debug environment variables
-    console.log('OCRService: Environment variable debugging:');
-    console.log('  - NODE_ENV:', process.env.NODE_ENV);
-    console.log('  - TABSCANNER_API_KEY available:', !!process.env.TABSCANNER_API_KEY);
-    console.log('  - All env vars starting with "TAB":', Object.keys(process.env).filter(key => key.startsWith('TAB')));
-    console.log('  - API key value (first 10 chars):', this.apiKey ? this.apiKey.substring(0, 10) + '...' : 'NOT FOUND');
-    
-    if (!this.apiKey) {
-      throw new Error('TABSCANNER_API_KEY environment variable is required');
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - Provider instance to use instead of OCR_PROVIDER
+   * @param {string} [options.providerName] - Provider name to use instead of OCR_PROVIDER
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createOCRProvider(options.providerName, options);
+    this.providerName = this.provider.name;
+    this.parserVersion = PARSER_VERSION;
+
+    if (this.provider.isConfigured()) {
+      console.log(`OCRService: Using "${this.providerName}" OCR provider`);
+    } else {
+      // Don't throw here - the server should still boot and report a useful error per receipt
+      console.warn(`OCRService: "${this.providerName}" OCR provider is not configured; receipt processing will fail`);
     }
-    
-    console.log('OCRService: TabScanner API initialized with key:', this.apiKey.substring(0, 10) + '...');
   }
 
   /**
-   * Process receipt image using TabScanner OCR
+   * Process receipt image using the configured OCR provider
    * @param {Buffer} imageBuffer - Image file buffer
    * @param {string} filename - Original filename
-   * @returns {Promise<Object>} OCR results
+   * @returns {Promise<Object>} Normalized OCR results ({ success, confidence, rawText, receipt, rawData, provider, format })
    */
   async processReceipt(imageBuffer, filename) {
-    console.log('OCRService: Starting TabScanner API processing for file:', filename);
+    console.log(`OCRService: Processing ${filename} with "${this.providerName}" provider`);
     console.log('OCRService: Image buffer size:', imageBuffer.length, 'bytes');
 
-    try {
-      // Step 1: Upload receipt for processing
-      console.log('OCRService: Step 1 - Uploading receipt to TabScanner...');
-      console.log('OCRService: API Key length:', this.apiKey ? this.apiKey.length : 'NO KEY');
-      console.log('OCRService: Using endpoint:', this.baseURL);
-      
-      const formData = new FormData();
-      formData.append('file', imageBuffer, {
-        filename: filename,
-        contentType: 'image/jpeg'
-      });
-      formData.append('documentType', 'receipt');
-      
-      console.log('OCRService: FormData prepared, sending request...');
-      
-      const uploadResponse = await axios.post(this.baseURL, formData, {
-        headers: {
-          'apikey': this.apiKey, // Use correct header name (lowercase)
-          ...formData.getHeaders()
-        },
-        timeout: 30000,
-        maxContentLength: 10 * 1024 * 1024,
-      });
+    if (!this.provider.isConfigured()) {
+      throw new Error(`OCR provider "${this.providerName}" is not configured`);
+    }
 
-      console.log('OCRService: Upload response:', uploadResponse.data);
+    const rawResponse = await this.provider.recognize(imageBuffer, filename);
+    const result = this.normalizeProviderResponse(rawResponse);
+    result.provider = this.providerName;
+    result.format = this.provider.format;
 
-      if (!uploadResponse.data.success || !uploadResponse.data.token) {
-        throw new Error(`Upload failed: ${uploadResponse.data.message || 'Unknown error'}`);
-      }
+    return result;
+  }
 
-      const token = uploadResponse.data.token;
-      console.log('OCRService: Upload successful, token:', token);
+  /**
+   * Convert a raw provider payload into the standardized OCR result
+   * @param {Object} rawResponse - Payload returned by provider.recognize()
+   * @returns {Object} Standardized OCR results
+   */
+  normalizeProviderResponse(rawResponse) {
+    return this.parsePayload(rawResponse, this.provider.format);
+  }
 
-      // Step 2: Poll for results
-      console.log('OCRService: Step 2 - Polling for processing results...');
-      
-      const resultUrl = `https://api.tabscanner.com/api/result/${token}`;
-      let attempts = 0;
-      const maxAttempts = 20; // Try for up to 60 seconds
-      
-      while (attempts < maxAttempts) {
-        attempts++;
-        
-        // Wait before checking (except first attempt)
-        if (attempts > 1) {
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        }
-        
-        console.log(`OCRService: Checking results (attempt ${attempts}/${maxAttempts})...`);
-        
-        const resultResponse = await axios.get(resultUrl, {
-          headers: { 'apikey': this.apiKey },
-          timeout: 15000
-        });
-        
-        const data = resultResponse.data;
-        console.log(`OCRService: Result status: ${data.status}`);
-        
-        if (data.status === 'done' && data.result) {
-          console.log('OCRService: Processing complete! Parsing results...');
-          return this.parseTabScannerResponse(data);
-        } else if (data.status === 'pending') {
-          console.log('OCRService: Still processing, waiting...');
-          continue;
-        } else if (data.status === 'error' || data.status === 'failed') {
-          throw new Error(`Processing failed: ${data.message || 'Unknown error'}`);
-        }
-      }
-      
-      throw new Error('Processing timeout - results not available after polling');
-      
-    } catch (error) {
-      console.error('OCRService: TabScanner API error:', error.message);
-      console.error('OCRService: Error name:', error.name);
-      console.error('OCRService: Error code:', error.code);
-      
-      if (error.response) {
-        console.error('OCRService: API Error Status:', error.response.status);
-        console.error('OCRService: API Error Headers:', error.response.headers);
-        console.error('OCRService: API Error Data:', JSON.stringify(error.response.data, null, 2));
-      } else if (error.request) {
-        console.error('OCRService: No response received from TabScanner API');
-        console.error('OCRService: Request details:', error.request);
-      } else {
-        console.error('OCRService: Error setting up request:', error.message);
-      }
-      
-      // Don't fall back to mock data - throw the error so it can be handled properly
-      throw new Error(`TabScanner API Error: ${error.message}`);
+  /**
+   * Parse a raw payload of the given format. Also used to re-parse payloads
+   * stored in receipt_ocr_payloads without calling the provider again.
+   * @param {Object} rawResponse - Raw provider payload
+   * @param {string} format - 'tabscanner' or 'text'
+   * @returns {Object} Standardized OCR results
+   */
+  parsePayload(rawResponse, format) {
+    if (format === 'text') {
+      return this.parseRawTextResponse(rawResponse);
     }
-  }
 
+    return this.parseTabScannerResponse(rawResponse);
+  }
 
   /**
    * Parse TabScanner response into standardized format
@@ -396,7 +342,7 @@ class OCRService {
     console.log('OCRService: Extracting data from raw text...');
 
     // Extract total amount (look for patterns like "TOTAL $XX.XX")
-    const totalMatch = text.match(/total[:\s]*\$?(\d+\.?\d*)/i);
+    const totalMatch = text.match(/\btotal[:\s]*\$?(\d+\.?\d*)/i);
     if (totalMatch) {
       result.receipt.total = parseFloat(totalMatch[1]);
       console.log('OCRService: Extracted total from text:', result.receipt.total);
@@ -421,6 +367,88 @@ class OCRService {
     console.log('OCRService: Extracted merchant from text:', result.receipt.merchant);
   }
 
+  /**
+   * Parse a plain-text OCR payload (e.g. local Tesseract) into standardized format
+   * @param {Object} textData - Raw text payload ({ text })
+   * @returns {Object} Standardized OCR results
+   */
+  parseRawTextResponse(textData) {
+    console.log('OCRService: Parsing plain text OCR response...');
+
+    const result = {
+      success: true,
+      confidence: 0,
+      rawText: (textData && textData.text) || '',
+      receipt: {
+        merchant: null,
+        address: null,
+        phone: null,
+        date: null,
+        time: null,
+        total: null,
+        tax: null,
+        subtotal: null,
+        items: []
+      },
+      rawData: textData
+    };
+
+    if (!result.rawText.trim()) {
+      result.success = false;
+      return result;
+    }
+
+    this.extractFromRawText(result);
+    result.receipt.items = this.extractItemsFromText(result.rawText);
+
+    const subtotalMatch = result.rawText.match(/sub\s*-?\s*total[:\s]*\$?(\d+\.\d{2})/i);
+    if (subtotalMatch) {
+      result.receipt.subtotal = parseFloat(subtotalMatch[1]);
+    } else if (result.receipt.items.length > 0) {
+      result.receipt.subtotal = result.receipt.items.reduce((sum, item) => sum + item.totalPrice, 0);
+    }
+
+    // Plain text engines don't report field-level confidence, so score by how much we recognized
+    const found = [
+      result.receipt.merchant,
+      result.receipt.total,
+      result.receipt.date,
+      result.receipt.items.length > 0
+    ].filter(Boolean).length;
+    result.confidence = 0.8 * (found / 4);
+
+    return result;
+  }
+
+  /**
+   * Extract line items ("DESCRIPTION   $1.99") from raw receipt text
+   * @param {string} text - Raw OCR text
+   * @returns {Array} Line items in the standardized item shape
+   */
+  extractItemsFromText(text) {
+    if (!text) return [];
+
+    const summaryLine = /\b(sub\s*-?\s*total|total|tax|change|cash|balance|visa|mastercard|debit|credit)\b/i;
+
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .map(line => line.match(/^(?:(\d+)\s*[x@]\s+)?(.*?[A-Za-z].*?)\s+\$?(-?\d+\.\d{2})\s*[A-Z]?$/))
+      .filter(match => match && !summaryLine.test(match[2]))
+      .map(match => {
+        const quantity = match[1] ? parseInt(match[1], 10) : 1;
+        const totalPrice = parseFloat(match[3]);
+        return {
+          name: match[2].trim(),
+          quantity,
+          unitPrice: Math.round((totalPrice / quantity) * 100) / 100,
+          totalPrice,
+          category: null,
+          confidence: 0.7
+        };
+      });
+  }
+
   /**
    * Validate OCR results and check for minimum required data
    * @param {Object} ocrResult - OCR processing result
@@ -489,4 +517,6 @@ class OCRService {
   }
 }
 
+OCRService.PARSER_VERSION = PARSER_VERSION;
+
 module.exports = OCRService;
\ No newline at end of file
@@ -0,0 +1,164 @@
+// services/pdfDocument.js - Minimal text-only PDF writer
+//
+// Enough for tabular reports without a dependency: US Letter pages, the
+// built-in Helvetica fonts, lines of text, table rows with left or right
+// aligned cells, and URI links. Content flows top to bottom onto new pages.
+// Fonts use WinAnsiEncoding; characters outside Latin-1 print as '?'. Text
+// widths are estimated, not measured, so cells are truncated conservatively.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+// Average Helvetica glyph width as a fraction of the font size
+const CHAR_WIDTH = 0.55;
+const LINE_HEIGHT = 1.4;
+const CELL_PADDING = 4;
+
+class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.title] - Document title shown by viewers
+   */
+  constructor({ title = null } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /** Width available between the margins */
+  static get contentWidth() {
+    return PAGE_WIDTH - 2 * MARGIN;
+  }
+
+  addPage() {
+    this.page = { content: [], links: [] };
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * A line of text
+   * @param {string} value - Text
+   * @param {Object} [options] - size (points), bold, indent (points)
+   */
+  text(value, { size = 10, bold = false, indent = 0 } = {}) {
+    this.advance(size * LINE_HEIGHT);
+    const text = PdfDocument.fit(String(value), PdfDocument.contentWidth - indent, size);
+    this.draw(text, MARGIN + indent, size, bold);
+  }
+
+  /**
+   * A table row; widths should add up to at most contentWidth
+   * @param {Array<Object>} cells - { text, width, align: 'left'|'right', link }
+   * @param {Object} [options] - size (points), bold
+   */
+  row(cells, { size = 9, bold = false } = {}) {
+    this.advance(size * LINE_HEIGHT);
+
+    let x = MARGIN;
+    for (const cell of cells) {
+      const text = PdfDocument.fit(cell.text === null || cell.text === undefined ? '' : String(cell.text), cell.width, size);
+      const width = PdfDocument.textWidth(text, size);
+      const left = cell.align === 'right' ? x + cell.width - CELL_PADDING - width : x;
+      this.draw(text, left, size, bold);
+      if (cell.link && text) {
+        this.page.links.push({ rect: [left, this.y - 2, left + width, this.y + size], url: cell.link });
+      }
+      x += cell.width;
+    }
+  }
+
+  /** Vertical space */
+  gap(height = 8) {
+    this.y -= height;
+  }
+
+  /** Move down a line, starting a new page when it wouldn't fit */
+  advance(height) {
+    if (this.y - height < MARGIN) this.addPage();
+    this.y -= height;
+  }
+
+  draw(text, x, size, bold) {
+    this.page.content.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${this.y.toFixed(2)} Td (${PdfDocument.escape(text)}) Tj ET`
+    );
+  }
+
+  /**
+   * Serialize: catalog, page tree, fonts, then each page's content stream and
+   * link annotations, followed by the cross-reference table
+   * @returns {Buffer} PDF 1.4 file
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const ref = number => `${number} 0 R`;
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const kids = [];
+    for (const page of this.pages) {
+      const stream = page.content.join('\n');
+      const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      const annotations = page.links.map(link => add(
+        `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(n => n.toFixed(2)).join(' ')}] /Border [0 0 0] ` +
+        `/A << /S /URI /URI (${PdfDocument.escape(link.url)}) >> >>`
+      ));
+      kids.push(add(
+        `<< /Type /Page /Parent ${ref(pageTree)} /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${ref(regular)} /F2 ${ref(bold)} >> >> /Contents ${ref(contents)}` +
+        (annotations.length > 0 ? ` /Annots [${annotations.map(ref).join(' ')}]` : '') +
+        ' >>'
+      ));
+    }
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${ref(pageTree)} >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(ref).join(' ')}] /Count ${kids.length} >>`;
+    const info = this.title ? add(`<< /Title (${PdfDocument.escape(this.title)}) /Producer (GroceryPal) >>`) : null;
+
+    // Everything is Latin-1 by now, so string length is byte length
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(output.length);
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${ref(catalog)}${info ? ` /Info ${ref(info)}` : ''} >>\n`;
+    output += `startxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+
+  /**
+   * Escape a PDF string literal, replacing what WinAnsi can't show
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+      .replace(/[\\()]/g, match => `\\${match}`);
+  }
+
+  static textWidth(text, size) {
+    return text.length * size * CHAR_WIDTH;
+  }
+
+  /** Truncate text with "..." to fit a cell */
+  static fit(text, width, size) {
+    const maxChars = Math.floor((width - CELL_PADDING) / (size * CHAR_WIDTH));
+    if (text.length <= maxChars) return text;
+    return maxChars > 3 ? `${text.slice(0, maxChars - 3)}...` : text.slice(0, Math.max(maxChars, 0));
+  }
+}
+
+module.exports = PdfDocument;
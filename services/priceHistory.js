@@ -0,0 +1,396 @@
+// services/priceHistory.js - Per-product price history and price-change alerts
+//
+// Every line item on a processed receipt is linked to a product_catalog entry
+// and gets a product_prices row (unit price, unit, store, date). Catalog
+// average/min/max are recomputed from those rows, so reprocessing or
+// correcting a receipt never double counts.
+const ServiceError = require('./serviceError');
+
+const DEFAULT_ALERT_THRESHOLD = 0.1;
+const DEFAULT_MIN_PURCHASES = 3;
+
+// Units printed in item names, e.g. "BANANAS LB" or "MILK 1 GAL"
+const UNIT_PATTERNS = [
+  { unit: 'lb', pattern: /\b(lb|lbs)\b/ },
+  { unit: 'oz', pattern: /\b(fl oz|oz)\b/ },
+  { unit: 'kg', pattern: /\bkg\b/ },
+  { unit: 'g', pattern: /\d\s*g\b/ },
+  { unit: 'gal', pattern: /\bgal\b/ },
+  { unit: 'l', pattern: /\d\s*l\b/ },
+  { unit: 'ct', pattern: /\b(ct|pk|pack)\b/ }
+];
+
+// Sizes such as "6 OZ" or "1.5 L", converted to the unit prices are compared in:
+// weight in oz, volume in fl oz, counts in each
+const SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*(fl oz|oz|lbs?|kg|g|gal|qt|pt|ml|l|ct|pk|pack)\b/;
+const SIZE_UNITS = {
+  oz: { unit: 'oz', factor: 1 },
+  lb: { unit: 'oz', factor: 16 },
+  lbs: { unit: 'oz', factor: 16 },
+  kg: { unit: 'oz', factor: 35.274 },
+  g: { unit: 'oz', factor: 0.035274 },
+  'fl oz': { unit: 'fl oz', factor: 1 },
+  gal: { unit: 'fl oz', factor: 128 },
+  qt: { unit: 'fl oz', factor: 32 },
+  pt: { unit: 'fl oz', factor: 16 },
+  l: { unit: 'fl oz', factor: 33.814 },
+  ml: { unit: 'fl oz', factor: 0.033814 },
+  ct: { unit: 'each', factor: 1 },
+  pk: { unit: 'each', factor: 1 },
+  pack: { unit: 'each', factor: 1 }
+};
+
+class PriceHistory {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Rebuild price history rows for one receipt from its current line items.
+   * Safe to call again after reprocessing or corrections.
+   * @param {Object} client - Client in an open transaction
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<number>} Number of price rows written
+   */
+  async recordReceipt(client, receiptId) {
+    const previous = await client.query(
+      'DELETE FROM product_prices WHERE receipt_id = $1 RETURNING product_id',
+      [receiptId]
+    );
+
+    const itemsResult = await client.query(
+      `SELECT ri.id, ri.product_name, ri.quantity, ri.unit_price, ri.line_total,
+              r.user_id, r.store_id, COALESCE(r.receipt_date, r.created_at::date) as purchased_on,
+              pc.name as category_name
+       FROM receipt_items ri
+       JOIN receipts r ON ri.receipt_id = r.id
+       LEFT JOIN product_categories pc ON ri.category_id = pc.id
+       WHERE ri.receipt_id = $1`,
+      [receiptId]
+    );
+
+    const productIds = new Set(previous.rows.map(row => row.product_id));
+    let written = 0;
+
+    for (const item of itemsResult.rows) {
+      const priceCents = PriceHistory.unitPriceCents(item);
+      if (priceCents === null) continue;
+
+      const productId = await this.findOrCreateProduct(client, item);
+      productIds.add(productId);
+
+      await client.query('UPDATE receipt_items SET product_id = $1 WHERE id = $2', [productId, item.id]);
+      await client.query(
+        `INSERT INTO product_prices
+         (product_id, user_id, receipt_id, receipt_item_id, store_id, price_cents, quantity, unit, purchased_on)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          productId,
+          item.user_id,
+          receiptId,
+          item.id,
+          item.store_id,
+          priceCents,
+          item.quantity === null ? 1 : parseFloat(item.quantity),
+          PriceHistory.detectUnit(item.product_name),
+          item.purchased_on
+        ]
+      );
+      written++;
+    }
+
+    if (productIds.size > 0) {
+      await this.refreshCatalogStats(client, [...productIds]);
+    }
+
+    return written;
+  }
+
+  /**
+   * Catalog entry for an item, matched on its normalized name
+   */
+  async findOrCreateProduct(client, item) {
+    const normalizedName = PriceHistory.normalizeName(item.product_name);
+
+    // Two receipts with a new product committing at once must not create it twice
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('product_catalog:' || $1))", [normalizedName]);
+
+    const existing = await client.query(
+      'SELECT id FROM product_catalog WHERE normalized_name = $1 LIMIT 1',
+      [normalizedName]
+    );
+
+    if (existing.rows.length > 0) {
+      return existing.rows[0].id;
+    }
+
+    const created = await client.query(
+      `INSERT INTO product_catalog (normalized_name, category, unit_type)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [
+        normalizedName,
+        item.category_name ? item.category_name.toLowerCase() : 'other',
+        PriceHistory.detectUnit(item.product_name)
+      ]
+    );
+
+    return created.rows[0].id;
+  }
+
+  /**
+   * Recompute average, min, max and purchase count from price history.
+   * Only completed receipts count (duplicates and failures are ignored), and
+   * sandbox accounts' seeded receipts never do.
+   * @param {Object} client - pg client or pool
+   * @param {Array<string>} productIds - Catalog IDs to refresh
+   */
+  async refreshCatalogStats(client, productIds) {
+    await client.query(
+      `UPDATE product_catalog pc
+       SET avg_price_cents = stats.avg_price_cents,
+           price_range_min_cents = stats.min_price_cents,
+           price_range_max_cents = stats.max_price_cents,
+           purchase_frequency = stats.purchase_count,
+           last_seen = COALESCE(stats.last_seen, pc.last_seen),
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT ids.id,
+                ROUND(AVG(pp.price_cents))::INTEGER as avg_price_cents,
+                MIN(pp.price_cents) as min_price_cents,
+                MAX(pp.price_cents) as max_price_cents,
+                COUNT(pp.id)::INTEGER as purchase_count,
+                MAX(pp.purchased_on)::timestamptz as last_seen
+         FROM UNNEST($1::uuid[]) as ids(id)
+         LEFT JOIN product_prices pp ON pp.product_id = ids.id
+           AND EXISTS (
+             SELECT 1 FROM receipts r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.id = pp.receipt_id AND r.status = 'completed' AND NOT u.is_sandbox
+           )
+         GROUP BY ids.id
+       ) stats
+       WHERE pc.id = stats.id`,
+      [productIds]
+    );
+  }
+
+  /**
+   * The user's price history for a product, grouped into one series per store
+   * @param {string} userId - Current user
+   * @param {string} productId - Catalog ID
+   * @param {Object} [params] - { from, to } (YYYY-MM-DD)
+   * @returns {Promise<Object>} { product, series }
+   */
+  async getProductPrices(userId, productId, params = {}) {
+    const productResult = await this.pool.query(
+      `SELECT id, normalized_name, brand, category, unit_type,
+              avg_price_cents, price_range_min_cents, price_range_max_cents, purchase_frequency
+       FROM product_catalog
+       WHERE id = $1`,
+      [productId]
+    );
+
+    if (productResult.rows.length === 0) {
+      throw new ServiceError(404, 'Product not found');
+    }
+
+    const values = [userId, productId];
+    let dateCondition = '';
+    for (const [field, operator] of [['from', '>='], ['to', '<=']]) {
+      if (params[field] === undefined) continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(params[field]) || isNaN(Date.parse(params[field]))) {
+        throw new ServiceError(400, `${field} must be a date (YYYY-MM-DD)`);
+      }
+      values.push(params[field]);
+      dateCondition += ` AND pp.purchased_on ${operator} $${values.length}`;
+    }
+
+    const pricesResult = await this.pool.query(
+      `SELECT pp.purchased_on, pp.price_cents, pp.quantity, pp.unit, pp.receipt_id,
+              pp.store_id, s.name as store_name
+       FROM product_prices pp
+       JOIN receipts r ON pp.receipt_id = r.id
+       LEFT JOIN stores s ON pp.store_id = s.id
+       WHERE pp.user_id = $1 AND pp.product_id = $2 AND r.status = 'completed'
+         ${dateCondition}
+       ORDER BY pp.purchased_on, pp.created_at`,
+      values
+    );
+
+    const seriesByStore = new Map();
+    for (const row of pricesResult.rows) {
+      const key = row.store_id || 'unknown';
+      if (!seriesByStore.has(key)) {
+        seriesByStore.set(key, { storeId: row.store_id, storeName: row.store_name || 'Unknown store', points: [] });
+      }
+      seriesByStore.get(key).points.push({
+        date: row.purchased_on,
+        priceCents: row.price_cents,
+        quantity: parseFloat(row.quantity),
+        unit: row.unit,
+        receiptId: row.receipt_id
+      });
+    }
+
+    const product = productResult.rows[0];
+    return {
+      product: {
+        id: product.id,
+        name: product.normalized_name,
+        brand: product.brand,
+        category: product.category,
+        unit: product.unit_type,
+        avgPriceCents: product.avg_price_cents,
+        minPriceCents: product.price_range_min_cents,
+        maxPriceCents: product.price_range_max_cents,
+        purchaseCount: product.purchase_frequency
+      },
+      series: [...seriesByStore.values()]
+    };
+  }
+
+  /**
+   * Products the user buys regularly whose latest price is notably above what
+   * they used to pay (the average of their earlier purchases).
+   * @param {string} userId - Current user
+   * @param {Object} [params] - { threshold: fractional increase, default 0.1; minPurchases, default 3 }
+   * @returns {Promise<Array>} Alerts, biggest increase first
+   */
+  async getPriceAlerts(userId, params = {}) {
+    const threshold = params.threshold === undefined ? DEFAULT_ALERT_THRESHOLD : Number(params.threshold);
+    const minPurchases = params.minPurchases === undefined ? DEFAULT_MIN_PURCHASES : parseInt(params.minPurchases, 10);
+
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new ServiceError(400, 'threshold must be a positive number (0.1 = 10%)');
+    }
+    if (!Number.isInteger(minPurchases) || minPurchases < 2) {
+      throw new ServiceError(400, 'minPurchases must be an integer of at least 2');
+    }
+
+    const result = await this.pool.query(
+      `WITH purchases AS (
+         SELECT pp.product_id, pp.price_cents, pp.purchased_on, pp.store_id,
+                ROW_NUMBER() OVER (PARTITION BY pp.product_id ORDER BY pp.purchased_on DESC, pp.created_at DESC) as recency,
+                COUNT(*) OVER (PARTITION BY pp.product_id) as purchase_count
+         FROM product_prices pp
+         JOIN receipts r ON pp.receipt_id = r.id
+         WHERE pp.user_id = $1 AND r.status = 'completed'
+       ),
+       baseline AS (
+         SELECT product_id, AVG(price_cents) as previous_avg_cents
+         FROM purchases
+         WHERE recency > 1
+         GROUP BY product_id
+       )
+       SELECT latest.product_id, pc.normalized_name as product_name,
+              latest.price_cents as latest_price_cents, latest.purchased_on as latest_purchased_on,
+              s.name as store_name, ROUND(b.previous_avg_cents)::INTEGER as previous_avg_cents,
+              latest.purchase_count,
+              (latest.price_cents - b.previous_avg_cents) / b.previous_avg_cents as increase
+       FROM purchases latest
+       JOIN baseline b ON b.product_id = latest.product_id
+       JOIN product_catalog pc ON pc.id = latest.product_id
+       LEFT JOIN stores s ON s.id = latest.store_id
+       WHERE latest.recency = 1
+         AND latest.purchase_count >= $2
+         AND b.previous_avg_cents > 0
+         AND latest.price_cents >= b.previous_avg_cents * (1 + $3)
+       ORDER BY increase DESC`,
+      [userId, minPurchases, threshold]
+    );
+
+    return result.rows.map(row => ({
+      productId: row.product_id,
+      productName: row.product_name,
+      latestPriceCents: row.latest_price_cents,
+      previousAvgPriceCents: row.previous_avg_cents,
+      increasePercent: Math.round(parseFloat(row.increase) * 1000) / 10,
+      purchasedOn: row.latest_purchased_on,
+      storeName: row.store_name,
+      purchaseCount: parseInt(row.purchase_count, 10)
+    }));
+  }
+
+  /**
+   * Price of one unit in cents: the unit price when OCR found one, otherwise line total / quantity
+   * @param {Object} item - receipt_items row
+   * @returns {number|null} Cents, or null when the item has no usable price
+   */
+  static unitPriceCents(item) {
+    const quantity = item.quantity === null || item.quantity === undefined ? 1 : parseFloat(item.quantity);
+    let price = item.unit_price === null || item.unit_price === undefined ? null : parseFloat(item.unit_price);
+
+    if ((price === null || !(price > 0)) && item.line_total !== null && item.line_total !== undefined && quantity > 0) {
+      price = parseFloat(item.line_total) / quantity;
+    }
+
+    return price > 0 ? Math.round(price * 100) : null;
+  }
+
+  static normalizeName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9%&.\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Package size printed in a name or size description
+   * @param {string} text - e.g. "BLUEBERRIES 6 OZ" or "1 gal"
+   * @returns {Object|null} { description, amount, unit } with amount in oz, fl oz or each
+   */
+  static parseSize(text) {
+    const match = String(text || '').toLowerCase().match(SIZE_PATTERN);
+    if (!match || !(parseFloat(match[1]) > 0)) return null;
+
+    const { unit, factor } = SIZE_UNITS[match[2]];
+    return {
+      description: `${match[1]} ${match[2]}`,
+      amount: parseFloat(match[1]) * factor,
+      unit
+    };
+  }
+
+  /**
+   * Price per oz, fl oz or each, so different package sizes can be compared.
+   * Uses the package size (size description, then name) times the quantity;
+   * without one, an item sold by weight ("BANANAS LB") has its quantity in that
+   * unit and anything else is priced per item.
+   * @param {Object} item - { product_name, size_description, quantity, unit_price, line_total }
+   * @returns {Object|null} { price, unit } with price in dollars, null without a usable price
+   */
+  static normalizedUnitPrice(item) {
+    const quantity = parseFloat(item.quantity) > 0 ? parseFloat(item.quantity) : 1;
+    const lineTotal = parseFloat(item.line_total) > 0
+      ? parseFloat(item.line_total)
+      : (parseFloat(item.unit_price) || 0) * quantity;
+    if (!(lineTotal > 0)) return null;
+
+    const size = PriceHistory.parseSize(item.size_description) || PriceHistory.parseSize(item.product_name);
+    let amount = quantity;
+    let unit = 'each';
+
+    if (size) {
+      amount = size.amount * quantity;
+      unit = size.unit;
+    } else {
+      const soldBy = SIZE_UNITS[PriceHistory.detectUnit(item.product_name)];
+      if (soldBy) {
+        amount = quantity * soldBy.factor;
+        unit = soldBy.unit;
+      }
+    }
+
+    return { price: Math.round((lineTotal / amount) * 10000) / 10000, unit };
+  }
+
+  static detectUnit(name) {
+    const normalized = String(name || '').toLowerCase();
+    const match = UNIT_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+    return match ? match.unit : 'each';
+  }
+}
+
+module.exports = PriceHistory;
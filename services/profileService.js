@@ -0,0 +1,73 @@
+// services/profileService.js - Name, phone and timezone on the user's profile
+//
+// Updates are partial: fields left out of the request keep their value. The
+// timezone decides which day undated receipts count on, so changing it rebuilds
+// the user's spending rollups in the same transaction.
+const AnalyticsService = require('./analyticsService');
+const ServiceError = require('./serviceError');
+
+const INVALID_TIME_ZONE = 'timezone must be an IANA time zone name, e.g. America/Chicago';
+
+class ProfileService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {SpendingRollups} options.spendingRollups - Rebuilt when the timezone changes
+   */
+  constructor(pool, { spendingRollups } = {}) {
+    this.pool = pool;
+    this.spendingRollups = spendingRollups;
+  }
+
+  /**
+   * Update the given profile fields
+   * @param {string} userId - User ID
+   * @param {Object} fields - firstName, lastName, phone, timezone; omitted ones are unchanged
+   * @returns {Promise<Object>} Updated user row
+   */
+  async updateProfile(userId, { firstName, lastName, phone, timezone } = {}) {
+    // IANA name (e.g. "America/Chicago"); analytics bucket undated receipts and "today" with it.
+    // It has to work for both Intl ("today") and Postgres (AT TIME ZONE), whose lists differ.
+    if (timezone !== undefined && !AnalyticsService.isValidTimeZone(timezone)) {
+      throw new ServiceError(400, INVALID_TIME_ZONE);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT timezone FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const timezoneChanged = timezone !== undefined && current.rows.length > 0 && current.rows[0].timezone !== timezone;
+      if (timezoneChanged) {
+        const known = await client.query('SELECT 1 FROM pg_timezone_names WHERE name = $1', [timezone]);
+        if (known.rows.length === 0) {
+          throw new ServiceError(400, INVALID_TIME_ZONE);
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE users
+         SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), phone = COALESCE($3, phone),
+             timezone = COALESCE($4, timezone), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING id, email, first_name, last_name, phone, timezone, updated_at`,
+        [firstName ?? null, lastName ?? null, phone ?? null, timezone ?? null, userId]
+      );
+
+      // Undated receipts count on their upload date in this timezone
+      if (timezoneChanged) {
+        await this.spendingRollups.rebuildUser(client, userId);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ProfileService;
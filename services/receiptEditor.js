@@ -0,0 +1,468 @@
+// services/receiptEditor.js - User corrections to receipts and line items
+//
+// Every changed field is written to receipt_corrections (who, which field,
+// old value, new value) so analytics use the corrected numbers and the
+// corrections can later be used as categorizer training data. Recategorizing
+// an item also records a per-user category override for its name.
+const ServiceError = require('./serviceError');
+
+// API field name -> receipts column
+const RECEIPT_FIELDS = {
+  receiptDate: 'receipt_date',
+  totalAmount: 'total_amount',
+  taxAmount: 'tax_amount',
+  subtotal: 'subtotal'
+};
+
+// API field name -> receipt_items column
+const ITEM_FIELDS = {
+  productName: 'product_name',
+  quantity: 'quantity',
+  unitPrice: 'unit_price',
+  lineTotal: 'line_total',
+  categoryId: 'category_id'
+};
+
+const NUMERIC_COLUMNS = ['total_amount', 'tax_amount', 'subtotal', 'quantity', 'unit_price', 'line_total'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ReceiptEditor {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {PriceHistory} [options.priceHistory] - Rebuilt for the receipt after each correction
+   * @param {ItemCategorizer} [options.categorizer] - Learns overrides from recategorized items
+   * @param {SpendingRollups} [options.rollups] - Recomputed for the receipt's old and new day
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.priceHistory = options.priceHistory || null;
+    this.categorizer = options.categorizer || null;
+    this.rollups = options.rollups || null;
+  }
+
+  /**
+   * Correct receipt header fields. Changing the tax recomputes the total
+   * unless a total is given explicitly.
+   * @param {string} userId - Editing user
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} changes - { receiptDate, totalAmount, taxAmount, subtotal, storeName }
+   * @returns {Promise<Object>} Updated receipt row
+   */
+  async updateReceipt(userId, receiptId, changes) {
+    const updates = ReceiptEditor.pickFields(changes, RECEIPT_FIELDS);
+    const storeName = typeof changes.storeName === 'string' ? changes.storeName.trim() : undefined;
+
+    if (Object.keys(updates).length === 0 && !storeName) {
+      throw new ServiceError(400, `No editable fields provided. Allowed: ${Object.keys(RECEIPT_FIELDS).concat('storeName').join(', ')}`);
+    }
+
+    return this.withReceipt(userId, receiptId, async (client, receipt) => {
+      if (storeName) {
+        const storeId = await this.findOrCreateStore(client, storeName);
+        if (storeId !== receipt.store_id) {
+          const oldStore = receipt.store_id
+            ? (await client.query('SELECT name FROM stores WHERE id = $1', [receipt.store_id])).rows[0]
+            : null;
+          await client.query('UPDATE receipts SET store_id = $1 WHERE id = $2', [storeId, receiptId]);
+          await this.recordCorrection(client, {
+            userId, receiptId, action: 'update', field: 'store_name',
+            oldValue: oldStore ? oldStore.name : null, newValue: storeName
+          });
+        }
+      }
+
+      const changed = await this.applyChanges(client, 'receipts', receipt, updates, { userId, receiptId });
+
+      if (changed.includes('tax_amount') && updates.total_amount === undefined) {
+        await this.recomputeTotals(client, userId, receiptId, { subtotalFromItems: false });
+      }
+
+      return this.touchReceipt(client, receiptId);
+    });
+  }
+
+  /**
+   * Add a line item the OCR missed
+   * @param {string} userId - Editing user
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} fields - { productName, quantity, unitPrice, lineTotal, categoryId }
+   * @returns {Promise<Object>} { receipt, item }
+   */
+  async addItem(userId, receiptId, fields) {
+    const values = ReceiptEditor.pickFields(fields, ITEM_FIELDS);
+
+    if (!values.product_name) {
+      throw new ServiceError(400, 'productName is required');
+    }
+
+    values.quantity = values.quantity === undefined ? 1 : values.quantity;
+    if (values.line_total === undefined) {
+      if (values.unit_price === undefined) {
+        throw new ServiceError(400, 'lineTotal or unitPrice is required');
+      }
+      values.line_total = ReceiptEditor.roundCents(values.unit_price * values.quantity);
+    }
+
+    return this.withReceipt(userId, receiptId, async (client) => {
+      await this.assertCategory(client, values.category_id);
+
+      const itemResult = await client.query(
+        `INSERT INTO receipt_items (receipt_id, product_name, quantity, unit_price, line_total, category_id, category_confidence, category_source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          receiptId, values.product_name, values.quantity, values.unit_price ?? null, values.line_total,
+          values.category_id ?? null, values.category_id ? 1 : null, values.category_id ? 'user' : null
+        ]
+      );
+      const item = itemResult.rows[0];
+
+      await this.recordCorrection(client, {
+        userId, receiptId, itemId: item.id, action: 'create', field: null,
+        oldValue: null, newValue: JSON.stringify(ReceiptEditor.snapshotItem(item))
+      });
+
+      await this.recomputeTotals(client, userId, receiptId);
+      return { receipt: await this.touchReceipt(client, receiptId), item };
+    });
+  }
+
+  /**
+   * Correct a line item (e.g. "OL VE OIL" -> "OLIVE OIL"). Changing quantity or
+   * unit price recomputes the line total unless one is given explicitly.
+   * @param {string} userId - Editing user
+   * @param {string} receiptId - Receipt ID
+   * @param {string} itemId - Receipt item ID
+   * @param {Object} changes - { productName, quantity, unitPrice, lineTotal, categoryId }
+   * @returns {Promise<Object>} { receipt, item }
+   */
+  async updateItem(userId, receiptId, itemId, changes) {
+    const updates = ReceiptEditor.pickFields(changes, ITEM_FIELDS);
+
+    if (Object.keys(updates).length === 0) {
+      throw new ServiceError(400, `No editable fields provided. Allowed: ${Object.keys(ITEM_FIELDS).join(', ')}`);
+    }
+
+    return this.withReceipt(userId, receiptId, async (client) => {
+      const item = await this.lockItem(client, receiptId, itemId);
+      await this.assertCategory(client, updates.category_id);
+
+      if (updates.line_total === undefined && (updates.quantity !== undefined || updates.unit_price !== undefined)) {
+        const quantity = updates.quantity ?? (item.quantity === null ? 1 : parseFloat(item.quantity));
+        const unitPrice = updates.unit_price ?? (item.unit_price === null ? null : parseFloat(item.unit_price));
+        if (unitPrice !== null) {
+          updates.line_total = ReceiptEditor.roundCents(quantity * unitPrice);
+        }
+      }
+
+      const changed = await this.applyChanges(client, 'receipt_items', item, updates, { userId, receiptId, itemId });
+
+      if (changed.includes('category_id')) {
+        await client.query(
+          `UPDATE receipt_items
+           SET category_confidence = $2, category_source = $3
+           WHERE id = $1`,
+          [itemId, updates.category_id ? 1 : null, updates.category_id ? 'user' : null]
+        );
+        if (this.categorizer) {
+          await this.categorizer.recordOverride(client, userId, updates.product_name ?? item.product_name, updates.category_id);
+        }
+      }
+
+      if (changed.includes('line_total')) {
+        await this.recomputeTotals(client, userId, receiptId);
+      }
+
+      const updatedItem = (await client.query('SELECT * FROM receipt_items WHERE id = $1', [itemId])).rows[0];
+      return { receipt: await this.touchReceipt(client, receiptId), item: updatedItem };
+    });
+  }
+
+  /**
+   * Reject a categoryId that isn't a product category, before it reaches the
+   * foreign key (null, to uncategorize, is fine)
+   */
+  async assertCategory(client, categoryId) {
+    if (categoryId === undefined || categoryId === null) return;
+
+    const found = typeof categoryId === 'string' && UUID_PATTERN.test(categoryId)
+      ? await client.query('SELECT id FROM product_categories WHERE id = $1', [categoryId])
+      : { rows: [] };
+    if (found.rows.length === 0) {
+      throw new ServiceError(400, 'Unknown category');
+    }
+  }
+
+  /**
+   * Remove a line item that isn't really on the receipt
+   * @param {string} userId - Editing user
+   * @param {string} receiptId - Receipt ID
+   * @param {string} itemId - Receipt item ID
+   * @returns {Promise<Object>} { receipt }
+   */
+  async deleteItem(userId, receiptId, itemId) {
+    return this.withReceipt(userId, receiptId, async (client) => {
+      const item = await this.lockItem(client, receiptId, itemId);
+
+      await client.query('DELETE FROM receipt_items WHERE id = $1', [itemId]);
+      await this.recordCorrection(client, {
+        userId, receiptId, itemId, action: 'delete', field: null,
+        oldValue: JSON.stringify(ReceiptEditor.snapshotItem(item)), newValue: null
+      });
+
+      await this.recomputeTotals(client, userId, receiptId);
+      return { receipt: await this.touchReceipt(client, receiptId) };
+    });
+  }
+
+  /**
+   * Correction history for a receipt, newest first
+   * @param {string} userId - Receipt owner
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Array>} Correction rows
+   */
+  async getCorrections(userId, receiptId) {
+    const receiptResult = await this.pool.query(
+      'SELECT id FROM receipts WHERE id = $1 AND user_id = $2',
+      [receiptId, userId]
+    );
+
+    if (receiptResult.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    const result = await this.pool.query(
+      `SELECT id, item_id, user_id, action, field_name, old_value, new_value, created_at
+       FROM receipt_corrections
+       WHERE receipt_id = $1
+       ORDER BY created_at DESC`,
+      [receiptId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Run fn inside a transaction holding a lock on the user's receipt
+   */
+  async withReceipt(userId, receiptId, fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const receiptResult = await client.query(
+        'SELECT * FROM receipts WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [receiptId, userId]
+      );
+
+      if (receiptResult.rows.length === 0) {
+        throw new ServiceError(404, 'Receipt not found');
+      }
+
+      const receipt = receiptResult.rows[0];
+      if (receipt.status === 'processing') {
+        throw new ServiceError(409, 'Receipt is still being processed');
+      }
+
+      const previousDay = this.rollups ? await this.rollups.receiptDay(client, receiptId) : null;
+      const result = await fn(client, receipt);
+
+      if (this.priceHistory) {
+        await this.priceHistory.recordReceipt(client, receiptId);
+      }
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId, previousDay);
+      }
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async lockItem(client, receiptId, itemId) {
+    const itemResult = await client.query(
+      'SELECT * FROM receipt_items WHERE id = $1 AND receipt_id = $2 FOR UPDATE',
+      [itemId, receiptId]
+    );
+
+    if (itemResult.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt item not found');
+    }
+
+    return itemResult.rows[0];
+  }
+
+  /**
+   * Write the columns that actually changed and record one correction per column
+   * @returns {Promise<Array<string>>} Changed column names
+   */
+  async applyChanges(client, table, row, updates, { userId, receiptId, itemId = null }) {
+    const changed = Object.keys(updates).filter(column => !ReceiptEditor.sameValue(row[column], updates[column]));
+
+    if (changed.length === 0) return changed;
+
+    const assignments = changed.map((column, index) => `${column} = $${index + 2}`);
+    await client.query(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1`,
+      [row.id, ...changed.map(column => updates[column])]
+    );
+
+    for (const column of changed) {
+      await this.recordCorrection(client, {
+        userId, receiptId, itemId, action: 'update', field: column,
+        oldValue: ReceiptEditor.formatValue(row[column]), newValue: ReceiptEditor.formatValue(updates[column])
+      });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Recompute subtotal from the line items and total from subtotal + tax
+   */
+  async recomputeTotals(client, userId, receiptId, { subtotalFromItems = true } = {}) {
+    const before = (await client.query(
+      'SELECT id, subtotal, tax_amount, total_amount FROM receipts WHERE id = $1',
+      [receiptId]
+    )).rows[0];
+
+    let subtotal = before.subtotal === null ? 0 : parseFloat(before.subtotal);
+    if (subtotalFromItems) {
+      const sumResult = await client.query(
+        'SELECT COALESCE(SUM(line_total), 0) AS subtotal FROM receipt_items WHERE receipt_id = $1',
+        [receiptId]
+      );
+      subtotal = ReceiptEditor.roundCents(parseFloat(sumResult.rows[0].subtotal));
+    }
+
+    const tax = before.tax_amount === null ? 0 : parseFloat(before.tax_amount);
+    const updates = {
+      subtotal,
+      total_amount: ReceiptEditor.roundCents(subtotal + tax)
+    };
+
+    await this.applyChanges(client, 'receipts', before, updates, { userId, receiptId });
+  }
+
+  async touchReceipt(client, receiptId) {
+    const result = await client.query(
+      `UPDATE receipts
+       SET corrected_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [receiptId]
+    );
+
+    return result.rows[0];
+  }
+
+  async findOrCreateStore(client, storeName) {
+    // Exact but case-insensitive: ILIKE would treat % and _ in the typed name as wildcards
+    const storeResult = await client.query(
+      'SELECT id FROM stores WHERE LOWER(name) = LOWER($1) LIMIT 1',
+      [storeName]
+    );
+
+    if (storeResult.rows.length > 0) {
+      return storeResult.rows[0].id;
+    }
+
+    const newStoreResult = await client.query(
+      'INSERT INTO stores (name, chain) VALUES ($1, $2) RETURNING id',
+      [storeName, storeName]
+    );
+    return newStoreResult.rows[0].id;
+  }
+
+  async recordCorrection(client, { userId, receiptId, itemId = null, action, field, oldValue, newValue }) {
+    await client.query(
+      `INSERT INTO receipt_corrections (receipt_id, item_id, user_id, action, field_name, old_value, new_value)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [receiptId, itemId, userId, action, field, oldValue, newValue]
+    );
+  }
+
+  /**
+   * Map API field names to columns and validate the values
+   * @param {Object} input - Request body
+   * @param {Object} fieldMap - API field -> column
+   * @returns {Object} column -> value for the fields present in input
+   */
+  static pickFields(input, fieldMap) {
+    const values = {};
+
+    for (const [field, column] of Object.entries(fieldMap)) {
+      if (!input || input[field] === undefined) continue;
+
+      let value = input[field];
+
+      if (NUMERIC_COLUMNS.includes(column)) {
+        value = value === null ? null : Number(value);
+        if (value !== null && !Number.isFinite(value)) {
+          throw new ServiceError(400, `${field} must be a number`);
+        }
+        if (column === 'quantity' && (value === null || value <= 0)) {
+          throw new ServiceError(400, 'quantity must be greater than 0');
+        }
+        if (['total_amount', 'tax_amount', 'subtotal'].includes(column) && value !== null && value < 0) {
+          throw new ServiceError(400, `${field} cannot be negative`);
+        }
+      } else if (column === 'receipt_date') {
+        if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+          throw new ServiceError(400, 'receiptDate must be a valid date (YYYY-MM-DD)');
+        }
+      } else if (column === 'product_name') {
+        value = typeof value === 'string' ? value.trim() : '';
+        if (!value) {
+          throw new ServiceError(400, 'productName cannot be empty');
+        }
+      }
+
+      values[column] = value;
+    }
+
+    return values;
+  }
+
+  static sameValue(current, next) {
+    if (current === null || current === undefined || next === null || next === undefined) {
+      return (current ?? null) === (next ?? null);
+    }
+    if (typeof next === 'number') {
+      return Math.abs(parseFloat(current) - next) < 0.0005;
+    }
+    if (current instanceof Date) {
+      return current.toISOString().split('T')[0] === String(next);
+    }
+    return String(current) === String(next);
+  }
+
+  static formatValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value);
+  }
+
+  static snapshotItem(item) {
+    return {
+      productName: item.product_name,
+      quantity: item.quantity,
+      unitPrice: item.unit_price,
+      lineTotal: item.line_total,
+      categoryId: item.category_id
+    };
+  }
+
+  static roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = ReceiptEditor;
@@ -0,0 +1,211 @@
+// services/receiptEnricher.js - Post-OCR enrichment stage for processed receipts
+//
+// Runs AIDataParser over a completed receipt's stored header and line items and
+// writes the results back: category (with confidence and source),
+// standardized_name, brand and size_description on each item, the normalized chain on the store,
+// and the store details, shopping insights and quality scores in
+// receipts.enrichment. The owner's category overrides beat anything the parser
+// decides. receipts.enrichment_status is 'pending' until this runs, then
+// 'completed' or 'failed'.
+const AIDataParser = require('./aiDataParser');
+const { PgResponseCache } = require('./llm');
+const { ItemCategorizer } = require('./categorizer');
+
+class ReceiptEnricher {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {ItemCategorizer} [options.categorizer] - Shared categorizer (rules, trained model, overrides)
+   * @param {AIDataParser} [options.parser] - Parser to run (defaults to an AIDataParser
+   *   using the categorizer, with LLM responses cached in llm_response_cache)
+   * @param {SpendingRollups} [options.rollups] - Category rollups, updated with the new categories
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.rollups = options.rollups || null;
+    this.categorizer = options.categorizer || new ItemCategorizer(pool);
+    this.parser = options.parser || new AIDataParser({ cache: new PgResponseCache(pool), categorizer: this.categorizer });
+  }
+
+  /**
+   * Enrich one receipt. Failures are recorded on the receipt and rethrown.
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} The stored enrichment ({ store, insights, quality, llmUsage })
+   */
+  async enrichReceipt(receiptId) {
+    try {
+      const { receipt, items } = await this.loadReceipt(receiptId);
+      await this.categorizer.refreshModel();
+      const parsed = await this.parser.parseReceiptData(ReceiptEnricher.parserInput(receipt, items));
+
+      if (parsed.quality.validation_errors.length > 0) {
+        throw new Error(parsed.quality.validation_errors.join('; '));
+      }
+
+      return await this.storeEnrichment(receipt, items, parsed);
+    } catch (error) {
+      await this.pool.query(
+        `UPDATE receipts
+         SET enrichment_status = 'failed', enrichment_error = $1, enriched_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [error.message, receiptId]
+      );
+      throw error;
+    }
+  }
+
+  async loadReceipt(receiptId) {
+    const receiptResult = await this.pool.query(
+      `SELECT r.id, r.user_id, r.receipt_date, r.total_amount, r.subtotal, r.tax_amount, r.store_id,
+              s.name as store_name, s.address as store_address, s.phone as store_phone
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE r.id = $1`,
+      [receiptId]
+    );
+
+    if (receiptResult.rows.length === 0) {
+      throw new Error(`Receipt ${receiptId} not found`);
+    }
+
+    const itemsResult = await this.pool.query(
+      `SELECT id, product_name, quantity, unit_price, line_total
+       FROM receipt_items
+       WHERE receipt_id = $1
+       ORDER BY created_at, id`,
+      [receiptId]
+    );
+
+    return { receipt: receiptResult.rows[0], items: itemsResult.rows };
+  }
+
+  /**
+   * Write parser results back in one transaction
+   */
+  async storeEnrichment(receipt, items, parsed) {
+    const categories = await this.pool.query('SELECT id, name FROM product_categories');
+    const categoryIds = new Map(categories.rows.map(row => [row.name, row.id]));
+    const overrides = await this.categorizer.loadOverrides(receipt.user_id, items.map(item => item.product_name));
+
+    const enrichment = {
+      store: {
+        normalizedName: parsed.store.normalized_name,
+        chain: parsed.store.chain,
+        storeType: parsed.store.store_type,
+        priceRange: parsed.store.price_range || null
+      },
+      insights: parsed.insights,
+      quality: {
+        aiConfidence: parsed.quality.ai_confidence,
+        dataCompleteness: parsed.quality.data_completeness
+      },
+      aiEnabled: this.parser.useAI,
+      llmUsage: parsed.quality.llm_usage
+    };
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // parsed.items was built from `items` in order, so indexes line up
+      for (const [index, item] of items.entries()) {
+        const enriched = parsed.items[index];
+        if (!enriched) continue;
+
+        const override = this.categorizer.categorize(item.product_name, { overrides });
+        const category = override.source === 'override'
+          ? override
+          : { key: enriched.category, confidence: enriched.category_confidence ?? null, source: enriched.category_source || 'llm' };
+
+        // An item that already has a category keeps it, with its confidence and source
+        await client.query(
+          `UPDATE receipt_items
+           SET category_id = COALESCE(category_id, $2),
+               category_confidence = CASE WHEN category_id IS NULL THEN $3 ELSE category_confidence END,
+               category_source = CASE WHEN category_id IS NULL THEN $4 ELSE category_source END,
+               standardized_name = $5,
+               brand = $6,
+               size_description = $7
+           WHERE id = $1`,
+          [
+            item.id,
+            categoryIds.get(this.categorizer.labelFor(category.key)) || null,
+            category.confidence,
+            category.source,
+            enriched.standardized_name || null,
+            enriched.brand || null,
+            enriched.size_info ? String(enriched.size_info).slice(0, 100) : null
+          ]
+        );
+      }
+
+      if (receipt.store_id && enrichment.store.chain && enrichment.store.chain !== receipt.store_name) {
+        await client.query(
+          'UPDATE stores SET chain = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [enrichment.store.chain, receipt.store_id]
+        );
+      }
+
+      await client.query(
+        `UPDATE receipts
+         SET enrichment_status = 'completed',
+             enrichment = $1,
+             enrichment_error = NULL,
+             enriched_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [JSON.stringify(enrichment), receipt.id]
+      );
+
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receipt.id);
+      }
+
+      await client.query('COMMIT');
+      return enrichment;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build AIDataParser input from the stored receipt, so corrected and
+   * re-parsed values are what gets enriched
+   */
+  static parserInput(receipt, items) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+    const date = receipt.receipt_date instanceof Date
+      ? receipt.receipt_date.toISOString().split('T')[0]
+      : receipt.receipt_date;
+
+    return {
+      receipt_info: {
+        id: receipt.id,
+        store_name: receipt.store_name,
+        total_amount: receipt.total_amount
+      },
+      tabscanner_full_response: {
+        receipt: {
+          merchant: receipt.store_name,
+          address: receipt.store_address,
+          phone: receipt.store_phone,
+          date,
+          total: toNumber(receipt.total_amount),
+          subtotal: toNumber(receipt.subtotal),
+          tax: toNumber(receipt.tax_amount),
+          items: items.map(item => ({
+            name: item.product_name,
+            quantity: toNumber(item.quantity),
+            unitPrice: toNumber(item.unit_price),
+            totalPrice: toNumber(item.line_total)
+          }))
+        }
+      }
+    };
+  }
+}
+
+module.exports = ReceiptEnricher;
@@ -0,0 +1,248 @@
+// services/receiptJobQueue.js - Postgres-backed queue for receipt OCR jobs
+//
+// Jobs move queued -> running -> completed. Failures with a transient cause
+// (TabScanner 5xx, timeouts, network errors) go back to queued with exponential
+// backoff until max_attempts, after which the job is dead-lettered and the
+// receipt is marked failed.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_BASE_MS = 30 * 1000;
+const DEFAULT_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const DEFAULT_STALE_AFTER_MS = 10 * 60 * 1000;
+const STALE_ERROR = 'Processing was interrupted on every attempt (the worker stopped or timed out)';
+
+class ReceiptJobQueue {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered
+   * @param {number} [options.backoffBaseMs] - Delay before the first retry
+   * @param {number} [options.backoffMaxMs] - Upper bound for the retry delay
+   * @param {number} [options.staleAfterMs] - How long a running job may hold its lock
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RECEIPT_JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.backoffBaseMs = options.backoffBaseMs || parseInt(process.env.RECEIPT_JOB_BACKOFF_MS, 10) || DEFAULT_BACKOFF_BASE_MS;
+    this.backoffMaxMs = options.backoffMaxMs || DEFAULT_BACKOFF_MAX_MS;
+    this.staleAfterMs = options.staleAfterMs || parseInt(process.env.RECEIPT_JOB_STALE_MS, 10) || DEFAULT_STALE_AFTER_MS;
+  }
+
+  /**
+   * Queue a receipt for OCR processing. The worker reads the image from storage.
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} [client] - Client to run in (e.g. the upload transaction)
+   * @returns {Promise<Object>} The created job row
+   */
+  async enqueue(receiptId, client = this.pool) {
+    const result = await client.query(
+      `INSERT INTO receipt_jobs (receipt_id, max_attempts)
+       VALUES ($1, $2)
+       RETURNING id, receipt_id, status, attempts, max_attempts, run_at, created_at`,
+      [receiptId, this.maxAttempts]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the next due job. SKIP LOCKED lets several workers poll the same table.
+   * @param {string} workerId - Identifier recorded on the claimed job
+   * @returns {Promise<Object|null>} Claimed job or null
+   */
+  async claim(workerId) {
+    const result = await this.pool.query(
+      `UPDATE receipt_jobs
+       SET status = 'running',
+           attempts = attempts + 1,
+           locked_at = CURRENT_TIMESTAMP,
+           locked_by = $1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM receipt_jobs
+         WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+         ORDER BY run_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {Object} job - Claimed job
+   */
+  async complete(job) {
+    await this.pool.query(
+      `UPDATE receipt_jobs
+       SET status = 'completed',
+           locked_at = NULL,
+           locked_by = NULL,
+           last_error = NULL,
+           completed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id]
+    );
+  }
+
+  /**
+   * Record a failed attempt: retry later if the error is transient, otherwise dead-letter
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Error thrown while processing
+   * @returns {Promise<string>} 'retry' or 'dead'
+   */
+  async fail(job, error) {
+    if (ReceiptJobQueue.isRetryableError(error) && job.attempts < job.max_attempts) {
+      const delayMs = ReceiptJobQueue.computeBackoff(job.attempts, this.backoffBaseMs, this.backoffMaxMs);
+
+      await this.pool.query(
+        `UPDATE receipt_jobs
+         SET status = 'queued',
+             run_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond'),
+             locked_at = NULL,
+             locked_by = NULL,
+             last_error = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, delayMs, error.message]
+      );
+
+      console.log(`Receipt job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delayMs}ms:`, error.message);
+      return 'retry';
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE receipt_jobs
+         SET status = 'dead',
+             locked_at = NULL,
+             locked_by = NULL,
+             last_error = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, error.message]
+      );
+      await client.query(
+        `UPDATE receipts
+         SET status = 'failed',
+             processing_errors = $1,
+             processed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [[error.message], job.receipt_id]
+      );
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    console.error(`Receipt job ${job.id} dead-lettered after ${job.attempts} attempt(s):`, error.message);
+    return 'dead';
+  }
+
+  /**
+   * Put jobs whose worker died mid-run back in the queue, and fail receipts
+   * stuck in 'processing' that have no job to resume from. A stale job that
+   * has used up its attempts is dead-lettered instead, with its receipt failed,
+   * so an image that crashes or hangs the worker every time can't loop forever.
+   * @returns {Promise<Object>} { requeued, deadLettered, orphaned }
+   */
+  async recoverStale() {
+    const stale = await this.pool.query(
+      `WITH stale AS (
+         UPDATE receipt_jobs
+         SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+             run_at = CURRENT_TIMESTAMP,
+             locked_at = NULL,
+             locked_by = NULL,
+             last_error = CASE WHEN attempts >= max_attempts THEN $2 ELSE last_error END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'running'
+           AND locked_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+         RETURNING id, receipt_id, status
+       ), failed AS (
+         UPDATE receipts r
+         SET status = 'failed',
+             processing_errors = ARRAY[$2::text],
+             processed_at = CURRENT_TIMESTAMP
+         FROM stale
+         WHERE stale.status = 'dead' AND r.id = stale.receipt_id
+         RETURNING r.id
+       )
+       SELECT id, status FROM stale`,
+      [this.staleAfterMs, STALE_ERROR]
+    );
+    const requeued = stale.rows.filter(row => row.status === 'queued').length;
+    const deadLettered = stale.rows.length - requeued;
+
+    const orphaned = await this.pool.query(
+      `UPDATE receipts r
+       SET status = 'failed',
+           processing_errors = $2,
+           processed_at = CURRENT_TIMESTAMP
+       WHERE r.status = 'processing'
+         AND r.created_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond')
+         AND NOT EXISTS (SELECT 1 FROM receipt_jobs j WHERE j.receipt_id = r.id)
+       RETURNING r.id`,
+      [this.staleAfterMs, ['Processing was interrupted before it could be queued; please upload the receipt again']]
+    );
+
+    if (stale.rows.length > 0 || orphaned.rowCount > 0) {
+      console.log(
+        `Receipt job recovery: requeued ${requeued} stale job(s), dead-lettered ${deadLettered} ` +
+        `out of attempts, failed ${orphaned.rowCount} orphaned receipt(s)`
+      );
+    }
+
+    return { requeued, deadLettered, orphaned: orphaned.rowCount };
+  }
+
+  /**
+   * Latest job for a receipt
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object|null>} Job row or null
+   */
+  async getJobForReceipt(receiptId) {
+    const result = await this.pool.query(
+      `SELECT id, status, attempts, max_attempts, run_at, last_error, created_at, completed_at
+       FROM receipt_jobs
+       WHERE receipt_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [receiptId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base ... capped at max
+   * @param {number} attempts - Attempts made so far (1 after the first failure)
+   * @param {number} baseMs - Delay before the first retry
+   * @param {number} maxMs - Maximum delay
+   * @returns {number} Delay in milliseconds
+   */
+  static computeBackoff(attempts, baseMs = DEFAULT_BACKOFF_BASE_MS, maxMs = DEFAULT_BACKOFF_MAX_MS) {
+    return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Only errors flagged as transient by the OCR provider are retried
+   * @param {Error} error - Processing error
+   * @returns {boolean} Whether the job should be retried
+   */
+  static isRetryableError(error) {
+    return !!(error && error.retryable);
+  }
+}
+
+module.exports = ReceiptJobQueue;
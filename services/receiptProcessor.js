@@ -0,0 +1,426 @@
+// services/receiptProcessor.js - Runs OCR for a receipt and stores the results
+//
+// Shared by the API server (in-process worker) and worker.js so both paths
+// write receipts the same way. The provider's raw response is kept in
+// receipt_ocr_payloads, so reparseReceipt() can rebuild a receipt with the
+// current parser without calling the provider again. Stored receipts then go
+// through the enrichment stage (ReceiptEnricher) when one is configured.
+const ServiceError = require('./serviceError');
+
+class ReceiptProcessor {
+  /**
+   * @param {Object} options
+   * @param {Pool} options.pool - pg connection pool
+   * @param {OCRService} options.ocrService - OCR service used to read the image
+   * @param {Object} options.imageStorage - Storage backend holding the original images
+   * @param {DuplicateDetector} [options.duplicateDetector] - Flags receipts whose OCR fingerprint was seen before
+   * @param {PriceHistory} [options.priceHistory] - Records per-product prices from the line items
+   * @param {ShoppingListService} [options.shoppingLists] - Checks off list items found on the receipt
+   * @param {ReceiptEnricher} [options.enricher] - Categorizes items and normalizes the store after OCR
+   * @param {SpendingRollups} [options.rollups] - Daily spending rollups, updated with the receipt
+   */
+  constructor({ pool, ocrService, imageStorage, duplicateDetector = null, priceHistory = null, shoppingLists = null, enricher = null, rollups = null }) {
+    this.pool = pool;
+    this.ocrService = ocrService;
+    this.imageStorage = imageStorage;
+    this.duplicateDetector = duplicateDetector;
+    this.priceHistory = priceHistory;
+    this.shoppingLists = shoppingLists;
+    this.enricher = enricher;
+    this.rollups = rollups;
+  }
+
+  /**
+   * Load a receipt's original image from storage and process it
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} { status, ocrResult, validation }
+   */
+  async processStoredReceipt(receiptId) {
+    const result = await this.pool.query(
+      'SELECT image_key, image_filename FROM receipts WHERE id = $1',
+      [receiptId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Receipt ${receiptId} not found`);
+    }
+
+    const { image_key: imageKey, image_filename: imageFilename } = result.rows[0];
+    if (!imageKey) {
+      throw new Error(`Receipt ${receiptId} has no stored image`);
+    }
+
+    const imageBuffer = await this.imageStorage.get(imageKey);
+    return this.processReceipt(receiptId, imageBuffer, imageFilename);
+  }
+
+  /**
+   * Process a receipt image with OCR and store the results.
+   *
+   * OCR/provider errors are thrown so the job queue can decide whether to retry;
+   * a result that fails validation marks the receipt failed and resolves.
+   * @param {string} receiptId - Receipt ID
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {string} originalFilename - Original upload filename
+   * @returns {Promise<Object>} { status, ocrResult, validation }
+   */
+  async processReceipt(receiptId, imageBuffer, originalFilename) {
+    console.log(`=== RECEIPT PROCESSING START ===`);
+    console.log(`processReceipt called for receipt ${receiptId}`);
+    console.log(`Filename: ${originalFilename}`);
+    console.log(`Buffer size: ${imageBuffer?.length || 'undefined'} bytes`);
+    console.log(`OCR provider: ${this.ocrService.providerName}`);
+
+    // Process with OCR
+    const ocrResult = await this.ocrService.processReceipt(imageBuffer, originalFilename);
+    await this.savePayload(receiptId, ocrResult);
+
+    console.log(`OCR completed for receipt ${receiptId}:`, {
+      success: ocrResult.success,
+      confidence: ocrResult.confidence,
+      merchant: ocrResult.receipt?.merchant,
+      total: ocrResult.receipt?.total,
+      itemCount: ocrResult.receipt?.items?.length || 0
+    });
+
+    // Validate OCR results
+    const validation = this.ocrService.validateOCRResult(ocrResult);
+
+    if (!validation.isValid) {
+      console.error(`OCR validation failed for receipt ${receiptId}:`, validation.errors);
+
+      await this.markFailed(receiptId, validation.errors);
+
+      return { status: 'failed', ocrResult, validation };
+    }
+
+    const { duplicateOf } = await this.storeOCRResult(receiptId, ocrResult, validation);
+    await this.enrich(receiptId);
+
+    if (duplicateOf) {
+      return { status: 'duplicate', duplicateOf, ocrResult, validation };
+    }
+
+    // Log successful processing to console
+    console.log('Receipt processed successfully:', receiptId, {
+      merchant: ocrResult.receipt.merchant,
+      total: ocrResult.receipt.total,
+      itemCount: ocrResult.receipt.items?.length || 0,
+      confidence: ocrResult.confidence
+    });
+
+    return { status: 'completed', ocrResult, validation };
+  }
+
+  /**
+   * Rebuild a receipt's header fields and items from its latest stored OCR payload
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Only the owner's receipt (omit for maintenance scripts)
+   * @param {boolean} [options.force] - Re-parse even if the user corrected the receipt, discarding the corrections
+   * @returns {Promise<Object>} { status, duplicateOf, parserVersion, validation }
+   */
+  async reparseReceipt(receiptId, { userId, force = false } = {}) {
+    const params = [receiptId];
+    let ownerCondition = '';
+    if (userId) {
+      params.push(userId);
+      ownerCondition = 'AND user_id = $2';
+    }
+
+    const receiptResult = await this.pool.query(
+      `SELECT id, status, corrected_at FROM receipts WHERE id = $1 ${ownerCondition}`,
+      params
+    );
+
+    if (receiptResult.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    const receipt = receiptResult.rows[0];
+    if (receipt.status === 'processing') {
+      throw new ServiceError(409, 'Receipt is still being processed');
+    }
+    if (receipt.corrected_at && !force) {
+      throw new ServiceError(409, 'Receipt has manual corrections; re-parse with force to discard them');
+    }
+
+    const payloadResult = await this.pool.query(
+      `SELECT provider, format, payload FROM receipt_ocr_payloads
+       WHERE receipt_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [receiptId]
+    );
+
+    if (payloadResult.rows.length === 0) {
+      throw new ServiceError(409, 'Receipt has no stored OCR payload to re-parse');
+    }
+
+    const { provider, format, payload } = payloadResult.rows[0];
+    const ocrResult = this.ocrService.parsePayload(payload, format);
+    ocrResult.provider = provider;
+
+    const validation = this.ocrService.validateOCRResult(ocrResult);
+    if (!validation.isValid) {
+      await this.markFailed(receiptId, validation.errors);
+      return { status: 'failed', duplicateOf: null, parserVersion: this.ocrService.parserVersion, validation };
+    }
+
+    // The shopping list was already checked off when the receipt was first processed
+    const { duplicateOf } = await this.storeOCRResult(receiptId, ocrResult, validation, { checkShoppingLists: false });
+    await this.enrich(receiptId);
+
+    console.log(`Receipt ${receiptId} re-parsed from stored ${provider} payload (parser v${this.ocrService.parserVersion})`);
+    return {
+      status: duplicateOf ? 'duplicate' : 'completed',
+      duplicateOf,
+      parserVersion: this.ocrService.parserVersion,
+      validation
+    };
+  }
+
+  /**
+   * Re-parse every receipt with a stored payload that an older parser produced
+   * @param {Object} [options]
+   * @param {boolean} [options.all] - Include receipts already at the current parser version
+   * @param {boolean} [options.force] - Include receipts with manual corrections
+   * @param {number} [options.limit] - Stop after this many receipts
+   * @returns {Promise<Object>} { reparsed, failed, errors }
+   */
+  async reparseOutdated({ all = false, force = false, limit = null } = {}) {
+    const conditions = [
+      'EXISTS (SELECT 1 FROM receipt_ocr_payloads p WHERE p.receipt_id = r.id)',
+      "r.status <> 'processing'"
+    ];
+    const params = [];
+
+    if (!all) {
+      params.push(this.ocrService.parserVersion);
+      conditions.push(`(r.parser_version IS NULL OR r.parser_version < $${params.length})`);
+    }
+    if (!force) {
+      conditions.push('r.corrected_at IS NULL');
+    }
+
+    let limitClause = '';
+    if (limit) {
+      params.push(limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+
+    const result = await this.pool.query(
+      `SELECT r.id FROM receipts r WHERE ${conditions.join(' AND ')} ORDER BY r.created_at ${limitClause}`,
+      params
+    );
+
+    const summary = { reparsed: 0, failed: 0, errors: [] };
+    for (const { id } of result.rows) {
+      try {
+        const outcome = await this.reparseReceipt(id, { force });
+        if (outcome.status === 'failed') {
+          summary.failed++;
+        } else {
+          summary.reparsed++;
+        }
+      } catch (error) {
+        console.error(`Failed to re-parse receipt ${id}:`, error);
+        summary.errors.push({ receiptId: id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run the enrichment stage. The OCR result is already committed, so a
+   * failure is left on the receipt (enrichment_status = 'failed') instead of
+   * failing the job.
+   * @param {string} receiptId - Receipt ID
+   */
+  async enrich(receiptId) {
+    if (!this.enricher) return;
+
+    try {
+      await this.enricher.enrichReceipt(receiptId);
+    } catch (error) {
+      console.error(`Enrichment failed for receipt ${receiptId}:`, error.message);
+    }
+  }
+
+  /**
+   * Keep the provider's raw response for later re-parsing
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} ocrResult - Result of OCRService.processReceipt
+   */
+  async savePayload(receiptId, ocrResult) {
+    if (!ocrResult || ocrResult.rawData === undefined || ocrResult.rawData === null) return;
+
+    await this.pool.query(
+      `INSERT INTO receipt_ocr_payloads (receipt_id, provider, format, parser_version, payload)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        receiptId,
+        ocrResult.provider || this.ocrService.providerName,
+        ocrResult.format || 'tabscanner',
+        this.ocrService.parserVersion,
+        JSON.stringify(ocrResult.rawData)
+      ]
+    );
+  }
+
+  /**
+   * Write OCR header fields, store and line items in one transaction.
+   * Existing items are replaced so a retried job never duplicates them;
+   * manual corrections are discarded along with them.
+   * @param {Object} [options]
+   * @param {boolean} [options.checkShoppingLists] - Check off list items found on the receipt (default true)
+   * @returns {Promise<Object>} { duplicateOf } - original receipt ID when flagged as a duplicate
+   */
+  async storeOCRResult(receiptId, ocrResult, validation, { checkShoppingLists = true } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // A re-parse can move the receipt to another day
+      const previousDay = this.rollups ? await this.rollups.receiptDay(client, receiptId) : null;
+
+      // Update receipt with OCR data
+      await client.query(
+        `UPDATE receipts
+         SET status = 'completed',
+             receipt_date = $1,
+             total_amount = $2,
+             tax_amount = $3,
+             subtotal = $4,
+             ocr_raw_text = $5,
+             processing_errors = $6,
+             parser_version = $7,
+             enrichment_status = $8,
+             corrected_at = NULL,
+             processed_at = CURRENT_TIMESTAMP
+         WHERE id = $9`,
+        [
+          ocrResult.receipt.date,
+          ocrResult.receipt.total,
+          ocrResult.receipt.tax,
+          ocrResult.receipt.subtotal,
+          ocrResult.rawText,
+          JSON.stringify(validation.warnings),
+          this.ocrService.parserVersion,
+          this.enricher ? 'pending' : null,
+          receiptId
+        ]
+      );
+
+      // Find or create store
+      if (ocrResult.receipt.merchant) {
+        let storeId;
+        const storeResult = await client.query(
+          'SELECT id FROM stores WHERE name ILIKE $1 LIMIT 1',
+          [`%${ocrResult.receipt.merchant}%`]
+        );
+
+        if (storeResult.rows.length > 0) {
+          storeId = storeResult.rows[0].id;
+        } else {
+          // Create new store
+          const newStoreResult = await client.query(
+            'INSERT INTO stores (name, chain) VALUES ($1, $2) RETURNING id',
+            [ocrResult.receipt.merchant, ocrResult.receipt.merchant]
+          );
+          storeId = newStoreResult.rows[0].id;
+        }
+
+        // Update receipt with store
+        await client.query(
+          'UPDATE receipts SET store_id = $1 WHERE id = $2',
+          [storeId, receiptId]
+        );
+      }
+
+      // Insert receipt items
+      await client.query('DELETE FROM receipt_items WHERE receipt_id = $1', [receiptId]);
+
+      if (ocrResult.receipt.items && ocrResult.receipt.items.length > 0) {
+        console.log(`Inserting ${ocrResult.receipt.items.length} receipt items for receipt ${receiptId}`);
+        for (const item of ocrResult.receipt.items) {
+          await client.query(
+            `INSERT INTO receipt_items
+             (receipt_id, product_name, quantity, unit_price, line_total)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+              receiptId,
+              item.name,
+              item.quantity || 1,
+              item.unitPrice,
+              item.totalPrice
+            ]
+          );
+        }
+      }
+
+      if (this.priceHistory) {
+        await this.priceHistory.recordReceipt(client, receiptId);
+      }
+
+      let duplicateOf = null;
+      if (this.duplicateDetector) {
+        const original = await this.duplicateDetector.checkFingerprint(client, receiptId, ocrResult.receipt);
+        duplicateOf = original ? original.id : null;
+      }
+
+      if (this.shoppingLists && checkShoppingLists && !duplicateOf) {
+        await this.shoppingLists.checkOffFromReceipt(client, receiptId);
+      }
+
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId, previousDay);
+      }
+
+      await client.query('COMMIT');
+      return { duplicateOf };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a receipt as failed with the given errors
+   * @param {string} receiptId - Receipt ID
+   * @param {Array<string>|string} errors - Error messages
+   */
+  async markFailed(receiptId, errors) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE receipts
+         SET status = 'failed',
+             processing_errors = $1,
+             processed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [Array.isArray(errors) ? errors : [errors], receiptId]
+      );
+
+      // A re-parse that fails validation takes a completed receipt out of analytics
+      if (this.rollups) {
+        await this.rollups.recordReceipt(client, receiptId);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ReceiptProcessor;
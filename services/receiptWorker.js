@@ -0,0 +1,92 @@
+// services/receiptWorker.js - Polls the receipt job queue and runs OCR processing
+const os = require('os');
+
+class ReceiptWorker {
+  /**
+   * @param {Object} options
+   * @param {ReceiptJobQueue} options.queue - Job queue to claim from
+   * @param {ReceiptProcessor} options.processor - Processor that runs OCR for a job
+   * @param {number} [options.pollInterval] - Idle wait between polls (ms)
+   * @param {number} [options.recoveryInterval] - How often to requeue stale jobs (ms)
+   * @param {string} [options.workerId] - Identifier recorded on claimed jobs
+   */
+  constructor({ queue, processor, pollInterval, recoveryInterval, workerId }) {
+    this.queue = queue;
+    this.processor = processor;
+    this.pollInterval = pollInterval || parseInt(process.env.RECEIPT_WORKER_POLL_MS, 10) || 2000;
+    this.recoveryInterval = recoveryInterval || 60 * 1000;
+    this.workerId = workerId || `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.timer = null;
+    this.current = null;
+    this.lastRecovery = 0;
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    console.log(`Receipt worker ${this.workerId} started (poll every ${this.pollInterval}ms)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and wait for the job in progress to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+
+    console.log(`Receipt worker ${this.workerId} stopped`);
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(() => {
+      this.current = this.tick();
+      this.current
+        .then(workedJob => this.schedule(workedJob ? 0 : this.pollInterval))
+        .catch(error => {
+          console.error('Receipt worker poll error:', error);
+          this.schedule(this.pollInterval);
+        });
+    }, delay);
+  }
+
+  async tick() {
+    if (Date.now() - this.lastRecovery >= this.recoveryInterval) {
+      this.lastRecovery = Date.now();
+      await this.queue.recoverStale();
+    }
+
+    return this.runOnce();
+  }
+
+  /**
+   * Claim and process a single job
+   * @returns {Promise<boolean>} Whether a job was claimed
+   */
+  async runOnce() {
+    const job = await this.queue.claim(this.workerId);
+    if (!job) return false;
+
+    console.log(`Receipt worker ${this.workerId} claimed job ${job.id} for receipt ${job.receipt_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    try {
+      await this.processor.processStoredReceipt(job.receipt_id);
+      await this.queue.complete(job);
+    } catch (error) {
+      console.error(`Error processing receipt ${job.receipt_id}:`, error.message);
+      await this.queue.fail(job, error);
+    }
+
+    return true;
+  }
+}
+
+module.exports = ReceiptWorker;
@@ -0,0 +1,219 @@
+// services/sandboxService.js - Throwaway demo accounts (SANDBOX_MODE=true)
+//
+// POST /sandbox/accounts creates a user flagged is_sandbox with a few weeks of
+// sample receipts and signs it in. Sandbox users are ordinary users otherwise:
+// their data is scoped by user_id like everyone else's. They expire after
+// SANDBOX_TTL_HOURS and are deleted, with everything they own, by purgeExpired().
+//
+// SessionService refuses sandbox sessions unless sandbox mode is on, so turning
+// the flag off locks every demo token out immediately.
+const crypto = require('crypto');
+const ServiceError = require('./serviceError');
+const { deleteUser } = require('./dataPurge');
+
+const DEFAULT_TTL_HOURS = 24;
+
+// Repeat purchases give the demo price history, a price increase and list suggestions
+const SAMPLE_RECEIPTS = [
+  {
+    store: "Trader Joe's", daysAgo: 34, tax: 0.72,
+    items: [
+      ['Organic Bananas', 'Produce', 1, 1.99],
+      ['Whole Milk 1 gal', 'Dairy', 1, 3.49],
+      ['Sourdough Bread', 'Bakery', 1, 3.99],
+      ['Large Eggs 12ct', 'Dairy', 1, 2.99],
+      ['Chicken Breast', 'Meat & Seafood', 2, 6.49]
+    ]
+  },
+  {
+    store: 'Safeway', daysAgo: 27, tax: 1.15,
+    items: [
+      ['Whole Milk 1 gal', 'Dairy', 1, 3.59],
+      ['Paper Towels 6pk', 'Household', 1, 8.99],
+      ['Sparkling Water 12pk', 'Beverages', 1, 5.49],
+      ['Baby Spinach', 'Produce', 1, 3.29]
+    ]
+  },
+  {
+    store: "Trader Joe's", daysAgo: 20, tax: 0.58,
+    items: [
+      ['Organic Bananas', 'Produce', 1, 1.99],
+      ['Whole Milk 1 gal', 'Dairy', 1, 3.79],
+      ['Large Eggs 12ct', 'Dairy', 1, 3.19],
+      ['Greek Yogurt', 'Dairy', 2, 1.29]
+    ]
+  },
+  {
+    store: 'Whole Foods Market', daysAgo: 12, tax: 1.92,
+    items: [
+      ['Salmon Fillet', 'Meat & Seafood', 1, 12.99],
+      ['Avocados', 'Produce', 3, 1.50],
+      ['Sourdough Bread', 'Bakery', 1, 4.49],
+      ['Toothpaste', 'Health & Beauty', 1, 4.29]
+    ]
+  },
+  {
+    store: "Trader Joe's", daysAgo: 5, tax: 0.66,
+    items: [
+      ['Organic Bananas', 'Produce', 1, 2.19],
+      ['Whole Milk 1 gal', 'Dairy', 1, 3.99],
+      ['Chicken Breast', 'Meat & Seafood', 1, 6.99],
+      ['Baby Spinach', 'Produce', 1, 3.29]
+    ]
+  }
+];
+
+class SandboxService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} options
+   * @param {SessionService} options.sessionService - Signs the new account in
+   * @param {PriceHistory} [options.priceHistory] - Builds price history for the sample receipts
+   * @param {SpendingRollups} [options.rollups] - Builds spending rollups for the sample receipts
+   * @param {boolean} [options.enabled] - Defaults to SANDBOX_MODE === 'true'
+   * @param {number} [options.ttlHours] - Defaults to SANDBOX_TTL_HOURS or 24
+   */
+  constructor(pool, { sessionService, priceHistory, rollups, enabled, ttlHours } = {}) {
+    this.pool = pool;
+    this.sessionService = sessionService;
+    this.priceHistory = priceHistory;
+    this.rollups = rollups;
+    this.enabled = enabled !== undefined ? enabled : process.env.SANDBOX_MODE === 'true';
+    this.ttlHours = ttlHours || parseInt(process.env.SANDBOX_TTL_HOURS, 10) || DEFAULT_TTL_HOURS;
+  }
+
+  /**
+   * Create a demo account with sample receipts and sign it in
+   * @param {Object} [device] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { user, session }
+   * @throws {ServiceError} 404 when sandbox mode is off
+   */
+  async createAccount(device = {}) {
+    if (!this.enabled) {
+      throw new ServiceError(404, 'Endpoint not found');
+    }
+
+    const client = await this.pool.connect();
+    let user;
+
+    try {
+      await client.query('BEGIN');
+
+      // Nobody can log in with a password: the hash is not a bcrypt hash of anything
+      const suffix = crypto.randomBytes(6).toString('hex');
+      const userResult = await client.query(
+        `INSERT INTO users (email, first_name, last_name, password_hash, is_sandbox, sandbox_expires_at, email_verified_at)
+         VALUES ($1, 'Demo', 'User', $2, true, NOW() + ($3 * INTERVAL '1 hour'), CURRENT_TIMESTAMP)
+         RETURNING id, email, first_name, last_name, created_at, sandbox_expires_at`,
+        [`sandbox-${suffix}@sandbox.invalid`, `sandbox:${crypto.randomBytes(16).toString('hex')}`, this.ttlHours]
+      );
+      user = userResult.rows[0];
+
+      await this.seedReceipts(client, user.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`Created sandbox account ${user.id} (expires ${new Date(user.sandbox_expires_at).toISOString()})`);
+
+    const session = await this.sessionService.createSession(user.id, device);
+    return { user, session };
+  }
+
+  /**
+   * Insert the sample receipts for a new sandbox user
+   * @param {Object} client - Client in an open transaction
+   * @param {string} userId - Sandbox user
+   * @returns {Promise<number>} Number of receipts created
+   */
+  async seedReceipts(client, userId) {
+    for (const sample of SAMPLE_RECEIPTS) {
+      const storeId = await this.findOrCreateStore(client, sample.store);
+      const subtotal = SandboxService.roundCents(
+        sample.items.reduce((sum, [, , quantity, unitPrice]) => sum + quantity * unitPrice, 0)
+      );
+
+      const receiptResult = await client.query(
+        `INSERT INTO receipts (user_id, store_id, receipt_date, subtotal, tax_amount, total_amount, status, processed_at)
+         VALUES ($1, $2, CURRENT_DATE - $3::integer, $4, $5, $6, 'completed', CURRENT_TIMESTAMP)
+         RETURNING id`,
+        [userId, storeId, sample.daysAgo, subtotal, sample.tax, SandboxService.roundCents(subtotal + sample.tax)]
+      );
+      const receiptId = receiptResult.rows[0].id;
+
+      for (const [name, category, quantity, unitPrice] of sample.items) {
+        await client.query(
+          `INSERT INTO receipt_items (receipt_id, category_id, product_name, quantity, unit_price, line_total)
+           VALUES ($1, (SELECT id FROM product_categories WHERE name = $2), $3, $4, $5, $6)`,
+          [receiptId, category, name, quantity, unitPrice, SandboxService.roundCents(quantity * unitPrice)]
+        );
+      }
+
+      if (this.priceHistory) {
+        await this.priceHistory.recordReceipt(client, receiptId);
+      }
+    }
+
+    if (this.rollups) {
+      await this.rollups.rebuildUser(client, userId);
+    }
+
+    return SAMPLE_RECEIPTS.length;
+  }
+
+  /**
+   * Delete sandbox accounts past their expiry
+   * @returns {Promise<number>} Number of accounts deleted
+   */
+  async purgeExpired() {
+    const expired = await this.pool.query(
+      'SELECT id FROM users WHERE is_sandbox = true AND sandbox_expires_at <= NOW()'
+    );
+
+    for (const { id } of expired.rows) {
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        const deleted = await deleteUser(client, id);
+        if (this.priceHistory && deleted.productIds.length > 0) {
+          await this.priceHistory.refreshCatalogStats(client, deleted.productIds);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Failed to delete sandbox account ${id}:`, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    if (expired.rows.length > 0) {
+      console.log(`Deleted ${expired.rows.length} expired sandbox account(s)`);
+    }
+
+    return expired.rows.length;
+  }
+
+  async findOrCreateStore(client, name) {
+    const existing = await client.query('SELECT id FROM stores WHERE name = $1 LIMIT 1', [name]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0].id;
+    }
+
+    const created = await client.query('INSERT INTO stores (name, chain) VALUES ($1, $1) RETURNING id', [name]);
+    return created.rows[0].id;
+  }
+
+  static roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+SandboxService.SAMPLE_RECEIPTS = SAMPLE_RECEIPTS;
+
+module.exports = SandboxService;
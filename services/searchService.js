@@ -0,0 +1,204 @@
+// services/searchService.js - Full-text search over a user's receipts and items
+//
+// Item names are matched three ways and the scores combined:
+//   - full text (english stemming, every term as a prefix): "blueber" -> "BLUEBERRIES OZ"
+//   - trigram word similarity for typos: "bluberries" -> "BLUEBERRIES OZ"
+//   - plain substring, for codes and abbreviations the other two miss
+// Requires the pg_trgm extension and the indexes created in migrations/001_initial_schema.js.
+const ServiceError = require('./serviceError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MIN_QUERY_LENGTH = 2;
+
+class SearchService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Search the user's completed receipts
+   * @param {string} userId - Current user
+   * @param {Object} params - Query string: q, from, to, store, category, minPrice, maxPrice, limit, offset
+   * @returns {Promise<Object>} { query, items, receipts, pagination }
+   */
+  async search(userId, params) {
+    const options = SearchService.parseParams(params);
+
+    const values = [userId, options.tsQuery, options.q, `%${SearchService.escapeLike(options.q)}%`];
+    const filters = SearchService.buildFilters(options, values);
+
+    const itemMatch = `(to_tsvector('english', ri.product_name) @@ to_tsquery('english', $2)
+                        OR $3 <% ri.product_name
+                        OR ri.product_name ILIKE $4)`;
+    const itemRank = `(ts_rank(to_tsvector('english', ri.product_name), to_tsquery('english', $2))
+                       + word_similarity($3, ri.product_name))`;
+
+    values.push(options.limit, options.offset);
+    const limitParam = `$${values.length - 1}`;
+    const offsetParam = `$${values.length}`;
+
+    const itemsResult = await this.pool.query(
+      `SELECT ri.id, ri.receipt_id, ri.product_name, ri.quantity, ri.unit_price, ri.line_total,
+              pc.name as category, r.receipt_date, s.id as store_id, s.name as store_name,
+              ${itemRank} as rank,
+              COUNT(*) OVER() as total_count
+       FROM receipt_items ri
+       JOIN receipts r ON ri.receipt_id = r.id
+       LEFT JOIN stores s ON r.store_id = s.id
+       LEFT JOIN product_categories pc ON ri.category_id = pc.id
+       WHERE r.user_id = $1 AND r.status = 'completed'
+         AND ${itemMatch}
+         ${filters.receipt} ${filters.item}
+       ORDER BY rank DESC, r.receipt_date DESC NULLS LAST
+       LIMIT ${limitParam} OFFSET ${offsetParam}`,
+      values
+    );
+
+    // Receipts containing a matching item, or from a store whose name matches.
+    // Store-name matches only apply when no item-level filter (category/price) is set.
+    const storeMatch = filters.item
+      ? 'FALSE'
+      : `(s.name ILIKE $4 OR $3 <% s.name)`;
+
+    const receiptsResult = await this.pool.query(
+      `WITH item_matches AS (
+         SELECT ri.receipt_id, MAX(${itemRank}) as rank, COUNT(*) as matched_items
+         FROM receipt_items ri
+         JOIN receipts r ON ri.receipt_id = r.id
+         LEFT JOIN stores s ON r.store_id = s.id
+         LEFT JOIN product_categories pc ON ri.category_id = pc.id
+         WHERE r.user_id = $1 AND r.status = 'completed'
+           AND ${itemMatch}
+           ${filters.receipt} ${filters.item}
+         GROUP BY ri.receipt_id
+       )
+       SELECT r.id, r.receipt_date, r.total_amount, s.id as store_id, s.name as store_name,
+              COALESCE(im.matched_items, 0) as matched_items,
+              GREATEST(COALESCE(im.rank, 0),
+                       CASE WHEN ${storeMatch} THEN word_similarity($3, s.name) ELSE 0 END) as rank
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       LEFT JOIN item_matches im ON im.receipt_id = r.id
+       WHERE r.user_id = $1 AND r.status = 'completed'
+         AND (im.receipt_id IS NOT NULL OR ${storeMatch})
+         ${filters.receipt}
+       ORDER BY rank DESC, r.receipt_date DESC NULLS LAST
+       LIMIT ${limitParam} OFFSET ${offsetParam}`,
+      values
+    );
+
+    const totalItems = itemsResult.rows.length > 0 ? parseInt(itemsResult.rows[0].total_count, 10) : 0;
+
+    return {
+      query: options.q,
+      items: itemsResult.rows.map(({ total_count, ...item }) => ({
+        ...item,
+        rank: parseFloat(item.rank)
+      })),
+      receipts: receiptsResult.rows.map(receipt => ({
+        ...receipt,
+        matched_items: parseInt(receipt.matched_items, 10),
+        rank: parseFloat(receipt.rank)
+      })),
+      pagination: {
+        limit: options.limit,
+        offset: options.offset,
+        totalItems
+      }
+    };
+  }
+
+  /**
+   * Validate query string parameters
+   * @param {Object} params - req.query
+   * @returns {Object} Normalized options
+   */
+  static parseParams(params = {}) {
+    const q = typeof params.q === 'string' ? params.q.trim() : '';
+    if (q.length < MIN_QUERY_LENGTH) {
+      throw new ServiceError(400, `q must be at least ${MIN_QUERY_LENGTH} characters`);
+    }
+
+    const tsQuery = SearchService.buildPrefixQuery(q);
+    if (!tsQuery) {
+      throw new ServiceError(400, 'q must contain letters or numbers');
+    }
+
+    const options = {
+      q,
+      tsQuery,
+      store: params.store ? String(params.store).trim() : null,
+      category: params.category ? String(params.category).trim() : null,
+      limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT)),
+      offset: Math.max(0, parseInt(params.offset, 10) || 0)
+    };
+
+    for (const field of ['from', 'to']) {
+      if (params[field] === undefined) continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(params[field]) || isNaN(Date.parse(params[field]))) {
+        throw new ServiceError(400, `${field} must be a date (YYYY-MM-DD)`);
+      }
+      options[field] = params[field];
+    }
+
+    for (const field of ['minPrice', 'maxPrice']) {
+      if (params[field] === undefined) continue;
+      const value = Number(params[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new ServiceError(400, `${field} must be a non-negative number`);
+      }
+      options[field] = value;
+    }
+
+    return options;
+  }
+
+  /**
+   * Filters shared by both queries. Receipt filters narrow which receipts are
+   * searched; item filters narrow which line items count as a match.
+   * @param {Object} options - Parsed options
+   * @param {Array} values - Query parameters; filter values are appended
+   * @returns {Object} { receipt, item } SQL fragments starting with AND
+   */
+  static buildFilters(options, values) {
+    const receipt = [];
+    const item = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    if (options.from) receipt.push(`AND r.receipt_date >= ${param(options.from)}`);
+    if (options.to) receipt.push(`AND r.receipt_date <= ${param(options.to)}`);
+    if (options.store) {
+      const storeParam = param(`%${SearchService.escapeLike(options.store)}%`);
+      receipt.push(`AND (s.name ILIKE ${storeParam} OR s.chain ILIKE ${storeParam})`);
+    }
+    if (options.category) item.push(`AND pc.name ILIKE ${param(options.category)}`);
+    if (options.minPrice !== undefined) item.push(`AND ri.line_total >= ${param(options.minPrice)}`);
+    if (options.maxPrice !== undefined) item.push(`AND ri.line_total <= ${param(options.maxPrice)}`);
+
+    return { receipt: receipt.join(' '), item: item.join(' ') };
+  }
+
+  /**
+   * Turn free text into a tsquery where every term is a prefix: "blueber oz" -> "blueber:* & oz:*"
+   * @param {string} q - Search text
+   * @returns {string} tsquery text, empty when q has no searchable terms
+   */
+  static buildPrefixQuery(q) {
+    return q
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(term => `${term}:*`)
+      .join(' & ');
+  }
+
+  static escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+  }
+}
+
+module.exports = SearchService;
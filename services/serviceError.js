@@ -0,0 +1,15 @@
+// services/serviceError.js - Error carrying the HTTP status a route should respond with
+
+class ServiceError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code (400, 404, 409, ...)
+   * @param {string} message - Client-facing error message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ServiceError;
@@ -0,0 +1,281 @@
+// services/sessionService.js - Access tokens, rotating refresh tokens and device sessions
+//
+// Each login creates a user_sessions row (one per device). The client gets:
+//   - a short-lived JWT access token carrying { userId, sid }
+//   - an opaque refresh token; only its sha256 is stored, in user_sessions.token_hash
+// Every refresh replaces the refresh token and keeps the old hash in
+// session_refresh_tokens. Presenting an already-rotated token means it was
+// copied, so the whole session (token family) is revoked.
+//
+// Sessions of sandbox (demo) users only work while sandbox mode is on and the
+// account has not expired.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ServiceError = require('./serviceError');
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+class SessionService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {string} [options.jwtSecret] - Defaults to JWT_SECRET
+   * @param {number} [options.accessTokenTtlSeconds] - Defaults to ACCESS_TOKEN_TTL_SECONDS or 15 minutes
+   * @param {number} [options.refreshTokenTtlDays] - Defaults to REFRESH_TOKEN_TTL_DAYS or 30 days
+   * @param {boolean} [options.allowSandbox] - Accept sandbox users; defaults to SANDBOX_MODE === 'true'
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    this.accessTokenTtlSeconds = options.accessTokenTtlSeconds
+      || parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10)
+      || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    this.refreshTokenTtlDays = options.refreshTokenTtlDays
+      || parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10)
+      || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+    this.allowSandbox = options.allowSandbox !== undefined
+      ? options.allowSandbox
+      : process.env.SANDBOX_MODE === 'true';
+  }
+
+  /**
+   * Start a session for a device
+   * @param {string} userId - User logging in
+   * @param {Object} [device] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, sessionId }
+   */
+  async createSession(userId, { ipAddress = null, userAgent = null } = {}) {
+    const refreshToken = SessionService.generateRefreshToken();
+
+    const result = await this.pool.query(
+      `INSERT INTO user_sessions (user_id, token_hash, expires_at, ip_address, user_agent, last_used_at)
+       VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 day'), $4, $5, NOW())
+       RETURNING id`,
+      [userId, SessionService.hashToken(refreshToken), this.refreshTokenTtlDays, ipAddress, userAgent]
+    );
+
+    const sessionId = result.rows[0].id;
+    return { ...this.issueAccessToken(userId, sessionId), refreshToken, sessionId };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} [device] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, sessionId }
+   * @throws {ServiceError} 401 when the token is unknown, expired, revoked or reused
+   */
+  async refresh(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ServiceError(400, 'refreshToken is required');
+    }
+
+    const tokenHash = SessionService.hashToken(refreshToken);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `SELECT s.id, s.user_id, s.is_active, s.expires_at > NOW() as is_current,
+                u.is_sandbox, u.sandbox_expires_at > NOW() as sandbox_current
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = $1
+         FOR UPDATE OF s`,
+        [tokenHash]
+      );
+
+      if (sessionResult.rows.length === 0) {
+        const reused = await client.query(
+          'SELECT session_id FROM session_refresh_tokens WHERE token_hash = $1',
+          [tokenHash]
+        );
+
+        if (reused.rows.length > 0) {
+          await this.revokeSession(client, reused.rows[0].session_id, 'refresh_token_reuse');
+          await client.query('COMMIT');
+          console.warn(`Refresh token reuse detected, revoked session ${reused.rows[0].session_id}`);
+        } else {
+          await client.query('ROLLBACK');
+        }
+
+        throw new ServiceError(401, 'Invalid refresh token');
+      }
+
+      const session = sessionResult.rows[0];
+      if (!session.is_active || !session.is_current) {
+        await client.query('ROLLBACK');
+        throw new ServiceError(401, 'Session has expired or was revoked');
+      }
+
+      if (!this.isSandboxAllowed(session)) {
+        await client.query('ROLLBACK');
+        throw new ServiceError(401, 'Sandbox accounts are not available');
+      }
+
+      const nextRefreshToken = SessionService.generateRefreshToken();
+
+      await client.query(
+        'INSERT INTO session_refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+        [session.id, tokenHash]
+      );
+      await client.query(
+        `UPDATE user_sessions
+         SET token_hash = $1,
+             expires_at = NOW() + ($2 * INTERVAL '1 day'),
+             last_used_at = NOW(),
+             ip_address = COALESCE($3, ip_address),
+             user_agent = COALESCE($4, user_agent)
+         WHERE id = $5`,
+        [SessionService.hashToken(nextRefreshToken), this.refreshTokenTtlDays, ipAddress, userAgent, session.id]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        ...this.issueAccessToken(session.user_id, session.id),
+        refreshToken: nextRefreshToken,
+        sessionId: session.id
+      };
+    } catch (error) {
+      if (!(error instanceof ServiceError)) {
+        await client.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Verify an access token and check that its session is still active
+   * @param {string} accessToken - JWT from the Authorization header
+   * @returns {Promise<Object>} { userId, sessionId }
+   * @throws {ServiceError} 401 when the token or session is no longer valid
+   */
+  async verifyAccessToken(accessToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(accessToken, this.jwtSecret);
+    } catch (error) {
+      throw new ServiceError(401, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token');
+    }
+
+    // Tokens issued before sessions were tracked by ID carry no sid
+    if (!decoded.sid) {
+      throw new ServiceError(401, 'Session expired, please log in again');
+    }
+
+    const result = await this.pool.query(
+      `SELECT s.id, u.is_sandbox, u.sandbox_expires_at > NOW() as sandbox_current
+       FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1 AND s.user_id = $2 AND s.is_active = true AND s.expires_at > NOW()`,
+      [decoded.sid, decoded.userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(401, 'Invalid or expired session');
+    }
+
+    if (!this.isSandboxAllowed(result.rows[0])) {
+      throw new ServiceError(401, 'Sandbox accounts are not available');
+    }
+
+    return { userId: decoded.userId, sessionId: decoded.sid };
+  }
+
+  /**
+   * Active sessions for the device list
+   * @param {string} userId - Current user
+   * @param {string} [currentSessionId] - Marks the session making the request
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const result = await this.pool.query(
+      `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [userId]
+    );
+
+    return result.rows.map(session => ({
+      id: session.id,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions (log out a device)
+   */
+  async revokeUserSession(userId, sessionId, reason = 'logout') {
+    const result = await this.pool.query(
+      `UPDATE user_sessions
+       SET is_active = false, revoked_at = NOW(), revoked_reason = $3
+       WHERE id = $1 AND user_id = $2 AND is_active = true
+       RETURNING id`,
+      [sessionId, userId, reason]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Session not found');
+    }
+  }
+
+  /**
+   * Log out everywhere
+   * @param {string} userId - User whose sessions are revoked
+   * @param {string} [reason] - Stored on each session
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const result = await this.pool.query(
+      `UPDATE user_sessions
+       SET is_active = false, revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND is_active = true`,
+      [userId, reason]
+    );
+
+    return result.rowCount;
+  }
+
+  async revokeSession(client, sessionId, reason) {
+    await client.query(
+      `UPDATE user_sessions
+       SET is_active = false, revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1`,
+      [sessionId, reason]
+    );
+  }
+
+  /**
+   * Regular users always pass; sandbox users only in sandbox mode and before they expire
+   * @param {Object} row - { is_sandbox, sandbox_current }
+   */
+  isSandboxAllowed(row) {
+    if (!row.is_sandbox) return true;
+    return this.allowSandbox && row.sandbox_current === true;
+  }
+
+  issueAccessToken(userId, sessionId) {
+    const accessToken = jwt.sign({ userId, sid: sessionId }, this.jwtSecret, { expiresIn: this.accessTokenTtlSeconds });
+    return { accessToken, expiresIn: this.accessTokenTtlSeconds };
+  }
+
+  static generateRefreshToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = SessionService;
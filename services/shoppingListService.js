@@ -0,0 +1,328 @@
+// services/shoppingListService.js - Shopping lists seeded from purchase history
+//
+// List items can point at a product_catalog entry. Suggestions come from the
+// user's own receipt_items: products bought on several different days whose
+// typical repurchase interval has (nearly) elapsed since the last purchase.
+// When a processed receipt contains a listed product, the item is checked off.
+const ServiceError = require('./serviceError');
+const PriceHistory = require('./priceHistory');
+
+const DEFAULT_SUGGESTION_LIMIT = 10;
+const MAX_SUGGESTION_LIMIT = 50;
+// Suggest a product once this share of its usual interval has passed
+const DUE_RATIO = 0.8;
+
+class ShoppingListService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async listLists(userId) {
+    const result = await this.pool.query(
+      `SELECT sl.id, sl.name, sl.created_at, sl.updated_at,
+              COUNT(sli.id) as item_count,
+              COUNT(sli.id) FILTER (WHERE sli.checked) as checked_count
+       FROM shopping_lists sl
+       LEFT JOIN shopping_list_items sli ON sli.list_id = sl.id
+       WHERE sl.user_id = $1
+       GROUP BY sl.id
+       ORDER BY sl.updated_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(list => ({
+      ...list,
+      item_count: parseInt(list.item_count, 10),
+      checked_count: parseInt(list.checked_count, 10)
+    }));
+  }
+
+  async getList(userId, listId) {
+    const list = await this.findList(userId, listId);
+
+    const itemsResult = await this.pool.query(
+      `SELECT sli.id, sli.product_id, sli.name, sli.quantity, sli.note, sli.checked,
+              sli.checked_at, sli.checked_by_receipt_id, sli.created_at,
+              pc.avg_price_cents
+       FROM shopping_list_items sli
+       LEFT JOIN product_catalog pc ON sli.product_id = pc.id
+       WHERE sli.list_id = $1
+       ORDER BY sli.checked, sli.created_at`,
+      [listId]
+    );
+
+    return { ...list, items: itemsResult.rows };
+  }
+
+  /**
+   * @param {string} userId - List owner
+   * @param {Object} fields - { name, items: [{ name, productId, quantity, note }] }
+   */
+  async createList(userId, fields = {}) {
+    const name = ShoppingListService.validateName(fields.name, 'name');
+    const items = Array.isArray(fields.items) ? fields.items : [];
+
+    const result = await this.pool.query(
+      'INSERT INTO shopping_lists (user_id, name) VALUES ($1, $2) RETURNING id',
+      [userId, name]
+    );
+    const listId = result.rows[0].id;
+
+    for (const item of items) {
+      await this.addItem(userId, listId, item);
+    }
+
+    return this.getList(userId, listId);
+  }
+
+  async updateList(userId, listId, fields = {}) {
+    await this.findList(userId, listId);
+    const name = ShoppingListService.validateName(fields.name, 'name');
+
+    await this.pool.query(
+      'UPDATE shopping_lists SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [name, listId]
+    );
+
+    return this.getList(userId, listId);
+  }
+
+  async deleteList(userId, listId) {
+    const result = await this.pool.query(
+      'DELETE FROM shopping_lists WHERE id = $1 AND user_id = $2 RETURNING id',
+      [listId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Shopping list not found');
+    }
+  }
+
+  /**
+   * Add an item. Without a productId the name is matched against the catalog.
+   * @param {string} userId - List owner
+   * @param {string} listId - Shopping list ID
+   * @param {Object} fields - { name, productId, quantity, note }
+   * @returns {Promise<Object>} Created item
+   */
+  async addItem(userId, listId, fields = {}) {
+    await this.findList(userId, listId);
+
+    let productId = fields.productId || null;
+    let name = fields.name ? String(fields.name).trim() : '';
+
+    if (productId) {
+      const product = await this.pool.query('SELECT id, normalized_name FROM product_catalog WHERE id = $1', [productId]);
+      if (product.rows.length === 0) {
+        throw new ServiceError(400, 'productId does not match a product');
+      }
+      name = name || product.rows[0].normalized_name;
+    } else {
+      name = ShoppingListService.validateName(name, 'name');
+      const match = await this.pool.query(
+        'SELECT id FROM product_catalog WHERE normalized_name = $1 LIMIT 1',
+        [PriceHistory.normalizeName(name)]
+      );
+      productId = match.rows.length > 0 ? match.rows[0].id : null;
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO shopping_list_items (list_id, product_id, name, quantity, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [listId, productId, name, ShoppingListService.validateQuantity(fields.quantity), fields.note || null]
+    );
+
+    await this.touchList(listId);
+    return result.rows[0];
+  }
+
+  /**
+   * @param {Object} fields - { name, quantity, note, checked }
+   */
+  async updateItem(userId, listId, itemId, fields = {}) {
+    await this.findList(userId, listId);
+
+    const assignments = [];
+    const values = [itemId, listId];
+    const set = (column, value) => {
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
+    };
+
+    if (fields.name !== undefined) set('name', ShoppingListService.validateName(fields.name, 'name'));
+    if (fields.quantity !== undefined) set('quantity', ShoppingListService.validateQuantity(fields.quantity));
+    if (fields.note !== undefined) set('note', fields.note || null);
+    if (fields.checked !== undefined) {
+      const checked = fields.checked === true || fields.checked === 'true';
+      set('checked', checked);
+      assignments.push(checked ? 'checked_at = CURRENT_TIMESTAMP' : 'checked_at = NULL');
+      assignments.push('checked_by_receipt_id = NULL');
+    }
+
+    if (assignments.length === 0) {
+      throw new ServiceError(400, 'No editable fields provided. Allowed: name, quantity, note, checked');
+    }
+
+    const result = await this.pool.query(
+      `UPDATE shopping_list_items SET ${assignments.join(', ')}
+       WHERE id = $1 AND list_id = $2
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Shopping list item not found');
+    }
+
+    await this.touchList(listId);
+    return result.rows[0];
+  }
+
+  async deleteItem(userId, listId, itemId) {
+    await this.findList(userId, listId);
+
+    const result = await this.pool.query(
+      'DELETE FROM shopping_list_items WHERE id = $1 AND list_id = $2 RETURNING id',
+      [itemId, listId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Shopping list item not found');
+    }
+
+    await this.touchList(listId);
+  }
+
+  /**
+   * Products the user is probably running out of
+   * @param {string} userId - Current user
+   * @param {Object} [params] - { limit }
+   * @returns {Promise<Array>} Suggestions, most overdue first
+   */
+  async suggestItems(userId, params = {}) {
+    const limit = Math.min(MAX_SUGGESTION_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_SUGGESTION_LIMIT));
+
+    const result = await this.pool.query(
+      `WITH purchase_days AS (
+         SELECT ri.product_id, COALESCE(r.receipt_date, r.created_at::date) as purchased_on,
+                SUM(COALESCE(ri.quantity, 1)) as quantity
+         FROM receipt_items ri
+         JOIN receipts r ON ri.receipt_id = r.id
+         WHERE r.user_id = $1 AND r.status = 'completed' AND ri.product_id IS NOT NULL
+         GROUP BY ri.product_id, COALESCE(r.receipt_date, r.created_at::date)
+       ),
+       history AS (
+         SELECT product_id,
+                COUNT(*) as purchase_count,
+                MAX(purchased_on) as last_purchased_on,
+                (MAX(purchased_on) - MIN(purchased_on))::numeric / NULLIF(COUNT(*) - 1, 0) as avg_interval_days,
+                AVG(quantity) as typical_quantity
+         FROM purchase_days
+         GROUP BY product_id
+         HAVING COUNT(*) >= 2
+       )
+       SELECT h.product_id, pc.normalized_name as name, h.purchase_count, h.last_purchased_on,
+              ROUND(h.avg_interval_days, 1) as avg_interval_days,
+              CURRENT_DATE - h.last_purchased_on as days_since_last_purchase,
+              ROUND(h.typical_quantity, 1) as typical_quantity,
+              (CURRENT_DATE - h.last_purchased_on) / h.avg_interval_days as due_ratio
+       FROM history h
+       JOIN product_catalog pc ON pc.id = h.product_id
+       WHERE h.avg_interval_days > 0
+         AND (CURRENT_DATE - h.last_purchased_on) >= h.avg_interval_days * $2
+         AND NOT EXISTS (
+           SELECT 1 FROM shopping_list_items sli
+           JOIN shopping_lists sl ON sli.list_id = sl.id
+           WHERE sl.user_id = $1 AND sli.product_id = h.product_id AND NOT sli.checked
+         )
+       ORDER BY due_ratio DESC, h.purchase_count DESC
+       LIMIT $3`,
+      [userId, DUE_RATIO, limit]
+    );
+
+    return result.rows.map(row => ({
+      productId: row.product_id,
+      name: row.name,
+      purchaseCount: parseInt(row.purchase_count, 10),
+      lastPurchasedOn: row.last_purchased_on,
+      avgIntervalDays: parseFloat(row.avg_interval_days),
+      daysSinceLastPurchase: parseInt(row.days_since_last_purchase, 10),
+      typicalQuantity: parseFloat(row.typical_quantity),
+      dueRatio: Math.round(parseFloat(row.due_ratio) * 100) / 100
+    }));
+  }
+
+  /**
+   * Check off open list items whose product appears on a newly processed receipt.
+   * Items added before their product was in the catalog match on name.
+   * Runs inside the OCR result transaction, after items are linked to the catalog.
+   * @param {Object} client - Client in an open transaction
+   * @param {string} receiptId - Processed receipt
+   * @returns {Promise<number>} Number of items checked off
+   */
+  async checkOffFromReceipt(client, receiptId) {
+    const result = await client.query(
+      `UPDATE shopping_list_items sli
+       SET checked = true,
+           checked_at = CURRENT_TIMESTAMP,
+           checked_by_receipt_id = $1
+       FROM shopping_lists sl, receipts r
+       WHERE sli.list_id = sl.id
+         AND r.id = $1
+         AND sl.user_id = r.user_id
+         AND NOT sli.checked
+         AND EXISTS (
+           SELECT 1 FROM receipt_items ri
+           JOIN product_catalog pc ON pc.id = ri.product_id
+           WHERE ri.receipt_id = $1
+             AND (pc.id = sli.product_id
+                  OR (sli.product_id IS NULL AND pc.normalized_name = LOWER(TRIM(sli.name))))
+         )
+       RETURNING sli.id`,
+      [receiptId]
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`Checked off ${result.rowCount} shopping list item(s) from receipt ${receiptId}`);
+    }
+
+    return result.rowCount;
+  }
+
+  async findList(userId, listId) {
+    const result = await this.pool.query(
+      'SELECT id, name, created_at, updated_at FROM shopping_lists WHERE id = $1 AND user_id = $2',
+      [listId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Shopping list not found');
+    }
+
+    return result.rows[0];
+  }
+
+  async touchList(listId) {
+    await this.pool.query('UPDATE shopping_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [listId]);
+  }
+
+  static validateName(value, field) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+      throw new ServiceError(400, `${field} is required`);
+    }
+    return name.slice(0, 255);
+  }
+
+  static validateQuantity(value) {
+    if (value === undefined || value === null || value === '') return 1;
+    const quantity = Number(value);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new ServiceError(400, 'quantity must be greater than 0');
+    }
+    return quantity;
+  }
+}
+
+module.exports = ShoppingListService;
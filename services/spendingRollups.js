@@ -0,0 +1,284 @@
+// services/spendingRollups.js - Per-user daily spending rollups for analytics
+//
+// spending_daily_totals, spending_daily_categories and spending_daily_stores
+// hold one row per user, household, day (and category or store) with the
+// completed receipts' totals, so analytics sum a few rows per day instead of
+// aggregating receipts and line items on every request. A receipt's day is its
+// receipt_date, or its upload date in the uploader's timezone.
+//
+// Rows are never adjusted by deltas: whatever changes a receipt recomputes the
+// rows for the receipt's user and day (before and after the change) from
+// receipts and receipt_items, in the same transaction. check() compares the
+// rollups with a fresh aggregate and repairs any drift; backfill() rebuilds
+// every user (scripts/backfill-rollups.js). The 010 migration fills the
+// tables from the receipts that existed before them.
+
+// The day a receipt counts on; needs `receipts r` joined to `users u`
+const RECEIPT_DAY = 'COALESCE(r.receipt_date, (r.created_at AT TIME ZONE u.timezone)::date)';
+
+// Each rollup table with the aggregate it holds. source() selects the table's
+// keys then measures, in order, for the completed receipts matching a condition on r/u.
+const ROLLUPS = [
+  {
+    table: 'spending_daily_totals',
+    keys: ['user_id', 'household_id', 'day'],
+    measures: ['total_spent', 'receipt_count'],
+    source: condition => `
+      SELECT r.user_id, r.household_id, ${RECEIPT_DAY} as day,
+             COALESCE(SUM(r.total_amount), 0) as total_spent, COUNT(*) as receipt_count
+      FROM receipts r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'completed' AND ${condition}
+      GROUP BY 1, 2, 3`
+  },
+  {
+    table: 'spending_daily_categories',
+    keys: ['user_id', 'household_id', 'day', 'category_id'],
+    measures: ['total_spent', 'item_count'],
+    source: condition => `
+      SELECT r.user_id, r.household_id, ${RECEIPT_DAY} as day, ri.category_id,
+             COALESCE(SUM(ri.line_total), 0) as total_spent, COUNT(ri.id) as item_count
+      FROM receipt_items ri
+      JOIN receipts r ON ri.receipt_id = r.id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'completed' AND ${condition}
+      GROUP BY 1, 2, 3, 4`
+  },
+  {
+    table: 'spending_daily_stores',
+    keys: ['user_id', 'household_id', 'day', 'store_id'],
+    measures: ['total_spent', 'visit_count'],
+    source: condition => `
+      SELECT r.user_id, r.household_id, ${RECEIPT_DAY} as day, r.store_id,
+             COALESCE(SUM(r.total_amount), 0) as total_spent, COUNT(*) as visit_count
+      FROM receipts r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'completed' AND ${condition}
+      GROUP BY 1, 2, 3, 4`
+  }
+];
+
+const DEFAULT_CHECK_DAYS = 35;
+
+class SpendingRollups {
+  /**
+   * @param {Pool} pool - pg connection pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * The user and day a receipt currently counts on. Take this before changing
+   * a receipt's date or owner and pass it to recordReceipt() afterwards.
+   * @param {Object} db - Pool or client
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object|null>} { userId, day } or null when the receipt doesn't exist
+   */
+  async receiptDay(db, receiptId) {
+    const result = await db.query(
+      `SELECT r.user_id, (${RECEIPT_DAY})::text as day
+       FROM receipts r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.id = $1`,
+      [receiptId]
+    );
+
+    if (result.rows.length === 0) return null;
+    return { userId: result.rows[0].user_id, day: result.rows[0].day };
+  }
+
+  /**
+   * Recompute the rollups a receipt contributes to, after it was stored,
+   * corrected, shared, flagged or deleted
+   * @param {Object} client - Client in an open transaction
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} [previous] - receiptDay() from before the change
+   */
+  async recordReceipt(client, receiptId, previous = null) {
+    const current = await this.receiptDay(client, receiptId);
+
+    for (const [userId, days] of SpendingRollups.groupDays([previous, current].filter(Boolean))) {
+      await this.refreshDays(client, userId, days);
+    }
+  }
+
+  /**
+   * Recompute one user's rollups for some days
+   * @param {Object} client - Client in an open transaction
+   * @param {string} userId - Receipt owner
+   * @param {Array<string>} days - YYYY-MM-DD
+   */
+  async refreshDays(client, userId, days) {
+    if (days.length === 0) return;
+
+    await this.replace(client, userId, {
+      source: `r.user_id = $1 AND ${RECEIPT_DAY} = ANY($2::date[])`,
+      rollup: 'user_id = $1 AND day = ANY($2::date[])',
+      params: [userId, days]
+    });
+  }
+
+  /**
+   * Recompute all of a user's rollups, e.g. after their timezone changed
+   * @param {Object} client - Client in an open transaction
+   * @param {string} userId - Receipt owner
+   */
+  async rebuildUser(client, userId) {
+    await this.replace(client, userId, {
+      source: 'r.user_id = $1',
+      rollup: 'user_id = $1',
+      params: [userId]
+    });
+  }
+
+  /**
+   * rebuildUser() in its own transaction
+   * @param {string} userId - Receipt owner
+   */
+  async rebuild(userId) {
+    await this.transaction(client => this.rebuildUser(client, userId));
+  }
+
+  /**
+   * Rebuild the rollups of every user, one transaction per user
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Just this user
+   * @param {Function} [options.onProgress] - Called with (done, total) after each user
+   * @returns {Promise<Object>} { users }
+   */
+  async backfill({ userId = null, onProgress = null } = {}) {
+    const users = userId
+      ? await this.pool.query('SELECT id FROM users WHERE id = $1', [userId])
+      : await this.pool.query('SELECT id FROM users ORDER BY created_at, id');
+
+    for (const [index, { id }] of users.rows.entries()) {
+      await this.rebuild(id);
+      if (onProgress) onProgress(index + 1, users.rows.length);
+    }
+
+    return { users: users.rows.length };
+  }
+
+  /**
+   * Compare the rollups with a fresh aggregate of receipts and items and
+   * recompute the user/days that differ
+   * @param {Object} [options]
+   * @param {number|null} [options.days] - How many days back to check (default 35, null for all)
+   * @param {boolean} [options.repair] - Recompute what differs (default true)
+   * @returns {Promise<Object>} { mismatches: [{ userId, day, table }], repaired }
+   */
+  async check({ days = DEFAULT_CHECK_DAYS, repair = true } = {}) {
+    const params = [];
+    let sourceCondition = 'TRUE';
+    let rollupCondition = 'TRUE';
+    if (days !== null) {
+      params.push(days);
+      sourceCondition = `${RECEIPT_DAY} >= CURRENT_DATE - $1::integer`;
+      rollupCondition = 'day >= CURRENT_DATE - $1::integer';
+    }
+
+    const mismatches = [];
+    for (const { table, keys, measures, source } of ROLLUPS) {
+      // Rows on one side only, in either direction. Rollup rows are summed per
+      // key first: a deleted household leaves two rows where one would do.
+      const result = await this.pool.query(
+        `WITH rollup AS (
+           SELECT ${keys.join(', ')}, ${measures.map(measure => `SUM(${measure}) as ${measure}`).join(', ')}
+           FROM ${table}
+           WHERE ${rollupCondition}
+           GROUP BY ${keys.join(', ')}
+         ), fresh AS (
+           ${source(sourceCondition)}
+         )
+         SELECT DISTINCT drift.user_id, drift.day::text as day
+         FROM (
+           (SELECT * FROM rollup EXCEPT ALL SELECT * FROM fresh)
+           UNION ALL
+           (SELECT * FROM fresh EXCEPT ALL SELECT * FROM rollup)
+         ) drift`,
+        params
+      );
+
+      for (const row of result.rows) {
+        mismatches.push({ userId: row.user_id, day: row.day, table });
+      }
+    }
+
+    if (mismatches.length > 0) {
+      console.log(`Spending rollups: ${mismatches.length} user/day(s) out of date${repair ? ', recomputing' : ''}`);
+    }
+
+    if (repair) {
+      for (const [userId, userDays] of SpendingRollups.groupDays(mismatches)) {
+        await this.transaction(client => this.refreshDays(client, userId, userDays));
+      }
+    }
+
+    return { mismatches, repaired: repair && mismatches.length > 0 };
+  }
+
+  /**
+   * Delete and re-insert every rollup table's rows matching a condition.
+   * Refreshes of the same user are serialized so they can't both insert.
+   */
+  async replace(client, userId, { source, rollup, params }) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`spending_rollups:${userId}`]);
+
+    for (const { table, keys, measures, source: sourceFor } of ROLLUPS) {
+      await client.query(`DELETE FROM ${table} WHERE ${rollup}`, params);
+      await client.query(`INSERT INTO ${table} (${[...keys, ...measures].join(', ')}) ${sourceFor(source)}`, params);
+    }
+  }
+
+  async transaction(fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * WHERE clause over a rollup table aliased r, for a receipt scope
+   * (r.user_id / r.household_id) and range; the counterpart of
+   * AnalyticsService.receiptFilter(). Extra parameters can be appended with
+   * param(), which returns their placeholder.
+   * @returns {Object} { where, date, values, param }
+   */
+  static filter(scope, range) {
+    const values = [scope.param];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const conditions = [scope.condition];
+    if (range.from) conditions.push(`r.day >= ${param(range.from)}::date`);
+    conditions.push(`r.day <= ${param(range.to)}::date`);
+
+    return { where: conditions.join(' AND '), date: 'r.day', values, param };
+  }
+
+  /**
+   * @returns {Map<string, Array<string>>} userId -> distinct days
+   */
+  static groupDays(entries) {
+    const byUser = new Map();
+    for (const { userId, day } of entries) {
+      if (!byUser.has(userId)) byUser.set(userId, new Set());
+      byUser.get(userId).add(day);
+    }
+    return new Map([...byUser].map(([userId, days]) => [userId, [...days]]));
+  }
+}
+
+module.exports = SpendingRollups;
@@ -0,0 +1,380 @@
+// services/taxReportService.js - Yearly tax paid and deductible spending
+//
+// Users tag receipts or single line items business, medical or deductible; an
+// item's own tag overrides its receipt's. The report covers one calendar year
+// of the user's own completed receipts (dates in their timezone): the tax
+// printed on the receipts, and the tagged amounts by tag, category and store,
+// with the receipts behind them. A tagged receipt without line items counts
+// its subtotal. Downloads are a CSV with one row per receipt or a PDF with the
+// summary too; both link each receipt in the app and, when the image backend
+// can sign URLs, its image.
+const AnalyticsService = require('./analyticsService');
+const DataExportService = require('./dataExportService');
+const PdfDocument = require('./pdfDocument');
+const ServiceError = require('./serviceError');
+
+const TAX_TAGS = ['business', 'medical', 'deductible'];
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+const MIN_YEAR = 2000;
+// The longest an S3 SigV4 URL can be valid
+const IMAGE_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+const CSV_COLUMNS = [
+  'receipt_id', 'receipt_date', 'store_name', 'total_amount', 'tax_amount',
+  'tax_tag', 'deductible_amount', 'deductible_tags', 'receipt_url', 'image_url'
+];
+const UNKNOWN_STORE = 'Unknown store';
+const UNCATEGORIZED = 'Uncategorized';
+
+class TaxReportService {
+  /**
+   * @param {Pool} pool - pg connection pool
+   * @param {Object} [options]
+   * @param {Object} [options.imageStorage] - Signs image links in downloads, when it supports that
+   * @param {string} [options.appUrl] - Base URL for receipt links; defaults to APP_URL
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(pool, { imageStorage = null, appUrl, now = () => new Date() } = {}) {
+    this.pool = pool;
+    this.imageStorage = imageStorage;
+    this.appUrl = (appUrl || process.env.APP_URL || 'http://localhost:8081').replace(/\/+$/, '');
+    this.now = now;
+  }
+
+  /**
+   * Tag a receipt, or clear its tag with null
+   * @returns {Promise<Object>} { id, tax_tag }
+   */
+  async tagReceipt(userId, receiptId, tag) {
+    const result = await this.pool.query(
+      `UPDATE receipts SET tax_tag = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, tax_tag`,
+      [receiptId, userId, TaxReportService.parseTag(tag)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Receipt not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Tag one line item, or clear it with null so it follows the receipt again
+   * @returns {Promise<Object>} { id, receipt_id, tax_tag }
+   */
+  async tagItem(userId, receiptId, itemId, tag) {
+    const result = await this.pool.query(
+      `UPDATE receipt_items ri SET tax_tag = $4
+       FROM receipts r
+       WHERE ri.id = $1 AND ri.receipt_id = $2 AND r.id = ri.receipt_id AND r.user_id = $3
+       RETURNING ri.id, ri.receipt_id, ri.tax_tag`,
+      [itemId, receiptId, userId, TaxReportService.parseTag(tag)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError(404, 'Item not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Tax paid and deductible totals for a year
+   * @param {string} userId - Current user
+   * @param {Object} [params] - Query string: year (default this year)
+   * @returns {Promise<Object>} { year, from, to, timeZone, taxPaid, deductible, receipts }
+   */
+  async getReport(userId, params = {}) {
+    const { report } = await this.collect(userId, params);
+    return report;
+  }
+
+  /**
+   * The report as a file
+   * @param {string} userId - Current user
+   * @param {Object} [params] - Query string: year, format=csv|pdf (default csv)
+   * @returns {Promise<Object>} { filename, contentType, body }
+   */
+  async exportReport(userId, params = {}) {
+    const format = params.format === undefined ? 'csv' : params.format;
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+      throw new ServiceError(400, `format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const { report, imageKeys } = await this.collect(userId, params);
+    const links = await this.receiptLinks(report.receipts, imageKeys);
+    const body = format === 'pdf'
+      ? TaxReportService.toPdf(report, links, AnalyticsService.todayIn(report.timeZone, this.now()))
+      : TaxReportService.toCsv(report, links);
+
+    return { filename: `tax-report-${report.year}.${format}`, contentType: FORMATS[format], body };
+  }
+
+  async collect(userId, params) {
+    const timeZone = await AnalyticsService.loadTimeZone(this.pool, userId);
+    const year = TaxReportService.parseYear(params.year, AnalyticsService.todayIn(timeZone, this.now()));
+    const range = { from: `${year}-01-01`, to: `${year}-12-31` };
+    const filter = AnalyticsService.receiptFilter({ condition: 'r.user_id = $1', param: userId }, timeZone, range);
+
+    const receipts = await this.pool.query(
+      `SELECT r.id, (${filter.date})::text as receipt_date, r.subtotal, r.tax_amount, r.total_amount,
+              r.tax_tag, r.image_key, s.name as store_name, s.chain as store_chain,
+              (SELECT COUNT(*) FROM receipt_items ri WHERE ri.receipt_id = r.id) as item_count
+       FROM receipts r
+       LEFT JOIN stores s ON r.store_id = s.id
+       WHERE ${filter.where}
+       ORDER BY receipt_date, r.created_at`,
+      filter.values
+    );
+
+    // Tagged items per receipt, tag and category
+    const items = await this.pool.query(
+      `SELECT ri.receipt_id, COALESCE(ri.tax_tag, r.tax_tag) as tag, pc.name as category,
+              COALESCE(SUM(ri.line_total), 0) as amount, COUNT(*) as item_count
+       FROM receipt_items ri
+       JOIN receipts r ON ri.receipt_id = r.id
+       LEFT JOIN product_categories pc ON ri.category_id = pc.id
+       WHERE ${filter.where} AND COALESCE(ri.tax_tag, r.tax_tag) IS NOT NULL
+       GROUP BY ri.receipt_id, COALESCE(ri.tax_tag, r.tax_tag), pc.name`,
+      filter.values
+    );
+
+    return {
+      report: { year, ...range, timeZone, ...TaxReportService.summarize(receipts.rows, items.rows) },
+      imageKeys: new Map(receipts.rows.filter(row => row.image_key).map(row => [row.id, row.image_key]))
+    };
+  }
+
+  /**
+   * @returns {Promise<Map<string, Object>>} receipt ID -> { receiptUrl, imageUrl }
+   */
+  async receiptLinks(receipts, imageKeys) {
+    const signs = Boolean(this.imageStorage && this.imageStorage.supportsSignedUrls);
+    const links = new Map();
+
+    for (const receipt of receipts) {
+      const key = imageKeys.get(receipt.id);
+      links.set(receipt.id, {
+        receiptUrl: `${this.appUrl}/receipts/${receipt.id}`,
+        imageUrl: signs && key ? await this.imageStorage.getSignedUrl(key, IMAGE_LINK_TTL_SECONDS) : null
+      });
+    }
+
+    return links;
+  }
+
+  /**
+   * Add up receipts and tagged item groups into the report sections
+   * @param {Array<Object>} receipts - The year's receipts, with item_count
+   * @param {Array<Object>} itemGroups - { receipt_id, tag, category, amount, item_count }
+   * @returns {Object} { taxPaid, deductible, receipts }
+   */
+  static summarize(receipts, itemGroups) {
+    const lines = itemGroups.map(group => ({
+      receiptId: group.receipt_id,
+      tag: group.tag,
+      category: group.category || UNCATEGORIZED,
+      amount: parseFloat(group.amount) || 0,
+      itemCount: parseInt(group.item_count, 10) || 0
+    }));
+
+    for (const receipt of receipts) {
+      if (receipt.tax_tag && parseInt(receipt.item_count, 10) === 0) {
+        const amount = receipt.subtotal !== null && receipt.subtotal !== undefined
+          ? parseFloat(receipt.subtotal)
+          : (parseFloat(receipt.total_amount) || 0) - (parseFloat(receipt.tax_amount) || 0);
+        lines.push({ receiptId: receipt.id, tag: receipt.tax_tag, category: UNCATEGORIZED, amount, itemCount: 0 });
+      }
+    }
+
+    const byTag = new Map(TAX_TAGS.map(tag => [tag, { tag, total: 0, itemCount: 0 }]));
+    const byCategory = new Map();
+    const byReceipt = new Map();
+    for (const line of lines) {
+      const categoryKey = `${line.category}\u0000${line.tag}`;
+      if (!byCategory.has(categoryKey)) {
+        byCategory.set(categoryKey, { category: line.category, tag: line.tag, total: 0, itemCount: 0 });
+      }
+      if (!byReceipt.has(line.receiptId)) byReceipt.set(line.receiptId, { amount: 0, tags: new Set() });
+
+      for (const entry of [byTag.get(line.tag), byCategory.get(categoryKey)]) {
+        entry.total += line.amount;
+        entry.itemCount += line.itemCount;
+      }
+      byReceipt.get(line.receiptId).amount += line.amount;
+      byReceipt.get(line.receiptId).tags.add(line.tag);
+    }
+
+    const taxByStore = new Map();
+    const deductibleByStore = new Map();
+    const addToStore = (map, storeName, amount) => {
+      if (!map.has(storeName)) map.set(storeName, { storeName, total: 0, receiptCount: 0 });
+      map.get(storeName).total += amount;
+      map.get(storeName).receiptCount += 1;
+    };
+
+    const listed = [];
+    for (const receipt of receipts) {
+      const storeName = receipt.store_name || UNKNOWN_STORE;
+      const taxAmount = parseFloat(receipt.tax_amount) || 0;
+      const deductible = byReceipt.get(receipt.id);
+
+      if (taxAmount > 0) addToStore(taxByStore, storeName, taxAmount);
+      if (deductible) addToStore(deductibleByStore, storeName, deductible.amount);
+      if (taxAmount <= 0 && !deductible) continue;
+
+      listed.push({
+        id: receipt.id,
+        receiptDate: receipt.receipt_date,
+        storeName,
+        storeChain: receipt.store_chain || null,
+        totalAmount: AnalyticsService.roundCents(parseFloat(receipt.total_amount) || 0),
+        taxAmount: AnalyticsService.roundCents(taxAmount),
+        taxTag: receipt.tax_tag || null,
+        deductibleAmount: AnalyticsService.roundCents(deductible ? deductible.amount : 0),
+        deductibleTags: deductible ? TAX_TAGS.filter(tag => deductible.tags.has(tag)) : [],
+        hasImage: Boolean(receipt.image_key)
+      });
+    }
+
+    const rounded = entries => [...entries]
+      .map(entry => ({ ...entry, total: AnalyticsService.roundCents(entry.total) }))
+      .sort((a, b) => b.total - a.total);
+    const sum = entries => AnalyticsService.roundCents([...entries].reduce((total, entry) => total + entry.total, 0));
+
+    return {
+      taxPaid: {
+        total: sum(taxByStore.values()),
+        receiptCount: listed.filter(receipt => receipt.taxAmount > 0).length,
+        byStore: rounded(taxByStore.values())
+      },
+      deductible: {
+        total: sum(byTag.values()),
+        byTag: [...byTag.values()].map(entry => ({ ...entry, total: AnalyticsService.roundCents(entry.total) })),
+        byCategory: rounded(byCategory.values()),
+        byStore: rounded(deductibleByStore.values())
+      },
+      receipts: listed
+    };
+  }
+
+  /**
+   * One row per receipt in the report
+   * @returns {string} CSV text
+   */
+  static toCsv(report, links) {
+    const rows = report.receipts.map(receipt => ({
+      receipt_id: receipt.id,
+      receipt_date: receipt.receiptDate,
+      store_name: receipt.storeName,
+      total_amount: receipt.totalAmount.toFixed(2),
+      tax_amount: receipt.taxAmount.toFixed(2),
+      tax_tag: receipt.taxTag,
+      deductible_amount: receipt.deductibleAmount.toFixed(2),
+      deductible_tags: receipt.deductibleTags.join(' '),
+      receipt_url: links.get(receipt.id).receiptUrl,
+      image_url: links.get(receipt.id).imageUrl
+    }));
+
+    return DataExportService.toCsv(rows, CSV_COLUMNS);
+  }
+
+  /**
+   * Summary tables followed by the receipt list
+   * @returns {Buffer} PDF file
+   */
+  static toPdf(report, links, generatedOn) {
+    const pdf = new PdfDocument({ title: `Tax report ${report.year}` });
+    const money = value => value.toFixed(2);
+    const heading = (text) => {
+      pdf.gap(10);
+      pdf.text(text, { size: 12, bold: true });
+    };
+    const table = (columns, rows) => {
+      pdf.row(columns.map(column => ({ ...column, text: column.label })), { bold: true });
+      for (const row of rows) {
+        pdf.row(columns.map((column, index) => ({ ...column, ...row[index] })));
+      }
+      if (rows.length === 0) pdf.text('None', { size: 9 });
+    };
+    const cell = (text, link) => ({ text, link });
+
+    pdf.text(`Tax report ${report.year}`, { size: 16, bold: true });
+    pdf.text(`Receipts dated ${report.from} to ${report.to} (${report.timeZone}), generated ${generatedOn}`, { size: 9 });
+
+    heading(`Tax paid: ${money(report.taxPaid.total)} on ${report.taxPaid.receiptCount} receipt(s)`);
+    table(
+      [{ label: 'Store', width: 312 }, { label: 'Receipts', width: 100, align: 'right' }, { label: 'Tax paid', width: 100, align: 'right' }],
+      report.taxPaid.byStore.map(store => [cell(store.storeName), cell(store.receiptCount), cell(money(store.total))])
+    );
+
+    heading(`Deductible spending: ${money(report.deductible.total)}`);
+    table(
+      [{ label: 'Tag', width: 312 }, { label: 'Items', width: 100, align: 'right' }, { label: 'Amount', width: 100, align: 'right' }],
+      report.deductible.byTag.map(tag => [cell(tag.tag), cell(tag.itemCount), cell(money(tag.total))])
+    );
+    pdf.gap();
+    table(
+      [{ label: 'Category', width: 212 }, { label: 'Tag', width: 100 }, { label: 'Items', width: 100, align: 'right' }, { label: 'Amount', width: 100, align: 'right' }],
+      report.deductible.byCategory.map(category => [
+        cell(category.category), cell(category.tag), cell(category.itemCount), cell(money(category.total))
+      ])
+    );
+    pdf.gap();
+    table(
+      [{ label: 'Store', width: 312 }, { label: 'Receipts', width: 100, align: 'right' }, { label: 'Amount', width: 100, align: 'right' }],
+      report.deductible.byStore.map(store => [cell(store.storeName), cell(store.receiptCount), cell(money(store.total))])
+    );
+
+    heading('Receipts');
+    table(
+      [
+        { label: 'Date', width: 62 }, { label: 'Store', width: 118 }, { label: 'Total', width: 54, align: 'right' },
+        { label: 'Tax', width: 46, align: 'right' }, { label: 'Tags', width: 82 }, { label: 'Deductible', width: 60, align: 'right' },
+        { label: 'Receipt', width: 45 }, { label: 'Image', width: 45 }
+      ],
+      report.receipts.map((receipt) => {
+        const { receiptUrl, imageUrl } = links.get(receipt.id);
+        return [
+          cell(receipt.receiptDate), cell(receipt.storeName), cell(money(receipt.totalAmount)), cell(money(receipt.taxAmount)),
+          cell(receipt.deductibleTags.join(', ')), cell(money(receipt.deductibleAmount)), cell('Open', receiptUrl), cell(imageUrl ? 'Image' : '', imageUrl)
+        ];
+      })
+    );
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * A tax tag from a request body; null clears it
+   */
+  static parseTag(tag) {
+    if (tag === null) return null;
+    if (!TAX_TAGS.includes(tag)) {
+      throw new ServiceError(400, `tag must be one of ${TAX_TAGS.join(', ')}, or null to clear it`);
+    }
+    return tag;
+  }
+
+  /**
+   * @param {string} [value] - ?year=
+   * @param {string} today - YYYY-MM-DD in the user's timezone
+   * @returns {number} The year, this year by default
+   */
+  static parseYear(value, today) {
+    const currentYear = parseInt(today.slice(0, 4), 10);
+    if (value === undefined) return currentYear;
+
+    const year = /^\d{4}$/.test(value) ? parseInt(value, 10) : NaN;
+    if (!(year >= MIN_YEAR && year <= currentYear)) {
+      throw new ServiceError(400, `year must be between ${MIN_YEAR} and ${currentYear}`);
+    }
+    return year;
+  }
+}
+
+module.exports = TaxReportService;
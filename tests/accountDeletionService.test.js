@@ -0,0 +1,85 @@
+// Account Deletion Service Unit Tests
+const bcrypt = require('bcryptjs');
+const AccountDeletionService = require('../services/accountDeletionService');
+const { createMockPool } = require('./helpers/mockPool');
+
+describe('Account Deletion Service', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+        passwordHash = await bcrypt.hash('correct-password', 4);
+    });
+
+    const userHandler = (overrides = {}) => async (sql) => {
+        if (sql.includes('SELECT id, email')) {
+            return { rows: [{ id: 'u-1', email: 'ann@example.com', password_hash: passwordHash, deletion_scheduled_for: null, ...overrides }] };
+        }
+        if (sql.includes('UPDATE users')) return { rows: [{ deletion_scheduled_for: new Date('2025-07-01T00:00:00Z') }] };
+        return { rows: [] };
+    };
+
+    test('should require the confirmation word and the password', async () => {
+        const service = new AccountDeletionService(createMockPool(userHandler()), { sessionService: {} });
+
+        await expect(service.scheduleDeletion('u-1', { password: 'correct-password' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(service.scheduleDeletion('u-1', { password: 'wrong', confirm: 'DELETE' })).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('should schedule deletion, sign out everywhere and email the user', async () => {
+        const pool = createMockPool(userHandler());
+        const sessionService = { revokeAllSessions: jest.fn(async () => 2) };
+        const mailer = { send: jest.fn(async () => ({})) };
+        const service = new AccountDeletionService(pool, { sessionService, mailer, graceDays: 14 });
+
+        const scheduledFor = await service.scheduleDeletion('u-1', { password: 'correct-password', confirm: 'DELETE' });
+
+        expect(scheduledFor).toEqual(new Date('2025-07-01T00:00:00Z'));
+        const update = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE users'));
+        expect(update[1]).toEqual(['u-1', 14]);
+        expect(sessionService.revokeAllSessions).toHaveBeenCalledWith('u-1', 'account_deletion');
+        expect(mailer.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ann@example.com' }));
+    });
+
+    test('should not schedule twice', async () => {
+        const pool = createMockPool(userHandler({ deletion_scheduled_for: new Date() }));
+        const service = new AccountDeletionService(pool, { sessionService: {} });
+
+        await expect(service.scheduleDeletion('u-1', { password: 'correct-password', confirm: 'DELETE' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should keep images another user still references', async () => {
+        const pool = createMockPool(async (sql) => {
+            if (sql.includes('SELECT DISTINCT image_key FROM receipts WHERE user_id')) {
+                return { rows: [{ image_key: 'receipts/aa/own.jpg' }, { image_key: 'receipts/bb/shared.jpg' }] };
+            }
+            if (sql.includes('image_key = ANY')) return { rows: [{ image_key: 'receipts/bb/shared.jpg' }] };
+            if (sql.includes('FROM data_exports')) return { rows: [{ archive_key: 'exports/u-1/e-1.zip' }] };
+            return { rows: [], rowCount: 0 };
+        });
+        const imageStorage = { delete: jest.fn() };
+        const service = new AccountDeletionService(pool, { sessionService: {}, imageStorage });
+
+        await service.deleteAccount('u-1');
+
+        expect(pool.client.query.mock.calls.some(([sql]) => sql.includes('DELETE FROM users'))).toBe(true);
+        expect(imageStorage.delete.mock.calls.map(([key]) => key)).toEqual(['receipts/aa/own.jpg', 'exports/u-1/e-1.zip']);
+    });
+
+    test('should hand shared households the user solely owned to their longest-standing member', async () => {
+        const pool = createMockPool();
+        const service = new AccountDeletionService(pool, { sessionService: {}, imageStorage: { delete: jest.fn() } });
+
+        await service.deleteAccount('u-1');
+
+        const sqls = pool.client.query.mock.calls.map(([sql]) => sql);
+        const promote = pool.client.query.mock.calls.find(([sql]) => sql.includes("UPDATE household_members m SET role = 'owner'"));
+        expect(promote[1]).toEqual(['u-1']);
+        expect(promote[0]).toContain("mine.user_id = $1 AND mine.role = 'owner'");
+        expect(promote[0]).toContain("o.user_id <> $1 AND o.role = 'owner'");
+        expect(promote[0]).toContain('ORDER BY other.household_id, other.joined_at');
+        // Sole-member households are gone first; the membership row goes with the user
+        expect(sqls.findIndex(sql => sql.includes('DELETE FROM households'))).toBeLessThan(sqls.indexOf(promote[0]));
+        expect(sqls.indexOf(promote[0])).toBeLessThan(sqls.findIndex(sql => sql.includes('DELETE FROM users')));
+    });
+});
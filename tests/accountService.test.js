@@ -0,0 +1,177 @@
+// Account Service Unit Tests (password reset and email verification)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const AccountService = require('../services/accountService');
+const { createMailer, FileTransport } = require('../services/mailer');
+const { createMockPool } = require('./helpers/mockPool');
+
+const createService = (pool) => {
+    const mailer = { name: 'test', send: jest.fn(async () => ({ messageId: 'm-1' })) };
+    const sessionService = { revokeAllSessions: jest.fn(async () => 2) };
+    const service = new AccountService(pool, { mailer, sessionService, appUrl: 'https://app.test/' });
+    return { service, mailer, sessionService };
+};
+
+const tokenFromEmail = (mailer) => mailer.send.mock.calls[0][0].text.match(/token=([0-9a-f]+)/)[1];
+
+describe('Account Service', () => {
+    describe('Password reset', () => {
+        test('should email a link and store only the token hash', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM users')) return { rows: [{ id: 'u-1', email: 'ann@example.com', first_name: 'Ann' }] };
+                return { rows: [] };
+            });
+            const { service, mailer } = createService(pool);
+
+            await service.requestPasswordReset(' Ann@Example.com ');
+
+            expect(pool.query.mock.calls[0][1]).toEqual(['ann@example.com']);
+            const token = tokenFromEmail(mailer);
+            expect(mailer.send.mock.calls[0][0].text).toContain(`https://app.test/reset-password?token=${token}`);
+
+            const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO account_tokens'));
+            expect(insert[1]).toEqual(['u-1', 'password_reset', AccountService.hashToken(token), 60]);
+            expect(insert[1]).not.toContain(token);
+
+            const retire = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE account_tokens'));
+            expect(retire[1]).toEqual(['u-1', 'password_reset']);
+        });
+
+        test('should not reveal unknown emails', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const { service, mailer } = createService(pool);
+
+            await expect(service.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+            expect(mailer.send).not.toHaveBeenCalled();
+        });
+
+        test('should resolve the same way when the email cannot be sent', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM users')) return { rows: [{ id: 'u-1', email: 'ann@example.com', first_name: 'Ann' }] };
+                return null;
+            });
+            const { service, mailer } = createService(pool);
+            mailer.send.mockRejectedValueOnce(new Error('SMTP connection refused'));
+
+            await expect(service.requestPasswordReset('ann@example.com')).resolves.toBeUndefined();
+            expect(mailer.send).toHaveBeenCalled();
+        });
+
+        test('should set the new password and revoke every session', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('UPDATE account_tokens')) return { rows: [{ user_id: 'u-1' }] };
+                return { rows: [] };
+            });
+            const { service, sessionService } = createService(pool);
+
+            await service.resetPassword('raw-token', 'new-password-1');
+
+            const consume = pool.query.mock.calls[0];
+            expect(consume[0]).toContain('used_at IS NULL AND expires_at > NOW()');
+            expect(consume[1]).toEqual([AccountService.hashToken('raw-token'), 'password_reset']);
+
+            const update = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE users'));
+            expect(await bcrypt.compare('new-password-1', update[1][0])).toBe(true);
+            expect(sessionService.revokeAllSessions).toHaveBeenCalledWith('u-1', 'password_reset');
+        });
+
+        test('should reject used or expired tokens', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const { service, sessionService } = createService(pool);
+
+            await expect(service.resetPassword('used-token', 'new-password-1')).rejects.toMatchObject({ statusCode: 400 });
+            expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+        });
+
+        test('should reject short passwords before touching the token', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const { service } = createService(pool);
+
+            await expect(service.resetPassword('raw-token', 'short')).rejects.toMatchObject({ statusCode: 400 });
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Email verification', () => {
+        test('should send a verification link', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM users')) return { rows: [{ id: 'u-1', email: 'ann@example.com', email_verified_at: null }] };
+                return { rows: [] };
+            });
+            const { service, mailer } = createService(pool);
+
+            await service.sendVerificationEmail('u-1');
+
+            const token = tokenFromEmail(mailer);
+            expect(mailer.send.mock.calls[0][0].text).toContain(`https://app.test/verify-email?token=${token}`);
+            const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO account_tokens'));
+            expect(insert[1]).toEqual(['u-1', 'email_verification', AccountService.hashToken(token), 48 * 60]);
+        });
+
+        test('should refuse to resend for verified users or too soon', async () => {
+            const verified = createService(createMockPool(async () => ({
+                rows: [{ id: 'u-1', email: 'ann@example.com', email_verified_at: new Date() }]
+            })));
+            await expect(verified.service.sendVerificationEmail('u-1')).rejects.toMatchObject({ statusCode: 409 });
+
+            const recent = createService(createMockPool(async (sql) => {
+                if (sql.includes('FROM users')) return { rows: [{ id: 'u-1', email: 'ann@example.com', email_verified_at: null }] };
+                return { rows: [{ '?column?': 1 }] };
+            }));
+            await expect(recent.service.sendVerificationEmail('u-1')).rejects.toMatchObject({ statusCode: 429 });
+            expect(recent.mailer.send).not.toHaveBeenCalled();
+        });
+
+        test('should mark the email verified', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('UPDATE account_tokens')) return { rows: [{ user_id: 'u-1' }] };
+                return { rows: [] };
+            });
+            const { service } = createService(pool);
+
+            await expect(service.verifyEmail('raw-token')).resolves.toBe('u-1');
+            expect(pool.query.mock.calls[0][1]).toEqual([AccountService.hashToken('raw-token'), 'email_verification']);
+            expect(pool.query.mock.calls[1][0]).toContain('email_verified_at');
+        });
+    });
+
+    describe('Mailer', () => {
+        test('should select the transport by name', () => {
+            expect(createMailer('console').name).toBe('console');
+            expect(() => createMailer('pigeon')).toThrow('Unknown mail transport');
+        });
+
+        test('should require a real transport in production', () => {
+            const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+            try {
+                process.env.NODE_ENV = 'production';
+                delete process.env.MAIL_TRANSPORT;
+                expect(() => createMailer()).toThrow('MAIL_TRANSPORT must be set in production');
+                expect(() => createMailer('console')).toThrow('cannot be used in production');
+                expect(createMailer('file').name).toBe('file');
+
+                process.env.NODE_ENV = 'development';
+                expect(createMailer().name).toBe('console');
+            } finally {
+                process.env.NODE_ENV = NODE_ENV;
+                if (MAIL_TRANSPORT === undefined) delete process.env.MAIL_TRANSPORT;
+                else process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+            }
+        });
+
+        test('should write messages to files with the file transport', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+            try {
+                const transport = new FileTransport({ directory, from: 'test@example.com' });
+                const result = await transport.send({ to: 'ann@example.com', subject: 'Hi', text: 'Hello' });
+
+                const message = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+                expect(message).toMatchObject({ from: 'test@example.com', to: 'ann@example.com', subject: 'Hi', text: 'Hello' });
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,179 @@
+// Admin Service Unit Tests
+const AdminService = require('../services/adminService');
+const { createMockPool } = require('./helpers/mockPool');
+
+const statements = (pool) => pool.client.query.mock.calls.map(([sql]) => sql.trim());
+const auditEntries = (pool) => pool.client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO admin_audit_log'));
+
+describe('Admin Service', () => {
+    describe('Accounts', () => {
+        test('should deactivate, revoke sessions and audit in one transaction', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('UPDATE users')) return { rows: [{ id: 'u-2', email: 'bob@example.com', is_active: false }] };
+                if (sql.includes('UPDATE user_sessions')) return { rows: [], rowCount: 3 };
+                return { rows: [] };
+            });
+            const service = new AdminService(pool);
+
+            const user = await service.setUserActive('admin-1', 'u-2', false);
+
+            expect(user.is_active).toBe(false);
+            const audit = auditEntries(pool)[0][1];
+            expect(audit.slice(0, 4)).toEqual(['admin-1', 'user.deactivate', 'user', 'u-2']);
+            expect(JSON.parse(audit[4])).toEqual({ revokedSessions: 3 });
+            expect(statements(pool)).toEqual(expect.arrayContaining(['BEGIN', 'COMMIT']));
+        });
+
+        test('should not let an admin deactivate themselves', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const service = new AdminService(pool);
+
+            await expect(service.setUserActive('admin-1', 'admin-1', false)).rejects.toMatchObject({ statusCode: 400 });
+            expect(pool.connect).not.toHaveBeenCalled();
+        });
+
+        test('should roll back and skip the audit when the user does not exist', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const service = new AdminService(pool);
+
+            await expect(service.setUserActive('admin-1', 'missing', true)).rejects.toMatchObject({ statusCode: 404 });
+            expect(auditEntries(pool)).toHaveLength(0);
+            expect(statements(pool)).toContain('ROLLBACK');
+        });
+    });
+
+    describe('Reprocessing', () => {
+        test('should requeue a receipt with a stored image', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM receipts')) return { rows: [{ id: 'r-1', status: 'failed', image_key: 'receipts/ab/ab.jpg' }] };
+                return { rows: [] };
+            });
+            const queue = { enqueue: jest.fn(async () => ({ id: 'job-9' })) };
+            const service = new AdminService(pool, { queue });
+
+            const result = await service.reprocessReceipt('admin-1', 'r-1');
+
+            expect(result).toEqual({ receiptId: 'r-1', status: 'processing', jobId: 'job-9' });
+            expect(queue.enqueue).toHaveBeenCalledWith('r-1', pool.client);
+            expect(auditEntries(pool)[0][1][1]).toBe('receipt.reprocess');
+        });
+
+        test('should refuse while a job is still pending', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM receipts')) return { rows: [{ id: 'r-1', status: 'processing', image_key: 'k' }] };
+                if (sql.includes('FROM receipt_jobs')) return { rows: [{ id: 'job-1' }] };
+                return { rows: [] };
+            });
+            const queue = { enqueue: jest.fn() };
+            const service = new AdminService(pool, { queue });
+
+            await expect(service.reprocessReceipt('admin-1', 'r-1')).rejects.toMatchObject({ statusCode: 409 });
+            expect(queue.enqueue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Categorizer', () => {
+        test('should retrain inside an audited transaction', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const model = { version: 3, exampleCount: 120, correctionCount: 4, labels: {} };
+            const categorizer = { train: jest.fn(async () => model) };
+            const service = new AdminService(pool, { categorizer });
+
+            const result = await service.retrainCategorizer('admin-1');
+
+            expect(result).toBe(model);
+            expect(categorizer.train).toHaveBeenCalledWith(pool.client);
+            const audit = auditEntries(pool)[0][1];
+            expect(audit.slice(0, 4)).toEqual(['admin-1', 'categorizer.retrain', 'categorizer', null]);
+            expect(JSON.parse(audit[4])).toEqual({ version: 3, exampleCount: 120, correctionCount: 4 });
+        });
+    });
+
+    describe('Purge', () => {
+        test('should require a scope', async () => {
+            const service = new AdminService(createMockPool(async () => ({ rows: [] })));
+
+            await expect(service.purge('admin-1', { dryRun: true })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(service.purge('admin-1', { from: '03/01/2025' })).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should combine user and date filters', () => {
+            const filters = AdminService.validatePurgeScope({ userId: 'u-2', from: '2025-01-01', to: '2025-01-31' });
+            const { condition, params } = AdminService.buildPurgeCondition(filters);
+
+            expect(condition).toBe(
+                'r.user_id = $1 AND COALESCE(r.receipt_date, r.created_at::date) >= $2 AND COALESCE(r.receipt_date, r.created_at::date) <= $3'
+            );
+            expect(params).toEqual(['u-2', '2025-01-01', '2025-01-31']);
+        });
+
+        test('should roll back a dry run but still audit it', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('SELECT r.id FROM receipts r')) return { rows: [{ id: 'r-1' }, { id: 'r-2' }] };
+                if (sql.includes('DELETE FROM receipt_items')) return { rows: [], rowCount: 7 };
+                if (sql.includes('DELETE FROM product_prices')) return { rows: [{ product_id: 'p-1' }], rowCount: 1 };
+                if (sql.includes('DELETE FROM receipts')) return { rows: [], rowCount: 2 };
+                return { rows: [], rowCount: 0 };
+            });
+            const priceHistory = { refreshCatalogStats: jest.fn() };
+            const service = new AdminService(pool, { priceHistory });
+
+            const result = await service.purge('admin-1', { userId: 'u-2', dryRun: true });
+
+            expect(result).toEqual({
+                dryRun: true,
+                scope: { userId: 'u-2' },
+                deleted: { receipts: 2, receiptItems: 7, corrections: 0 }
+            });
+            expect(priceHistory.refreshCatalogStats).not.toHaveBeenCalled();
+
+            const sql = statements(pool);
+            const rollback = sql.indexOf('ROLLBACK');
+            const audit = sql.findIndex(statement => statement.includes('INSERT INTO admin_audit_log'));
+            expect(rollback).toBeGreaterThan(sql.findIndex(statement => statement.startsWith('DELETE FROM receipts')));
+            expect(audit).toBeGreaterThan(rollback);
+            expect(sql[sql.length - 1]).toBe('COMMIT');
+            expect(auditEntries(pool)[0][1][1]).toBe('data.purge.dry_run');
+        });
+
+        test('should delete purged images no other receipt uses, after commit', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('SELECT r.id FROM receipts r')) return { rows: [{ id: 'r-1' }, { id: 'r-2' }] };
+                if (sql.includes('DELETE FROM receipts')) {
+                    return { rows: [{ user_id: 'u-2', image_key: 'aa/own.jpg' }, { user_id: 'u-2', image_key: 'bb/shared.jpg' }], rowCount: 2 };
+                }
+                if (sql.includes('image_key = ANY')) return { rows: [{ image_key: 'bb/shared.jpg' }] };
+                return { rows: [], rowCount: 0 };
+            });
+            // The statement that ran last when each image was deleted
+            const lastStatements = [];
+            const imageStorage = { delete: jest.fn(async () => lastStatements.push(statements(pool).pop())) };
+            const service = new AdminService(pool, { imageStorage });
+
+            const result = await service.purge('admin-1', { userId: 'u-2' });
+
+            expect(imageStorage.delete.mock.calls).toEqual([['aa/own.jpg']]);
+            expect(lastStatements).toEqual(['COMMIT']);
+            expect(result.deleted).toEqual({ receipts: 2, receiptItems: 0, corrections: 0 });
+
+            imageStorage.delete.mockClear();
+            await service.purge('admin-1', { userId: 'u-2', dryRun: true });
+            expect(imageStorage.delete).not.toHaveBeenCalled();
+        });
+
+        test('should delete sandbox accounts when sandbox is the only filter', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM users WHERE is_sandbox')) return { rows: [{ id: 'sb-1' }, { id: 'sb-2' }] };
+                if (sql.includes('DELETE FROM users')) return { rows: [], rowCount: 1 };
+                return { rows: [], rowCount: 0 };
+            });
+            const service = new AdminService(pool);
+
+            const result = await service.purge('admin-1', { sandbox: true });
+
+            expect(result.deleted.users).toBe(2);
+            expect(statements(pool).filter(sql => sql.includes('DELETE FROM users'))).toHaveLength(2);
+            expect(auditEntries(pool)[0][1][1]).toBe('data.purge');
+        });
+    });
+});
@@ -0,0 +1,194 @@
+// Analytics Service Unit Tests
+const AnalyticsService = require('../services/analyticsService');
+const ServiceError = require('../services/serviceError');
+const { createMockPool } = require('./helpers/mockPool');
+
+const personalScope = { condition: 'r.user_id = $1', param: 'u-1', householdId: null };
+
+const createAnalyticsPool = (handler = () => null) => createMockPool(async (sql, params) => {
+    const handled = handler(sql, params);
+    if (handled) return handled;
+    if (sql.includes('SELECT timezone FROM users')) return { rows: [{ timezone: 'Australia/Sydney' }] };
+    if (sql.includes('as avg_receipt_amount')) return { rows: [{ total_spent: '0', receipt_count: '0', avg_receipt_amount: '0' }] };
+    return null;
+});
+
+const createService = (pool, now = new Date('2024-03-10T22:00:00Z')) => new AnalyticsService(pool, {
+    householdService: { resolveReceiptScope: jest.fn(async () => personalScope) },
+    budgetService: { getStatusSummary: jest.fn(async () => []) },
+    now: () => now
+});
+
+describe('Analytics Service', () => {
+    describe('Ranges', () => {
+        const now = new Date('2024-03-10T22:00:00Z');
+
+        test('should end relative periods on today in the user\'s timezone', () => {
+            expect(AnalyticsService.resolveRange({ period: '7d' }, 'UTC', now)).toMatchObject({ from: '2024-03-04', to: '2024-03-10' });
+            expect(AnalyticsService.resolveRange({ period: '7d' }, 'Australia/Sydney', now)).toMatchObject({ from: '2024-03-05', to: '2024-03-11' });
+            expect(AnalyticsService.resolveRange({ period: '1y' }, 'UTC', now)).toMatchObject({ from: '2023-03-11', to: '2024-03-10' });
+            expect(AnalyticsService.resolveRange({ period: 'all' }, 'UTC', now)).toMatchObject({ from: null, to: '2024-03-10' });
+        });
+
+        test('should accept custom from/to dates', () => {
+            expect(AnalyticsService.resolveRange({ from: '2024-01-01', to: '2024-01-31', granularity: 'week' }, 'UTC', now))
+                .toEqual({ from: '2024-01-01', to: '2024-01-31', period: 'custom', granularity: 'week', compare: null });
+            expect(AnalyticsService.resolveRange({ from: '2024-02-01' }, 'UTC', now)).toMatchObject({ to: '2024-03-10' });
+        });
+
+        test('should reject unknown periods instead of returning all-time data', () => {
+            const invalid = [
+                { period: '14d' },
+                { from: '2024-02-30x' },
+                { from: '2024-03-01', to: '2024-02-01' },
+                { period: '7d', from: '2024-03-01' },
+                { granularity: 'hour' },
+                { compare: 'last_week' }
+            ];
+
+            for (const params of invalid) {
+                expect(() => AnalyticsService.resolveRange(params, 'UTC', now)).toThrow(ServiceError);
+            }
+        });
+
+        test('should compute comparison ranges', () => {
+            const range = { from: '2024-02-01', to: '2024-02-29' };
+
+            expect(AnalyticsService.comparisonRange(range, 'previous_period')).toEqual({ from: '2024-01-03', to: '2024-01-31' });
+            expect(AnalyticsService.comparisonRange(range, 'same_period_last_year')).toEqual({ from: '2023-02-01', to: '2023-02-28' });
+            expect(() => AnalyticsService.comparisonRange({ from: null, to: '2024-02-29' }, 'previous_period'))
+                .toThrow('compare needs a range with a start date');
+        });
+
+        test('should pick a granularity from the range length', () => {
+            expect(AnalyticsService.defaultGranularity('2024-03-01', '2024-03-31')).toBe('day');
+            expect(AnalyticsService.defaultGranularity('2024-01-01', '2024-03-31')).toBe('week');
+            expect(AnalyticsService.defaultGranularity('2023-01-01', '2024-03-31')).toBe('month');
+        });
+    });
+
+    describe('Spending', () => {
+        test('should bucket the trend by the requested granularity from the daily rollups', async () => {
+            const pool = createAnalyticsPool();
+            const service = createService(pool);
+
+            const result = await service.getSpending('u-1', { from: '2024-01-01', to: '2024-03-31', granularity: 'quarter' });
+
+            const trend = pool.queries.find(q => q.sql.includes('generate_series'));
+            expect(trend.params).toEqual(['u-1', '2024-01-01', '2024-03-31', 'quarter', '2024-01-01', '2024-03-31', '3 months']);
+            expect(trend.sql).toContain('FROM spending_daily_totals r');
+            expect(trend.sql).not.toContain('LIMIT 12');
+            expect(result.range).toEqual({ from: '2024-01-01', to: '2024-03-31', granularity: 'quarter', timeZone: 'Australia/Sydney' });
+            expect(result.period).toBe('custom');
+        });
+
+        test('should start an all-time trend at the first receipt', async () => {
+            const pool = createAnalyticsPool(sql => (sql.includes('first_date') ? { rows: [{ first_date: '2023-11-15' }] } : null));
+            const service = createService(pool);
+
+            const result = await service.getSpending('u-1', { period: 'all' });
+
+            const trend = pool.queries.find(q => q.sql.includes('generate_series'));
+            expect(trend.params).toContain('2023-11-15');
+            expect(result.range.granularity).toBe('week');
+        });
+
+        test('should refuse ranges with too many buckets', async () => {
+            const service = createService(createAnalyticsPool());
+
+            await expect(service.getSpending('u-1', { from: '2020-01-01', to: '2024-01-01', granularity: 'day' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should return deltas per category and store against the previous period', async () => {
+            const pool = createAnalyticsPool((sql, params) => {
+                const previous = params.includes('2024-01-30');
+                if (sql.includes('pc.name as category')) {
+                    return {
+                        rows: previous
+                            ? [{ category: 'Produce', total_spent: '40.00' }, { category: 'Dairy', total_spent: '10.00' }]
+                            : [{ category: 'Produce', total_spent: '50.00' }, { category: 'Bakery', total_spent: '5.00' }]
+                    };
+                }
+                if (sql.includes('as avg_receipt_amount')) {
+                    return { rows: [{ total_spent: previous ? '80.00' : '100.00', receipt_count: '3', avg_receipt_amount: '0' }] };
+                }
+                return null;
+            });
+            const service = createService(pool);
+
+            const result = await service.getSpending('u-1', { from: '2024-03-01', to: '2024-03-31', compare: 'previous_period' });
+
+            expect(result.comparison).toMatchObject({
+                mode: 'previous_period',
+                from: '2024-01-30',
+                to: '2024-02-29',
+                total: { current: 100, previous: 80, delta: 20, deltaPercent: 25 }
+            });
+            expect(result.comparison.byCategory).toEqual([
+                { category: 'Produce', current: 50, previous: 40, delta: 10, deltaPercent: 25 },
+                { category: 'Dairy', current: 0, previous: 10, delta: -10, deltaPercent: -100 },
+                { category: 'Bakery', current: 5, previous: 0, delta: 5, deltaPercent: null }
+            ]);
+        });
+    });
+
+    describe('Items', () => {
+        const item = (overrides) => ({
+            product_id: 'p-milk', product_name: 'WHL MILK 1 GAL', standardized_name: 'Whole Milk 1 Gal', size_description: null,
+            quantity: '1', unit_price: null, line_total: '4.00', receipt_id: 'r-1', purchased_on: '2024-03-01',
+            store_id: 's-tj', store_name: "TRADER JOE'S", store_chain: "Trader Joe's", category: 'Dairy',
+            ...overrides
+        });
+
+        test('should summarize repeat purchases with unit prices and the cheapest store', () => {
+            const [milk] = AnalyticsService.summarizeProducts([
+                item({}),
+                item({ receipt_id: 'r-2', purchased_on: '2024-03-08', product_name: 'MILK HALF GAL', size_description: '64 fl oz', line_total: '2.40', store_id: 's-wf', store_name: 'WHOLE FOODS' }),
+                item({ receipt_id: 'r-3', purchased_on: '2024-03-22', line_total: '4.48' })
+            ]);
+
+            expect(milk).toMatchObject({
+                productId: 'p-milk',
+                name: 'Whole Milk 1 Gal',
+                purchaseCount: 3,
+                totalSpent: 10.88,
+                firstPurchasedOn: '2024-03-01',
+                lastPurchasedOn: '2024-03-22',
+                avgDaysBetween: 10.5,
+                unitPrice: { unit: 'fl oz', latest: 0.035, lowest: 0.0313 }
+            });
+            expect(milk.cheapestStore).toMatchObject({ storeId: 's-tj', price: 0.0313, purchasedOn: '2024-03-01' });
+        });
+
+        test('should not name a cheapest store for a one-off purchase', () => {
+            const [milk] = AnalyticsService.summarizeProducts([item({})]);
+
+            expect(milk).toMatchObject({ purchaseCount: 1, avgDaysBetween: null, cheapestStore: null });
+        });
+
+        test('should rank products by count and by spend', async () => {
+            const rows = [
+                item({}),
+                item({ receipt_id: 'r-2', purchased_on: '2024-03-08' }),
+                item({ product_id: 'p-steak', product_name: 'RIBEYE STEAK LB', standardized_name: null, quantity: '1.5', line_total: '21.00', category: 'Meat & Seafood' })
+            ];
+            const pool = createAnalyticsPool(sql => (sql.includes('ri.product_id IS NOT NULL') ? { rows } : null));
+            const service = createService(pool);
+
+            const result = await service.getItems('u-1', { limit: '5' });
+
+            expect(result.range).toMatchObject({ from: '2023-12-13', to: '2024-03-11' });
+            expect(result.topByCount.map(product => product.productId)).toEqual(['p-milk', 'p-steak']);
+            expect(result.topBySpend.map(product => product.productId)).toEqual(['p-steak', 'p-milk']);
+            expect(result.repeatPurchases.map(product => product.productId)).toEqual(['p-milk']);
+            expect(result.topBySpend[0].unitPrice).toMatchObject({ unit: 'oz', latest: 0.875 });
+        });
+    });
+
+    test('should validate timezone names', () => {
+        expect(AnalyticsService.isValidTimeZone('America/Chicago')).toBe(true);
+        expect(AnalyticsService.isValidTimeZone('Mars/Olympus')).toBe(false);
+        expect(AnalyticsService.isValidTimeZone('')).toBe(false);
+    });
+});
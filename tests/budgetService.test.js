@@ -0,0 +1,76 @@
+// Budget Service Unit Tests
+const BudgetService = require('../services/budgetService');
+
+describe('Budget Service', () => {
+    describe('Periods', () => {
+        test('should start weeks on Monday', () => {
+            // Sunday 2024-03-10 belongs to the week of Monday 2024-03-04
+            expect(BudgetService.periodBounds('weekly', new Date('2024-03-10T12:00:00Z')))
+                .toEqual({ start: '2024-03-04', end: '2024-03-11' });
+            expect(BudgetService.periodBounds('weekly', new Date('2024-03-11T00:00:00Z')))
+                .toEqual({ start: '2024-03-11', end: '2024-03-18' });
+        });
+
+        test('should cover whole calendar months', () => {
+            expect(BudgetService.periodBounds('monthly', new Date('2024-02-29T23:00:00Z')))
+                .toEqual({ start: '2024-02-01', end: '2024-03-01' });
+            expect(BudgetService.periodBounds('monthly', new Date('2024-12-15T00:00:00Z')))
+                .toEqual({ start: '2024-12-01', end: '2025-01-01' });
+        });
+    });
+
+    describe('Rollover', () => {
+        test('should carry only leftovers for unspent rollover', () => {
+            expect(BudgetService.computeCarryOver('unspent', 400, 350)).toBe(50);
+            expect(BudgetService.computeCarryOver('unspent', 400, 450)).toBe(0);
+        });
+
+        test('should carry overspending for full rollover', () => {
+            expect(BudgetService.computeCarryOver('all', 400, 450)).toBe(-50);
+            expect(BudgetService.computeCarryOver('none', 400, 100)).toBe(0);
+        });
+    });
+
+    describe('Progress', () => {
+        test('should report over-budget status with rollover applied', async () => {
+            const pool = {
+                query: jest.fn()
+                    .mockResolvedValueOnce({ rows: [{ spent: '380.00' }] })
+                    .mockResolvedValueOnce({ rows: [{ spent: '450.00' }] })
+            };
+            const service = new BudgetService(pool);
+            const budget = {
+                id: 'b-1', user_id: 'u-1', period: 'monthly', scope: 'overall', amount: '400.00',
+                rollover: 'all', created_at: '2024-01-15T00:00:00Z'
+            };
+
+            const result = await service.withProgress(budget, new Date('2024-03-20T00:00:00Z'));
+
+            expect(result.progress).toMatchObject({
+                periodStart: '2024-03-01', spent: 380, carriedOver: -50, limit: 350, status: 'over'
+            });
+            expect(pool.query.mock.calls[1][1]).toEqual(['u-1', '2024-02-01', '2024-03-01']);
+            expect(result.name).toBe('Monthly budget');
+        });
+
+        test('should flag budgets nearing their limit', () => {
+            expect(BudgetService.statusFor(79, 100)).toBe('ok');
+            expect(BudgetService.statusFor(80, 100)).toBe('warning');
+            expect(BudgetService.statusFor(100.01, 100)).toBe('over');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should require a category for category budgets', async () => {
+            const service = new BudgetService({ query: jest.fn() });
+            await expect(service.createBudget('u-1', { scope: 'category', amount: 100 }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'categoryId is required for category budgets' });
+        });
+
+        test('should reject unknown periods and non-positive amounts', async () => {
+            const service = new BudgetService({ query: jest.fn() });
+            await expect(service.createBudget('u-1', { period: 'yearly', amount: 100 })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(service.createBudget('u-1', { amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
@@ -0,0 +1,88 @@
+// Data Export Service Unit Tests
+const DataExportService = require('../services/dataExportService');
+
+const createMockStorage = (objects = {}) => ({
+    put: jest.fn(async (key, buffer) => { objects[key] = buffer; }),
+    exists: jest.fn(async (key) => key in objects),
+    get: jest.fn(async (key) => objects[key]),
+    delete: jest.fn(async (key) => { delete objects[key]; })
+});
+
+const exportDataHandler = async (sql) => {
+    if (sql.includes('FROM users')) return { rows: [{ id: 'u-1', email: 'ann@example.com' }] };
+    if (sql.includes('FROM receipts r\n')) {
+        return { rows: [{ id: 'r-1', store_name: 'Safeway', total_amount: '12.50', image_key: 'receipts/ab/ab.jpg' }] };
+    }
+    if (sql.includes('FROM receipt_items')) return { rows: [{ id: 'i-1', receipt_id: 'r-1', product_name: 'Milk, 2%', line_total: '3.49' }] };
+    if (sql.includes('FROM stores')) return { rows: [{ id: 's-1', name: 'Safeway' }] };
+    return { rows: [] };
+};
+
+describe('Data Export Service', () => {
+    test('should quote CSV values that need it', () => {
+        const csv = DataExportService.toCsv(
+            [{ name: 'Milk, 2%', note: 'say "hi"', empty: null }],
+            ['name', 'note', 'empty']
+        );
+
+        expect(csv).toBe('name,note,empty\r\n"Milk, 2%","say ""hi""",\r\n');
+    });
+
+    test('should nest items under their receipts', async () => {
+        const service = new DataExportService({ query: jest.fn(exportDataHandler) }, { imageStorage: createMockStorage() });
+
+        const data = await service.collectData('u-1');
+
+        expect(data.receipts[0].items).toEqual([expect.objectContaining({ id: 'i-1' })]);
+        expect(data.items).toHaveLength(1);
+        expect(data.stores[0].name).toBe('Safeway');
+    });
+
+    test('should zip data files and stored images', async () => {
+        const storage = createMockStorage({ 'receipts/ab/ab.jpg': Buffer.from('jpeg-bytes') });
+        const service = new DataExportService({ query: jest.fn(exportDataHandler) }, { imageStorage: storage });
+
+        const archive = await service.buildArchive('u-1');
+
+        expect(archive.slice(0, 2).toString()).toBe('PK');
+        const listing = archive.toString('latin1');
+        for (const name of ['account.json', 'receipts.json', 'receipts.csv', 'items.csv', 'stores.csv', 'budgets.csv', 'images/r-1.jpg']) {
+            expect(listing).toContain(name);
+        }
+    });
+
+    test('should build queued exports and store the archive', async () => {
+        const claims = [{ id: 'e-1', user_id: 'u-1' }];
+        const pool = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.includes("SET status = 'running'")) return { rows: claims.splice(0, 1) };
+                return exportDataHandler(sql, params);
+            })
+        };
+        const storage = createMockStorage();
+        const service = new DataExportService(pool, { imageStorage: storage, ttlDays: 3 });
+
+        await expect(service.processPending()).resolves.toBe(1);
+
+        expect(storage.put).toHaveBeenCalledWith('exports/u-1/e-1.zip', expect.any(Buffer), 'application/zip');
+        const completed = pool.query.mock.calls.find(([sql]) => sql.includes("status = 'completed'"));
+        expect(completed[1]).toEqual(['e-1', 'exports/u-1/e-1.zip', expect.any(Number), 3]);
+    });
+
+    test('should return an export in progress instead of queuing another', async () => {
+        const pool = { query: jest.fn(async () => ({ rows: [{ id: 'e-1', status: 'running' }] })) };
+        const service = new DataExportService(pool, { imageStorage: createMockStorage() });
+
+        const result = await service.requestExport('u-1');
+
+        expect(result).toMatchObject({ id: 'e-1', status: 'running' });
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse downloads of expired exports', async () => {
+        const pool = { query: jest.fn(async () => ({ rows: [{ id: 'e-1', status: 'expired' }] })) };
+        const service = new DataExportService(pool, { imageStorage: createMockStorage() });
+
+        await expect(service.getDownload('u-1', 'e-1')).rejects.toMatchObject({ statusCode: 410 });
+    });
+});
@@ -0,0 +1,91 @@
+// Duplicate Detector Unit Tests
+const DuplicateDetector = require('../services/duplicateDetector');
+const { createMockPool } = require('./helpers/mockPool');
+
+const createDetectorPool = (responses = {}) => createMockPool(async (sql) => {
+    const key = Object.keys(responses).find(fragment => sql.includes(fragment));
+    return key ? responses[key] : { rows: [], rowCount: 1 };
+});
+
+const receipt = {
+    merchant: "Trader Joe's",
+    date: '2024-03-02',
+    time: '14:32:10',
+    total: 23.47,
+    items: [{ name: 'BANANAS' }, { name: 'MILK' }]
+};
+
+describe('Duplicate Detector', () => {
+    describe('Fingerprint', () => {
+        test('should ignore merchant formatting and seconds', () => {
+            const other = { ...receipt, merchant: 'TRADER JOES', time: '14:32', total: '23.470' };
+            expect(DuplicateDetector.computeFingerprint(other)).toBe(DuplicateDetector.computeFingerprint(receipt));
+        });
+
+        test('should differ when the item count differs', () => {
+            const other = { ...receipt, items: [{ name: 'BANANAS' }] };
+            expect(DuplicateDetector.computeFingerprint(other)).not.toBe(DuplicateDetector.computeFingerprint(receipt));
+        });
+
+        test('should not fingerprint receipts without a date or total', () => {
+            expect(DuplicateDetector.computeFingerprint({ ...receipt, date: null })).toBeNull();
+            expect(DuplicateDetector.computeFingerprint({ ...receipt, total: 0 })).toBeNull();
+        });
+    });
+
+    describe('Post-OCR check', () => {
+        test('should flag a receipt matching an earlier fingerprint', async () => {
+            const pool = createDetectorPool({
+                'SELECT user_id, duplicate_status': { rows: [{ user_id: 'u-1', duplicate_status: null }] },
+                'receipt_fingerprint = $2': { rows: [{ id: 'r-original' }] }
+            });
+            const detector = new DuplicateDetector(pool);
+
+            const original = await detector.checkFingerprint(pool.client, 'r-new', receipt);
+
+            expect(original.id).toBe('r-original');
+            const flag = pool.queries.find(q => q.sql.includes("status = 'duplicate'"));
+            expect(flag.params).toEqual(['r-original', 'fingerprint', 'r-new']);
+        });
+
+        test('should not re-flag a receipt the user dismissed', async () => {
+            const pool = createDetectorPool({
+                'SELECT user_id, duplicate_status': { rows: [{ user_id: 'u-1', duplicate_status: 'dismissed' }] },
+                'receipt_fingerprint = $2': { rows: [{ id: 'r-original' }] }
+            });
+            const detector = new DuplicateDetector(pool);
+
+            expect(await detector.checkFingerprint(pool.client, 'r-new', receipt)).toBeNull();
+            expect(pool.queries.some(q => q.sql.includes("status = 'duplicate'"))).toBe(false);
+        });
+    });
+
+    describe('Dismiss', () => {
+        test('should queue OCR for a dismissed image duplicate', async () => {
+            const pool = createDetectorPool({
+                'FROM receipts\n       WHERE id = $1 AND user_id = $2': {
+                    rows: [{ id: 'r-new', status: 'duplicate', duplicate_of: 'r-original', duplicate_reason: 'image' }]
+                }
+            });
+            const queue = { enqueue: jest.fn(async () => ({})) };
+            const detector = new DuplicateDetector(pool, { queue });
+
+            await detector.dismiss('u-1', 'r-new');
+
+            const update = pool.queries.find(q => q.sql.includes("duplicate_status = 'dismissed'"));
+            expect(update.params).toEqual(['r-new', 'processing']);
+            expect(queue.enqueue).toHaveBeenCalledWith('r-new', pool.client);
+        });
+
+        test('should refuse receipts that are not flagged', async () => {
+            const pool = createDetectorPool({
+                'FROM receipts\n       WHERE id = $1 AND user_id = $2': {
+                    rows: [{ id: 'r-1', status: 'completed', duplicate_status: null }]
+                }
+            });
+            const detector = new DuplicateDetector(pool);
+
+            await expect(detector.confirm('u-1', 'r-1')).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+});
@@ -0,0 +1,93 @@
+// Forecast Service Unit Tests
+const ForecastService = require('../services/forecastService');
+const { createMockPool } = require('./helpers/mockPool');
+
+// One amount on the 10th of every month in [first, last]
+const monthly = (first, last, amountFor) => {
+    const daily = new Map();
+    for (let month = first; month <= last; month = ForecastService.addMonths(month, 1)) {
+        daily.set(`${month.slice(0, 7)}-10`, amountFor(month));
+    }
+    return daily;
+};
+
+describe('Forecast Service', () => {
+    describe('Projection', () => {
+        const window = ForecastService.monthWindow('2024-03-15');
+
+        test('should cover the month and enough history for run-rate and seasonality', () => {
+            expect(window).toEqual({ monthStart: '2024-03-01', monthEnd: '2024-03-31', historyFrom: '2023-03-01' });
+        });
+
+        test('should project the rest of the month at the recent daily run-rate', () => {
+            const daily = new Map([['2024-03-01', 30], ['2024-03-08', 60]]);
+
+            const projection = ForecastService.projectMonth(daily, { today: '2024-03-15', historyStart: '2024-03-01', ...window });
+
+            // 90 spent over the 15 days since the first receipt, 16 days to go
+            expect(projection).toMatchObject({ spentToDate: 90, dailyRate: 6, seasonality: 1, projected: 186, typicalMonth: null, status: null });
+            expect(projection.history).toEqual([]);
+        });
+
+        test('should scale by last year\'s seasonality and compare with a typical month', () => {
+            // 100 a month, except 200 last March
+            const daily = monthly('2023-03-01', '2024-02-01', month => (month === '2023-03-01' ? 200 : 100));
+            daily.set('2024-03-10', 50);
+
+            const projection = ForecastService.projectMonth(daily, { today: '2024-03-15', historyStart: '2023-03-10', ...window });
+
+            expect(projection.history).toHaveLength(11);
+            expect(projection.seasonality).toBe(1);
+
+            const fullYear = ForecastService.projectMonth(daily, { today: '2024-03-15', historyStart: '2023-01-05', ...window });
+            expect(fullYear.history).toHaveLength(12);
+            expect(fullYear.seasonality).toBe(1.85);
+            expect(fullYear.typicalMonth).toBe(108.33);
+            expect(fullYear.status).toBe('above');
+        });
+    });
+
+    describe('Anomalies', () => {
+        const createStatsPool = (stats) => createMockPool(async (sql) => {
+            if (sql.includes('SELECT timezone FROM users')) return { rows: [{ timezone: 'UTC' }] };
+            if (sql.includes('STDDEV_SAMP')) return { rows: [stats] };
+            return null;
+        });
+
+        test('should flag a receipt far above the owner\'s usual total', async () => {
+            const pool = createStatsPool({ count: '24', mean: '60.00', std_dev: '15.00' });
+            const service = new ForecastService(pool, {});
+
+            const anomaly = await service.receiptAnomaly({
+                id: 'r-9', user_id: 'u-1', status: 'completed', total_amount: '142.50', receipt_date: '2024-03-02'
+            });
+
+            expect(anomaly).toEqual({ zScore: 5.5, mean: 60, stdDev: 15, sampleSize: 24, flagged: true, direction: 'high' });
+            const statsQuery = pool.queries.find(q => q.sql.includes('STDDEV_SAMP'));
+            expect(statsQuery.sql).toContain('r.id <> $5');
+            expect(statsQuery.params).toEqual(['u-1', 'UTC', '2023-03-03', '2024-03-02', 'r-9']);
+        });
+
+        test('should not score receipts without enough history', async () => {
+            const service = new ForecastService(createStatsPool({ count: '4', mean: '60.00', std_dev: '15.00' }), {});
+
+            const anomaly = await service.receiptAnomaly({ id: 'r-9', user_id: 'u-1', status: 'completed', total_amount: '142.50', receipt_date: '2024-03-02' });
+
+            expect(anomaly).toBeNull();
+            await expect(service.receiptAnomaly({ id: 'r-8', user_id: 'u-1', status: 'processing', total_amount: null })).resolves.toBeNull();
+        });
+
+        test('should flag a category heading for an unusual month', async () => {
+            const service = new ForecastService(createStatsPool({}), { now: () => new Date('2024-03-15T12:00:00Z') });
+
+            const steady = service.withAnomaly({ projected: 400, history: [100, 110, 90, 105, 95] });
+            const usual = service.withAnomaly({ projected: 104, history: [100, 110, 90, 105, 95] });
+            const tooNew = service.withAnomaly({ projected: 400, history: [100, 110] });
+
+            expect(steady.anomaly).toMatchObject({ flagged: true, direction: 'high', sampleSize: 5 });
+            expect(steady.history).toBeUndefined();
+            expect(usual.anomaly.flagged).toBe(false);
+            expect(tooNew.anomaly).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,20 @@
+// Stand-in for a pg Pool in service unit tests
+//
+// Every query, on the pool or on the client connect() hands out, is answered by
+// handler(sql, params); when it returns nothing the result is an empty one.
+// pool.query and pool.client.query are separate mocks so tests can tell
+// transactional statements apart, and both append to pool.queries in order.
+const EMPTY_RESULT = { rows: [], rowCount: 0 };
+
+const createMockPool = (handler = () => null) => {
+    const queries = [];
+    const respond = async (sql, params) => {
+        queries.push({ sql, params });
+        return (await handler(sql, params)) || EMPTY_RESULT;
+    };
+    const client = { query: jest.fn(respond), release: jest.fn() };
+
+    return { queries, client, query: jest.fn(respond), connect: jest.fn(async () => client) };
+};
+
+module.exports = { createMockPool };
@@ -0,0 +1,76 @@
+// Household Service Unit Tests
+const HouseholdService = require('../services/householdService');
+const { createMockPool } = require('./helpers/mockPool');
+
+const membershipPool = (role, extra = {}) => ({
+    query: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM household_members WHERE household_id = $1 AND user_id = $2')) {
+            return { rows: role ? [{ household_id: params[0], user_id: params[1], role }] : [] };
+        }
+        const key = Object.keys(extra).find(fragment => sql.includes(fragment));
+        return key ? extra[key] : { rows: [] };
+    })
+});
+
+describe('Household Service', () => {
+    describe('Scope', () => {
+        test('should scope to the user without a household', async () => {
+            const service = new HouseholdService(membershipPool(null));
+            expect(await service.resolveReceiptScope('u-1')).toEqual({ condition: 'r.user_id = $1', param: 'u-1', householdId: null });
+        });
+
+        test('should scope to the household for members, including viewers', async () => {
+            const service = new HouseholdService(membershipPool('viewer'));
+            const scope = await service.resolveReceiptScope('u-1', 'h-1');
+            expect(scope).toEqual({ condition: 'r.household_id = $1', param: 'h-1', householdId: 'h-1' });
+        });
+
+        test('should hide households the user does not belong to', async () => {
+            const service = new HouseholdService(membershipPool(null));
+            await expect(service.resolveReceiptScope('u-1', 'h-1')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('Roles', () => {
+        test('should not let viewers share receipts', async () => {
+            const service = new HouseholdService(membershipPool('viewer', { 'FROM receipts WHERE id': { rows: [{ id: 'r-1' }] } }));
+            await expect(service.shareReceipt('u-1', 'r-1', 'h-1')).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should only let owners invite', async () => {
+            const service = new HouseholdService(membershipPool('member'));
+            await expect(service.createInvite('u-1', 'h-1', { email: 'kid@example.com' })).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should stop the last owner leaving a household with members', async () => {
+            const service = new HouseholdService(membershipPool('owner', { 'FILTER (WHERE role': { rows: [{ owners: '0', members: '2' }] } }));
+            await expect(service.leaveHousehold('u-1', 'h-1')).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('Invites', () => {
+        test('should store only a hash of the invite token', async () => {
+            const pool = membershipPool('owner', { 'INSERT INTO household_invites': { rows: [{ id: 'inv-1' }] } });
+            const service = new HouseholdService(pool);
+
+            const invite = await service.createInvite('u-1', 'h-1', { email: ' Partner@Example.com ', role: 'viewer' });
+
+            expect(invite).toMatchObject({ id: 'inv-1', email: 'partner@example.com', role: 'viewer' });
+            const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO household_invites'));
+            expect(insert[1][3]).toBe(HouseholdService.hashToken(invite.token));
+            expect(insert[1]).not.toContain(invite.token);
+        });
+
+        test('should reject invites addressed to another email', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM household_invites')) return { rows: [{ id: 'inv-1', household_id: 'h-1', email: 'partner@example.com', role: 'member' }] };
+                if (sql.includes('SELECT email FROM users')) return { rows: [{ email: 'someone@example.com' }] };
+                return null;
+            });
+            const service = new HouseholdService(pool);
+
+            await expect(service.joinHousehold('u-2', 'token')).rejects.toMatchObject({ statusCode: 403 });
+            expect(pool.client.query).toHaveBeenCalledWith('ROLLBACK');
+        });
+    });
+});
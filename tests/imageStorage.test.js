@@ -0,0 +1,73 @@
+// Image Storage Unit Tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImageStorage, hashImage, buildImageKey, LocalStorageBackend } = require('../services/imageStorage');
+
+describe('Image Storage', () => {
+    describe('Content-Addressed Keys', () => {
+        test('should derive the key from the image bytes', () => {
+            const sha256 = hashImage(Buffer.from('receipt image'));
+
+            expect(sha256).toHaveLength(64);
+            expect(buildImageKey(sha256, 'image/png', 'photo.jpg')).toBe(`receipts/${sha256.substring(0, 2)}/${sha256}.png`);
+            expect(buildImageKey(sha256, undefined, 'photo.JPEG')).toBe(`receipts/${sha256.substring(0, 2)}/${sha256}.jpeg`);
+        });
+
+        test('should give identical images the same key', () => {
+            expect(hashImage(Buffer.from('same'))).toBe(hashImage(Buffer.from('same')));
+            expect(hashImage(Buffer.from('same'))).not.toBe(hashImage(Buffer.from('other')));
+        });
+    });
+
+    describe('Local Backend', () => {
+        let root;
+        let storage;
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'grocerypal-storage-'));
+            storage = new LocalStorageBackend({ root });
+        });
+
+        afterEach(() => {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        test('should store, read and delete images', async () => {
+            const buffer = Buffer.from('image bytes');
+            const key = buildImageKey(hashImage(buffer), 'image/jpeg');
+
+            expect(await storage.exists(key)).toBe(false);
+            await storage.put(key, buffer, 'image/jpeg');
+            expect(await storage.exists(key)).toBe(true);
+            expect((await storage.get(key)).toString()).toBe('image bytes');
+
+            await storage.delete(key);
+            expect(await storage.exists(key)).toBe(false);
+        });
+
+        test('should reject keys outside the upload directory', () => {
+            expect(() => storage.resolve('../etc/passwd')).toThrow('Invalid storage key');
+        });
+
+        test('should not offer signed URLs', async () => {
+            expect(storage.supportsSignedUrls).toBe(false);
+            expect(await storage.getSignedUrl('receipts/ab/abc.jpg')).toBeNull();
+        });
+    });
+
+    describe('Backend Selection', () => {
+        test('should default to local storage', () => {
+            const original = process.env.STORAGE_BACKEND;
+            delete process.env.STORAGE_BACKEND;
+
+            expect(createImageStorage().name).toBe('local');
+
+            if (original !== undefined) process.env.STORAGE_BACKEND = original;
+        });
+
+        test('should reject unknown backends', () => {
+            expect(() => createImageStorage('ftp')).toThrow('Unknown storage backend "ftp"');
+        });
+    });
+});
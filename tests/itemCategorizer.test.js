@@ -0,0 +1,87 @@
+// Item Categorizer Unit Tests
+const { ItemCategorizer, NaiveBayesClassifier } = require('../services/categorizer');
+const { createMockPool } = require('./helpers/mockPool');
+
+const createCategorizerPool = (overrideRows = []) => createMockPool(async (sql) => {
+    if (sql.includes('FROM category_overrides o')) return { rows: overrideRows };
+    if (sql.startsWith('INSERT INTO categorizer_models')) {
+        return { rows: [{ id: 7, trained_at: new Date('2024-03-02T00:00:00Z') }] };
+    }
+    return null;
+});
+
+describe('Item Categorizer', () => {
+    test('should give every source list the same answer for eggs', () => {
+        const categorizer = new ItemCategorizer();
+
+        const result = categorizer.categorize('EGGS LRG 12CT');
+
+        expect(result).toMatchObject({ key: 'dairy', label: 'Dairy', source: 'rules' });
+        expect(result.confidence).toBeGreaterThanOrEqual(0.85);
+        expect(categorizer.typeCodeFor(result.key)).toBe('DAIRY');
+    });
+
+    test('should prefer the longest matching keyword', () => {
+        const categorizer = new ItemCategorizer();
+
+        expect(categorizer.categorize('COCONUT MILK').key).toBe('pantry');
+        expect(categorizer.categorize('VANILLA ICE CREAM').key).toBe('frozen');
+        expect(categorizer.categorize('WHOLE MILK').key).toBe('dairy');
+    });
+
+    test('should fall back to the default category with no confidence', () => {
+        const result = new ItemCategorizer().categorize('XQZT 4411');
+
+        expect(result).toEqual({ key: 'other', label: 'Other', confidence: 0, source: 'default' });
+    });
+
+    test('should apply a user\'s overrides ahead of the rules', async () => {
+        const pool = createCategorizerPool([{ normalized_name: 'coconut milk', category_name: 'Dairy' }]);
+        const categorizer = new ItemCategorizer(pool);
+
+        const overrides = await categorizer.loadOverrides('u-1', ['COCONUT MILK', 'Coconut Milk']);
+
+        expect(pool.queries[0].params).toEqual(['u-1', ['coconut milk']]);
+        expect(categorizer.categorize('COCONUT MILK', { overrides })).toMatchObject({ key: 'dairy', confidence: 1, source: 'override' });
+    });
+
+    test('should train on overrides, store the model and let it overrule the rules', async () => {
+        // Several users moved kombucha out of beverages
+        const names = ['kombucha', 'kombucha ginger', 'kombucha ginger', 'kombucha original', 'kombucha original', 'tea kombucha'];
+        const overrideRows = names.map(name => ({
+            normalized_name: name, category_name: 'Snacks'
+        }));
+        const pool = createCategorizerPool(overrideRows);
+        const categorizer = new ItemCategorizer(pool);
+
+        expect(categorizer.categorize('KOMBUCHA GINGER')).toMatchObject({ key: 'beverages', source: 'rules' });
+
+        const model = await categorizer.train();
+
+        expect(model).toMatchObject({ version: 7, correctionCount: 6 });
+        const insert = pool.queries.find(q => q.sql.startsWith('INSERT INTO categorizer_models'));
+        expect(JSON.parse(insert.params[0]).labels.snacks.counts.kombucha).toBe(18);
+        expect(pool.queries.some(q => q.sql.includes('DELETE FROM categorizer_models'))).toBe(true);
+        expect(categorizer.categorize('KOMBUCHA GINGER')).toMatchObject({ key: 'snacks', source: 'classifier' });
+        expect(categorizer.categorize('GREEN TEA')).toMatchObject({ key: 'beverages', source: 'rules' });
+    });
+
+    test('should record and forget overrides', async () => {
+        const client = createCategorizerPool();
+        const categorizer = new ItemCategorizer();
+
+        await categorizer.recordOverride(client, 'u-1', '  Coconut Milk ', 'cat-dairy');
+        await categorizer.recordOverride(client, 'u-1', 'Coconut Milk', null);
+
+        expect(client.queries[0].params).toEqual(['u-1', 'coconut milk', 'cat-dairy']);
+        expect(client.queries[1].sql).toContain('DELETE FROM category_overrides');
+    });
+
+    test('should round-trip the classifier through JSON', () => {
+        const model = ItemCategorizer.seedModel(new ItemCategorizer().rules);
+        const restored = new NaiveBayesClassifier(JSON.parse(JSON.stringify(model.toJSON())));
+
+        expect(restored.predict('organic bananas')).toEqual(model.predict('organic bananas'));
+        expect(restored.predict('zzz')).toBeNull();
+    });
+});
@@ -0,0 +1,131 @@
+// LLM Client Unit Tests
+const { LLMClient, MemoryResponseCache, schemas } = require('../services/llm');
+const AIDataParser = require('../services/aiDataParser');
+const { createStubServer } = require('../scripts/llm-stub-server');
+
+const storeAnswer = {
+    normalized_name: "Trader Joe's",
+    chain: "Trader Joe's",
+    store_type: 'grocery',
+    location_type: null,
+    known_for: [],
+    price_range: 'mid-range'
+};
+
+const completion = (content, usage = { prompt_tokens: 1000, completion_tokens: 200 }) => ({
+    data: { model: 'test-model', choices: [{ message: { content } }], usage }
+});
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+const createClient = (http, options = {}) => new LLMClient({
+    apiKey: 'sk-test',
+    http,
+    retryDelayMs: 0,
+    pricing: { promptPer1M: 0.15, completionPer1M: 0.6 },
+    ...options
+});
+
+describe('LLM Client', () => {
+    test('should validate, cost and cache a response', async () => {
+        const http = { post: jest.fn(async () => completion(JSON.stringify(storeAnswer))) };
+        const client = createClient(http, { cache: new MemoryResponseCache() });
+        const usage = LLMClient.emptyUsage();
+
+        const first = await client.complete('Store Name: TRADER JOE S', { schema: schemas.STORE_SCHEMA, usage });
+        const second = await client.complete('Store Name: TRADER JOE S', { schema: schemas.STORE_SCHEMA, usage });
+
+        expect(first).toEqual(storeAnswer);
+        expect(second).toEqual(storeAnswer);
+        expect(http.post).toHaveBeenCalledTimes(1);
+        expect(usage).toEqual({ calls: 2, cachedCalls: 1, promptTokens: 1000, completionTokens: 200, costUsd: 0.00027 });
+
+        const [url, body, config] = http.post.mock.calls[0];
+        expect(url).toBe('https://api.openai.com/v1/chat/completions');
+        expect(body.response_format.json_schema.name).toBe('store_enhancement');
+        expect(config.headers.Authorization).toBe('Bearer sk-test');
+    });
+
+    test('should retry transient failures but not client errors', async () => {
+        const flaky = { post: jest.fn() };
+        flaky.post
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }))
+            .mockResolvedValueOnce(completion(JSON.stringify(storeAnswer)));
+
+        await expect(createClient(flaky).complete('prompt', { schema: schemas.STORE_SCHEMA })).resolves.toEqual(storeAnswer);
+        expect(flaky.post).toHaveBeenCalledTimes(3);
+
+        const rejected = { post: jest.fn(async () => { throw httpError(401); }) };
+        const error = await createClient(rejected).complete('prompt', { schema: schemas.STORE_SCHEMA }).catch(e => e);
+        expect(error.message).toContain('LLM API error');
+        expect(error.retryable).toBe(false);
+        expect(rejected.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject responses that do not match the schema and not cache them', async () => {
+        const cache = new MemoryResponseCache();
+        const http = { post: jest.fn(async () => completion('```json\n{"normalized_name": "Target", "store_type": "casino"}\n```')) };
+        const usage = LLMClient.emptyUsage();
+
+        await expect(createClient(http, { cache }).complete('prompt', { schema: schemas.STORE_SCHEMA, usage }))
+            .rejects.toThrow(/\$\.chain is required; \$\.store_type should be one of/);
+        expect(cache.entries.size).toBe(0);
+        expect(usage.calls).toBe(1);
+    });
+
+    test('should only need an API key for the default OpenAI endpoint', () => {
+        expect(new LLMClient().isConfigured()).toBe(false);
+        expect(new LLMClient({ apiKey: 'sk-test' }).isConfigured()).toBe(true);
+        expect(new LLMClient({ baseUrl: 'http://localhost:11434/v1/' }).isConfigured()).toBe(true);
+        expect(() => new LLMClient({ jsonMode: 'xml' })).toThrow('Unknown LLM JSON mode');
+    });
+
+    describe('with the local stub server', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(done => {
+            server = createStubServer().listen(0, () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(() => done());
+        });
+
+        test('should enrich a receipt through the AI path and reuse cached answers', async () => {
+            const cache = new MemoryResponseCache();
+            const parser = new AIDataParser({ llmClient: new LLMClient({ baseUrl, cache }) });
+            const receipt = {
+                tabscanner_full_response: {
+                    receipt: {
+                        merchant: 'TRADER JOE S #552',
+                        date: '2024-03-02',
+                        total: 6,
+                        items: [
+                            { name: 'TJ ORG BANANAS', quantity: 1, unitPrice: 2, totalPrice: 2 },
+                            { name: 'WHL MILK', quantity: 1, unitPrice: 4, totalPrice: 4 }
+                        ]
+                    }
+                }
+            };
+
+            const first = await parser.parseReceiptData(receipt);
+            const second = await parser.parseReceiptData(receipt);
+
+            expect(parser.useAI).toBe(true);
+            expect(first.store.normalized_name).toBe("Trader Joe's");
+            expect(first.items.map(item => [item.category, item.standardized_name, item.brand])).toEqual([
+                ['produce', 'Organic Bananas', "Trader Joe's"],
+                ['dairy', 'Whole Milk', null]
+            ]);
+            expect(first.insights.budget_category).toBe('budget');
+            expect(first.quality.llm_usage).toMatchObject({ calls: 3, cachedCalls: 0 });
+            expect(first.quality.llm_usage.promptTokens).toBeGreaterThan(0);
+            expect(second.quality.llm_usage).toMatchObject({ calls: 3, cachedCalls: 3, promptTokens: 0 });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+// Migrator Unit Tests
+const Migrator = require('../services/migrator');
+const { createMockPool } = require('./helpers/mockPool');
+
+// Keeps schema_migrations in memory and logs every statement
+const createMigratorPool = (appliedVersions = []) => {
+    const applied = appliedVersions.map(version => ({ version, name: `m${version}`, applied_at: new Date() }));
+    const statements = [];
+
+    const pool = createMockPool(async (sql, params = []) => {
+        statements.push(sql.trim().split('\n')[0]);
+        if (sql.startsWith('SELECT version')) return { rows: [...applied].sort((a, b) => a.version - b.version) };
+        if (sql.startsWith('INSERT INTO schema_migrations')) {
+            applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+        }
+        if (sql.startsWith('DELETE FROM schema_migrations')) {
+            applied.splice(applied.findIndex(row => row.version === params[0]), 1);
+        }
+        return null;
+    });
+
+    return Object.assign(pool, { applied, statements });
+};
+
+const migration = (version, overrides = {}) => ({
+    version,
+    name: `m${version}`,
+    up: jest.fn(async (client) => client.query(`UP ${version}`)),
+    down: jest.fn(async (client) => client.query(`DOWN ${version}`)),
+    ...overrides
+});
+
+describe('Migrator', () => {
+    test('should apply pending migrations in version order', async () => {
+        const pool = createMigratorPool([1]);
+        const migrations = [migration(3), migration(1), migration(2)];
+        const migrator = new Migrator(pool, { migrations });
+
+        const applied = await migrator.migrate();
+
+        expect(applied.map(m => m.version)).toEqual([2, 3]);
+        expect(migrations[1].up).not.toHaveBeenCalled();
+        expect(pool.applied.map(row => row.version)).toEqual([1, 2, 3]);
+        expect(pool.statements.filter(sql => /^(BEGIN|COMMIT|UP)/.test(sql)))
+            .toEqual(['BEGIN', 'UP 2', 'COMMIT', 'BEGIN', 'UP 3', 'COMMIT']);
+        expect(pool.statements).toContain('CREATE TABLE IF NOT EXISTS schema_migrations (');
+        expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    test('should roll back a failing migration and stop', async () => {
+        const pool = createMigratorPool();
+        const failing = migration(2, { up: jest.fn(async () => { throw new Error('syntax error'); }) });
+        const later = migration(3);
+        const migrator = new Migrator(pool, { migrations: [migration(1), failing, later] });
+
+        await expect(migrator.migrate()).rejects.toThrow('syntax error');
+
+        expect(pool.applied.map(row => row.version)).toEqual([1]);
+        expect(pool.statements).toContain('ROLLBACK');
+        expect(later.up).not.toHaveBeenCalled();
+        expect(pool.statements).toContain('SELECT pg_advisory_unlock($1)');
+    });
+
+    test('should revert the latest migrations on rollback', async () => {
+        const pool = createMigratorPool([1, 2, 3]);
+        const migrations = [migration(1), migration(2), migration(3)];
+        const migrator = new Migrator(pool, { migrations });
+
+        const reverted = await migrator.rollback(2);
+
+        expect(reverted.map(m => m.version)).toEqual([3, 2]);
+        expect(migrations[0].down).not.toHaveBeenCalled();
+        expect(pool.applied.map(row => row.version)).toEqual([1]);
+    });
+
+    test('should refuse to roll back a migration whose file is missing', async () => {
+        const pool = createMigratorPool([1, 2]);
+        const migrator = new Migrator(pool, { migrations: [migration(1)] });
+
+        await expect(migrator.rollback()).rejects.toThrow('its file is missing');
+        expect(pool.applied).toHaveLength(2);
+    });
+
+    test('should report pending and missing migrations in status', async () => {
+        const migrator = new Migrator(createMigratorPool([1, 4]), { migrations: [migration(1), migration(2)] });
+
+        const rows = await migrator.status();
+
+        expect(rows.map(row => [row.version, row.pending, row.missing])).toEqual([
+            [1, false, false],
+            [2, true, false],
+            [4, false, true]
+        ]);
+    });
+
+    test('should throw from assertUpToDate while migrations are pending', async () => {
+        const pending = new Migrator(createMigratorPool([1]), { migrations: [migration(1), migration(2)] });
+        const current = new Migrator(createMigratorPool([1, 2]), { migrations: [migration(1), migration(2)] });
+
+        await expect(pending.assertUpToDate()).rejects.toThrow('1 pending migration(s): 002_m2');
+        await expect(current.assertUpToDate()).resolves.toBeUndefined();
+    });
+
+    test('should reject duplicate versions', () => {
+        expect(() => new Migrator(createMigratorPool(), { migrations: [migration(1), migration(1)] }))
+            .toThrow('Duplicate migration version 1');
+    });
+
+    test('should load the repository migrations with up and down', () => {
+        const migrations = new Migrator(createMigratorPool()).load();
+
+        expect(migrations.map(m => m.version)).toEqual(migrations.map((m, i) => i + 1));
+        expect(migrations[0].name).toBe('initial_schema');
+        for (const m of migrations) {
+            expect(typeof m.up).toBe('function');
+            expect(typeof m.down).toBe('function');
+        }
+    });
+});
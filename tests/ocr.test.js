@@ -1,31 +1,54 @@
 // OCR Service Unit Tests
 const OCRService = require('../services/ocrService');
+const { createOCRProvider, FixtureProvider } = require('../services/ocrProviders');
 const fs = require('fs');
 const path = require('path');
 
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'tabscanner-trader-joes.json');
+
 describe('OCR Service', () => {
     let ocrService;
     
     beforeEach(() => {
-        // Test with mock data (no API key)
-        process.env.TABSCANNER_API_KEY = '';
-        ocrService = new OCRService();
+        // Replay a saved TabScanner response instead of calling the API
+        ocrService = new OCRService({ providerName: 'fixture', fixturePath: FIXTURE_PATH });
     });
 
-    describe('Mock Data Processing', () => {
-        test('should generate valid mock OCR response', async () => {
+    describe('Fixture Provider Processing', () => {
+        test('should replay saved TabScanner JSON as a normalized OCR response', async () => {
             const mockBuffer = Buffer.from('fake image data');
             const filename = 'test-receipt.jpg';
             
             const result = await ocrService.processReceipt(mockBuffer, filename);
             
             expect(result.success).toBe(true);
+            expect(result.provider).toBe('fixture');
             expect(result.confidence).toBeGreaterThan(0);
             expect(result.receipt.merchant).toBe("Trader Joe's");
-            expect(result.receipt.total).toBe(25.87);
-            expect(result.receipt.items).toHaveLength(5);
-            expect(result.receipt.items[0].name).toBe('Organic Bananas');
-            expect(result.rawText).toContain("TRADER JOE'S");
+            expect(result.receipt.total).toBe(16.99);
+            expect(result.receipt.date).toBe('2025-08-17');
+            expect(result.receipt.items).toHaveLength(4);
+            expect(result.receipt.items[0].name).toBe('OL VE OIL');
+            expect(result.rawText).toContain("Trader Joe's");
+        });
+
+        test('should replay the same fixture for the same image', async () => {
+            const provider = new FixtureProvider({ fixturePath: path.join(__dirname, 'fixtures') });
+            const buffer = Buffer.from('same image bytes');
+
+            const first = await provider.recognize(buffer, 'a.jpg');
+            const second = await provider.recognize(buffer, 'b.jpg');
+
+            expect(second).toEqual(first);
+        });
+
+        test('should unwrap TabScanner payloads from saved receipt exports', () => {
+            const payload = { status: 'done', result: { establishment: 'Store', lineItems: [] } };
+
+            expect(FixtureProvider.extractTabScannerPayload(payload)).toBe(payload);
+            expect(FixtureProvider.extractTabScannerPayload({ rawData: payload })).toBe(payload);
+            expect(FixtureProvider.extractTabScannerPayload({ tabscanner_full_response: { rawData: payload } })).toBe(payload);
+            expect(FixtureProvider.extractTabScannerPayload({ rawData: { source: 'mock_data' } })).toBeNull();
         });
 
         test('should validate mock OCR results successfully', () => {
@@ -65,38 +88,66 @@ describe('OCR Service', () => {
         });
     });
 
+    describe('Plain Text Parsing', () => {
+        test('should parse Tesseract-style text output', () => {
+            const textService = new OCRService({ providerName: 'tesseract' });
+            const text = [
+                "TRADER JOE'S",
+                '123 Main Street',
+                'Date: 08/20/2025',
+                'Organic Bananas     $2.99',
+                '2 x Almond Milk     $6.98',
+                'Subtotal           $9.97',
+                'Tax                 $0.50',
+                'TOTAL              $10.47'
+            ].join('\n');
+
+            const result = textService.normalizeProviderResponse({ text });
+
+            expect(result.success).toBe(true);
+            expect(result.receipt.merchant).toBe("TRADER JOE'S");
+            expect(result.receipt.total).toBe(10.47);
+            expect(result.receipt.subtotal).toBe(9.97);
+            expect(result.receipt.tax).toBe(0.5);
+            expect(result.receipt.items).toHaveLength(2);
+            expect(result.receipt.items[1]).toMatchObject({ name: 'Almond Milk', quantity: 2, unitPrice: 3.49 });
+        });
+    });
+
     describe('TabScanner Response Parsing', () => {
         test('should parse valid TabScanner response', () => {
             const mockTabScannerResponse = {
-                results: [{
-                    confidence: 0.95,
-                    text: 'WALMART\nItem 1 $5.99\nItem 2 $3.49\nTotal $9.48',
-                    receipt: {
-                        merchant_name: 'Walmart',
-                        date: '2025-08-21',
-                        total: '$9.48',
-                        tax: '$0.75',
-                        items: [
-                            {
-                                description: 'Item 1',
-                                total_price: '$5.99',
-                                quantity: '1'
-                            },
-                            {
-                                description: 'Item 2', 
-                                total_price: '$3.49',
-                                quantity: '1'
-                            }
-                        ]
-                    }
-                }]
+                status: 'done',
+                result: {
+                    establishment: 'Walmart',
+                    dateISO: '2025-08-21T14:05:00',
+                    total: '$9.48',
+                    subTotal: '$8.73',
+                    tax: '$0.75',
+                    establishmentConfidence: 0.95,
+                    totalConfidence: 0.95,
+                    dateConfidence: 0.95,
+                    lineItems: [
+                        {
+                            descClean: 'Item 1',
+                            lineTotal: '$5.99',
+                            qty: '1'
+                        },
+                        {
+                            descClean: 'Item 2',
+                            lineTotal: '$2.74',
+                            qty: '1'
+                        }
+                    ]
+                }
             };
 
             const result = ocrService.parseTabScannerResponse(mockTabScannerResponse);
             
             expect(result.success).toBe(true);
-            expect(result.confidence).toBe(0.95);
+            expect(result.confidence).toBeCloseTo(0.95);
             expect(result.receipt.merchant).toBe('Walmart');
+            expect(result.receipt.date).toBe('2025-08-21');
             expect(result.receipt.total).toBe(9.48);
             expect(result.receipt.tax).toBe(0.75);
             expect(result.receipt.items).toHaveLength(2);
@@ -106,26 +157,26 @@ describe('OCR Service', () => {
 
         test('should handle malformed TabScanner response', () => {
             const malformedResponse = {
-                error: 'Some error occurred'
+                status: 'failed',
+                message: 'Some error occurred'
             };
 
             const result = ocrService.parseTabScannerResponse(malformedResponse);
             
-            expect(result.success).toBe(true);
+            // No result object: nothing to store, so the receipt is marked failed
+            expect(result.success).toBe(false);
             expect(result.confidence).toBe(0);
             expect(result.receipt.merchant).toBeNull();
+            expect(result.receipt.items).toEqual([]);
         });
 
         test('should extract merchant from raw text when structured data missing', () => {
+            // Providers without structured fields (format 'text') only return the text
             const responseWithOnlyText = {
-                results: [{
-                    confidence: 0.8,
-                    text: 'TARGET\n123 Main St\nBananas $2.99\nTotal $2.99',
-                    receipt: null
-                }]
+                text: 'TARGET\n123 Main St\nBananas $2.99\nTotal $2.99'
             };
 
-            const result = ocrService.parseTabScannerResponse(responseWithOnlyText);
+            const result = ocrService.parsePayload(responseWithOnlyText, 'text');
             
             expect(result.success).toBe(true);
             expect(result.receipt.merchant).toBe('TARGET');
@@ -159,78 +210,73 @@ describe('OCR Service', () => {
     });
 
     describe('Error Handling', () => {
-        test('should handle API errors gracefully', async () => {
-            // Simulate API error by using invalid key - this will now fall back to mock data
+        test('should reject processing when the provider is not configured', async () => {
             const originalKey = process.env.TABSCANNER_API_KEY;
-            process.env.TABSCANNER_API_KEY = 'invalid_key';
-            const ocrServiceWithBadKey = new OCRService();
-            
-            const result = await ocrServiceWithBadKey.processReceipt(
-                Buffer.from('test'), 
-                'test.jpg'
-            );
-            
-            // Should fall back to mock data
-            expect(result.success).toBe(true);
-            expect(result.receipt.merchant).toBe("Trader Joe's");
-            
-            // Restore original key
-            process.env.TABSCANNER_API_KEY = originalKey;
+            delete process.env.TABSCANNER_API_KEY;
+
+            try {
+                const unconfigured = new OCRService({ providerName: 'tabscanner' });
+                await expect(unconfigured.processReceipt(Buffer.from('test'), 'test.jpg'))
+                    .rejects.toThrow('OCR provider "tabscanner" is not configured');
+            } finally {
+                if (originalKey !== undefined) process.env.TABSCANNER_API_KEY = originalKey;
+            }
         });
     });
 });
 
 describe('Real Receipt Processing (Integration)', () => {
-    let ocrService;
-    
-    beforeEach(() => {
-        ocrService = new OCRService();
-    });
-
-    test('should process test receipt image with mock data', async () => {
+    test('should process test receipt image with fixture data', async () => {
         const testImagePath = path.join(__dirname, '..', 'test-images', 'test-receipt.jpg');
         
         if (fs.existsSync(testImagePath)) {
-            // Force use of mock data for consistent testing
-            const originalKey = process.env.TABSCANNER_API_KEY;
-            process.env.TABSCANNER_API_KEY = '';
-            const ocrServiceMock = new OCRService();
+            // Force use of fixture data for consistent testing
+            const ocrServiceFixture = new OCRService({ providerName: 'fixture', fixturePath: FIXTURE_PATH });
             
             const imageBuffer = fs.readFileSync(testImagePath);
-            const result = await ocrServiceMock.processReceipt(imageBuffer, 'test-receipt.jpg');
+            const result = await ocrServiceFixture.processReceipt(imageBuffer, 'test-receipt.jpg');
             
             expect(result.success).toBe(true);
             expect(result.receipt.total).toBeGreaterThan(0);
             expect(result.receipt.items.length).toBeGreaterThan(0);
             
             // Validate the result
-            const validation = ocrServiceMock.validateOCRResult(result);
+            const validation = ocrServiceFixture.validateOCRResult(result);
             expect(validation.isValid).toBe(true);
-            
-            // Restore original key
-            process.env.TABSCANNER_API_KEY = originalKey;
         } else {
             console.log('⚠️  Test image not found, skipping image processing test');
         }
     });
 });
 
-describe('API Key Scenarios', () => {
-    test('should use mock data when no API key is configured', () => {
-        process.env.TABSCANNER_API_KEY = '';
-        const ocrService = new OCRService();
-        expect(ocrService.useMockData).toBe(true);
+describe('Provider Selection', () => {
+    const originalProvider = process.env.OCR_PROVIDER;
+
+    afterEach(() => {
+        process.env.OCR_PROVIDER = originalProvider;
+        if (originalProvider === undefined) delete process.env.OCR_PROVIDER;
     });
 
-    test('should use real API when valid key is configured', () => {
-        process.env.TABSCANNER_API_KEY = 'valid_key_example';
+    test('should default to TabScanner', () => {
+        delete process.env.OCR_PROVIDER;
         const ocrService = new OCRService();
-        expect(ocrService.useMockData).toBe(false);
+        expect(ocrService.providerName).toBe('tabscanner');
     });
 
-    test('should use mock data when demo key is configured', () => {
-        process.env.TABSCANNER_API_KEY = 'demo_key';
+    test('should not throw when the TabScanner key is missing', () => {
+        const originalKey = process.env.TABSCANNER_API_KEY;
+        delete process.env.TABSCANNER_API_KEY;
+        expect(() => new OCRService({ providerName: 'tabscanner' })).not.toThrow();
+        if (originalKey !== undefined) process.env.TABSCANNER_API_KEY = originalKey;
+    });
+
+    test('should select the provider from OCR_PROVIDER', () => {
+        process.env.OCR_PROVIDER = 'fixture';
         const ocrService = new OCRService();
-        expect(ocrService.useMockData).toBe(true);
+        expect(ocrService.providerName).toBe('fixture');
+    });
+
+    test('should reject unknown providers', () => {
+        expect(() => createOCRProvider('nope')).toThrow('Unknown OCR provider "nope"');
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,111 @@
+// Price History Unit Tests
+const PriceHistory = require('../services/priceHistory');
+
+describe('Price History', () => {
+    describe('Item Prices', () => {
+        test('should prefer the unit price and fall back to line total / quantity', () => {
+            expect(PriceHistory.unitPriceCents({ quantity: '2', unit_price: '1.99', line_total: '3.98' })).toBe(199);
+            expect(PriceHistory.unitPriceCents({ quantity: '3', unit_price: null, line_total: '6.00' })).toBe(200);
+            expect(PriceHistory.unitPriceCents({ quantity: '1', unit_price: null, line_total: '0' })).toBeNull();
+        });
+
+        test('should detect units printed in item names', () => {
+            expect(PriceHistory.detectUnit('BANANAS LB')).toBe('lb');
+            expect(PriceHistory.detectUnit('BLUEBERRIES 6 OZ')).toBe('oz');
+            expect(PriceHistory.detectUnit('MILK 1 GAL')).toBe('gal');
+            expect(PriceHistory.detectUnit('BREAD')).toBe('each');
+        });
+
+        test('should normalize unit prices across package sizes', () => {
+            expect(PriceHistory.parseSize('BLUEBERRIES 6 OZ')).toEqual({ description: '6 oz', amount: 6, unit: 'oz' });
+            expect(PriceHistory.normalizedUnitPrice({ product_name: 'WHL MILK 1 GAL', quantity: '1', line_total: '4.00' }))
+                .toEqual({ price: 0.0313, unit: 'fl oz' });
+            expect(PriceHistory.normalizedUnitPrice({ product_name: 'MILK', size_description: '64 fl oz', quantity: '2', line_total: '4.00' }))
+                .toEqual({ price: 0.0313, unit: 'fl oz' });
+            expect(PriceHistory.normalizedUnitPrice({ product_name: 'BANANAS LB', quantity: '2', line_total: '1.28' }))
+                .toEqual({ price: 0.04, unit: 'oz' });
+            expect(PriceHistory.normalizedUnitPrice({ product_name: 'AVOCADO', quantity: '3', line_total: '3.00' }))
+                .toEqual({ price: 1, unit: 'each' });
+            expect(PriceHistory.normalizedUnitPrice({ product_name: 'COUPON', quantity: '1', line_total: '-1.00' })).toBeNull();
+        });
+
+        test('should normalize names for catalog matching', () => {
+            expect(PriceHistory.normalizeName('  ORGANIC  Bananas*  ')).toBe('organic bananas');
+        });
+    });
+
+    describe('Recording', () => {
+        test('should link items to the catalog and refresh stats for old and new products', async () => {
+            const queries = [];
+            const client = {
+                query: jest.fn(async (sql, params) => {
+                    queries.push({ sql, params });
+                    if (sql.startsWith('DELETE FROM product_prices')) return { rows: [{ product_id: 'p-old' }] };
+                    if (sql.includes('FROM receipt_items ri')) {
+                        return {
+                            rows: [
+                                { id: 'i-1', product_name: 'BANANAS LB', quantity: '2', unit_price: '0.69', line_total: '1.38', user_id: 'u-1', store_id: 's-1', purchased_on: '2024-03-02' },
+                                { id: 'i-2', product_name: 'BAG REFUND', quantity: '1', unit_price: null, line_total: '0', user_id: 'u-1', store_id: 's-1', purchased_on: '2024-03-02' }
+                            ]
+                        };
+                    }
+                    if (sql.startsWith('SELECT id FROM product_catalog')) return { rows: [{ id: 'p-bananas' }] };
+                    return { rows: [] };
+                })
+            };
+            const history = new PriceHistory(null);
+
+            const written = await history.recordReceipt(client, 'r-1');
+
+            expect(written).toBe(1);
+            const insert = queries.find(q => q.sql.includes('INSERT INTO product_prices'));
+            expect(insert.params).toEqual(['p-bananas', 'u-1', 'r-1', 'i-1', 's-1', 69, 2, 'lb', '2024-03-02']);
+            const refresh = queries.find(q => q.sql.includes('UPDATE product_catalog'));
+            expect(refresh.params[0].sort()).toEqual(['p-bananas', 'p-old']);
+            expect(refresh.sql).toContain("r.status = 'completed' AND NOT u.is_sandbox");
+        });
+    });
+
+    describe('Queries', () => {
+        test('should group the price series by store', async () => {
+            const pool = {
+                query: jest.fn()
+                    .mockResolvedValueOnce({ rows: [{ id: 'p-1', normalized_name: 'bananas lb', purchase_frequency: 3 }] })
+                    .mockResolvedValueOnce({
+                        rows: [
+                            { purchased_on: '2024-01-05', price_cents: 59, quantity: '2', unit: 'lb', receipt_id: 'r-1', store_id: 's-1', store_name: 'Safeway' },
+                            { purchased_on: '2024-02-05', price_cents: 69, quantity: '1', unit: 'lb', receipt_id: 'r-2', store_id: 's-2', store_name: "Trader Joe's" },
+                            { purchased_on: '2024-03-05', price_cents: 79, quantity: '1', unit: 'lb', receipt_id: 'r-3', store_id: 's-1', store_name: 'Safeway' }
+                        ]
+                    })
+            };
+            const history = new PriceHistory(pool);
+
+            const result = await history.getProductPrices('u-1', 'p-1', { from: '2024-01-01' });
+
+            expect(result.product.name).toBe('bananas lb');
+            expect(result.series.map(s => s.storeName)).toEqual(['Safeway', "Trader Joe's"]);
+            expect(result.series[0].points.map(p => p.priceCents)).toEqual([59, 79]);
+            expect(pool.query.mock.calls[1][1]).toEqual(['u-1', 'p-1', '2024-01-01']);
+        });
+
+        test('should 404 for unknown products', async () => {
+            const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+            await expect(new PriceHistory(pool).getProductPrices('u-1', 'p-x')).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should report increases as percentages', async () => {
+            const pool = {
+                query: jest.fn().mockResolvedValue({
+                    rows: [{ product_id: 'p-1', product_name: 'eggs', latest_price_cents: 499, previous_avg_cents: 399, increase: '0.2506', purchase_count: '4' }]
+                })
+            };
+
+            const alerts = await new PriceHistory(pool).getPriceAlerts('u-1', { threshold: '0.2' });
+
+            expect(alerts[0]).toMatchObject({ productId: 'p-1', increasePercent: 25.1, purchaseCount: 4 });
+            expect(pool.query.mock.calls[0][1]).toEqual(['u-1', 3, 0.2]);
+            await expect(new PriceHistory(pool).getPriceAlerts('u-1', { minPurchases: '1' })).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
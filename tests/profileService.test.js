@@ -0,0 +1,63 @@
+// Profile Service Unit Tests
+const ProfileService = require('../services/profileService');
+const { createMockPool } = require('./helpers/mockPool');
+
+const USER = { id: 'u-1', email: 'ann@example.com', first_name: 'Ann', last_name: 'Lee', phone: '555-0100', timezone: 'UTC' };
+
+// Keeps one user row in memory and applies the UPDATE's COALESCEs to it
+const createProfilePool = (knownZones = ['UTC', 'America/Chicago']) => {
+    const user = { ...USER };
+    const pool = createMockPool(async (sql, params) => {
+        if (sql.startsWith('SELECT timezone FROM users')) return { rows: [{ timezone: user.timezone }] };
+        if (sql.includes('FROM pg_timezone_names')) return { rows: knownZones.includes(params[0]) ? [{}] : [] };
+        if (sql.startsWith('UPDATE users')) {
+            ['first_name', 'last_name', 'phone', 'timezone'].forEach((column, index) => {
+                if (params[index] !== null) user[column] = params[index];
+            });
+            return { rows: [{ ...user }] };
+        }
+        return null;
+    });
+    return Object.assign(pool, { user });
+};
+
+const statements = (pool) => pool.client.query.mock.calls.map(([sql]) => sql.trim().split('\n')[0]);
+
+describe('Profile Service', () => {
+    test('should keep name and phone on a timezone-only update and rebuild rollups', async () => {
+        const pool = createProfilePool();
+        const spendingRollups = { rebuildUser: jest.fn(async () => {}) };
+        const profiles = new ProfileService(pool, { spendingRollups });
+
+        const user = await profiles.updateProfile('u-1', { timezone: 'America/Chicago' });
+
+        expect(user).toMatchObject({ first_name: 'Ann', last_name: 'Lee', phone: '555-0100', timezone: 'America/Chicago' });
+        expect(spendingRollups.rebuildUser).toHaveBeenCalledWith(pool.client, 'u-1');
+        expect(statements(pool)[statements(pool).length - 1]).toBe('COMMIT');
+    });
+
+    test('should not rebuild rollups when the timezone is unchanged', async () => {
+        const pool = createProfilePool();
+        const spendingRollups = { rebuildUser: jest.fn(async () => {}) };
+        const profiles = new ProfileService(pool, { spendingRollups });
+
+        const user = await profiles.updateProfile('u-1', { firstName: 'Anne', timezone: 'UTC' });
+
+        expect(user).toMatchObject({ first_name: 'Anne', last_name: 'Lee', phone: '555-0100' });
+        expect(spendingRollups.rebuildUser).not.toHaveBeenCalled();
+    });
+
+    test('should reject time zones Intl or Postgres do not know', async () => {
+        const pool = createProfilePool(['UTC']);
+        const spendingRollups = { rebuildUser: jest.fn(async () => {}) };
+        const profiles = new ProfileService(pool, { spendingRollups });
+
+        await expect(profiles.updateProfile('u-1', { timezone: 'Mars/Olympus' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(pool.connect).not.toHaveBeenCalled();
+
+        await expect(profiles.updateProfile('u-1', { timezone: 'America/Chicago' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(statements(pool)).toContain('ROLLBACK');
+        expect(statements(pool).some(sql => sql.startsWith('UPDATE users'))).toBe(false);
+        expect(pool.client.release).toHaveBeenCalled();
+    });
+});
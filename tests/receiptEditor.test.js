@@ -0,0 +1,210 @@
+// Receipt Editor Unit Tests
+const ReceiptEditor = require('../services/receiptEditor');
+const ServiceError = require('../services/serviceError');
+const { createMockPool } = require('./helpers/mockPool');
+
+// Answers queries from a small in-memory receipt so the recompute math can be checked.
+// SELECTs return copies, like pg does, so recorded old values aren't overwritten.
+const PANTRY = '3f2b6c1e-8a4d-4e7b-9c0a-5d6e7f8a9b0c';
+
+const createEditorPool = (receipt, items) => createMockPool(async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM receipts')) {
+        return { rows: receipt ? [{ ...receipt }] : [] };
+    }
+    if (sql.startsWith('SELECT id FROM stores')) {
+        return { rows: params[0].toLowerCase() === 'tesco' ? [{ id: 'store-tesco' }] : [] };
+    }
+    if (sql.startsWith('INSERT INTO stores')) {
+        return { rows: [{ id: `store-${params[0]}` }] };
+    }
+    if (sql.startsWith('UPDATE receipts SET store_id')) {
+        receipt.store_id = params[0];
+        return { rows: [] };
+    }
+    if (sql.startsWith('SELECT id FROM product_categories')) {
+        return { rows: params[0] === PANTRY ? [{ id: PANTRY }] : [] };
+    }
+    if (sql.startsWith('SELECT * FROM receipt_items WHERE id = $1')) {
+        return { rows: items.filter(item => item.id === params[0]).map(item => ({ ...item })) };
+    }
+    if (sql.startsWith('SELECT id, subtotal, tax_amount, total_amount FROM receipts')) {
+        return { rows: [{ ...receipt }] };
+    }
+    if (sql.includes('SUM(line_total)')) {
+        const sum = items.reduce((total, item) => total + parseFloat(item.line_total), 0);
+        return { rows: [{ subtotal: sum.toFixed(2) }] };
+    }
+    if (sql.startsWith('INSERT INTO receipt_items')) {
+        const item = { id: 'item-new', product_name: params[1], quantity: params[2], unit_price: params[3], line_total: params[4], category_id: params[5] };
+        items.push(item);
+        return { rows: [item] };
+    }
+    if (sql.startsWith('DELETE FROM receipt_items')) {
+        items.splice(items.findIndex(item => item.id === params[0]), 1);
+        return { rows: [] };
+    }
+    const update = sql.match(/^UPDATE (receipts|receipt_items) SET (.*) WHERE id = \$1$/);
+    if (update) {
+        const row = update[1] === 'receipts' ? receipt : items.find(item => item.id === params[0]);
+        for (const assignment of update[2].split(', ')) {
+            const [column, placeholder] = assignment.split(' = $');
+            row[column] = String(params[parseInt(placeholder, 10) - 1]);
+        }
+        return { rows: [] };
+    }
+    if (sql.includes('RETURNING *')) {
+        return { rows: [receipt] };
+    }
+    return null;
+});
+
+const correctionsFor = (pool) => pool.queries
+    .filter(q => q.sql.includes('INSERT INTO receipt_corrections'))
+    .map(q => ({ action: q.params[3], field: q.params[4], oldValue: q.params[5], newValue: q.params[6] }));
+
+describe('Receipt Editor', () => {
+    let receipt;
+    let items;
+
+    beforeEach(() => {
+        receipt = { id: 'r-1', user_id: 'u-1', status: 'completed', subtotal: '10.00', tax_amount: '1.00', total_amount: '11.00', store_id: null };
+        items = [
+            { id: 'item-1', product_name: 'OL VE OIL', quantity: '1', unit_price: '6.00', line_total: '6.00', category_id: null },
+            { id: 'item-2', product_name: 'BREAD', quantity: '1', unit_price: '4.00', line_total: '4.00', category_id: null }
+        ];
+    });
+
+    test('should record a correction for a renamed item without touching totals', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        await editor.updateItem('u-1', 'r-1', 'item-1', { productName: 'OLIVE OIL' });
+
+        expect(correctionsFor(pool)).toEqual([
+            { action: 'update', field: 'product_name', oldValue: 'OL VE OIL', newValue: 'OLIVE OIL' }
+        ]);
+        expect(pool.queries.some(q => q.sql.includes('SUM(line_total)'))).toBe(false);
+        expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    test('should recompute line total, subtotal and total when quantity changes', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        const result = await editor.updateItem('u-1', 'r-1', 'item-2', { quantity: 2 });
+
+        expect(correctionsFor(pool).map(c => c.field)).toEqual(['quantity', 'line_total', 'subtotal', 'total_amount']);
+        expect(result.item.line_total).toBe('8');
+        expect(receipt.subtotal).toBe('14');
+        expect(receipt.total_amount).toBe('15');
+    });
+
+    test('should recompute totals after adding an item', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        const result = await editor.addItem('u-1', 'r-1', { productName: 'MILK', unitPrice: 2.5, quantity: 2 });
+
+        expect(result.item.line_total).toBe(5);
+        const corrections = correctionsFor(pool);
+        expect(corrections[0].action).toBe('create');
+        expect(JSON.parse(corrections[0].newValue).productName).toBe('MILK');
+        expect(corrections.find(c => c.field === 'subtotal').newValue).toBe('15');
+        expect(corrections.find(c => c.field === 'total_amount').newValue).toBe('16');
+    });
+
+    test('should snapshot a deleted item', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        await editor.deleteItem('u-1', 'r-1', 'item-2');
+
+        const corrections = correctionsFor(pool);
+        expect(corrections[0].action).toBe('delete');
+        expect(JSON.parse(corrections[0].oldValue).productName).toBe('BREAD');
+        expect(corrections.find(c => c.field === 'subtotal').newValue).toBe('6');
+    });
+
+    test('should learn a category override when an item is recategorized', async () => {
+        const pool = createEditorPool(receipt, items);
+        const categorizer = { recordOverride: jest.fn() };
+        const editor = new ReceiptEditor(pool, { categorizer });
+
+        await editor.updateItem('u-1', 'r-1', 'item-1', { productName: 'OLIVE OIL', categoryId: PANTRY });
+
+        expect(categorizer.recordOverride).toHaveBeenCalledWith(pool.client, 'u-1', 'OLIVE OIL', PANTRY);
+        const source = pool.queries.find(q => q.sql.includes('category_source = $3'));
+        expect(source.params).toEqual(['item-1', 1, 'user']);
+
+        categorizer.recordOverride.mockClear();
+        await editor.updateItem('u-1', 'r-1', 'item-2', { quantity: 2 });
+        expect(categorizer.recordOverride).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown category before writing anything', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        await expect(editor.updateItem('u-1', 'r-1', 'item-1', { categoryId: '00000000-0000-4000-8000-000000000000' }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Unknown category' });
+        await expect(editor.addItem('u-1', 'r-1', { productName: 'MILK', lineTotal: 2, categoryId: 'not-a-uuid' }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Unknown category' });
+
+        expect(pool.queries.filter(q => q.sql.startsWith('SELECT id FROM product_categories'))).toHaveLength(1);
+        expect(pool.queries.some(q => /^(UPDATE receipt_items|INSERT INTO receipt_items)/.test(q.sql))).toBe(false);
+        expect(pool.queries.filter(q => q.sql === 'ROLLBACK')).toHaveLength(2);
+    });
+
+    test('should update the rollups for the day before and after a date correction', async () => {
+        const pool = createEditorPool(receipt, items);
+        const previousDay = { userId: 'u-1', day: '2024-03-01' };
+        const rollups = { receiptDay: jest.fn(async () => previousDay), recordReceipt: jest.fn() };
+        const editor = new ReceiptEditor(pool, { rollups });
+
+        await editor.updateReceipt('u-1', 'r-1', { receiptDate: '2024-03-02' });
+
+        expect(rollups.receiptDay).toHaveBeenCalledWith(pool.client, 'r-1');
+        expect(rollups.recordReceipt).toHaveBeenCalledWith(pool.client, 'r-1', previousDay);
+    });
+
+    test('should match the corrected store name exactly, ignoring case only', async () => {
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        await editor.updateReceipt('u-1', 'r-1', { storeName: 'TESCO' });
+        expect(receipt.store_id).toBe('store-tesco');
+
+        await editor.updateReceipt('u-1', 'r-1', { storeName: 'Tesco_' });
+        expect(receipt.store_id).toBe('store-Tesco_');
+
+        const lookup = pool.queries.find(q => q.sql.startsWith('SELECT id FROM stores'));
+        expect(lookup.sql).toContain('LOWER(name) = LOWER($1)');
+        expect(lookup.sql).not.toContain('ILIKE');
+    });
+
+    test('should reject edits while the receipt is processing', async () => {
+        receipt.status = 'processing';
+        const pool = createEditorPool(receipt, items);
+        const editor = new ReceiptEditor(pool);
+
+        await expect(editor.updateReceipt('u-1', 'r-1', { taxAmount: 2 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(pool.queries.some(q => q.sql === 'ROLLBACK')).toBe(true);
+    });
+
+    test('should return 404 for another user\'s receipt', async () => {
+        const pool = createEditorPool(null, items);
+        const editor = new ReceiptEditor(pool);
+
+        await expect(editor.deleteItem('u-2', 'r-1', 'item-1')).rejects.toBeInstanceOf(ServiceError);
+    });
+
+    test('should validate input fields', () => {
+        expect(() => ReceiptEditor.pickFields({ unitPrice: 'abc' }, { unitPrice: 'unit_price' }))
+            .toThrow('unitPrice must be a number');
+        expect(() => ReceiptEditor.pickFields({ quantity: 0 }, { quantity: 'quantity' }))
+            .toThrow('quantity must be greater than 0');
+        expect(ReceiptEditor.pickFields({ totalAmount: '12.50' }, { totalAmount: 'total_amount' }))
+            .toEqual({ total_amount: 12.5 });
+    });
+});
@@ -0,0 +1,94 @@
+// Receipt Enricher Unit Tests
+const ReceiptEnricher = require('../services/receiptEnricher');
+const AIDataParser = require('../services/aiDataParser');
+const { createMockPool } = require('./helpers/mockPool');
+
+const categories = [
+    { id: 'cat-produce', name: 'Produce' },
+    { id: 'cat-dairy', name: 'Dairy' },
+    { id: 'cat-other', name: 'Other' }
+];
+
+const createEnricherPool = (receipt, items, overrides = []) => createMockPool(async (sql) => {
+    if (sql.includes('FROM receipts r')) return { rows: receipt ? [receipt] : [] };
+    if (sql.includes('FROM receipt_items')) return { rows: items };
+    if (sql.startsWith('SELECT id, name FROM product_categories')) return { rows: categories };
+    if (sql.includes('FROM category_overrides')) return { rows: overrides };
+    return null;
+});
+
+describe('Receipt Enricher', () => {
+    let receipt;
+    let items;
+
+    beforeEach(() => {
+        receipt = {
+            id: 'r-1', user_id: 'u-1', receipt_date: new Date('2024-03-02T00:00:00Z'), total_amount: '9.50', subtotal: '9.00',
+            tax_amount: '0.50', store_id: 's-1', store_name: 'TRADER JOE S #552', store_address: null, store_phone: null
+        };
+        items = [
+            { id: 'item-1', product_name: 'TJ ORG BANANAS', quantity: '1', unit_price: '2.00', line_total: '2.00' },
+            { id: 'item-2', product_name: 'WHL MILK 1 GAL', quantity: '1', unit_price: '4.00', line_total: '4.00' },
+            { id: 'item-3', product_name: 'BIRTHDAY CARD', quantity: '1', unit_price: '3.00', line_total: '3.00' }
+        ];
+    });
+
+    test('should write categories, standardized names and brands back onto the items', async () => {
+        const pool = createEnricherPool(receipt, items);
+        const enricher = new ReceiptEnricher(pool, { parser: new AIDataParser(null) });
+
+        const enrichment = await enricher.enrichReceipt('r-1');
+
+        const itemUpdates = pool.queries.filter(q => q.sql.includes('UPDATE receipt_items'));
+        expect(itemUpdates.map(q => q.params)).toEqual([
+            ['item-1', 'cat-produce', expect.any(Number), 'rules', 'Organic Bananas', "Trader Joe's", null],
+            ['item-2', 'cat-dairy', expect.any(Number), 'rules', 'Whole Milk 1 Gal', null, '1 gal'],
+            ['item-3', 'cat-other', 0, 'default', 'Birthday Card', null, null]
+        ]);
+        expect(itemUpdates[0].sql).toContain('COALESCE(category_id, $2)');
+
+        const storeUpdate = pool.queries.find(q => q.sql.startsWith('UPDATE stores'));
+        expect(storeUpdate.params).toEqual(["Trader Joe's", 's-1']);
+
+        const receiptUpdate = pool.queries.find(q => q.sql.includes("enrichment_status = 'completed'"));
+        expect(JSON.parse(receiptUpdate.params[0])).toEqual(enrichment);
+        expect(enrichment.store).toMatchObject({ normalizedName: "Trader Joe's", storeType: 'grocery' });
+        expect(enrichment.insights.budget_category).toBe('budget');
+        expect(pool.queries.map(q => q.sql)).toContain('COMMIT');
+    });
+
+    test('should apply the owner\'s category overrides over the parser', async () => {
+        const pool = createEnricherPool(receipt, items, [{ normalized_name: 'birthday card', category_name: 'Dairy' }]);
+        const enricher = new ReceiptEnricher(pool, { parser: new AIDataParser(null) });
+
+        await enricher.enrichReceipt('r-1');
+
+        const overrideQuery = pool.queries.find(q => q.sql.includes('FROM category_overrides'));
+        expect(overrideQuery.params[0]).toBe('u-1');
+        const cardUpdate = pool.queries.find(q => q.sql.includes('UPDATE receipt_items') && q.params[0] === 'item-3');
+        expect(cardUpdate.params.slice(1, 4)).toEqual(['cat-dairy', 1, 'override']);
+    });
+
+    test('should record a failed enrichment on the receipt and rethrow', async () => {
+        const pool = createEnricherPool(receipt, items);
+        const parser = { useAI: false, parseReceiptData: jest.fn(async () => { throw new Error('parser exploded'); }) };
+        const enricher = new ReceiptEnricher(pool, { parser });
+
+        await expect(enricher.enrichReceipt('r-1')).rejects.toThrow('parser exploded');
+
+        const failed = pool.queries.find(q => q.sql.includes("enrichment_status = 'failed'"));
+        expect(failed.params).toEqual(['parser exploded', 'r-1']);
+        expect(pool.queries.some(q => q.sql.includes('UPDATE receipt_items'))).toBe(false);
+    });
+
+    test('should build parser input from the stored receipt', () => {
+        const input = ReceiptEnricher.parserInput(receipt, items);
+
+        expect(input.tabscanner_full_response.receipt).toMatchObject({
+            merchant: 'TRADER JOE S #552',
+            date: '2024-03-02',
+            total: 9.5,
+            items: expect.arrayContaining([{ name: 'WHL MILK 1 GAL', quantity: 1, unitPrice: 4, totalPrice: 4 }])
+        });
+    });
+});
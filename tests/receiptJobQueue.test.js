@@ -0,0 +1,91 @@
+// Receipt Job Queue Unit Tests
+const ReceiptJobQueue = require('../services/receiptJobQueue');
+const { TabScannerProvider } = require('../services/ocrProviders');
+const { createMockPool } = require('./helpers/mockPool');
+
+const createQueuePool = () => createMockPool(async () => ({ rows: [], rowCount: 1 }));
+
+describe('Receipt Job Queue', () => {
+    describe('Backoff', () => {
+        test('should double the delay for each attempt', () => {
+            expect(ReceiptJobQueue.computeBackoff(1, 1000, 60000)).toBe(1000);
+            expect(ReceiptJobQueue.computeBackoff(2, 1000, 60000)).toBe(2000);
+            expect(ReceiptJobQueue.computeBackoff(4, 1000, 60000)).toBe(8000);
+        });
+
+        test('should cap the delay', () => {
+            expect(ReceiptJobQueue.computeBackoff(20, 1000, 60000)).toBe(60000);
+        });
+    });
+
+    describe('Failure Handling', () => {
+        test('should requeue retryable errors with backoff', async () => {
+            const pool = createQueuePool();
+            const queue = new ReceiptJobQueue(pool, { backoffBaseMs: 1000 });
+            const error = Object.assign(new Error('TabScanner API Error: 503'), { retryable: true });
+
+            const outcome = await queue.fail({ id: 'job-1', receipt_id: 'r-1', attempts: 2, max_attempts: 5 }, error);
+
+            expect(outcome).toBe('retry');
+            expect(pool.queries[0].sql).toContain("status = 'queued'");
+            expect(pool.queries[0].params).toEqual(['job-1', 2000, error.message]);
+        });
+
+        test('should dead-letter once max attempts are used up', async () => {
+            const pool = createQueuePool();
+            const queue = new ReceiptJobQueue(pool);
+            const error = Object.assign(new Error('timeout'), { retryable: true });
+
+            const outcome = await queue.fail({ id: 'job-1', receipt_id: 'r-1', attempts: 5, max_attempts: 5 }, error);
+
+            expect(outcome).toBe('dead');
+            expect(pool.queries.some(q => q.sql.includes("status = 'dead'"))).toBe(true);
+            expect(pool.queries.some(q => q.sql.includes("status = 'failed'") && q.params[1] === 'r-1')).toBe(true);
+            expect(pool.client.release).toHaveBeenCalled();
+        });
+
+        test('should dead-letter non-retryable errors immediately', async () => {
+            const pool = createQueuePool();
+            const queue = new ReceiptJobQueue(pool);
+
+            const outcome = await queue.fail(
+                { id: 'job-1', receipt_id: 'r-1', attempts: 1, max_attempts: 5 },
+                new Error('Upload failed: invalid image')
+            );
+
+            expect(outcome).toBe('dead');
+        });
+
+        test('should dead-letter stale jobs that used up their attempts and requeue the rest', async () => {
+            const query = jest.fn(async (sql) => {
+                if (sql.includes('WITH stale AS')) {
+                    return { rows: [{ id: 'job-1', status: 'queued' }, { id: 'job-2', status: 'dead' }], rowCount: 2 };
+                }
+                return { rows: [], rowCount: 0 };
+            });
+            const queue = new ReceiptJobQueue({ query }, { staleAfterMs: 60000 });
+
+            const result = await queue.recoverStale();
+
+            expect(result).toEqual({ requeued: 1, deadLettered: 1, orphaned: 0 });
+            const [sql, params] = query.mock.calls[0];
+            expect(sql).toContain("CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END");
+            expect(sql).toContain("WHERE stale.status = 'dead' AND r.id = stale.receipt_id");
+            expect(params[0]).toBe(60000);
+        });
+    });
+
+    describe('TabScanner Error Classification', () => {
+        test('should treat 5xx, 429 and timeouts as transient', () => {
+            expect(TabScannerProvider.isTransientError({ response: { status: 502 } })).toBe(true);
+            expect(TabScannerProvider.isTransientError({ response: { status: 429 } })).toBe(true);
+            expect(TabScannerProvider.isTransientError({ code: 'ECONNABORTED', message: 'timeout of 30000ms exceeded' })).toBe(true);
+            expect(TabScannerProvider.isTransientError(new Error('Processing timeout - results not available after polling'))).toBe(true);
+        });
+
+        test('should not retry client errors', () => {
+            expect(TabScannerProvider.isTransientError({ response: { status: 401 }, message: 'Unauthorized' })).toBe(false);
+            expect(TabScannerProvider.isTransientError(new Error('Upload failed: Unknown error'))).toBe(false);
+        });
+    });
+});
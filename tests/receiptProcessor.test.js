@@ -0,0 +1,157 @@
+// Receipt Processor Unit Tests - stored OCR payloads, re-parsing and enrichment
+const ReceiptProcessor = require('../services/receiptProcessor');
+const ServiceError = require('../services/serviceError');
+const { createMockPool } = require('./helpers/mockPool');
+
+const tabscannerPayload = {
+    status: 'done',
+    result: {
+        establishment: 'CORNER MARKET',
+        date: '2024-03-02',
+        total: '7.50',
+        subTotal: '7.00',
+        tax: '0.50',
+        lineItems: [
+            { descClean: 'MILK', qty: 1, price: '3.00', lineTotal: '3.00' },
+            { descClean: 'EGGS', qty: 1, price: '4.00', lineTotal: '4.00' }
+        ]
+    }
+};
+
+const parsedReceipt = {
+    success: true,
+    confidence: 0.9,
+    rawText: 'CORNER MARKET',
+    receipt: {
+        merchant: 'CORNER MARKET',
+        date: '2024-03-02',
+        total: 7.5,
+        subtotal: 7,
+        tax: 0.5,
+        items: [
+            { name: 'MILK', quantity: 1, unitPrice: 3, totalPrice: 3 },
+            { name: 'EGGS', quantity: 1, unitPrice: 4, totalPrice: 4 }
+        ]
+    }
+};
+
+// Receipts and payloads live in memory; every statement is logged for assertions
+const createProcessorPool = ({ receipt, payloads = [], outdated = [] }) => createMockPool(async (sql, params) => {
+    if (sql.startsWith('SELECT id, status, corrected_at FROM receipts')) {
+        return { rows: receipt && receipt.id === params[0] ? [{ ...receipt }] : [] };
+    }
+    if (sql.startsWith('SELECT provider, format, payload FROM receipt_ocr_payloads')) {
+        return { rows: payloads.slice(-1) };
+    }
+    if (sql.startsWith('SELECT r.id FROM receipts r')) {
+        return { rows: outdated.map(id => ({ id })) };
+    }
+    if (sql.startsWith('SELECT id FROM stores')) {
+        return { rows: [{ id: 'store-1' }] };
+    }
+    return null;
+});
+
+const createOcrService = () => ({
+    providerName: 'tabscanner',
+    parserVersion: 2,
+    processReceipt: jest.fn(async () => ({ ...parsedReceipt, provider: 'tabscanner', format: 'tabscanner', rawData: tabscannerPayload })),
+    parsePayload: jest.fn(() => JSON.parse(JSON.stringify(parsedReceipt))),
+    validateOCRResult: jest.fn(() => ({ isValid: true, errors: [], warnings: [] }))
+});
+
+describe('Receipt Processor', () => {
+    test('should store the raw provider response when processing a receipt', async () => {
+        const pool = createProcessorPool({});
+        const processor = new ReceiptProcessor({ pool, ocrService: createOcrService() });
+
+        await processor.processReceipt('r-1', Buffer.from('image'), 'receipt.jpg');
+
+        const insert = pool.queries.find(q => q.sql.startsWith('INSERT INTO receipt_ocr_payloads'));
+        expect(insert.params.slice(0, 4)).toEqual(['r-1', 'tabscanner', 'tabscanner', 2]);
+        expect(JSON.parse(insert.params[4])).toEqual(tabscannerPayload);
+
+        const update = pool.queries.find(q => q.sql.includes('UPDATE receipts') && q.sql.includes('parser_version = $7'));
+        expect(update.params[6]).toBe(2);
+    });
+
+    test('should rebuild a receipt from its stored payload without calling the provider', async () => {
+        const pool = createProcessorPool({
+            receipt: { id: 'r-1', status: 'completed', corrected_at: null },
+            payloads: [{ provider: 'tabscanner', format: 'tabscanner', payload: tabscannerPayload }]
+        });
+        const ocrService = createOcrService();
+        const shoppingLists = { checkOffFromReceipt: jest.fn() };
+        const processor = new ReceiptProcessor({ pool, ocrService, shoppingLists });
+
+        const result = await processor.reparseReceipt('r-1', { userId: 'u-1' });
+
+        expect(result).toMatchObject({ status: 'completed', duplicateOf: null, parserVersion: 2 });
+        expect(ocrService.processReceipt).not.toHaveBeenCalled();
+        expect(ocrService.parsePayload).toHaveBeenCalledWith(tabscannerPayload, 'tabscanner');
+        expect(shoppingLists.checkOffFromReceipt).not.toHaveBeenCalled();
+
+        const sqls = pool.queries.map(q => q.sql);
+        expect(sqls[0]).toContain('AND user_id = $2');
+        expect(sqls).toContain('DELETE FROM receipt_items WHERE receipt_id = $1');
+        expect(sqls.filter(sql => sql.includes('INSERT INTO receipt_items'))).toHaveLength(2);
+        expect(sqls).toContain('COMMIT');
+        expect(sqls.some(sql => sql.startsWith('INSERT INTO receipt_ocr_payloads'))).toBe(false);
+    });
+
+    test('should run enrichment after storing without failing the receipt when it throws', async () => {
+        const pool = createProcessorPool({});
+        const enricher = { enrichReceipt: jest.fn(async () => { throw new Error('parser exploded'); }) };
+        const processor = new ReceiptProcessor({ pool, ocrService: createOcrService(), enricher });
+
+        const result = await processor.processReceipt('r-1', Buffer.from('image'), 'receipt.jpg');
+
+        expect(result.status).toBe('completed');
+        expect(enricher.enrichReceipt).toHaveBeenCalledWith('r-1');
+        const update = pool.queries.find(q => q.sql.includes('enrichment_status = $8'));
+        expect(update.params[7]).toBe('pending');
+    });
+
+    test('should refuse to discard manual corrections unless forced', async () => {
+        const pool = createProcessorPool({
+            receipt: { id: 'r-1', status: 'completed', corrected_at: new Date() },
+            payloads: [{ provider: 'tabscanner', format: 'tabscanner', payload: tabscannerPayload }]
+        });
+        const processor = new ReceiptProcessor({ pool, ocrService: createOcrService() });
+
+        const error = await processor.reparseReceipt('r-1').catch(e => e);
+        expect(error).toBeInstanceOf(ServiceError);
+        expect(error.statusCode).toBe(409);
+
+        await expect(processor.reparseReceipt('r-1', { force: true })).resolves.toMatchObject({ status: 'completed' });
+    });
+
+    test('should reject missing receipts and receipts without a payload', async () => {
+        const pool = createProcessorPool({ receipt: { id: 'r-1', status: 'completed', corrected_at: null } });
+        const processor = new ReceiptProcessor({ pool, ocrService: createOcrService() });
+
+        await expect(processor.reparseReceipt('r-2')).rejects.toMatchObject({ statusCode: 404 });
+        await expect(processor.reparseReceipt('r-1')).rejects.toThrow('no stored OCR payload');
+    });
+
+    test('should select only receipts from older parsers for a bulk re-parse', async () => {
+        const pool = createProcessorPool({
+            receipt: { id: 'r-1', status: 'completed', corrected_at: null },
+            payloads: [{ provider: 'tabscanner', format: 'tabscanner', payload: tabscannerPayload }],
+            outdated: ['r-1', 'r-9']
+        });
+        const processor = new ReceiptProcessor({ pool, ocrService: createOcrService() });
+
+        const summary = await processor.reparseOutdated({ limit: 10 });
+
+        const select = pool.queries.find(q => q.sql.startsWith('SELECT r.id FROM receipts r'));
+        expect(select.sql).toContain('r.parser_version < $1');
+        expect(select.sql).toContain('r.corrected_at IS NULL');
+        expect(select.params).toEqual([2, 10]);
+        expect(summary).toEqual({
+            reparsed: 1,
+            failed: 0,
+            errors: [{ receiptId: 'r-9', error: 'Receipt not found' }]
+        });
+    });
+});
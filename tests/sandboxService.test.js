@@ -0,0 +1,71 @@
+// Sandbox Service Unit Tests
+const SandboxService = require('../services/sandboxService');
+const { createMockPool } = require('./helpers/mockPool');
+
+const sandboxHandler = async (sql) => {
+    if (sql.includes('INSERT INTO users')) {
+        return { rows: [{ id: 'u-demo', email: 'sandbox-1@sandbox.invalid', sandbox_expires_at: new Date() }] };
+    }
+    if (sql.includes('INSERT INTO receipts')) return { rows: [{ id: 'r-1' }] };
+    if (sql.includes('FROM stores')) return { rows: [{ id: 'store-1' }] };
+    return { rows: [] };
+};
+
+describe('Sandbox Service', () => {
+    test('should refuse to create accounts when sandbox mode is off', async () => {
+        const pool = createMockPool(sandboxHandler);
+        const service = new SandboxService(pool, { sessionService: { createSession: jest.fn() }, enabled: false });
+
+        await expect(service.createAccount()).rejects.toMatchObject({ statusCode: 404 });
+        expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should create an expiring sandbox user with sample receipts', async () => {
+        const pool = createMockPool(sandboxHandler);
+        const sessionService = { createSession: jest.fn(async () => ({ accessToken: 'a', refreshToken: 'r', expiresIn: 900 })) };
+        const priceHistory = { recordReceipt: jest.fn() };
+        const service = new SandboxService(pool, { sessionService, priceHistory, enabled: true, ttlHours: 6 });
+
+        const { user, session } = await service.createAccount({ ipAddress: '10.0.0.1' });
+
+        const calls = pool.client.query.mock.calls;
+        const insertUser = calls.find(([sql]) => sql.includes('INSERT INTO users'));
+        expect(insertUser[0]).toContain('is_sandbox');
+        expect(insertUser[1][0]).toMatch(/^sandbox-[0-9a-f]+@sandbox\.invalid$/);
+        expect(insertUser[1][2]).toBe(6);
+
+        const receipts = calls.filter(([sql]) => sql.includes('INSERT INTO receipts'));
+        expect(receipts).toHaveLength(SandboxService.SAMPLE_RECEIPTS.length);
+        expect(priceHistory.recordReceipt).toHaveBeenCalledTimes(SandboxService.SAMPLE_RECEIPTS.length);
+        expect(calls.map(([sql]) => sql)).toContain('COMMIT');
+
+        expect(user.id).toBe('u-demo');
+        expect(session.accessToken).toBe('a');
+        expect(sessionService.createSession).toHaveBeenCalledWith('u-demo', { ipAddress: '10.0.0.1' });
+    });
+
+    test('should delete expired accounts and everything they own', async () => {
+        const pool = createMockPool(async (sql) => {
+            if (sql.includes('SELECT id FROM users')) return { rows: [{ id: 'u-old' }] };
+            if (sql.includes('FROM receipts r')) return { rows: [{ id: 'r-1' }] };
+            if (sql.includes('DELETE FROM product_prices')) return { rows: [{ product_id: 'p-1' }, { product_id: 'p-1' }] };
+            return { rows: [] };
+        });
+        const priceHistory = { refreshCatalogStats: jest.fn() };
+        const service = new SandboxService(pool, { sessionService: {}, priceHistory, enabled: true });
+
+        await expect(service.purgeExpired()).resolves.toBe(1);
+
+        expect(pool.query.mock.calls[0][0]).toContain('is_sandbox = true AND sandbox_expires_at <= NOW()');
+        const deletes = pool.client.query.mock.calls
+            .map(([sql]) => sql.match(/DELETE FROM (\w+)/))
+            .filter(Boolean)
+            .map(match => match[1]);
+        expect(deletes).toEqual([
+            'receipt_corrections', 'product_prices', 'receipt_items', 'receipts',
+            'receipt_corrections', 'households', 'user_sessions', 'users'
+        ]);
+        expect(priceHistory.refreshCatalogStats).toHaveBeenCalledWith(pool.client, ['p-1']);
+        expect(pool.client.release).toHaveBeenCalled();
+    });
+});
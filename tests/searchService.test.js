@@ -0,0 +1,58 @@
+// Search Service Unit Tests
+const SearchService = require('../services/searchService');
+
+describe('Search Service', () => {
+    describe('Query Parsing', () => {
+        test('should turn every term into a prefix match', () => {
+            expect(SearchService.buildPrefixQuery('blueber')).toBe('blueber:*');
+            expect(SearchService.buildPrefixQuery("Trader Joe's OZ")).toBe('trader:* & joe:* & s:* & oz:*');
+        });
+
+        test('should reject short or symbol-only queries', () => {
+            expect(() => SearchService.parseParams({ q: 'a' })).toThrow('at least 2 characters');
+            expect(() => SearchService.parseParams({ q: '!!!' })).toThrow('letters or numbers');
+        });
+
+        test('should validate filters', () => {
+            expect(() => SearchService.parseParams({ q: 'milk', from: '03/02/2024' })).toThrow('from must be a date');
+            expect(() => SearchService.parseParams({ q: 'milk', maxPrice: '-1' })).toThrow('maxPrice');
+        });
+
+        test('should clamp pagination', () => {
+            const options = SearchService.parseParams({ q: 'milk', limit: '500', offset: '-3' });
+            expect(options.limit).toBe(100);
+            expect(options.offset).toBe(0);
+        });
+    });
+
+    describe('Filters', () => {
+        test('should append filter values after the search parameters', () => {
+            const values = ['user', 'milk:*', 'milk', '%milk%'];
+            const options = SearchService.parseParams({ q: 'milk', from: '2024-01-01', store: '50%', category: 'Dairy', maxPrice: '5' });
+
+            const filters = SearchService.buildFilters(options, values);
+
+            expect(filters.receipt).toBe('AND r.receipt_date >= $5 AND (s.name ILIKE $6 OR s.chain ILIKE $6)');
+            expect(filters.item).toBe('AND pc.name ILIKE $7 AND ri.line_total <= $8');
+            expect(values.slice(4)).toEqual(['2024-01-01', '%50\\%%', 'Dairy', 5]);
+        });
+    });
+
+    describe('Search', () => {
+        test('should return ranked items and receipts', async () => {
+            const pool = {
+                query: jest.fn()
+                    .mockResolvedValueOnce({ rows: [{ id: 'i-1', product_name: 'BLUEBERRIES OZ', rank: '0.82', total_count: '1' }] })
+                    .mockResolvedValueOnce({ rows: [{ id: 'r-1', matched_items: '1', rank: '0.82' }] })
+            };
+            const service = new SearchService(pool);
+
+            const results = await service.search('user', { q: 'blueber' });
+
+            expect(results.items).toEqual([{ id: 'i-1', product_name: 'BLUEBERRIES OZ', rank: 0.82 }]);
+            expect(results.receipts[0].matched_items).toBe(1);
+            expect(results.pagination.totalItems).toBe(1);
+            expect(pool.query.mock.calls[0][1]).toEqual(['user', 'blueber:*', 'blueber', '%blueber%', 20, 0]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+// Session Service Unit Tests
+const jwt = require('jsonwebtoken');
+const SessionService = require('../services/sessionService');
+const { createMockPool } = require('./helpers/mockPool');
+
+const SECRET = 'test-secret';
+
+describe('Session Service', () => {
+    describe('Login', () => {
+        test('should store only the hash of the refresh token', async () => {
+            const pool = createMockPool(async () => ({ rows: [{ id: 'sess-1' }] }));
+            const service = new SessionService(pool, { jwtSecret: SECRET, accessTokenTtlSeconds: 600 });
+
+            const session = await service.createSession('u-1', { ipAddress: '10.0.0.1', userAgent: 'GroceryPal iOS' });
+
+            const params = pool.query.mock.calls[0][1];
+            expect(params[1]).toBe(SessionService.hashToken(session.refreshToken));
+            expect(params).not.toContain(session.refreshToken);
+            expect(session.expiresIn).toBe(600);
+
+            const decoded = jwt.verify(session.accessToken, SECRET);
+            expect(decoded).toMatchObject({ userId: 'u-1', sid: 'sess-1' });
+            expect(decoded.exp - decoded.iat).toBe(600);
+        });
+    });
+
+    describe('Refresh', () => {
+        test('should rotate the refresh token and remember the old hash', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM user_sessions')) return { rows: [{ id: 'sess-1', user_id: 'u-1', is_active: true, is_current: true }] };
+                return { rows: [] };
+            });
+            const service = new SessionService(pool, { jwtSecret: SECRET });
+
+            const result = await service.refresh('old-token');
+
+            expect(result.refreshToken).not.toBe('old-token');
+            const calls = pool.client.query.mock.calls;
+            const remembered = calls.find(([sql]) => sql.includes('INSERT INTO session_refresh_tokens'));
+            expect(remembered[1]).toEqual(['sess-1', SessionService.hashToken('old-token')]);
+            const rotated = calls.find(([sql]) => sql.includes('UPDATE user_sessions'));
+            expect(rotated[1][0]).toBe(SessionService.hashToken(result.refreshToken));
+            expect(calls.map(([sql]) => sql)).toContain('COMMIT');
+        });
+
+        test('should revoke the whole session when a rotated token is reused', async () => {
+            const pool = createMockPool(async (sql) => {
+                if (sql.includes('FROM session_refresh_tokens')) return { rows: [{ session_id: 'sess-1' }] };
+                return { rows: [] };
+            });
+            const service = new SessionService(pool, { jwtSecret: SECRET });
+
+            await expect(service.refresh('stolen-token')).rejects.toMatchObject({ statusCode: 401 });
+
+            const revoke = pool.client.query.mock.calls.find(([sql]) => sql.includes('SET is_active = false'));
+            expect(revoke[1]).toEqual(['sess-1', 'refresh_token_reuse']);
+            expect(pool.client.query.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+            expect(pool.client.release).toHaveBeenCalled();
+        });
+
+        test('should reject unknown tokens without revoking anything', async () => {
+            const pool = createMockPool(async () => ({ rows: [] }));
+            const service = new SessionService(pool, { jwtSecret: SECRET });
+
+            await expect(service.refresh('unknown')).rejects.toMatchObject({ statusCode: 401 });
+            expect(pool.client.query.mock.calls.some(([sql]) => sql.includes('SET is_active = false'))).toBe(false);
+        });
+    });
+
+    describe('Access Tokens', () => {
+        test('should reject legacy tokens without a session ID', async () => {
+            const service = new SessionService(createMockPool(async () => ({ rows: [] })), { jwtSecret: SECRET });
+            const legacy = jwt.sign({ userId: 'u-1' }, SECRET, { expiresIn: '30d' });
+
+            await expect(service.verifyAccessToken(legacy)).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        test('should reject tokens whose session was revoked', async () => {
+            const service = new SessionService(createMockPool(async () => ({ rows: [] })), { jwtSecret: SECRET });
+            const token = jwt.sign({ userId: 'u-1', sid: 'sess-1' }, SECRET);
+
+            await expect(service.verifyAccessToken(token)).rejects.toMatchObject({ message: 'Invalid or expired session' });
+        });
+
+        test('should reject sandbox users unless sandbox mode is on', async () => {
+            const handler = async () => ({ rows: [{ id: 'sess-1', is_sandbox: true, sandbox_current: true }] });
+            const token = jwt.sign({ userId: 'u-1', sid: 'sess-1' }, SECRET);
+
+            const production = new SessionService(createMockPool(handler), { jwtSecret: SECRET, allowSandbox: false });
+            await expect(production.verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 401 });
+
+            const sandbox = new SessionService(createMockPool(handler), { jwtSecret: SECRET, allowSandbox: true });
+            await expect(sandbox.verifyAccessToken(token)).resolves.toEqual({ userId: 'u-1', sessionId: 'sess-1' });
+        });
+
+        test('should reject expired sandbox users', async () => {
+            const pool = createMockPool(async () => ({ rows: [{ id: 'sess-1', is_sandbox: true, sandbox_current: false }] }));
+            const service = new SessionService(pool, { jwtSecret: SECRET, allowSandbox: true });
+            const token = jwt.sign({ userId: 'u-1', sid: 'sess-1' }, SECRET);
+
+            await expect(service.verifyAccessToken(token)).rejects.toMatchObject({ message: 'Sandbox accounts are not available' });
+        });
+    });
+});
@@ -0,0 +1,86 @@
+// Shopping List Service Unit Tests
+const ShoppingListService = require('../services/shoppingListService');
+
+const listRow = { id: 'l-1', name: 'Weekly shop' };
+
+describe('Shopping List Service', () => {
+    describe('Items', () => {
+        test('should link new items to a catalog product by name', async () => {
+            const pool = {
+                query: jest.fn(async (sql) => {
+                    if (sql.includes('FROM shopping_lists WHERE id')) return { rows: [listRow] };
+                    if (sql.includes('FROM product_catalog WHERE normalized_name')) return { rows: [{ id: 'p-milk' }] };
+                    if (sql.includes('INSERT INTO shopping_list_items')) return { rows: [{ id: 'i-1' }] };
+                    return { rows: [] };
+                })
+            };
+            const service = new ShoppingListService(pool);
+
+            await service.addItem('u-1', 'l-1', { name: '  Whole Milk ', quantity: '2' });
+
+            const lookup = pool.query.mock.calls.find(([sql]) => sql.includes('normalized_name = $1'));
+            expect(lookup[1]).toEqual(['whole milk']);
+            const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO shopping_list_items'));
+            expect(insert[1]).toEqual(['l-1', 'p-milk', 'Whole Milk', 2, null]);
+        });
+
+        test('should clear the receipt link when an item is unchecked by hand', async () => {
+            const pool = {
+                query: jest.fn(async (sql) => {
+                    if (sql.includes('FROM shopping_lists WHERE id')) return { rows: [listRow] };
+                    if (sql.includes('UPDATE shopping_list_items')) return { rows: [{ id: 'i-1', checked: false }] };
+                    return { rows: [] };
+                })
+            };
+            const service = new ShoppingListService(pool);
+
+            await service.updateItem('u-1', 'l-1', 'i-1', { checked: false });
+
+            const [sql, values] = pool.query.mock.calls.find(([query]) => query.includes('UPDATE shopping_list_items'));
+            expect(sql).toContain('checked = $3, checked_at = NULL, checked_by_receipt_id = NULL');
+            expect(values).toEqual(['i-1', 'l-1', false]);
+        });
+
+        test('should 404 for lists owned by someone else', async () => {
+            const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+            await expect(new ShoppingListService(pool).addItem('u-2', 'l-1', { name: 'Eggs' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should validate quantities', () => {
+            expect(ShoppingListService.validateQuantity(undefined)).toBe(1);
+            expect(() => ShoppingListService.validateQuantity('-1')).toThrow('quantity must be greater than 0');
+        });
+    });
+
+    describe('Suggestions', () => {
+        test('should shape repurchase suggestions', async () => {
+            const pool = {
+                query: jest.fn().mockResolvedValue({
+                    rows: [{
+                        product_id: 'p-eggs', name: 'eggs dozen', purchase_count: '5', last_purchased_on: '2024-03-01',
+                        avg_interval_days: '7.5', days_since_last_purchase: '9', typical_quantity: '1.0', due_ratio: '1.2'
+                    }]
+                })
+            };
+
+            const suggestions = await new ShoppingListService(pool).suggestItems('u-1', { limit: '500' });
+
+            expect(suggestions[0]).toMatchObject({ productId: 'p-eggs', purchaseCount: 5, avgIntervalDays: 7.5, daysSinceLastPurchase: 9, dueRatio: 1.2 });
+            expect(pool.query.mock.calls[0][1]).toEqual(['u-1', 0.8, 50]);
+        });
+    });
+
+    describe('Receipt Check-off', () => {
+        test('should check off items for the receipt owner only', async () => {
+            const client = { query: jest.fn().mockResolvedValue({ rowCount: 2, rows: [{ id: 'a' }, { id: 'b' }] }) };
+
+            const count = await new ShoppingListService(null).checkOffFromReceipt(client, 'r-1');
+
+            expect(count).toBe(2);
+            const [sql, values] = client.query.mock.calls[0];
+            expect(sql).toContain('sl.user_id = r.user_id');
+            expect(values).toEqual(['r-1']);
+        });
+    });
+});
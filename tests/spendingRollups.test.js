@@ -0,0 +1,76 @@
+// Spending Rollups Unit Tests
+const SpendingRollups = require('../services/spendingRollups');
+const { createMockPool } = require('./helpers/mockPool');
+
+const TABLES = ['spending_daily_totals', 'spending_daily_categories', 'spending_daily_stores'];
+
+describe('Spending Rollups', () => {
+    test('should recompute the day a receipt moved from and the day it moved to', async () => {
+        const pool = createMockPool(sql => (sql.includes('WHERE r.id = $1') ? { rows: [{ user_id: 'u-1', day: '2024-03-03' }] } : null));
+        const rollups = new SpendingRollups(pool);
+
+        await rollups.recordReceipt(pool.client, 'r-1', { userId: 'u-1', day: '2024-03-01' });
+
+        expect(pool.queries[1].sql).toContain('pg_advisory_xact_lock');
+        expect(pool.queries[1].params).toEqual(['spending_rollups:u-1']);
+        for (const table of TABLES) {
+            const remove = pool.queries.find(q => q.sql.startsWith(`DELETE FROM ${table}`));
+            const insert = pool.queries.find(q => q.sql.startsWith(`INSERT INTO ${table}`));
+            expect(remove.params).toEqual(['u-1', ['2024-03-01', '2024-03-03']]);
+            expect(insert.params).toEqual(['u-1', ['2024-03-01', '2024-03-03']]);
+            expect(insert.sql).toContain("r.status = 'completed'");
+        }
+    });
+
+    test('should only clear the old day of a receipt that is gone', async () => {
+        const pool = createMockPool();
+        const rollups = new SpendingRollups(pool);
+
+        await rollups.recordReceipt(pool.client, 'r-1', { userId: 'u-1', day: '2024-03-01' });
+        await rollups.recordReceipt(pool.client, 'r-2');
+
+        const deletes = pool.queries.filter(q => q.sql.startsWith('DELETE FROM spending_daily_totals'));
+        expect(deletes.map(q => q.params)).toEqual([['u-1', ['2024-03-01']]]);
+    });
+
+    test('should recompute the user/days that drifted from the receipts', async () => {
+        const pool = createMockPool(sql => {
+            if (sql.includes('EXCEPT ALL') && sql.includes('FROM spending_daily_totals')) {
+                return { rows: [{ user_id: 'u-1', day: '2024-03-01' }, { user_id: 'u-2', day: '2024-02-28' }] };
+            }
+            if (sql.includes('EXCEPT ALL') && sql.includes('FROM spending_daily_stores')) {
+                return { rows: [{ user_id: 'u-1', day: '2024-03-01' }] };
+            }
+            return null;
+        });
+        const rollups = new SpendingRollups(pool);
+
+        const result = await rollups.check({ days: 7 });
+
+        expect(pool.queries[0].params).toEqual([7]);
+        expect(result.mismatches).toHaveLength(3);
+        expect(result.repaired).toBe(true);
+        expect(pool.connect).toHaveBeenCalledTimes(2);
+        const deletes = pool.queries.filter(q => q.sql.startsWith('DELETE FROM spending_daily_totals'));
+        expect(deletes.map(q => q.params)).toEqual([['u-1', ['2024-03-01']], ['u-2', ['2024-02-28']]]);
+    });
+
+    test('should only report drift on a dry run', async () => {
+        const pool = createMockPool(sql => (sql.includes('EXCEPT ALL') ? { rows: [{ user_id: 'u-1', day: '2024-03-01' }] } : null));
+        const rollups = new SpendingRollups(pool);
+
+        const result = await rollups.check({ days: null, repair: false });
+
+        expect(pool.queries[0].params).toEqual([]);
+        expect(result).toMatchObject({ repaired: false });
+        expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should filter rollup rows by receipt scope and range', () => {
+        const filter = SpendingRollups.filter({ condition: 'r.household_id = $1', param: 'h-1' }, { from: '2024-03-01', to: '2024-03-31' });
+
+        expect(filter.where).toBe('r.household_id = $1 AND r.day >= $2::date AND r.day <= $3::date');
+        expect(filter.values).toEqual(['h-1', '2024-03-01', '2024-03-31']);
+        expect(filter.param('month')).toBe('$4');
+    });
+});
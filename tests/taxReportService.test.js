@@ -0,0 +1,131 @@
+// Tax Report Service Unit Tests
+const TaxReportService = require('../services/taxReportService');
+const PdfDocument = require('../services/pdfDocument');
+const { createMockPool } = require('./helpers/mockPool');
+
+const RECEIPTS = [
+    // Medical receipt with items, one of them re-tagged business
+    { id: 'r-1', receipt_date: '2024-02-03', subtotal: '30.00', tax_amount: '2.40', total_amount: '32.40', tax_tag: 'medical', image_key: 'ab/abc.jpg', store_name: 'CVS', item_count: '3' },
+    // Untagged, tax only
+    { id: 'r-2', receipt_date: '2024-03-10', subtotal: '50.00', tax_amount: '4.00', total_amount: '54.00', tax_tag: null, image_key: null, store_name: 'Target', item_count: '5' },
+    // Business receipt the OCR found no items on
+    { id: 'r-3', receipt_date: '2024-04-01', subtotal: null, tax_amount: '1.00', total_amount: '21.00', tax_tag: 'business', image_key: null, store_name: null, item_count: '0' },
+    // Nothing to report
+    { id: 'r-4', receipt_date: '2024-05-05', subtotal: '9.00', tax_amount: '0.00', total_amount: '9.00', tax_tag: null, image_key: null, store_name: 'Aldi', item_count: '2' }
+];
+
+const ITEM_GROUPS = [
+    { receipt_id: 'r-1', tag: 'medical', category: 'Pharmacy', amount: '25.00', item_count: '2' },
+    { receipt_id: 'r-1', tag: 'business', category: null, amount: '5.00', item_count: '1' },
+    { receipt_id: 'r-2', tag: 'deductible', category: 'Household', amount: '12.50', item_count: '1' }
+];
+
+const createReportPool = () => createMockPool(async (sql) => {
+    if (sql.includes('SELECT timezone FROM users')) return { rows: [{ timezone: 'America/New_York' }] };
+    if (sql.includes('as item_count\n       FROM receipts r')) return { rows: RECEIPTS };
+    if (sql.includes('JOIN receipts r ON ri.receipt_id = r.id')) return { rows: ITEM_GROUPS };
+    return null;
+});
+
+describe('Tax Report Service', () => {
+    test('should total tax paid and tagged amounts by tag, category and store', () => {
+        const report = TaxReportService.summarize(RECEIPTS, ITEM_GROUPS);
+
+        expect(report.taxPaid).toEqual({
+            total: 7.4,
+            receiptCount: 3,
+            byStore: [
+                { storeName: 'Target', total: 4, receiptCount: 1 },
+                { storeName: 'CVS', total: 2.4, receiptCount: 1 },
+                { storeName: 'Unknown store', total: 1, receiptCount: 1 }
+            ]
+        });
+        expect(report.deductible.total).toBe(62.5);
+        expect(report.deductible.byTag).toEqual([
+            { tag: 'business', total: 25, itemCount: 1 },
+            { tag: 'medical', total: 25, itemCount: 2 },
+            { tag: 'deductible', total: 12.5, itemCount: 1 }
+        ]);
+        // r-3 counts its total less tax, next to r-1's uncategorized business item
+        expect(report.deductible.byCategory[1]).toEqual({ category: 'Uncategorized', tag: 'business', total: 25, itemCount: 1 });
+        expect(report.deductible.byStore).toEqual([
+            { storeName: 'CVS', total: 30, receiptCount: 1 },
+            { storeName: 'Unknown store', total: 20, receiptCount: 1 },
+            { storeName: 'Target', total: 12.5, receiptCount: 1 }
+        ]);
+        expect(report.receipts.map(receipt => receipt.id)).toEqual(['r-1', 'r-2', 'r-3']);
+        expect(report.receipts[0]).toMatchObject({ deductibleAmount: 30, deductibleTags: ['business', 'medical'], hasImage: true });
+    });
+
+    test('should report the user\'s own receipts for a calendar year in their timezone', async () => {
+        const pool = createReportPool();
+        const service = new TaxReportService(pool, { now: () => new Date('2024-06-01T12:00:00Z') });
+
+        const report = await service.getReport('u-1', { year: '2024' });
+
+        expect(report).toMatchObject({ year: 2024, from: '2024-01-01', to: '2024-12-31', timeZone: 'America/New_York' });
+        const receiptQuery = pool.queries.find(q => q.sql.includes('as item_count\n       FROM receipts r'));
+        expect(receiptQuery.sql).toContain('r.user_id = $1');
+        expect(receiptQuery.params).toEqual(['u-1', 'America/New_York', '2024-01-01', '2024-12-31']);
+        expect(pool.queries.find(q => q.sql.includes('JOIN receipts r ON ri.receipt_id = r.id')).sql).toContain('COALESCE(ri.tax_tag, r.tax_tag) IS NOT NULL');
+
+        await expect(service.getReport('u-1', { year: '2025' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(service.getReport('u-1', { year: '24' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should link receipts in the app and sign image links in downloads', async () => {
+        const pool = createReportPool();
+        const imageStorage = { supportsSignedUrls: true, getSignedUrl: jest.fn(async key => `https://bucket.example/${key}?sig=1`) };
+        const service = new TaxReportService(pool, { imageStorage, appUrl: 'https://app.example/', now: () => new Date('2024-06-01T12:00:00Z') });
+
+        const { filename, contentType, body } = await service.exportReport('u-1', { year: '2024' });
+
+        expect(filename).toBe('tax-report-2024.csv');
+        expect(contentType).toBe('text/csv; charset=utf-8');
+        const lines = body.split('\r\n');
+        expect(lines[0]).toBe('receipt_id,receipt_date,store_name,total_amount,tax_amount,tax_tag,deductible_amount,deductible_tags,receipt_url,image_url');
+        expect(lines[1]).toBe('r-1,2024-02-03,CVS,32.40,2.40,medical,30.00,business medical,https://app.example/receipts/r-1,https://bucket.example/ab/abc.jpg?sig=1');
+        expect(lines[3]).toBe('r-3,2024-04-01,Unknown store,21.00,1.00,business,20.00,business,https://app.example/receipts/r-3,');
+        expect(imageStorage.getSignedUrl).toHaveBeenCalledWith('ab/abc.jpg', 7 * 24 * 60 * 60);
+
+        await expect(service.exportReport('u-1', { format: 'xlsx' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should write a PDF with a valid cross-reference table and receipt links', async () => {
+        const service = new TaxReportService(createReportPool(), { appUrl: 'https://app.example', now: () => new Date('2024-06-01T12:00:00Z') });
+
+        const { contentType, body } = await service.exportReport('u-1', { year: '2024', format: 'pdf' });
+
+        expect(contentType).toBe('application/pdf');
+        const text = body.toString('latin1');
+        expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(text.endsWith('%%EOF\n')).toBe(true);
+        expect(text).toContain('(Tax paid: 7.40 on 3 receipt\\(s\\)) Tj');
+        expect(text).toContain('/URI (https://app.example/receipts/r-2)');
+
+        const xref = parseInt(text.match(/startxref\n(\d+)/)[1], 10);
+        const offsets = text.slice(xref).split('\n').filter(line => / 00000 n $/.test(line)).map(line => parseInt(line, 10));
+        offsets.forEach((offset, index) => {
+            expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+        });
+    });
+
+    test('should validate tags and only tag the owner\'s receipts', async () => {
+        const pool = createMockPool();
+        const service = new TaxReportService(pool);
+
+        expect(TaxReportService.parseTag(null)).toBeNull();
+        expect(() => TaxReportService.parseTag('personal')).toThrow('tag must be one of business, medical, deductible, or null to clear it');
+        expect(() => TaxReportService.parseTag(undefined)).toThrow();
+
+        await expect(service.tagReceipt('u-2', 'r-1', 'medical')).rejects.toMatchObject({ statusCode: 404 });
+        expect(pool.query.mock.calls[0][1]).toEqual(['r-1', 'u-2', 'medical']);
+        await expect(service.tagItem('u-2', 'r-1', 'item-1', null)).rejects.toMatchObject({ statusCode: 404 });
+        expect(pool.query.mock.calls[1][1]).toEqual(['item-1', 'r-1', 'u-2', null]);
+    });
+
+    test('should escape PDF strings and truncate text to its cell', () => {
+        expect(PdfDocument.escape('Total (incl. tax) \\ 5€')).toBe('Total \\(incl. tax\\) \\\\ 5?');
+        expect(PdfDocument.fit('A very long store name indeed', 60, 10)).toBe('A very ...');
+    });
+});
@@ -0,0 +1,55 @@
+// GroceryPal receipt worker
+// Runs OCR jobs from the receipt_jobs table outside the API process.
+// Start the API with RECEIPT_WORKER=external when running this separately.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const OCRService = require('./services/ocrService');
+const ReceiptProcessor = require('./services/receiptProcessor');
+const ReceiptJobQueue = require('./services/receiptJobQueue');
+const ReceiptWorker = require('./services/receiptWorker');
+const ReceiptEnricher = require('./services/receiptEnricher');
+const Migrator = require('./services/migrator');
+const DuplicateDetector = require('./services/duplicateDetector');
+const PriceHistory = require('./services/priceHistory');
+const SpendingRollups = require('./services/spendingRollups');
+const ShoppingListService = require('./services/shoppingListService');
+const { createImageStorage } = require('./services/imageStorage');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const ocrService = new OCRService();
+const imageStorage = createImageStorage();
+const receiptJobQueue = new ReceiptJobQueue(pool);
+const rollups = new SpendingRollups(pool);
+const duplicateDetector = new DuplicateDetector(pool, { queue: receiptJobQueue, rollups });
+const priceHistory = new PriceHistory(pool);
+const shoppingLists = new ShoppingListService(pool);
+// Post-OCR enrichment: item categories, standardized names, store chain, insights
+const enricher = process.env.RECEIPT_ENRICHMENT === 'off' ? null : new ReceiptEnricher(pool, { rollups });
+const receiptProcessor = new ReceiptProcessor({
+  pool, ocrService, imageStorage, duplicateDetector, priceHistory, shoppingLists, enricher, rollups
+});
+const receiptWorker = new ReceiptWorker({ queue: receiptJobQueue, processor: receiptProcessor });
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down receipt worker...`);
+  await receiptWorker.stop();
+  await pool.end();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Same rule as the API: never process receipts against an outdated schema
+new Migrator(pool).assertUpToDate()
+  .then(() => receiptWorker.start())
+  .catch(async (error) => {
+    console.error('Receipt worker startup error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });